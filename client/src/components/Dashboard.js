@@ -4,8 +4,9 @@ import { auth, db } from '../firebase/config';
 import { signOut } from 'firebase/auth';
 import { collection, query, where, getDocs, doc, deleteDoc } from 'firebase/firestore';
 import { useTheme } from '../contexts/ThemeContext';
-import { FiEye, FiDownload, FiTrash2, FiX, FiAlertTriangle } from 'react-icons/fi';
+import { FiEye, FiDownload, FiTrash2, FiX, FiAlertTriangle, FiMessageSquare } from 'react-icons/fi';
 import NavBar from './NavBar';
+import NoteChat from './NoteChat';
 
 function Dashboard({ user }) {
   const navigate = useNavigate();
@@ -15,6 +16,8 @@ function Dashboard({ user }) {
   const [error, setError] = useState(null);
   const [deleteConfirm, setDeleteConfirm] = useState(null);
   const [deleting, setDeleting] = useState(false);
+  // Note whose chat panel is open
+  const [chatNote, setChatNote] = useState(null);
 
   useEffect(() => {
     if (!user) {
@@ -391,6 +394,19 @@ function Dashboard({ user }) {
                             >
                               <FiDownload className="w-4 h-4" />
                             </a>
+                            {note.status === 'completed' && (
+                              <button
+                                onClick={() => setChatNote(note)}
+                                className={`p-2.5 rounded-full transition-all hover:scale-110 ${
+                                  isDarkMode 
+                                    ? 'bg-purple-500/20 text-purple-300 hover:bg-purple-500/30' 
+                                    : 'bg-purple-50 text-purple-600 hover:bg-purple-100'
+                                }`}
+                                title="Chat about this note"
+                              >
+                                <FiMessageSquare className="w-4 h-4" />
+                              </button>
+                            )}
                           </>
                         )}
                         
@@ -423,6 +439,28 @@ function Dashboard({ user }) {
           </>
         )}
         
+        {/* Chat panel for a note */}
+        {chatNote && (
+          <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50" onClick={() => setChatNote(null)}>
+            <div className="relative max-w-2xl w-full" onClick={(e) => e.stopPropagation()}>
+              <button
+                onClick={() => setChatNote(null)}
+                className={`absolute -top-3 -right-3 z-10 p-1.5 rounded-full shadow ${
+                  isDarkMode ? 'bg-gray-700 hover:bg-gray-600 text-white' : 'bg-white hover:bg-gray-100 text-gray-700'
+                }`}
+                title="Close"
+              >
+                <FiX className="w-4 h-4" />
+              </button>
+              <NoteChat
+                noteId={chatNote.id}
+                noteTitle={chatNote.documentTitle || chatNote.title}
+                className={isDarkMode ? 'bg-gray-800' : ''}
+              />
+            </div>
+          </div>
+        )}
+        
         {/* Delete confirmation modal */}
         {deleteConfirm && (
           <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50">
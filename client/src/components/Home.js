@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useTheme } from '../contexts/ThemeContext';
 import { FiSun, FiMoon, FiSend, FiPaperclip, FiImage, FiLogIn, FiUser, FiX, FiArrowLeft } from 'react-icons/fi';
@@ -9,6 +9,31 @@ import { doc, setDoc, collection } from 'firebase/firestore';
 import { db } from '../firebase/config';
 import apiService from '../services/api';
 import NavBar from './NavBar';
+import NoteChat from './NoteChat';
+
+// localStorage key for the job that is currently being processed
+const ACTIVE_JOB_KEY = 'noteflow.activeJobId';
+// localStorage key for the PDF template picked last
+const PDF_TEMPLATE_KEY = 'noteflow.pdfTemplate';
+const JOB_POLL_INTERVAL_MS = 2000;
+
+// Describe the server-side job progress for the status banner
+const describeJobProgress = (job) => {
+  const stages = job.stages || {};
+  const visualStatus = ['diagrams', 'flowcharts']
+    .filter(stage => stages[stage]?.status === 'running')
+    .map(stage => `${stage} (${stages[stage].completed || 0}/${stages[stage].total || 0})`);
+  
+  if (job.status === 'queued') return 'Waiting to start...';
+  if (stages.rendering?.status === 'running') return 'Rendering your PDF document...';
+  if (stages.layout?.status === 'running') return 'Laying out your document...';
+  if (visualStatus.length > 0) return `Generating ${visualStatus.join(' and ')}...`;
+  // Long inputs are analyzed in chunks
+  if (stages.analyzing?.total > 1) {
+    return `Analyzing content (part ${Math.min(stages.analyzing.completed + 1, stages.analyzing.total)} of ${stages.analyzing.total})...`;
+  }
+  return 'Analyzing content...';
+};
 
 function Home() {
   const navigate = useNavigate();
@@ -31,6 +56,14 @@ function Home() {
   const [processingStatus, setProcessingStatus] = useState('');
   // Add a ref for scrolling to results
   const resultsRef = useRef(null);
+  // Pending job poll and open event stream, cleared on unmount
+  const pollTimeoutRef = useRef(null);
+  const closeStreamRef = useRef(null);
+  // Whether the results view has been shown for the current job
+  const resultsRevealedRef = useRef(false);
+  // PDF templates the server offers, and the one to generate the next note with
+  const [pdfTemplates, setPdfTemplates] = useState([]);
+  const [pdfTemplate, setPdfTemplate] = useState(() => localStorage.getItem(PDF_TEMPLATE_KEY) || 'classic');
   
   useEffect(() => {
     const unsubscribe = onAuthStateChanged(auth, (currentUser) => {
@@ -40,6 +73,19 @@ function Home() {
     return () => unsubscribe();
   }, []);
   
+  // The template list needs a signed-in user; without it the picker stays hidden
+  useEffect(() => {
+    if (!user) return;
+    apiService.getPdfTemplates()
+      .then(response => setPdfTemplates(response.data.templates || []))
+      .catch(err => console.warn('Could not load PDF templates:', err.message));
+  }, [user]);
+  
+  const handlePdfTemplateChange = (e) => {
+    setPdfTemplate(e.target.value);
+    localStorage.setItem(PDF_TEMPLATE_KEY, e.target.value);
+  };
+  
   // Function to handle file selection
   const handleFileChange = (e) => {
     const file = e.target.files[0];
@@ -110,6 +156,161 @@ function Home() {
     }
   };
 
+  // Show the results view once the first result (the summary) is available
+  const revealResults = useCallback(() => {
+    setShowResults(true);
+    setTimeout(() => {
+      setResultAnimation(true);
+      
+      // Scroll to the results after showing them
+      if (resultsRef.current) {
+        resultsRef.current.scrollIntoView({ behavior: 'smooth' });
+      }
+    }, 100);
+  }, []);
+  
+  // Show the summary as soon as the server has produced it
+  const showSummary = useCallback((jobId, summary) => {
+    setResult(prevResult => ({
+      ...prevResult,
+      noteId: jobId,
+      summary
+    }));
+    
+    if (!resultsRevealedRef.current) {
+      resultsRevealedRef.current = true;
+      revealResults();
+    }
+  }, [revealResults]);
+  
+  // Final state once the note's PDF is ready
+  const completeJob = useCallback((jobId, { summary, noteUrl, documentTitle }) => {
+    localStorage.removeItem(ACTIVE_JOB_KEY);
+    if (summary) showSummary(jobId, summary);
+    setResult(prevResult => ({
+      ...prevResult,
+      noteId: jobId,
+      progress: 100,
+      pdfUrl: noteUrl,
+      documentTitle: documentTitle || 'NoteFlow Document'
+    }));
+    setProcessingStatus('');
+    setProcessing(false);
+    
+    // Scroll to the PDF section
+    setTimeout(() => {
+      const pdfSection = document.getElementById('pdf-section');
+      if (pdfSection) {
+        pdfSection.scrollIntoView({ behavior: 'smooth' });
+      }
+    }, 300);
+  }, [showSummary]);
+  
+  const failJob = useCallback(({ error: jobError, failedStage }) => {
+    localStorage.removeItem(ACTIVE_JOB_KEY);
+    setError(`Note generation failed${failedStage ? ` while ${failedStage}` : ''}: ${jobError}`);
+    setProcessingStatus('');
+    setProcessing(false);
+  }, []);
+  
+  // Apply a job record (from polling or the stream's snapshot) to the UI
+  const applyJobState = useCallback((job) => {
+    if (job.summary) showSummary(job.id, job.summary);
+    
+    if (job.status === 'completed') {
+      completeJob(job.id, job);
+      return true;
+    }
+    
+    if (job.status === 'failed') {
+      failJob(job);
+      return true;
+    }
+    
+    setResult(prevResult => prevResult && ({ ...prevResult, progress: job.progress }));
+    setProcessingStatus(describeJobProgress(job));
+    return false;
+  }, [showSummary, completeJob, failJob]);
+  
+  // Poll a note job until it completes or fails - used when the event stream is unavailable
+  const pollJob = useCallback(async (jobId) => {
+    try {
+      const { data } = await apiService.getJob(jobId);
+      
+      if (!applyJobState(data.job)) {
+        pollTimeoutRef.current = setTimeout(() => pollJob(jobId), JOB_POLL_INTERVAL_MS);
+      }
+    } catch (err) {
+      if (err.response?.status === 404) {
+        // The job no longer exists - nothing to resume
+        localStorage.removeItem(ACTIVE_JOB_KEY);
+        setProcessingStatus('');
+        setProcessing(false);
+        return;
+      }
+      
+      if (err.response?.status === 401 || err.response?.status === 403) {
+        // Signed out, or the job belongs to another account - retrying won't help
+        localStorage.removeItem(ACTIVE_JOB_KEY);
+        setError('Please log in again to follow your note');
+        setProcessingStatus('');
+        setProcessing(false);
+        return;
+      }
+      
+      // Transient errors - keep polling
+      pollTimeoutRef.current = setTimeout(() => pollJob(jobId), JOB_POLL_INTERVAL_MS * 2);
+    }
+  }, [applyJobState]);
+  
+  // Follow a note job through its event stream, rendering partial results as they arrive
+  const trackJob = useCallback((jobId) => {
+    closeStreamRef.current = apiService.subscribeToNoteEvents(jobId, {
+      snapshot: ({ job }) => applyJobState(job),
+      progress: (update) => {
+        setResult(prevResult => prevResult && ({ ...prevResult, progress: update.progress }));
+        setProcessingStatus(describeJobProgress({ status: 'processing', ...update }));
+      },
+      summary: ({ summary }) => showSummary(jobId, summary),
+      visual: (visual) => {
+        setResult(prevResult => prevResult && ({
+          ...prevResult,
+          visuals: [
+            ...(prevResult.visuals || []).filter(v => !(v.kind === visual.kind && v.index === visual.index)),
+            visual
+          ]
+        }));
+      },
+      structure: ({ title }) => {
+        setResult(prevResult => prevResult && ({ ...prevResult, documentTitle: title }));
+      },
+      complete: (data) => completeJob(jobId, data),
+      failed: (data) => failJob(data)
+    }, () => {
+      // Stream unavailable (e.g. a proxy that buffers responses) - fall back to polling
+      pollJob(jobId);
+    });
+  }, [applyJobState, showSummary, completeJob, failJob, pollJob]);
+  
+  // Resume a job that was still running when the page was reloaded, once
+  // Firebase has restored the signed-in user - the job API needs their token
+  const userId = user?.uid;
+  useEffect(() => {
+    if (!userId) return;
+    
+    const activeJobId = localStorage.getItem(ACTIVE_JOB_KEY);
+    if (activeJobId) {
+      setProcessing(true);
+      setProcessingStatus('Resuming your note...');
+      trackJob(activeJobId);
+    }
+    
+    return () => {
+      clearTimeout(pollTimeoutRef.current);
+      if (closeStreamRef.current) closeStreamRef.current();
+    };
+  }, [userId, trackJob]);
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     
@@ -117,10 +318,16 @@ function Home() {
       return; // Require either text or a file
     }
     
+    if (!user) {
+      setError('Please log in to create notes');
+      return;
+    }
+    
     try {
       setProcessing(true);
       setError(null);
       setResult(null);
+      resultsRevealedRef.current = false;
       setProcessingStatus('Analyzing content...');
       
       // Check server health first
@@ -130,199 +337,26 @@ function Home() {
         throw new Error('Server is not responding. Please try again later.');
       }
       
-      let response;
-      
-      if (selectedFile) {
-        // Handle file upload - always generate PDF
-        setProcessingStatus('Processing your file...');
-        response = await apiService.beautifyWithFile(
-          selectedFile, 
-          fileInputType, 
-          inputText, 
-          true // Always generate PDF
-        );
-      } else {
-        // Handle text input - always generate PDF
-        setProcessingStatus('Processing your text...');
-        response = await apiService.beautify(
-          inputText, 
-          'text/plain', 
-          true // Always generate PDF
-        );
-      }
+      // One key per submission, so a retried request doesn't start a second job
+      const idempotencyKey = `${user.uid}-${Date.now()}-${Math.random().toString(36).substring(2, 10)}`;
       
-      // Set the initial result without PDF
-      setResult(response.data);
-      
-      // Show results immediately after getting the summary
-      setShowResults(true);
-      setTimeout(() => {
-        setResultAnimation(true);
-        
-        // Scroll to the results after showing them
-        if (resultsRef.current) {
-          resultsRef.current.scrollIntoView({ behavior: 'smooth' });
-        }
-      }, 100);
+      const response = await apiService.submitNoteJob(user.uid, {
+        text: inputText,
+        file: selectedFile,
+        inputType: selectedFile ? fileInputType : 'text/plain',
+        // A remembered template the server no longer offers falls back to its default
+        pdfTemplate: pdfTemplates.some(template => template.id === pdfTemplate) ? pdfTemplate : null
+      }, idempotencyKey);
       
-      // Update processing status to indicate the next steps
-      setProcessingStatus('Generating visual elements and PDF...');
+      const job = response.data.job;
       
-      // If we have diagram or flowchart prompts, generate the visuals
-      if ((response.data.fullOutput.diagram_prompts?.length > 0) || 
-          (response.data.fullOutput.flowcharts_prompt?.length > 0)) {
-        
-        try {
-          // Update processing status for visuals generation
-          setProcessingStatus('Generating visual elements...');
-          
-          // Call the visuals generation endpoint
-          const visualsResponse = await apiService.generateVisuals(
-            response.data.fullOutput.diagram_prompts,
-            response.data.fullOutput.flowcharts_prompt,
-            response.data.fullOutput.concepts_flowcharts
-          );
-          
-          // Update processing status for PDF generation
-          setProcessingStatus('Creating your PDF document...');
-          
-          // Generate PDF with all content including visuals
-          const pdfResponse = await apiService.generatePdf(
-            response.data,
-            visualsResponse.data.diagrams,
-            visualsResponse.data.flowcharts
-          );
-          
-          // Process PDF response
-          if (pdfResponse.data.pdf) {
-            try {
-              // Convert base64 to blob
-              const byteString = atob(pdfResponse.data.pdf);
-              const ab = new ArrayBuffer(byteString.length);
-              const ia = new Uint8Array(ab);
-              for (let i = 0; i < byteString.length; i++) {
-                ia[i] = byteString.charCodeAt(i);
-              }
-              const pdfBlob = new Blob([ab], { type: 'application/pdf' });
-              
-              // Create a URL for the blob
-              const pdfUrl = URL.createObjectURL(pdfBlob);
-              
-              // Store the blob in a global variable to prevent garbage collection
-              window._pdfBlob = pdfBlob;
-              
-              // Update the result with the PDF URL and document title
-              setResult(prevResult => ({
-                ...prevResult,
-                pdfUrl: pdfUrl,
-                documentTitle: pdfResponse.data.documentTitle || 'NoteFlow Document',
-                visuals: visualsResponse.data // Store visuals but we won't display them
-              }));
-              
-              // Clear the processing status when done
-              setProcessingStatus('');
-              
-              // Scroll to the PDF section
-              setTimeout(() => {
-                if (resultsRef.current) {
-                  const pdfSection = document.getElementById('pdf-section');
-                  if (pdfSection) {
-                    pdfSection.scrollIntoView({ behavior: 'smooth' });
-                  }
-                }
-              }, 300);
-            } catch (pdfError) {
-              console.error('Error processing PDF data:', pdfError);
-              setResult(prevResult => ({
-                ...prevResult,
-                pdfError: pdfError.message
-              }));
-              setProcessingStatus('');
-            }
-          } else {
-            setResult(prevResult => ({
-              ...prevResult,
-              pdfError: "No PDF data received"
-            }));
-            setProcessingStatus('');
-          }
-        } catch (visualErr) {
-          // Update the result with the error
-          setResult(prevResult => ({
-            ...prevResult,
-            visualsError: visualErr.message
-          }));
-          setProcessingStatus('');
-        }
-      } else {
-        // No visuals to generate, but still generate PDF
-        setProcessingStatus('Creating your PDF document...');
-        
-        // Generate PDF without visuals
-        const pdfResponse = await apiService.generatePdf(
-          response.data,
-          [],
-          []
-        );
-        
-        // Process PDF response
-        if (pdfResponse.data.pdf) {
-          try {
-            // Convert base64 to blob
-            const byteString = atob(pdfResponse.data.pdf);
-            const ab = new ArrayBuffer(byteString.length);
-            const ia = new Uint8Array(ab);
-            for (let i = 0; i < byteString.length; i++) {
-              ia[i] = byteString.charCodeAt(i);
-            }
-            const pdfBlob = new Blob([ab], { type: 'application/pdf' });
-            
-            // Create a URL for the blob
-            const pdfUrl = URL.createObjectURL(pdfBlob);
-            
-            // Store the blob in a global variable to prevent garbage collection
-            window._pdfBlob = pdfBlob;
-            
-            // Update the result with the PDF URL
-            setResult(prevResult => ({
-              ...prevResult,
-              pdfUrl: pdfUrl
-            }));
-            
-            // Clear the processing status when done
-            setProcessingStatus('');
-            
-            // Scroll to the results
-            setTimeout(() => {
-              if (resultsRef.current) {
-                resultsRef.current.scrollIntoView({ behavior: 'smooth' });
-              }
-            }, 500);
-          } catch (pdfError) {
-            console.error('Error processing PDF data:', pdfError);
-            setResult(prevResult => ({
-              ...prevResult,
-              pdfError: pdfError.message
-            }));
-            setProcessingStatus('');
-          }
-        } else {
-          setResult(prevResult => ({
-            ...prevResult,
-            pdfError: "No PDF data received"
-          }));
-          setProcessingStatus('');
-        }
-      }
-      
-      // Animate to results view
-      setShowResults(true);
-      setTimeout(() => {
-        setResultAnimation(true);
-      }, 100);
+      // Remember the job so a page reload can pick up where we left off
+      localStorage.setItem(ACTIVE_JOB_KEY, job.id);
       
       setInputText('');
       clearSelectedFile();
+      
+      trackJob(job.id);
     } catch (err) {
       const errorMessage = err.response?.data?.details || 
                           err.response?.data?.error || 
@@ -330,7 +364,6 @@ function Home() {
                           'Failed to process your input. Please try again.';
       setError(errorMessage);
       setProcessingStatus('');
-    } finally {
       setProcessing(false);
     }
   };
@@ -338,6 +371,7 @@ function Home() {
   // Function to go back to input mode
   const handleBackToInput = () => {
     setResultAnimation(false);
+    resultsRevealedRef.current = false;
     setTimeout(() => {
       setShowResults(false);
       setResult(null);
@@ -562,10 +596,56 @@ function Home() {
                         </div>
                         <p className={`font-medium ${isDarkMode ? 'text-blue-300' : 'text-blue-700'}`}>{processingStatus}</p>
                       </div>
+                      
+                      {/* Overall job progress reported by the server */}
+                      {processing && result?.progress > 0 && (
+                        <div className={`mt-3 h-2 rounded-full overflow-hidden ${isDarkMode ? 'bg-blue-900/40' : 'bg-blue-100'}`}>
+                          <div 
+                            className="h-full bg-blue-500 transition-all duration-500"
+                            style={{ width: `${result.progress}%` }}
+                          ></div>
+                        </div>
+                      )}
                     </div>
                   )}
                 </div>
                 
+                {/* Visuals Card - thumbnails stream in as each diagram or flowchart finishes */}
+                {result.visuals?.length > 0 && (
+                  <div className={`p-6 rounded-lg ${
+                    isDarkMode 
+                      ? 'bg-gray-800/70 border border-white/10'
+                      : 'bg-white'
+                  } shadow-lg mb-6`}>
+                    <h2 className="text-xl font-bold mb-4">Visuals</h2>
+                    <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 gap-4">
+                      {[...result.visuals]
+                        .sort((a, b) => a.kind.localeCompare(b.kind) || a.index - b.index)
+                        .map(visual => (
+                          <div 
+                            key={`${visual.kind}-${visual.index}`}
+                            className={`rounded-md overflow-hidden ${isDarkMode ? 'bg-gray-700' : 'bg-gray-100'}`}
+                          >
+                            {visual.thumbnail ? (
+                              <img 
+                                src={`data:image/png;base64,${visual.thumbnail}`} 
+                                alt={visual.name || `${visual.kind} ${visual.index + 1}`}
+                                className="w-full h-32 object-contain bg-white"
+                              />
+                            ) : (
+                              <div className="w-full h-32 flex items-center justify-center text-sm text-red-500 p-2 text-center">
+                                {visual.error || 'Preview unavailable'}
+                              </div>
+                            )}
+                            <p className={`text-xs p-2 line-clamp-2 ${isDarkMode ? 'text-gray-300' : 'text-gray-600'}`}>
+                              {visual.name || `${visual.kind === 'diagram' ? 'Diagram' : 'Flowchart'} ${visual.index + 1}`}
+                            </p>
+                          </div>
+                        ))}
+                    </div>
+                  </div>
+                )}
+                
                 {/* PDF Document Card - Only shown when ready */}
                 {result?.pdfUrl && (
                   <div id="pdf-section" className={`p-6 rounded-lg ${
@@ -580,8 +660,10 @@ function Home() {
                       <a 
                         onClick={(e) => {
                           e.preventDefault();
-                          // Download locally AND save to cloud
-                          savePdfToCloud(result.pdfUrl, result.documentTitle || result.fullOutput?.title || "NoteFlow Document");
+                          // Download locally AND save to cloud (server-generated notes are already saved)
+                          if (!result.noteId) {
+                            savePdfToCloud(result.pdfUrl, result.documentTitle || result.fullOutput?.title || "NoteFlow Document");
+                          }
                           // Then trigger the download
                           const link = document.createElement('a');
                           link.href = result.pdfUrl;
@@ -617,21 +699,23 @@ function Home() {
                         View PDF in Browser
                       </button>
                       
-                      {/* New Save to Cloud button */}
-                      <button
-                        onClick={() => savePdfToCloud(result.pdfUrl, result.documentTitle || result.fullOutput?.title || "NoteFlow Document")}
-                        className={`inline-flex items-center justify-center px-4 py-2 rounded-md ${
-                          isDarkMode 
-                            ? 'bg-gradient-to-r from-purple-500 to-indigo-600 hover:from-purple-600 hover:to-indigo-700' // Gradient button
-                            : 'bg-purple-600 hover:bg-purple-700'
-                        } text-white font-medium`}
-                      >
-                        <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-2" viewBox="0 0 20 20" fill="currentColor">
-                          <path d="M5.5 16a3.5 3.5 0 01-.369-6.98 4 4 0 117.753-1.977A4.5 4.5 0 1113.5 16h-8z" />
-                          <path d="M9 12.75l3 3m0 0l3-3m-3 3v-7.5" />
-                        </svg>
-                        Save to Cloud
-                      </button>
+                      {/* Save to Cloud button - notes generated by a server job are saved already */}
+                      {!result.noteId && (
+                        <button
+                          onClick={() => savePdfToCloud(result.pdfUrl, result.documentTitle || result.fullOutput?.title || "NoteFlow Document")}
+                          className={`inline-flex items-center justify-center px-4 py-2 rounded-md ${
+                            isDarkMode 
+                              ? 'bg-gradient-to-r from-purple-500 to-indigo-600 hover:from-purple-600 hover:to-indigo-700' // Gradient button
+                              : 'bg-purple-600 hover:bg-purple-700'
+                          } text-white font-medium`}
+                        >
+                          <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-2" viewBox="0 0 20 20" fill="currentColor">
+                            <path d="M5.5 16a3.5 3.5 0 01-.369-6.98 4 4 0 117.753-1.977A4.5 4.5 0 1113.5 16h-8z" />
+                            <path d="M9 12.75l3 3m0 0l3-3m-3 3v-7.5" />
+                          </svg>
+                          Save to Cloud
+                        </button>
+                      )}
                     </div>
                     
                     {/* PDF Preview Section */}
@@ -644,6 +728,11 @@ function Home() {
                     </div>
                   </div>
                 )}
+                
+                {/* Chat about the finished note - only server-generated notes have stored content */}
+                {result?.pdfUrl && result.noteId && (
+                  <NoteChat noteId={result.noteId} noteTitle={result.documentTitle} className="mt-6" />
+                )}
               </div>
             )}
           </div>
@@ -776,6 +865,25 @@ function Home() {
                     >
                       <HiOutlineVolumeUp className="h-5 w-5" />
                     </button>
+                    
+                    {/* PDF template for the generated note */}
+                    {pdfTemplates.length > 0 && (
+                      <select
+                        value={pdfTemplate}
+                        onChange={handlePdfTemplateChange}
+                        disabled={processing}
+                        title={pdfTemplates.find(template => template.id === pdfTemplate)?.description || 'PDF template'}
+                        className={`ml-1 px-2 py-1 text-sm rounded-full border focus:outline-none ${
+                          isDarkMode
+                            ? 'bg-gray-800 border-gray-600 text-gray-300'
+                            : 'bg-white border-gray-200 text-gray-600'
+                        }`}
+                      >
+                        {pdfTemplates.map(template => (
+                          <option key={template.id} value={template.id}>{template.name}</option>
+                        ))}
+                      </select>
+                    )}
                   </div>
                   
                   {/* Right side - send button */}
@@ -1,9 +1,20 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { Link, useLocation } from 'react-router-dom';
-import { FiSun, FiMoon, FiHome, FiLogIn, FiLogOut, FiUser, FiX } from 'react-icons/fi';
+import { FiSun, FiMoon, FiHome, FiLogIn, FiLogOut, FiUser, FiX, FiActivity } from 'react-icons/fi';
 import { useTheme } from '../contexts/ThemeContext';
 import { auth } from '../firebase/config';
 import { signOut } from 'firebase/auth';
+import apiService from '../services/api';
+
+const QUOTA_REFRESH_INTERVAL_MS = 60000;
+
+// Compact number for the quota badge, e.g. 987654 -> 988k
+const formatQuota = (value) => {
+  if (value === null || value === undefined) return '∞';
+  if (value >= 1000000) return `${(value / 1000000).toFixed(1)}M`;
+  if (value >= 1000) return `${Math.round(value / 1000)}k`;
+  return String(value);
+};
 
 const NavBar = ({ user }) => {
   const location = useLocation();
@@ -11,6 +22,7 @@ const NavBar = ({ user }) => {
   const [showLogoutModal, setShowLogoutModal] = useState(false);
   const navRef = useRef(null);
   const [activeIndicatorStyle, setActiveIndicatorStyle] = useState({});
+  const [quota, setQuota] = useState(null);
   
   // Helper to check if the current path matches
   const isActive = (path) => {
@@ -66,6 +78,31 @@ const NavBar = ({ user }) => {
     return () => window.removeEventListener('resize', updateIndicatorPosition);
   }, []);
   
+  // Fetch remaining quota for the signed-in user, refreshing on navigation and periodically
+  useEffect(() => {
+    if (!user) {
+      setQuota(null);
+      return;
+    }
+    
+    let cancelled = false;
+    const loadQuota = async () => {
+      try {
+        const { data } = await apiService.getQuota();
+        if (!cancelled) setQuota(data.quota);
+      } catch (error) {
+        console.warn('Could not load quota:', error.message);
+      }
+    };
+    
+    loadQuota();
+    const interval = setInterval(loadQuota, QUOTA_REFRESH_INTERVAL_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [user, location.pathname]);
+  
   // Show logout confirmation modal
   const showLogoutConfirmation = (e) => {
     e.preventDefault();
@@ -96,6 +133,25 @@ const NavBar = ({ user }) => {
         </h1>
         
         <div className="flex items-center gap-4">
+          {/* Remaining quota */}
+          {user && quota && (
+            <div
+              className={`hidden md:flex items-center gap-2 px-3 py-2 rounded-full text-sm shadow-sm ${
+                isDarkMode 
+                  ? 'bg-gray-800 border border-gray-700 text-gray-300' 
+                  : 'bg-white border border-gray-200 text-gray-600'
+              }`}
+              title={`Requests this minute: ${formatQuota(quota.requests.remaining)} left\n` +
+                `Diagrams today: ${formatQuota(quota.diagrams.remaining)} left (resets ${new Date(quota.diagrams.resetAt).toLocaleString()})\n` +
+                `Tokens this month: ${formatQuota(quota.tokens.remaining)} left (resets ${new Date(quota.tokens.resetAt).toLocaleDateString()})`}
+            >
+              <FiActivity className={`h-4 w-4 ${quota.tokens.remaining === 0 || quota.diagrams.remaining === 0 ? 'text-red-500' : 'text-blue-500'}`} />
+              <span>{formatQuota(quota.diagrams.remaining)} diagrams</span>
+              <span className="opacity-50">·</span>
+              <span>{formatQuota(quota.tokens.remaining)} tokens</span>
+            </div>
+          )}
+          
           {/* Navigation Group */}
           <div 
             ref={navRef}
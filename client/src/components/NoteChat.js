@@ -0,0 +1,234 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { FiSend, FiPlus, FiMessageSquare, FiBookmark, FiFileText } from 'react-icons/fi';
+import { useTheme } from '../contexts/ThemeContext';
+import apiService from '../services/api';
+
+const describeError = (err) => err.response?.data?.details || err.response?.data?.error || err.message;
+
+// Chat about one generated note. Answers come from the note's content and
+// cite the sections and source excerpts they are based on.
+function NoteChat({ noteId, noteTitle, className = '' }) {
+  const { isDarkMode } = useTheme();
+  const [sessions, setSessions] = useState([]);
+  const [sessionId, setSessionId] = useState(null);
+  const [messages, setMessages] = useState([]);
+  const [input, setInput] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState(null);
+  const messagesEndRef = useRef(null);
+
+  // Load the note's sessions and open the most recent one
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadSessions = async () => {
+      setLoading(true);
+      setError(null);
+      setSessionId(null);
+      setMessages([]);
+      try {
+        const { data } = await apiService.listChatSessions(noteId);
+        if (cancelled) return;
+        setSessions(data.sessions);
+        if (data.sessions.length > 0) {
+          setSessionId(data.sessions[0].id);
+        }
+      } catch (err) {
+        if (!cancelled) setError(`Couldn't load chats: ${describeError(err)}`);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadSessions();
+    return () => { cancelled = true; };
+  }, [noteId]);
+
+  // Load the selected session's history
+  useEffect(() => {
+    if (!sessionId) return;
+    let cancelled = false;
+
+    apiService.getChatSession(sessionId)
+      .then(({ data }) => {
+        if (!cancelled) setMessages(data.messages);
+      })
+      .catch(err => {
+        if (!cancelled) setError(`Couldn't load this chat: ${describeError(err)}`);
+      });
+
+    return () => { cancelled = true; };
+  }, [sessionId]);
+
+  useEffect(() => {
+    if (messagesEndRef.current) {
+      messagesEndRef.current.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+  }, [messages, sending]);
+
+  const startNewChat = () => {
+    setSessionId(null);
+    setMessages([]);
+    setError(null);
+  };
+
+  const handleSend = async (e) => {
+    e.preventDefault();
+    const message = input.trim();
+    if (!message || sending) return;
+
+    setSending(true);
+    setError(null);
+    setInput('');
+    // Show the question right away; it is replaced by the stored copy below
+    setMessages(prev => [...prev, { id: 'pending', role: 'user', content: message }]);
+
+    try {
+      let activeSessionId = sessionId;
+      if (!activeSessionId) {
+        const { data } = await apiService.createChatSession(noteId);
+        activeSessionId = data.session.id;
+      }
+
+      const { data } = await apiService.sendChatMessage(activeSessionId, message);
+      setMessages(prev => [...prev.filter(m => m.id !== 'pending'), data.userMessage, data.message]);
+
+      if (activeSessionId !== sessionId) {
+        setSessions(prev => [{ id: activeSessionId, title: message.substring(0, 80) }, ...prev]);
+        setSessionId(activeSessionId);
+      }
+    } catch (err) {
+      setMessages(prev => prev.filter(m => m.id !== 'pending'));
+      setInput(message);
+      setError(err.response?.status === 429
+        ? `You've reached your usage limit. ${err.response.data?.details || ''}`
+        : `Couldn't send your message: ${describeError(err)}`);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const renderCitation = (citation) => (
+    <span
+      key={citation.id}
+      title={citation.type === 'source' ? citation.excerpt : citation.heading}
+      className={`inline-flex items-center gap-1 text-xs px-2 py-0.5 rounded-full ${
+        isDarkMode ? 'bg-blue-500/20 text-blue-200' : 'bg-blue-50 text-blue-700'
+      }`}
+    >
+      {citation.type === 'section' ? <FiBookmark className="w-3 h-3" /> : <FiFileText className="w-3 h-3" />}
+      {citation.type === 'section' ? citation.heading : `Source excerpt ${citation.index + 1}`}
+    </span>
+  );
+
+  return (
+    <div className={`p-6 rounded-lg shadow-lg flex flex-col ${
+      isDarkMode ? 'bg-gray-800/70 border border-white/10' : 'bg-white'
+    } ${className}`}>
+      <div className="flex items-center justify-between gap-3 mb-4">
+        <h2 className="text-xl font-bold flex items-center gap-2">
+          <FiMessageSquare className="w-5 h-5" />
+          Ask about {noteTitle ? `"${noteTitle}"` : 'this note'}
+        </h2>
+        <div className="flex items-center gap-2">
+          {sessions.length > 0 && (
+            <select
+              value={sessionId || ''}
+              onChange={(e) => (e.target.value ? setSessionId(e.target.value) : startNewChat())}
+              className={`text-sm rounded-md px-2 py-1 max-w-[12rem] ${
+                isDarkMode ? 'bg-gray-700 text-white border border-white/10' : 'bg-gray-100 text-gray-900'
+              }`}
+            >
+              <option value="">New chat</option>
+              {sessions.map(session => (
+                <option key={session.id} value={session.id}>{session.title || 'Untitled chat'}</option>
+              ))}
+            </select>
+          )}
+          <button
+            type="button"
+            onClick={startNewChat}
+            title="New chat"
+            className={`p-2 rounded-full ${isDarkMode ? 'hover:bg-gray-700' : 'hover:bg-gray-100'}`}
+          >
+            <FiPlus className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      <div className={`flex-grow overflow-y-auto min-h-[12rem] max-h-[28rem] pr-2 space-y-4 ${
+        isDarkMode ? 'scrollbar-dark' : 'scrollbar-light'
+      }`}>
+        {loading ? (
+          <div className="flex justify-center py-8">
+            <div className="w-6 h-6 border-2 border-blue-500 border-t-transparent rounded-full animate-spin"></div>
+          </div>
+        ) : messages.length === 0 ? (
+          <p className={`text-sm py-8 text-center ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+            Ask a question about your note - answers are based on its content and link back to the sections they come from.
+          </p>
+        ) : (
+          messages.map(message => (
+            <div key={message.id} className={`flex ${message.role === 'user' ? 'justify-end' : 'justify-start'}`}>
+              <div className={`max-w-[85%] rounded-2xl px-4 py-2 ${
+                message.role === 'user'
+                  ? 'bg-blue-600 text-white'
+                  : isDarkMode ? 'bg-gray-700/80' : 'bg-gray-100'
+              }`}>
+                <p className="whitespace-pre-wrap">{message.content}</p>
+                {message.citations?.length > 0 && (
+                  <div className="flex flex-wrap gap-1 mt-2">
+                    {message.citations.map(renderCitation)}
+                  </div>
+                )}
+              </div>
+            </div>
+          ))
+        )}
+        {sending && (
+          <div className="flex justify-start">
+            <div className={`rounded-2xl px-4 py-3 ${isDarkMode ? 'bg-gray-700/80' : 'bg-gray-100'}`}>
+              <div className="w-4 h-4 border-2 border-current border-t-transparent rounded-full animate-spin"></div>
+            </div>
+          </div>
+        )}
+        <div ref={messagesEndRef} />
+      </div>
+
+      {error && (
+        <div className={`mt-3 p-3 rounded-lg text-sm ${
+          isDarkMode ? 'bg-red-900/30 text-red-200' : 'bg-red-50 text-red-700'
+        }`}>
+          {error}
+        </div>
+      )}
+
+      <form onSubmit={handleSend} className={`mt-4 flex items-center gap-2 rounded-2xl px-3 py-2 ${
+        isDarkMode ? 'bg-gray-900/60 border border-white/10' : 'bg-gray-50 border border-gray-200'
+      }`}>
+        <input
+          type="text"
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          placeholder="Ask a question about this note..."
+          disabled={loading}
+          className="flex-grow bg-transparent focus:outline-none"
+        />
+        <button
+          type="submit"
+          disabled={!input.trim() || sending || loading}
+          className={`p-2 rounded-full flex items-center justify-center ${
+            input.trim() && !sending
+              ? 'bg-black text-white dark:bg-white dark:text-black hover:opacity-80'
+              : isDarkMode ? 'bg-gray-700 text-gray-500' : 'bg-gray-200 text-gray-400'
+          }`}
+        >
+          <FiSend className="w-4 h-4" />
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default NoteChat;
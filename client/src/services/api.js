@@ -1,14 +1,27 @@
 import axios from 'axios';
 import logger from '../utils/apiLogger';
+import { auth } from '../firebase/config';
 
 // Create axios instance with base URL
 const api = axios.create({
   baseURL: process.env.REACT_APP_API_URL || 'http://localhost:5000/api'
 });
 
-// Add request interceptor for logging
+// Current user's Firebase ID token, or null when signed out.
+// getIdToken refreshes the token automatically when it is about to expire.
+const getAuthToken = async () => {
+  const currentUser = auth?.currentUser;
+  return currentUser ? currentUser.getIdToken() : null;
+};
+
+// Add request interceptor for auth and logging
 api.interceptors.request.use(
-  config => {
+  async config => {
+    const token = await getAuthToken();
+    if (token) {
+      config.headers.Authorization = `Bearer ${token}`;
+    }
+    
     config.metadata = { startTime: new Date() };
     config.requestId = logger.logApiRequest(config.url, config.method, config.data);
     return config;
@@ -62,8 +75,17 @@ const apiService = {
     return api.get('/health');
   },
   
-  chat: async (message) => {
-    return api.post('/ai/chat', { message });
+  // Remaining requests, diagrams and tokens for the signed-in user
+  getQuota: async () => {
+    return api.get('/quota');
+  },
+  
+  // Send a chat message. The response's intent ({ type, confidence, endpoint })
+  // says whether it was answered (type 'conversation', with response) or should
+  // go to note generation, quiz generation or a note chat session instead.
+  // Pass the open note's id so questions about it are recognized.
+  chat: async (message, noteId = null) => {
+    return api.post('/ai/chat', { message, noteId });
   },
   
   beautify: async (text, inputType = 'text/plain', generatePdf = true) => {
@@ -157,11 +179,179 @@ const apiService = {
     return api.post('/process', { userId, text });
   },
   
-  generateVisuals: async (diagramPrompts, flowchartPrompts, flowchartConcepts) => {
+  // PDF templates (page size, fonts, colors...) a note can be generated with:
+  // [{ id, name, description }]
+  getPdfTemplates: async () => {
+    return api.get('/ai/pdf-templates');
+  },
+  
+  // Start a note job. pdfTemplate is a template id from getPdfTemplates;
+  // without one the server's default is used.
+  submitNoteJob: async (userId, { text = '', file = null, inputType = null, pdfTemplate = null } = {}, idempotencyKey) => {
+    const headers = { 'Idempotency-Key': idempotencyKey };
+    let payload;
+    
+    if (file) {
+      payload = new FormData();
+      payload.append('file', file);
+      payload.append('userId', userId);
+      payload.append('title', file.name);
+      if (text && text.trim()) {
+        payload.append('text', text);
+      }
+      if (inputType) {
+        payload.append('fileType', inputType);
+      }
+      if (pdfTemplate) {
+        // Multipart fields are strings, the server parses this as JSON
+        payload.append('pdfOptions', JSON.stringify({ template: pdfTemplate }));
+      }
+      headers['Content-Type'] = 'multipart/form-data';
+    } else {
+      payload = { userId, text };
+      if (pdfTemplate) {
+        payload.pdfOptions = { template: pdfTemplate };
+      }
+    }
+    
+    const send = () => api.post('/jobs', payload, { headers });
+    
+    try {
+      return await send();
+    } catch (error) {
+      // Retry once on network failures - the idempotency key makes the server
+      // return the original job if the first attempt actually got through
+      if (!error.response) {
+        logger.warning('API', 'Job submission failed without a response, retrying', { idempotencyKey });
+        return send();
+      }
+      throw error;
+    }
+  },
+  
+  getJob: async (jobId) => {
+    return api.get(`/jobs/${jobId}`);
+  },
+  
+  listJobs: async (userId) => {
+    return api.get('/jobs', { params: { userId } });
+  },
+  
+  // Open a Server-Sent Events stream for a note job. `handlers` maps event
+  // types (snapshot, progress, summary, visual, structure, pdf, complete,
+  // failed) to callbacks receiving the parsed payload; `onError` is called if
+  // the stream breaks. Returns a function that closes the stream.
+  subscribeToNoteEvents: (jobId, handlers = {}, onError = null) => {
+    let source = null;
+    let finished = false;
+    
+    const open = (token) => {
+      // EventSource can't send headers, so the ID token goes in the query string
+      const query = token ? `?token=${encodeURIComponent(token)}` : '';
+      source = new EventSource(`${api.defaults.baseURL}/ai/notes/${jobId}/events${query}`);
+      
+      Object.entries(handlers).forEach(([type, handler]) => {
+        source.addEventListener(type, (event) => {
+          if (type === 'complete' || type === 'failed') {
+            finished = true;
+            source.close();
+          }
+          
+          try {
+            handler(JSON.parse(event.data));
+          } catch (parseError) {
+            logger.error('API', `Invalid ${type} event for job ${jobId}`, parseError);
+          }
+        });
+      });
+      
+      source.onerror = (error) => {
+        // The server closes the stream after the final event - that's not an error
+        if (finished) return;
+        source.close();
+        logger.warning('API', `Event stream for job ${jobId} failed`, error);
+        if (onError) onError(error);
+      };
+    };
+    
+    getAuthToken()
+      .then(token => {
+        // The caller may have closed the stream while the token was loading
+        if (!finished) open(token);
+      })
+      .catch(error => {
+        logger.error('API', `Could not get auth token for job ${jobId} events`, error);
+        if (!finished && onError) onError(error);
+      });
+    
+    return () => {
+      finished = true;
+      if (source) source.close();
+    };
+  },
+  
+  // Generate a complete note (beautify, visuals, PDF) in a single server-side
+  // call. Resolves once the note is done; the PDF is fetched with downloadNotePdf.
+  createNote: async (userId, { text, file }, idempotencyKey) => {
+    const headers = idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {};
+
+    if (file) {
+      const formData = new FormData();
+      formData.append('userId', userId);
+      formData.append('file', file);
+      return api.post('/ai/notes', formData, {
+        headers: { ...headers, 'Content-Type': 'multipart/form-data' }
+      });
+    }
+
+    return api.post('/ai/notes', { userId, text }, { headers });
+  },
+
+  // Download a generated note's PDF as a Blob
+  downloadNotePdf: async (noteId) => {
+    return api.get(`/ai/notes/${noteId}/pdf`, { responseType: 'blob' });
+  },
+
+  // Chat sessions grounded in a generated note
+  createChatSession: async (noteId) => {
+    return api.post('/chat/sessions', { noteId });
+  },
+
+  listChatSessions: async (noteId) => {
+    return api.get('/chat/sessions', { params: { noteId } });
+  },
+
+  getChatSession: async (sessionId) => {
+    return api.get(`/chat/sessions/${sessionId}`);
+  },
+
+  sendChatMessage: async (sessionId, message) => {
+    return api.post(`/chat/sessions/${sessionId}/messages`, { message });
+  },
+
+  // Flashcards and practice questions for a note. Pass either { beautifiedOutput }
+  // or { noteId }. format: json, csv or tsv (Anki import) or pdf; anything but
+  // json comes back as a Blob ready to download.
+  generateQuiz: async ({ beautifiedOutput, noteId, title }, { format = 'json', difficulty = 'medium', counts = {} } = {}) => {
+    return api.post('/ai/quiz', {
+      beautifiedOutput,
+      noteId,
+      title,
+      format,
+      difficulty,
+      counts
+    }, {
+      responseType: format === 'json' ? 'json' : 'blob'
+    });
+  },
+
+  // flowchartKinds: optional Mermaid diagram kind per flowchart (fullOutput.flowchart_kinds)
+  generateVisuals: async (diagramPrompts, flowchartPrompts, flowchartConcepts, flowchartKinds = []) => {
     return api.post('/ai/generate-visuals', { 
       diagramPrompts, 
       flowchartPrompts,
-      flowchartConcepts 
+      flowchartConcepts,
+      flowchartKinds
     });
   },
   
@@ -174,26 +364,44 @@ const apiService = {
     });
     
     try {
-      // Consider optimizing large base64 image data to avoid payload size issues
+      // Visuals the server has cached are sent by asset id rather than as base64
+      const byAssetId = (visual) => {
+        if (!visual?.assetId) return visual;
+        const { image, svg, ...reference } = visual;
+        return reference;
+      };
+      
       const optimizedDiagrams = diagrams?.map(diagram => {
-        if (diagram.image && diagram.image.length > 200000) {
+        if (!diagram.assetId && diagram.image && diagram.image.length > 200000) {
           console.log(`Large diagram detected (${(diagram.image.length/1024).toFixed(2)}KB), consider server-side optimization`);
         }
-        return diagram;
+        return byAssetId(diagram);
       });
       
       const optimizedFlowcharts = flowcharts?.map(flowchart => {
-        if (flowchart.image && flowchart.image.length > 200000) {
+        if (!flowchart.assetId && flowchart.image && flowchart.image.length > 200000) {
           console.log(`Large flowchart detected (${(flowchart.image.length/1024).toFixed(2)}KB), consider server-side optimization`);
         }
-        return flowchart;
+        return byAssetId(flowchart);
       });
       
-      const response = await api.post('/ai/generate-pdf', {
-        beautifiedOutput,
-        diagrams: optimizedDiagrams || [],
-        flowcharts: optimizedFlowcharts || []
-      });
+      let response;
+      try {
+        response = await api.post('/ai/generate-pdf', {
+          beautifiedOutput,
+          diagrams: optimizedDiagrams || [],
+          flowcharts: optimizedFlowcharts || []
+        });
+      } catch (error) {
+        // 409: some cached visuals were evicted - send the full images instead
+        if (error.response?.status !== 409) throw error;
+        console.log('API client - generatePdf: cached visuals missing, resending images', error.response.data?.missingAssetIds);
+        response = await api.post('/ai/generate-pdf', {
+          beautifiedOutput,
+          diagrams: diagrams || [],
+          flowcharts: flowcharts || []
+        });
+      }
       
       // Log if PDF was received
       console.log('API client - generatePdf response - PDF included:', { 
@@ -0,0 +1,250 @@
+const { noteBeautifierFlow, noteMergeFlow } = require('./noteBeautifier');
+const { splitIntoChunks, DEFAULT_CHUNK_SIZE, DEFAULT_CHUNK_OVERLAP } = require('../utils/textChunker');
+const { isQuotaError } = require('../utils/quota');
+
+// How many chunks are sent to the model at the same time
+const CHUNK_CONCURRENCY = parseInt(process.env.BEAUTIFY_CHUNK_CONCURRENCY, 10) || 2;
+
+// Upper bound on visuals after merging, so a long transcript doesn't produce dozens
+const MAX_MERGED_DIAGRAMS = parseInt(process.env.BEAUTIFY_MAX_DIAGRAMS, 10) || 8;
+const MAX_MERGED_FLOWCHARTS = parseInt(process.env.BEAUTIFY_MAX_FLOWCHARTS, 10) || 8;
+
+// Upper bound on merged learning objectives and open questions
+const MAX_MERGED_OBJECTIVES = 10;
+const MAX_MERGED_QUESTIONS = 10;
+
+// Concepts whose word sets overlap at least this much are treated as the same concept
+const CONCEPT_SIMILARITY_THRESHOLD = 0.75;
+
+const STOP_WORDS = new Set(['a', 'an', 'the', 'of', 'and', 'or', 'in', 'on', 'for', 'to', 'with', 'how', 'what']);
+
+/**
+ * Significant words of a concept name, for duplicate detection
+ */
+const conceptWords = (concept) => new Set(
+  (concept || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && !STOP_WORDS.has(word))
+);
+
+const isSameConcept = (wordsA, wordsB) => {
+  if (wordsA.size === 0 || wordsB.size === 0) return false;
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  return shared / (wordsA.size + wordsB.size - shared) >= CONCEPT_SIMILARITY_THRESHOLD;
+};
+
+/**
+ * Merge parallel concept/visual arrays from several chunk outputs, dropping
+ * repeated concepts and identical visual code. Concepts that come up in more
+ * chunks rank higher when the list has to be capped; ties keep document order.
+ * @param {string} kindsKey - optional third parallel array (diagram kinds) kept with each visual
+ */
+function mergeVisuals(outputs, conceptsKey, visualsKey, limit, kindsKey = null) {
+  const merged = [];
+
+  outputs.forEach(output => {
+    const concepts = output[conceptsKey] || [];
+    const visuals = output[visualsKey] || [];
+    const kinds = (kindsKey && output[kindsKey]) || [];
+
+    concepts.forEach((concept, i) => {
+      const visual = visuals[i];
+      if (!visual) return;
+
+      const words = conceptWords(concept);
+      const normalizedVisual = visual.replace(/\s+/g, ' ').trim().toLowerCase();
+      const existing = merged.find(entry =>
+        isSameConcept(entry.words, words) || entry.normalizedVisual === normalizedVisual);
+
+      if (existing) {
+        existing.mentions += 1;
+      } else {
+        merged.push({ concept, visual, kind: kinds[i], words, normalizedVisual, mentions: 1, order: merged.length });
+      }
+    });
+  });
+
+  const kept = merged
+    .sort((a, b) => b.mentions - a.mentions || a.order - b.order)
+    .slice(0, limit)
+    .sort((a, b) => a.order - b.order);
+
+  return {
+    concepts: kept.map(entry => entry.concept),
+    visuals: kept.map(entry => entry.visual),
+    kinds: kept.map(entry => entry.kind || 'flowchart')
+  };
+}
+
+/**
+ * Concatenate lists from every chunk, dropping entries that repeat an earlier one
+ * @param {Function} keyOf - text used to compare entries
+ */
+function mergeUnique(lists, keyOf = (item) => item, limit = Infinity) {
+  const merged = [];
+  lists.flat().forEach(item => {
+    const words = conceptWords(keyOf(item));
+    if (!merged.some(existing => isSameConcept(conceptWords(keyOf(existing)), words))) {
+      merged.push(item);
+    }
+  });
+  return merged.slice(0, limit);
+}
+
+/**
+ * Glossary terms from every chunk; a term defined twice keeps its first definition
+ */
+function mergeKeyTerms(outputs) {
+  const terms = new Map();
+  outputs.forEach(output => {
+    (output.key_terms || []).forEach(entry => {
+      const key = entry.term.trim().toLowerCase();
+      if (key && !terms.has(key)) terms.set(key, entry);
+    });
+  });
+  return [...terms.values()];
+}
+
+/**
+ * Chunk outlines in document order. A topic that continues across a chunk
+ * boundary (same heading as the previous topic) is folded into it.
+ */
+function mergeOutlines(outputs) {
+  const merged = [];
+  outputs.forEach(output => {
+    (output.outline || []).forEach(topic => {
+      const previous = merged[merged.length - 1];
+      if (previous && isSameConcept(conceptWords(previous.heading), conceptWords(topic.heading))) {
+        previous.points = mergeUnique([previous.points, topic.points || []]);
+        previous.subsections = mergeUnique([previous.subsections, topic.subsections || []], sub => sub.heading);
+      } else {
+        merged.push({ heading: topic.heading, points: topic.points || [], subsections: topic.subsections || [] });
+      }
+    });
+  });
+  return merged;
+}
+
+/**
+ * Combine per-chunk beautifier outputs into one NoteBeautifierSchema output.
+ * The summary is written by noteMergeFlow, falling back to the chunk summaries
+ * in order if that call fails.
+ */
+async function mergeBeautifiedOutputs(outputs, { maxDiagrams = MAX_MERGED_DIAGRAMS, maxFlowcharts = MAX_MERGED_FLOWCHARTS } = {}) {
+  if (outputs.length === 1) return outputs[0];
+
+  const diagrams = mergeVisuals(outputs, 'concepts_diagram', 'diagram_prompts', maxDiagrams);
+  const flowcharts = mergeVisuals(outputs, 'concepts_flowcharts', 'flowcharts_prompt', maxFlowcharts, 'flowchart_kinds');
+  const summaries = outputs.map(output => output.summary).filter(Boolean);
+
+  let summary;
+  try {
+    summary = await noteMergeFlow({
+      summaries,
+      concepts: [...diagrams.concepts, ...flowcharts.concepts]
+    });
+  } catch (mergeError) {
+    if (isQuotaError(mergeError)) throw mergeError;
+    console.error('Summary merge failed, joining chunk summaries instead:', mergeError.message);
+    summary = summaries.join('\n\n');
+  }
+
+  return {
+    summary,
+    concepts_diagram: diagrams.concepts,
+    diagram_prompts: diagrams.visuals,
+    concepts_flowcharts: flowcharts.concepts,
+    flowcharts_prompt: flowcharts.visuals,
+    flowchart_kinds: flowcharts.kinds,
+    key_terms: mergeKeyTerms(outputs),
+    learning_objectives: mergeUnique(outputs.map(output => output.learning_objectives || []), undefined, MAX_MERGED_OBJECTIVES),
+    outline: mergeOutlines(outputs),
+    open_questions: mergeUnique(outputs.map(output => output.open_questions || []), undefined, MAX_MERGED_QUESTIONS)
+  };
+}
+
+/**
+ * Beautify notes of any length. Inputs that fit in one chunk - and files,
+ * which the model reads directly - go through noteBeautifierFlow as before;
+ * longer text is split into overlapping chunks that are beautified
+ * independently (map) and merged into one output (reduce).
+ *
+ * @param {Object} input - noteBeautifierFlow input: { text, inputType, fileBuffer (base64) }
+ * @param {Object} options - { chunkSize, overlap, concurrency, onChunk(completed, total) }
+ * @returns {Promise<Object>} - NoteBeautifierSchema output, plus failed_chunks
+ *   ([{ part, error }]) when some chunks failed and were left out of the merge
+ */
+async function beautifyNotes({ text = '', inputType = 'text/plain', fileBuffer = '' }, {
+  chunkSize = DEFAULT_CHUNK_SIZE,
+  overlap = DEFAULT_CHUNK_OVERLAP,
+  concurrency = CHUNK_CONCURRENCY,
+  onChunk = null
+} = {}) {
+  const chunks = fileBuffer ? [] : splitIntoChunks(text, { chunkSize, overlap });
+
+  if (chunks.length <= 1) {
+    return noteBeautifierFlow({ text, inputType, fileBuffer });
+  }
+
+  console.log(`Beautifying ${text.length} characters in ${chunks.length} chunks (size ${chunkSize}, overlap ${overlap})`);
+
+  const outputs = new Array(chunks.length).fill(null);
+  let nextChunk = 0;
+  let completed = 0;
+  let lastError = null;
+  const failedChunks = [];
+  // Set when a chunk runs out of quota, so the other workers stop taking chunks
+  let abortError = null;
+
+  const worker = async () => {
+    while (!abortError && nextChunk < chunks.length) {
+      const index = nextChunk++;
+      try {
+        outputs[index] = await noteBeautifierFlow({
+          text: chunks[index],
+          inputType,
+          part: { index, total: chunks.length }
+        });
+      } catch (chunkError) {
+        // Out of quota means every remaining chunk would fail too
+        if (isQuotaError(chunkError)) {
+          abortError = chunkError;
+          throw chunkError;
+        }
+        console.error(`Chunk ${index + 1}/${chunks.length} failed:`, chunkError.message);
+        failedChunks.push({ part: index + 1, error: chunkError.message });
+        lastError = chunkError;
+      }
+
+      completed += 1;
+      if (onChunk) {
+        try {
+          await onChunk(completed, chunks.length);
+        } catch (progressError) {
+          console.error('Failed to report chunk progress:', progressError.message);
+        }
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, chunks.length) }, worker));
+
+  const succeeded = outputs.filter(Boolean);
+  if (succeeded.length === 0) {
+    throw lastError || new Error('All chunks failed to process');
+  }
+  const merged = await mergeBeautifiedOutputs(succeeded);
+  if (failedChunks.length > 0) {
+    console.warn(`${failedChunks.length} of ${chunks.length} chunks failed - merging the rest`);
+    merged.failed_chunks = failedChunks.sort((a, b) => a.part - b.part);
+  }
+
+  return merged;
+}
+
+module.exports = {
+  beautifyNotes,
+  mergeBeautifiedOutputs
+};
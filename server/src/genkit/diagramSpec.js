@@ -0,0 +1,38 @@
+const { diagramSpecFlow } = require('./noteBeautifier');
+const { renderDiagramSpec } = require('../utils/diagramRenderer');
+
+// Ways a concept diagram can be produced:
+// image - text-to-image model (Hugging Face FLUX), good-looking but labels are often garbled
+// spec - the model describes the diagram as data and it is drawn locally with exact text
+const DIAGRAM_BACKENDS = ['image', 'spec'];
+const DEFAULT_DIAGRAM_BACKEND = DIAGRAM_BACKENDS.includes(process.env.DIAGRAM_BACKEND)
+  ? process.env.DIAGRAM_BACKEND
+  : 'image';
+
+/**
+ * The backend to use for a request, or null if the requested one is unknown
+ * @param {string} requested - backend named by the client, optional
+ */
+function resolveDiagramBackend(requested) {
+  if (!requested) return DEFAULT_DIAGRAM_BACKEND;
+  return DIAGRAM_BACKENDS.includes(requested) ? requested : null;
+}
+
+/**
+ * Generate a diagram with the spec backend
+ * @param {string} prompt - the diagram prompt from the beautified output
+ * @param {string} concept - the concept the diagram explains, optional
+ * @returns {Promise<Object>} - { buffer (PNG), svg, spec }
+ */
+async function generateSpecDiagram(prompt, concept) {
+  const spec = await diagramSpecFlow({ prompt, concept: concept || undefined });
+  const { png, svg } = renderDiagramSpec(spec);
+  return { buffer: png, svg, spec };
+}
+
+module.exports = {
+  DIAGRAM_BACKENDS,
+  DEFAULT_DIAGRAM_BACKEND,
+  resolveDiagramBackend,
+  generateSpecDiagram
+};
@@ -0,0 +1,64 @@
+const { mermaidRepairFlow } = require('./noteBeautifier');
+const { normalizeMermaidCode, detectDiagramKind, validateMermaid } = require('../utils/mermaidValidator');
+
+// How many times invalid flowchart code is sent back to the model for fixing (0 disables repair)
+const configuredRepairAttempts = parseInt(process.env.MERMAID_REPAIR_ATTEMPTS, 10);
+const MAX_REPAIR_ATTEMPTS = Number.isNaN(configuredRepairAttempts) ? 2 : Math.max(0, configuredRepairAttempts);
+
+/**
+ * Validate flowchart (or other Mermaid diagram) code with the Mermaid parser
+ * and, while it doesn't parse, ask the model to fix it, up to
+ * MAX_REPAIR_ATTEMPTS times.
+ *
+ * @param {string} code - Mermaid code from the model
+ * @param {string} conceptName - what the diagram shows, for the repair prompt
+ * @param {string} kind - the diagram kind the code should be, see MERMAID_DIAGRAM_KINDS
+ * @returns {Promise<Object>} - { code, kind, valid, attempts, repaired, error }:
+ *   the last version of the code and the kind it declares, whether it parsed
+ *   (null if the parser is unavailable), how many versions were validated,
+ *   whether the model changed it, and the residual parser or repair error
+ */
+async function prepareFlowchartCode(code, conceptName, kind = 'flowchart', maxRepairs = MAX_REPAIR_ATTEMPTS) {
+  let currentCode = normalizeMermaidCode(code, kind);
+  let attempts = 0;
+  let repaired = false;
+
+  // The code's own declaration wins over the kind it was requested as
+  const result = (fields) => ({ code: currentCode, kind: detectDiagramKind(currentCode) || kind, attempts, repaired, ...fields });
+
+  for (;;) {
+    attempts++;
+    const validation = await validateMermaid(currentCode);
+
+    if (validation.valid !== false) {
+      // Without a parser the code goes to the renderer unchecked
+      return result({ valid: validation.valid, error: validation.error });
+    }
+
+    console.warn(`Diagram "${conceptName}" failed to parse (attempt ${attempts}):`, validation.error.split('\n')[0]);
+
+    if (attempts > maxRepairs) {
+      return result({ valid: false, error: validation.error });
+    }
+
+    try {
+      const { code: repairedCode } = await mermaidRepairFlow({
+        code: currentCode,
+        error: validation.error,
+        conceptName,
+        kind: detectDiagramKind(currentCode) || kind
+      });
+      currentCode = normalizeMermaidCode(repairedCode, kind);
+      repaired = true;
+    } catch (repairError) {
+      // Out of tokens or the model failed - render what we have
+      console.error(`Diagram repair failed for "${conceptName}":`, repairError.message);
+      return result({ valid: false, error: `${validation.error}\n(Repair failed: ${repairError.message})` });
+    }
+  }
+}
+
+module.exports = {
+  MAX_REPAIR_ATTEMPTS,
+  prepareFlowchartCode
+};
@@ -1,6 +1,8 @@
 const { genkit } = require('genkit');
-const { gemini20Flash, googleAI } = require('@genkit-ai/googleai');
 const { z } = require('genkit');
+const { getModelProvider, describeModelProviders } = require('./providers');
+const { assertQuota, recordUsage, getQuotaUserId } = require('../utils/quota');
+const { MERMAID_DIAGRAM_KINDS, DIAGRAM_KIND_NAMES, diagramKindLabel, detectDiagramKind } = require('../utils/mermaidValidator');
 
 // Helper function for detailed logging
 const logAI = (operation, data) => {
@@ -8,30 +10,74 @@ const logAI = (operation, data) => {
   console.log(`[${timestamp}] [GENKIT] [${operation}]`, JSON.stringify(data, null, 2));
 };
 
-// Get API key from environment variables
-const apiKey = process.env.GOOGLE_GENAI_API_KEY;
-
-if (!apiKey) {
-  console.error('GOOGLE_GENAI_API_KEY environment variable is not set');
-  process.exit(1);
-}
-
-// Initialize Genkit with the Google AI plugin and Gemini model
-logAI('INIT', { model: 'gemini20Flash' });
-const ai = genkit({
-  plugins: [googleAI({
-    apiKey: apiKey
-  })],
-  model: gemini20Flash,
-});
+// Genkit hosts the flows; the models behind them come from the provider
+// layer (./providers), configured per flow
+const ai = genkit({});
+
+/**
+ * Generate with the flow's configured model provider, with token quota
+ * enforcement: refuses the call once the monthly token quota is used up, and
+ * records the tokens the call actually consumed
+ * @param {string} flowName - selects the provider, see ./providers
+ * @param {Object} request - { system, prompt, schema, media, config }
+ */
+const generateWithQuota = async (flowName, request) => {
+  const userId = getQuotaUserId();
+  await assertQuota(userId, 'tokens', 1);
+
+  const response = await getModelProvider(flowName).generate(request);
+
+  const usage = response.usage || {};
+  const tokens = usage.totalTokens || ((usage.inputTokens || 0) + (usage.outputTokens || 0));
+  try {
+    await recordUsage(userId, 'tokens', tokens);
+  } catch (usageError) {
+    console.error('Failed to record token usage:', usageError.message);
+  }
+
+  return response;
+};
 
 // Schema for the structured output from note beautification
 const NoteBeautifierSchema = z.object({
   summary: z.string().describe("Concise and clear summary of the entire input"),
   concepts_diagram: z.array(z.string()).describe("List of concepts that would be easier to understand with a diagram"),
   diagram_prompts: z.array(z.string()).describe("For each concept above, generate a DALLE image generation prompt"),
-  concepts_flowcharts: z.array(z.string()).describe("List of concepts that are better represented using a flowchart"),
-  flowcharts_prompt: z.array(z.string()).describe("For each concept above, generate valid mermaid.js code that can be directly used to create a flowchart. Always start with 'flowchart TD' or another valid mermaid diagram type. IMPORTANT: Avoid using special characters like parentheses in node text - they must be escaped. If using parentheses or special symbols in text, use double quotes around the entire label text. Example: A[\"Matrix (U, V)\"] not A[Matrix (U, V)]. All nodes must be properly defined with valid syntax.")
+  concepts_flowcharts: z.array(z.string()).describe("List of concepts that are better represented using a flowchart or another structured diagram (sequence, class, state, ER, timeline, mind map, Gantt or pie)"),
+  flowcharts_prompt: z.array(z.string()).describe("For each concept above, generate valid mermaid.js code that can be directly used to create the diagram. Always start with the declaration for the diagram's kind, e.g. 'flowchart TD' or 'sequenceDiagram'. IMPORTANT: Avoid using special characters like parentheses in node text - they must be escaped. If using parentheses or special symbols in text, use double quotes around the entire label text. Example: A[\"Matrix (U, V)\"] not A[Matrix (U, V)]. All nodes must be properly defined with valid syntax."),
+  flowchart_kinds: z.array(z.enum(DIAGRAM_KIND_NAMES)).optional().describe("For each concept above, the kind of Mermaid diagram its code is: flowchart for processes and decisions, sequence for interactions over time between participants, class for type hierarchies, state for state machines, er for data models, timeline for dated events, mindmap for a topic broken into ideas, gantt for schedules, pie for proportions"),
+  key_terms: z.array(z.object({
+    term: z.string().describe("The term as it appears in the content"),
+    definition: z.string().describe("A one or two sentence definition in the context of this content")
+  })).optional().describe("Important terms and their definitions, for a glossary"),
+  learning_objectives: z.array(z.string()).optional().describe("What a reader should be able to do after studying these notes, each starting with a verb (e.g. 'Explain...', 'Compare...')"),
+  outline: z.array(z.object({
+    heading: z.string().describe("Top-level topic"),
+    points: z.array(z.string()).describe("Key points under this topic"),
+    subsections: z.array(z.object({
+      heading: z.string().describe("Subtopic"),
+      points: z.array(z.string()).describe("Key points under this subtopic")
+    })).optional().describe("Subtopics, if the topic has any")
+  })).optional().describe("Hierarchical outline of the content in the order it is covered"),
+  open_questions: z.array(z.string()).optional().describe("Questions the content raises but does not answer, or points worth further study")
+});
+
+// Fields added to NoteBeautifierSchema after the original five. Models may omit
+// them, so they are always filled in with empty arrays before being returned.
+const NOTE_DETAIL_FIELDS = ['key_terms', 'learning_objectives', 'outline', 'open_questions'];
+
+/**
+ * One kind per flowchart, lined up with flowcharts_prompt. The declaration in
+ * the code wins over the kind the model named; code without one is a flowchart
+ * unless the model said otherwise.
+ */
+const resolveDiagramKinds = (output) => (output.flowcharts_prompt || [])
+  .map((code, i) => detectDiagramKind(code) || (output.flowchart_kinds || [])[i] || 'flowchart');
+
+const withNoteDetails = (output) => ({
+  ...output,
+  ...Object.fromEntries(NOTE_DETAIL_FIELDS.map(field => [field, output[field] || []])),
+  flowchart_kinds: resolveDiagramKinds(output)
 });
 
 // The note beautifier flow
@@ -41,11 +87,16 @@ const noteBeautifierFlow = ai.defineFlow(
     inputSchema: z.object({
       text: z.string().optional().default(''),
       inputType: z.string(),
-      fileBuffer: z.string().optional().default('')  // Change to default to empty string
+      fileBuffer: z.string().optional().default(''),  // Change to default to empty string
+      // Set when the input is one chunk of a longer text, see chunkedBeautifier
+      part: z.object({
+        index: z.number(),
+        total: z.number()
+      }).optional()
     }),
     outputSchema: NoteBeautifierSchema,
   },
-  async ({ text, inputType, fileBuffer }) => {
+  async ({ text, inputType, fileBuffer, part }) => {
     try {
       const flowId = `flow-${Date.now()}-${Math.random().toString(36).substring(2, 7)}`;
       logAI('BEAUTIFIER_FLOW_START', {
@@ -54,7 +105,8 @@ const noteBeautifierFlow = ai.defineFlow(
         hasText: !!text,
         textLength: text?.length,
         hasFileBuffer: !!fileBuffer && fileBuffer !== '',
-        fileBufferLength: fileBuffer?.length || 0
+        fileBufferLength: fileBuffer?.length || 0,
+        part
       });
       
       const startTime = Date.now();
@@ -91,6 +143,10 @@ const noteBeautifierFlow = ai.defineFlow(
         userPrompt = `No meaningful content was provided. The file appears to be empty or corrupted, and no text input was given.`;
       }
       
+      if (part) {
+        systemPrompt += `\n\nThis input is part ${part.index + 1} of ${part.total} of a longer document. The other parts are processed separately and merged afterwards, so cover this part in depth and don't speculate about content that isn't in it. It may start or end mid-topic, and may repeat a little text from the neighbouring parts.`;
+      }
+      
       // Additional instructions for the system prompt
       systemPrompt += `\n\nIMPORTANT: If you cannot properly analyze the content or if the content appears to be blank/empty, respond with a clear statement about this limitation. DO NOT fabricate or hallucinate content that isn't there.`;
       
@@ -98,11 +154,24 @@ const noteBeautifierFlow = ai.defineFlow(
       1. A concise summary of the content (or a statement about being unable to extract meaningful content)
       2. Key concepts that would benefit from visual diagrams (leave empty if none)
       3. Image generation prompts for those diagrams (leave empty if none)
-      4. Concepts that would benefit from flowcharts (leave empty if none)
-      5. Mermaid.js code to create those flowcharts (leave empty if none)`;
+      4. Concepts that would benefit from flowcharts or other Mermaid diagrams (leave empty if none)
+      5. Mermaid.js code to create those diagrams, and the kind of each diagram (leave empty if none)
+      6. Key terms with short definitions, for a glossary (leave empty if none)
+      7. Learning objectives - what the reader should be able to do afterwards
+      8. A hierarchical outline of the content: topics, their subtopics and key points, in the order covered
+      9. Open questions the content raises but doesn't answer (leave empty if none)`;
+
+      // Formulas are rendered from LaTeX in the generated PDF
+      systemPrompt += `\n\nMATH: Write every formula, equation and mathematical expression in LaTeX - inline between single dollar signs, e.g. $\\frac{a}{b}$, and standalone equations on their own line between double dollar signs, e.g. $$E = mc^2$$. Never write formulas as plain text or with Unicode math symbols.`;
+
+      // Pick the diagram kind that fits the content instead of forcing everything into a flowchart
+      systemPrompt += `\n\nCHOOSING A DIAGRAM KIND: Use the Mermaid diagram kind that matches the shape of the content, and start its code with that kind's declaration:
+${DIAGRAM_KIND_NAMES.map(kind => `- ${kind}: ${diagramKindLabel(kind)}, starts with '${MERMAID_DIAGRAM_KINDS[kind].header}'`).join('\n')}
+Use flowchart for processes, algorithms and decisions; sequence for messages or interactions between participants over time; class for type or concept hierarchies; state for things moving between states; er for data models; timeline for dated events; mindmap for a topic broken into related ideas; gantt for schedules; pie for proportions of a whole.
+For every kind other than flowchart, follow that kind's standard Mermaid syntax, keep it to 15 items or fewer, and quote text containing special characters.`;
 
       // Modified system prompt for flowcharts with much stricter instructions
-      systemPrompt += `\n\nCRITICAL INSTRUCTIONS FOR FLOWCHARTS: You MUST generate 100% valid mermaid.js syntax code. This is NOT a prompt - this is actual code that will be rendered by a mermaid parser. Follow these strict rules:
+      systemPrompt += `\n\nCRITICAL INSTRUCTIONS FOR FLOWCHARTS: You MUST generate 100% valid mermaid.js syntax code. This is NOT a prompt - this is actual code that will be rendered by a mermaid parser. Follow these strict rules for flowchart diagrams:
 
 1. ALWAYS start with 'flowchart TD' (top-down) or 'flowchart LR' (left-right)
 2. EVERY node definition MUST use simple IDs like A, B, C, node1, node2 - NO spaces or special characters in IDs
@@ -153,19 +222,17 @@ systemPrompt += `\n\nFor diagram prompts: Create clear, educational diagrams wit
         mimeType: inputType
       });
       
-      let parts = undefined;
+      let media = [];
       if (fileBuffer && fileBuffer !== '') {
         try {
           // Convert base64 string back to binary buffer
           const binaryBuffer = Buffer.from(fileBuffer, 'base64');
           
-          // Only create parts if we have actual content
+          // Only attach the file if we have actual content
           if (binaryBuffer.length > 0) {
-            parts = [{ 
-              fileData: { 
-                mimeType: inputType, 
-                data: binaryBuffer
-              } 
+            media = [{
+              contentType: inputType,
+              data: binaryBuffer
             }];
             
             logAI('FILE_PROCESSING', {
@@ -185,20 +252,19 @@ systemPrompt += `\n\nFor diagram prompts: Create clear, educational diagrams wit
             error: fileError.message
           });
           // Continue without the file if there's an error
-          parts = undefined;
+          media = [];
         }
       }
       
-      const { output } = await ai.generate({
-        model: gemini20Flash,
+      const { output } = await generateWithQuota('noteBeautifierFlow', {
         system: systemPrompt,
         prompt: userPrompt,
-        output: { schema: NoteBeautifierSchema },
+        schema: NoteBeautifierSchema,
         config: {
-          maxOutputTokens: 2048,
+          maxOutputTokens: 8192,
           temperature: 0.7,
         },
-        parts
+        media
       });
 
       if (!output) {
@@ -218,7 +284,7 @@ systemPrompt += `\n\nFor diagram prompts: Create clear, educational diagrams wit
         flowchartCount: output.concepts_flowcharts.length
       });
 
-      return output;
+      return withNoteDetails(output);
     } catch (error) {
       logAI('BEAUTIFIER_FLOW_ERROR', {
         error: error.message,
@@ -246,8 +312,7 @@ const conversationFlow = ai.defineFlow(
       });
       
       const startTime = Date.now();
-      const { text } = await ai.generate({
-        model: gemini20Flash,
+      const { text } = await generateWithQuota('conversationFlow', {
         prompt: userMessage,
       });
       const processingTime = Date.now() - startTime;
@@ -270,12 +335,65 @@ const conversationFlow = ai.defineFlow(
   }
 );
 
+// Reduce step for chunked beautification: combine per-chunk summaries into one
+const noteMergeFlow = ai.defineFlow(
+  {
+    name: 'noteMergeFlow',
+    inputSchema: z.object({
+      summaries: z.array(z.string()),
+      concepts: z.array(z.string()).optional().default([])
+    }),
+    outputSchema: z.string(),
+  },
+  async ({ summaries, concepts }) => {
+    try {
+      const flowId = `flow-${Date.now()}-${Math.random().toString(36).substring(2, 7)}`;
+      logAI('MERGE_FLOW_START', {
+        flowId,
+        partCount: summaries.length,
+        conceptCount: concepts.length
+      });
+      
+      const startTime = Date.now();
+      const systemPrompt = `You are combining notes taken from consecutive parts of one long document (for example a lecture transcript) into a single summary.
+      Write one coherent, detailed summary of the whole document that follows its order. Merge repeated points instead of listing them twice, keep every distinct idea, and do not mention the parts themselves.`;
+      
+      const userPrompt = `Summaries of each part, in order:\n\n${summaries
+        .map((summary, i) => `Part ${i + 1}:\n${summary}`)
+        .join('\n\n')}${concepts.length ? `\n\nKey concepts covered: ${concepts.join(', ')}` : ''}`;
+      
+      const { text } = await generateWithQuota('noteMergeFlow', {
+        system: systemPrompt,
+        prompt: userPrompt,
+        config: {
+          maxOutputTokens: 4096,
+          temperature: 0.3,
+        }
+      });
+      
+      logAI('MERGE_FLOW_COMPLETE', {
+        flowId,
+        processingTimeMs: Date.now() - startTime,
+        summaryLength: text.length
+      });
+      
+      return text;
+    } catch (error) {
+      logAI('MERGE_FLOW_ERROR', {
+        error: error.message,
+        stack: error.stack
+      });
+      throw error;
+    }
+  }
+);
+
 // Update schema for document generation to include diagram prompts and flowchart code
 const DocumentGenerationSchema = z.object({
   title: z.string().describe("Title for the PDF document"),
   sections: z.array(z.object({
     heading: z.string().optional().describe("Section heading"),
-    content: z.string().describe("Section content text"),
+    content: z.string().describe("Section content text (Markdown, with formulas in LaTeX between $ or $$)"),
     includeImage: z.boolean().describe("Whether to include an image in this section"),
     imageCaption: z.string().optional().describe("Caption for the image if included"),
   })).describe("Sections of the document with content and image instructions")
@@ -292,7 +410,10 @@ const documentGenerationFlow = ai.defineFlow(
         concepts_diagram: z.array(z.string()),
         diagram_prompts: z.array(z.string()),
         concepts_flowcharts: z.array(z.string()),
-        flowcharts_prompt: z.array(z.string())
+        flowcharts_prompt: z.array(z.string()),
+        flowchart_kinds: NoteBeautifierSchema.shape.flowchart_kinds,
+        learning_objectives: NoteBeautifierSchema.shape.learning_objectives,
+        outline: NoteBeautifierSchema.shape.outline
       }),
       diagramCount: z.number(),
       flowchartCount: z.number(),
@@ -304,7 +425,8 @@ const documentGenerationFlow = ai.defineFlow(
       flowchartsWithCode: z.array(z.object({
         index: z.number(),
         name: z.string(),
-        code: z.string()
+        code: z.string(),
+        kind: z.enum(DIAGRAM_KIND_NAMES).optional()
       })).optional()
     }),
     outputSchema: DocumentGenerationSchema,
@@ -331,11 +453,12 @@ const documentGenerationFlow = ai.defineFlow(
       2. Organize content into logical sections with concise headings
       3. For sections with diagrams, arrange content so text appears BESIDE the image (not just before/after)
       4. For sections with flowcharts, place explanatory text ABOVE the flowchart
-      5. Every visual element must have a 1-2 line caption that clearly explains what it shows
+      5. Every visual element must have a 1-2 line caption that clearly explains what it shows. "Flowcharts" below may be other Mermaid diagram kinds - describe each by its kind (e.g. "Sequence diagram of...", "Timeline of..."), never call a non-flowchart a flowchart
       6. Do NOT include a "Summary" section or any introduction mentioning the source format (video/audio/image)
       7. Write as comprehensive, detailed educational notes about the topic - not a summary
       8. Maintain a professional, educational tone throughout
-      9. Keep content factual and avoid phrases like "this video shows" or "in this image"`;
+      9. Keep content factual and avoid phrases like "this video shows" or "in this image"
+      10. Section content may use Markdown (bold, lists, tables, code blocks). Write formulas in LaTeX: $...$ inline, and $$...$$ on their own line for standalone equations`;
 
       // Build the user prompt with details about available visuals and their contexts
       let userPrompt = `Based on this user input: "${userInput.substring(0, 200)}${userInput.length > 200 ? '...' : ''}"
@@ -346,6 +469,20 @@ const documentGenerationFlow = ai.defineFlow(
       ${beautifiedOutput.summary}
       `;
       
+      // The outline gives the document its section order
+      if (beautifiedOutput.outline?.length > 0) {
+        userPrompt += `\nFollow this outline for the order and grouping of sections:\n`;
+        beautifiedOutput.outline.forEach((topic, i) => {
+          userPrompt += `${i+1}. ${topic.heading}${topic.points?.length ? `: ${topic.points.join('; ')}` : ''}\n`;
+          (topic.subsections || []).forEach(sub => {
+            userPrompt += `   - ${sub.heading}${sub.points?.length ? `: ${sub.points.join('; ')}` : ''}\n`;
+          });
+        });
+      }
+      
+      // Objectives and the glossary are rendered as their own blocks in the PDF
+      userPrompt += `\nDo not add sections for learning objectives, key terms or a glossary - those are added to the document separately.\n`;
+      
       // Add information about available diagrams with their prompts
       if (diagramCount > 0 && diagramsWithPrompts?.length > 0) {
         userPrompt += `\nI have ${diagramCount} diagram(s) for these concepts:\n`;
@@ -367,8 +504,8 @@ const documentGenerationFlow = ai.defineFlow(
       if (flowchartCount > 0 && flowchartsWithCode?.length > 0) {
         userPrompt += `\nI have ${flowchartCount} flowchart(s) for these concepts:\n`;
         flowchartsWithCode.forEach((flowchart, i) => {
-          userPrompt += `${i+1}. Concept: ${flowchart.name}\n`;
-          userPrompt += `   Flowchart code: ${flowchart.code.substring(0, 150)}...\n`;
+          userPrompt += `${i+1}. Concept: ${flowchart.name} (${diagramKindLabel(flowchart.kind)})\n`;
+          userPrompt += `   Mermaid code: ${flowchart.code.substring(0, 150)}...\n`;
           
           // Add indication if flowchart might be a placeholder due to API limits
           if (flowchart.isPlaceholder || flowchart.error) {
@@ -380,9 +517,9 @@ const documentGenerationFlow = ai.defineFlow(
       } else if (flowchartCount > 0) {
         userPrompt += `\nI have ${flowchartCount} flowchart(s) for these concepts:\n`;
         beautifiedOutput.concepts_flowcharts.slice(0, flowchartCount).forEach((concept, i) => {
-          userPrompt += `${i+1}. ${concept}\n`;
+          userPrompt += `${i+1}. ${concept} (${diagramKindLabel((beautifiedOutput.flowchart_kinds || [])[i])})\n`;
           if (beautifiedOutput.flowcharts_prompt[i]) {
-            userPrompt += `   Flowchart code: ${beautifiedOutput.flowcharts_prompt[i].substring(0, 150)}...\n`;
+            userPrompt += `   Mermaid code: ${beautifiedOutput.flowcharts_prompt[i].substring(0, 150)}...\n`;
             
             // Check if flowchart code suggests it might be problematic
             const flowchartCode = beautifiedOutput.flowcharts_prompt[i] || '';
@@ -423,13 +560,12 @@ FLOWCHART ASSIGNMENT IS CRITICAL: For each flowchart, create a section with the
         user: userPrompt.substring(0, 200) + (userPrompt.length > 200 ? '...' : '')
       });
       
-      const { output } = await ai.generate({
-        model: gemini20Flash,
+      const { output } = await generateWithQuota('documentGenerationFlow', {
         system: systemPrompt,
         prompt: userPrompt,
-        output: { schema: DocumentGenerationSchema },
+        schema: DocumentGenerationSchema,
         config: {
-          maxOutputTokens: 2048,
+          maxOutputTokens: 8192,
           temperature: 0.2, // Lower temperature for more consistent formatting
         }
       });
@@ -461,9 +597,472 @@ FLOWCHART ASSIGNMENT IS CRITICAL: For each flowchart, create a section with the
   }
 );
 
+// Study material generated from a beautified note
+const QuizSchema = z.object({
+  flashcards: z.array(z.object({
+    front: z.string().describe("A term, concept or short question"),
+    back: z.string().describe("The definition or answer, one to three sentences")
+  })).describe("Flashcards covering the most important facts and terms"),
+  multiple_choice: z.array(z.object({
+    question: z.string(),
+    options: z.array(z.string()).describe("Four answer options, exactly one of them correct"),
+    answer_index: z.number().int().min(0).describe("Zero-based index of the correct option"),
+    explanation: z.string().describe("Why the correct option is right and the others are wrong")
+  })).describe("Multiple-choice questions"),
+  short_answer: z.array(z.object({
+    question: z.string(),
+    answer: z.string().describe("A model answer of one to three sentences"),
+    explanation: z.string().describe("What a good answer has to mention")
+  })).describe("Questions answered in a sentence or two")
+});
+
+const QUIZ_DIFFICULTIES = {
+  easy: 'Test recall of definitions and facts stated directly in the notes.',
+  medium: 'Mix recall with questions on how concepts relate and why things work the way they do.',
+  hard: 'Test application and analysis: new scenarios, comparisons and multi-step reasoning built on the notes. Distractors should be plausible.'
+};
+
+// Flashcards and practice questions for a beautified note
+const quizGenerationFlow = ai.defineFlow(
+  {
+    name: 'quizGenerationFlow',
+    inputSchema: z.object({
+      note: z.object({
+        title: z.string().optional(),
+        summary: z.string(),
+        key_terms: NoteBeautifierSchema.shape.key_terms,
+        learning_objectives: NoteBeautifierSchema.shape.learning_objectives,
+        outline: NoteBeautifierSchema.shape.outline
+      }),
+      counts: z.object({
+        flashcards: z.number().int().min(0).max(50).default(10),
+        multipleChoice: z.number().int().min(0).max(30).default(5),
+        shortAnswer: z.number().int().min(0).max(30).default(3)
+      }).default({}),
+      difficulty: z.enum(['easy', 'medium', 'hard']).default('medium')
+    }),
+    outputSchema: QuizSchema,
+  },
+  async ({ note, counts, difficulty }) => {
+    try {
+      const flowId = `flow-${Date.now()}-${Math.random().toString(36).substring(2, 7)}`;
+      logAI('QUIZ_FLOW_START', {
+        flowId,
+        summaryLength: note.summary.length,
+        counts,
+        difficulty
+      });
+      
+      const startTime = Date.now();
+      const systemPrompt = `You are a teacher writing study material for students from their lecture notes.
+      Only ask about content that is in the notes. Every question must have one unambiguous correct answer.
+      Difficulty: ${difficulty}. ${QUIZ_DIFFICULTIES[difficulty]}
+      Write exactly ${counts.flashcards} flashcards, ${counts.multipleChoice} multiple-choice questions with four options each, and ${counts.shortAnswer} short-answer questions.
+      Vary the position of the correct option in multiple-choice questions.`;
+      
+      let userPrompt = `${note.title ? `Notes: ${note.title}\n\n` : ''}Summary:\n${note.summary}\n`;
+      if (note.key_terms?.length > 0) {
+        userPrompt += `\nKey terms:\n${note.key_terms.map(entry => `- ${entry.term}: ${entry.definition}`).join('\n')}\n`;
+      }
+      if (note.learning_objectives?.length > 0) {
+        userPrompt += `\nLearning objectives (cover each of these):\n${note.learning_objectives.map(objective => `- ${objective}`).join('\n')}\n`;
+      }
+      if (note.outline?.length > 0) {
+        userPrompt += `\nOutline:\n${note.outline.map(topic => `- ${topic.heading}${topic.points?.length ? `: ${topic.points.join('; ')}` : ''}`).join('\n')}\n`;
+      }
+      
+      const { output } = await generateWithQuota('quizGenerationFlow', {
+        system: systemPrompt,
+        prompt: userPrompt,
+        schema: QuizSchema,
+        config: {
+          maxOutputTokens: 8192,
+          temperature: difficulty === 'hard' ? 0.6 : 0.4,
+        }
+      });
+
+      if (!output) {
+        throw new Error('Failed to generate quiz');
+      }
+
+      // Models occasionally overshoot the requested counts or point past the options
+      const quiz = {
+        flashcards: output.flashcards.slice(0, counts.flashcards),
+        multiple_choice: output.multiple_choice
+          .filter(question => question.options.length >= 2 && question.answer_index < question.options.length)
+          .slice(0, counts.multipleChoice),
+        short_answer: output.short_answer.slice(0, counts.shortAnswer)
+      };
+
+      logAI('QUIZ_FLOW_COMPLETE', {
+        flowId,
+        processingTimeMs: Date.now() - startTime,
+        flashcardCount: quiz.flashcards.length,
+        multipleChoiceCount: quiz.multiple_choice.length,
+        shortAnswerCount: quiz.short_answer.length
+      });
+
+      return quiz;
+    } catch (error) {
+      logAI('QUIZ_FLOW_ERROR', {
+        error: error.message,
+        stack: error.stack
+      });
+      throw error;
+    }
+  }
+);
+
+// Answer with the sources it is based on, so the client can link back into the note
+const NoteChatSchema = z.object({
+  answer: z.string().describe("The answer, based only on the provided note content"),
+  citations: z.array(z.string()).describe("Ids (e.g. S2, X1) of the sections and excerpts the answer is based on, most relevant first"),
+  answerable: z.boolean().describe("False when the note does not contain the information needed to answer")
+});
+
+// Multi-turn conversation grounded in one note
+const noteChatFlow = ai.defineFlow(
+  {
+    name: 'noteChatFlow',
+    inputSchema: z.object({
+      note: z.object({
+        title: z.string().optional(),
+        summary: z.string(),
+        // Ids are what the model cites: S<n> for sections, X<n> for source excerpts
+        sections: z.array(z.object({ id: z.string(), heading: z.string(), content: z.string() })),
+        excerpts: z.array(z.object({ id: z.string(), text: z.string() })).default([])
+      }),
+      history: z.array(z.object({
+        role: z.enum(['user', 'assistant']),
+        content: z.string()
+      })).default([]),
+      message: z.string()
+    }),
+    outputSchema: NoteChatSchema,
+  },
+  async ({ note, history, message }) => {
+    try {
+      const flowId = `flow-${Date.now()}-${Math.random().toString(36).substring(2, 7)}`;
+      logAI('NOTE_CHAT_FLOW_START', {
+        flowId,
+        sectionCount: note.sections.length,
+        excerptCount: note.excerpts.length,
+        historyLength: history.length,
+        messagePreview: message.substring(0, 100) + (message.length > 100 ? '...' : '')
+      });
+      
+      const startTime = Date.now();
+      const systemPrompt = `You are a study assistant helping a student understand their notes${note.title ? ` titled "${note.title}"` : ''}.
+      Answer using only the note content below. If the note doesn't cover the question, say so briefly, set answerable to false and suggest what to look up instead.
+      Cite every section (S...) or source excerpt (X...) you used by its id. Never cite an id that is not listed.
+      Keep answers concise and in plain prose unless the student asks for a list.
+
+      NOTE SUMMARY:
+      ${note.summary}
+
+      NOTE SECTIONS:
+      ${note.sections.map(section => `[${section.id}] ${section.heading}\n${section.content}`).join('\n\n') || '(none)'}
+
+      SOURCE EXCERPTS:
+      ${note.excerpts.map(excerpt => `[${excerpt.id}]\n${excerpt.text}`).join('\n\n') || '(none)'}`;
+      
+      const conversation = history
+        .map(turn => `${turn.role === 'user' ? 'Student' : 'Assistant'}: ${turn.content}`)
+        .join('\n\n');
+      const userPrompt = `${conversation ? `Conversation so far:\n\n${conversation}\n\n` : ''}Student: ${message}`;
+      
+      const { output } = await generateWithQuota('noteChatFlow', {
+        system: systemPrompt,
+        prompt: userPrompt,
+        schema: NoteChatSchema,
+        config: {
+          maxOutputTokens: 2048,
+          temperature: 0.3,
+        }
+      });
+
+      if (!output) {
+        throw new Error('Failed to generate chat answer');
+      }
+
+      // Drop citations of ids that weren't in the context
+      const knownIds = new Set([...note.sections, ...note.excerpts].map(source => source.id));
+      const citations = [...new Set(output.citations.map(id => id.trim().replace(/^\[|\]$/g, '')))]
+        .filter(id => knownIds.has(id));
+
+      logAI('NOTE_CHAT_FLOW_COMPLETE', {
+        flowId,
+        processingTimeMs: Date.now() - startTime,
+        answerLength: output.answer.length,
+        citations,
+        answerable: output.answerable
+      });
+
+      return { ...output, citations };
+    } catch (error) {
+      logAI('NOTE_CHAT_FLOW_ERROR', {
+        error: error.message,
+        stack: error.stack
+      });
+      throw error;
+    }
+  }
+);
+
+// What a chat message is asking for, so /chat can route it
+const CHAT_INTENTS = ['conversation', 'note_generation', 'quiz', 'note_question'];
+
+const IntentSchema = z.object({
+  intent: z.enum(CHAT_INTENTS).describe("conversation: general chat or a question not about the user's notes. note_generation: the user wants content turned into structured notes. quiz: the user wants flashcards, a quiz or practice questions. note_question: a question about the contents of the user's current note"),
+  confidence: z.number().min(0).max(1).describe("How sure the classification is, from 0 to 1"),
+  reason: z.string().describe("One short sentence explaining the classification")
+});
+
+// Classify a chat message into one of CHAT_INTENTS
+const intentClassificationFlow = ai.defineFlow(
+  {
+    name: 'intentClassificationFlow',
+    inputSchema: z.object({
+      message: z.string(),
+      // Whether the user has a note open, which makes note_question possible
+      hasNote: z.boolean().default(false)
+    }),
+    outputSchema: IntentSchema,
+  },
+  async ({ message, hasNote }) => {
+    try {
+      const flowId = `flow-${Date.now()}-${Math.random().toString(36).substring(2, 7)}`;
+      logAI('INTENT_FLOW_START', {
+        flowId,
+        hasNote,
+        messagePreview: message.substring(0, 100) + (message.length > 100 ? '...' : '')
+      });
+      
+      const startTime = Date.now();
+      const systemPrompt = `You route messages sent to NoteFlow, an app that turns text, documents and recordings into structured study notes.
+      Classify the user's message by what they want done, not by the words they use: "what format should my essay be in?" is conversation, while "can you tidy up my lecture: ..." is note_generation.
+      A message that pastes a long block of material with little or no instruction is note_generation.
+      ${hasNote
+        ? 'The user currently has a note open. Questions about its contents are note_question.'
+        : 'The user has no note open, so never answer note_question.'}`;
+      
+      const { output } = await generateWithQuota('intentClassificationFlow', {
+        system: systemPrompt,
+        // The start of the message is enough to classify it
+        prompt: message.length > 4000 ? `${message.substring(0, 4000)}\n[... ${message.length - 4000} more characters]` : message,
+        schema: IntentSchema,
+        config: {
+          maxOutputTokens: 256,
+          temperature: 0,
+        }
+      });
+
+      if (!output) {
+        throw new Error('Failed to classify message');
+      }
+
+      const result = !hasNote && output.intent === 'note_question'
+        ? { ...output, intent: 'conversation' }
+        : output;
+
+      logAI('INTENT_FLOW_COMPLETE', {
+        flowId,
+        processingTimeMs: Date.now() - startTime,
+        ...result
+      });
+
+      return result;
+    } catch (error) {
+      logAI('INTENT_FLOW_ERROR', {
+        error: error.message,
+        stack: error.stack
+      });
+      throw error;
+    }
+  }
+);
+
+const MermaidRepairSchema = z.object({
+  code: z.string().describe("The corrected Mermaid code, without markdown fences")
+});
+
+// Fix Mermaid diagram code that the Mermaid parser rejected
+const mermaidRepairFlow = ai.defineFlow(
+  {
+    name: 'mermaidRepairFlow',
+    inputSchema: z.object({
+      code: z.string(),
+      // The parser's error message for this code
+      error: z.string(),
+      conceptName: z.string().optional(),
+      kind: z.enum(DIAGRAM_KIND_NAMES).default('flowchart')
+    }),
+    outputSchema: MermaidRepairSchema,
+  },
+  async ({ code, error, conceptName, kind }) => {
+    try {
+      const flowId = `flow-${Date.now()}-${Math.random().toString(36).substring(2, 7)}`;
+      logAI('MERMAID_REPAIR_FLOW_START', {
+        flowId,
+        conceptName,
+        kind,
+        codeLength: code.length,
+        errorPreview: error.substring(0, 200)
+      });
+
+      const startTime = Date.now();
+      const systemPrompt = `You fix Mermaid ${diagramKindLabel(kind)} code that failed to parse.
+      Return the complete corrected diagram, starting with "${MERMAID_DIAGRAM_KINDS[kind].header}"${kind === 'flowchart' ? ' or "flowchart LR"' : ''}.
+      Keep the same content and structure - only change what is needed to make the code valid Mermaid ${diagramKindLabel(kind)} syntax.
+      ${kind === 'flowchart'
+        ? 'Put labels containing punctuation or parentheses in double quotes, e.g. A["Step (optional)"], and never use double quotes inside a label.'
+        : 'Remove or quote special characters in text where the syntax requires it.'}
+      Do not wrap the code in markdown fences.`;
+
+      const prompt = `${conceptName ? `Diagram: ${conceptName}\n\n` : ''}Code:
+${code}
+
+Parser error:
+${error}`;
+
+      const { output } = await generateWithQuota('mermaidRepairFlow', {
+        system: systemPrompt,
+        prompt,
+        schema: MermaidRepairSchema,
+        config: {
+          maxOutputTokens: 2048,
+          temperature: 0,
+        }
+      });
+
+      if (!output || !output.code) {
+        throw new Error('Failed to repair Mermaid code');
+      }
+
+      // Models sometimes add fences anyway
+      const repairedCode = output.code
+        .replace(/^\s*```(?:mermaid)?\s*\n?/i, '')
+        .replace(/\n?```\s*$/, '')
+        .trim();
+
+      logAI('MERMAID_REPAIR_FLOW_COMPLETE', {
+        flowId,
+        processingTimeMs: Date.now() - startTime,
+        codeLength: repairedCode.length
+      });
+
+      return { code: repairedCode };
+    } catch (error) {
+      logAI('MERMAID_REPAIR_FLOW_ERROR', {
+        error: error.message,
+        stack: error.stack
+      });
+      throw error;
+    }
+  }
+);
+
+// Structured concept diagram, drawn locally by utils/diagramRenderer so every label is exact
+const DiagramSpecSchema = z.object({
+  title: z.string().describe("Short title for the diagram"),
+  direction: z.enum(['TB', 'LR']).describe("Layout direction: TB (top to bottom) for hierarchies and processes, LR (left to right) for sequences and pipelines"),
+  nodes: z.array(z.object({
+    id: z.string().describe("Short unique identifier, e.g. n1"),
+    label: z.string().describe("Text shown in the box, at most about 8 words"),
+    shape: z.enum(['box', 'rounded', 'ellipse', 'diamond']).optional().describe("box for things, rounded for steps, ellipse for start/end or states, diamond for decisions"),
+    group: z.string().optional().describe("id of the group this node belongs to, if any")
+  })).describe("The labeled boxes of the diagram, at most 15"),
+  edges: z.array(z.object({
+    from: z.string().describe("id of the source node"),
+    to: z.string().describe("id of the target node"),
+    label: z.string().optional().describe("Short text on the arrow"),
+    style: z.enum(['solid', 'dashed']).optional().describe("dashed for weaker or optional relationships")
+  })).describe("Arrows between nodes"),
+  groups: z.array(z.object({
+    id: z.string(),
+    label: z.string().describe("Name of the group, shown on its outline")
+  })).optional().describe("Named groups that enclose related nodes"),
+  annotations: z.array(z.object({
+    text: z.string().describe("A short note explaining part of the diagram"),
+    target: z.string().optional().describe("id of the node the note is about, if any")
+  })).optional().describe("Up to 4 short notes shown below the diagram")
+});
+
+// Turn a diagram prompt into a DiagramSpecSchema spec
+const diagramSpecFlow = ai.defineFlow(
+  {
+    name: 'diagramSpecFlow',
+    inputSchema: z.object({
+      // The image prompt written by noteBeautifierFlow for this concept
+      prompt: z.string(),
+      concept: z.string().optional()
+    }),
+    outputSchema: DiagramSpecSchema,
+  },
+  async ({ prompt, concept }) => {
+    try {
+      const flowId = `flow-${Date.now()}-${Math.random().toString(36).substring(2, 7)}`;
+      logAI('DIAGRAM_SPEC_FLOW_START', {
+        flowId,
+        concept,
+        promptPreview: prompt.substring(0, 100) + (prompt.length > 100 ? '...' : '')
+      });
+
+      const startTime = Date.now();
+      const systemPrompt = `You design clear educational concept diagrams as structured data. The diagram is drawn by software from your spec, so every label appears exactly as you write it.
+      Use at most 15 nodes with short, precise labels. Connect them with arrows that show how the ideas relate, and label arrows when the relationship isn't obvious.
+      Use groups for clusters of related nodes and annotations for short explanations that don't fit in a label.
+      Every edge and annotation target must refer to a node id you defined.`;
+
+      const { output } = await generateWithQuota('diagramSpecFlow', {
+        system: systemPrompt,
+        prompt: `${concept ? `Concept: ${concept}\n` : ''}Diagram description: ${prompt}`,
+        schema: DiagramSpecSchema,
+        config: {
+          maxOutputTokens: 2048,
+          temperature: 0.2,
+        }
+      });
+
+      if (!output || !output.nodes?.length) {
+        throw new Error('Failed to generate diagram spec');
+      }
+
+      logAI('DIAGRAM_SPEC_FLOW_COMPLETE', {
+        flowId,
+        processingTimeMs: Date.now() - startTime,
+        nodeCount: output.nodes.length,
+        edgeCount: output.edges.length
+      });
+
+      return output;
+    } catch (error) {
+      logAI('DIAGRAM_SPEC_FLOW_ERROR', {
+        error: error.message,
+        stack: error.stack
+      });
+      throw error;
+    }
+  }
+);
+
+// Flows whose model provider can be configured, see ./providers
+const MODEL_FLOWS = ['noteBeautifierFlow', 'noteMergeFlow', 'conversationFlow', 'documentGenerationFlow', 'quizGenerationFlow', 'noteChatFlow', 'intentClassificationFlow', 'mermaidRepairFlow', 'diagramSpecFlow'];
+
+logAI('INIT', { models: describeModelProviders(MODEL_FLOWS) });
+
 module.exports = {
+  MODEL_FLOWS,
   noteBeautifierFlow,
+  noteMergeFlow,
   conversationFlow,
   documentGenerationFlow,
+  quizGenerationFlow,
+  QUIZ_DIFFICULTIES,
+  noteChatFlow,
+  CHAT_INTENTS,
+  intentClassificationFlow,
+  mermaidRepairFlow,
+  diagramSpecFlow,
   ai
 };
\ No newline at end of file
@@ -0,0 +1,102 @@
+const { noteChatFlow } = require('./noteBeautifier');
+const { splitIntoChunks } = require('../utils/textChunker');
+
+// Source text is cut into excerpts of this size, and only the ones most
+// relevant to the question go to the model
+const EXCERPT_SIZE = 1500; // characters
+const EXCERPT_OVERLAP = 200; // characters
+const MAX_EXCERPTS = parseInt(process.env.CHAT_MAX_EXCERPTS, 10) || 4;
+
+// Earlier turns sent with each question
+const MAX_HISTORY_TURNS = parseInt(process.env.CHAT_MAX_HISTORY_TURNS, 10) || 12;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'of', 'and', 'or', 'in', 'on', 'for', 'to', 'with', 'is', 'are', 'was', 'were',
+  'be', 'it', 'this', 'that', 'what', 'how', 'why', 'when', 'which', 'who', 'does', 'do', 'can',
+  'i', 'you', 'me', 'my', 'about', 'explain', 'tell'
+]);
+
+const keywords = (text) => (text || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9\s]/g, ' ')
+  .split(/\s+/)
+  .filter(word => word.length > 1 && !STOP_WORDS.has(word));
+
+/**
+ * Pick the source excerpts that share the most keywords with the question
+ * (and the previous question, for follow-ups like "why is that?"), in
+ * document order
+ */
+function selectExcerpts(sourceText, query, limit = MAX_EXCERPTS) {
+  const chunks = splitIntoChunks(sourceText || '', { chunkSize: EXCERPT_SIZE, overlap: EXCERPT_OVERLAP });
+  if (chunks.length <= limit) {
+    return chunks.map((text, index) => ({ index, text }));
+  }
+
+  const queryWords = new Set(keywords(query));
+  return chunks
+    .map((text, index) => {
+      const words = keywords(text);
+      const hits = words.filter(word => queryWords.has(word)).length;
+      // Normalize a little so long excerpts don't always win
+      return { index, text, score: hits / Math.sqrt(words.length || 1) };
+    })
+    .filter(chunk => chunk.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Answer a question about a note, grounded in its summary, sections and
+ * source text, with citations resolved back to note sections and excerpts.
+ *
+ * @param {Object} note - { title, summary, sections: [{ heading, content }], sourceText }
+ * @param {Array} history - earlier messages, [{ role, content }], oldest first
+ * @param {string} message - the new question
+ * @returns {Promise<Object>} - { answer, answerable, citations: [{ id, type, index, heading|excerpt }] }
+ */
+async function answerNoteQuestion(note, history, message) {
+  const recentHistory = history.slice(-MAX_HISTORY_TURNS);
+  const previousQuestion = [...recentHistory].reverse().find(turn => turn.role === 'user');
+
+  const sections = (note.sections || []).map((section, i) => ({
+    id: `S${i + 1}`,
+    heading: section.heading || `Section ${i + 1}`,
+    content: section.content || ''
+  }));
+  const excerpts = selectExcerpts(note.sourceText, `${message} ${previousQuestion ? previousQuestion.content : ''}`)
+    .map(excerpt => ({ ...excerpt, id: `X${excerpt.index + 1}` }));
+
+  const output = await noteChatFlow({
+    note: {
+      title: note.title || undefined,
+      summary: note.summary || '',
+      sections,
+      excerpts: excerpts.map(({ id, text }) => ({ id, text }))
+    },
+    history: recentHistory.map(({ role, content }) => ({ role, content })),
+    message
+  });
+
+  const citations = output.citations.map(id => {
+    const section = sections.find(candidate => candidate.id === id);
+    if (section) {
+      return { id, type: 'section', index: sections.indexOf(section), heading: section.heading };
+    }
+    const excerpt = excerpts.find(candidate => candidate.id === id);
+    return {
+      id,
+      type: 'source',
+      index: excerpt.index,
+      excerpt: excerpt.text.length > 300 ? `${excerpt.text.substring(0, 300)}...` : excerpt.text
+    };
+  });
+
+  return { answer: output.answer, answerable: output.answerable, citations };
+}
+
+module.exports = {
+  answerNoteQuestion,
+  selectExcerpts
+};
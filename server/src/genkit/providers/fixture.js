@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+const { toJsonSchema } = require('genkit/schema');
+
+// Items generated for every array, so parallel arrays (concepts and their
+// prompts) always line up
+const FIXTURE_ARRAY_LENGTH = 2;
+
+// A small flowchart that the mermaid renderer accepts
+const FIXTURE_MERMAID = 'flowchart TD\n    A["Start"] --> B["Process"]\n    B --> C["End"]';
+
+// Rough token estimate so quota accounting still moves in development
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+/**
+ * Deterministic value for a JSON schema node. The same schema always yields
+ * the same value.
+ */
+function buildFixtureValue(schema, name = 'value', index = 0) {
+  if (!schema) return null;
+  if (schema.const !== undefined) return schema.const;
+  if (schema.enum) return schema.enum[0];
+  if (schema.default !== undefined) return schema.default;
+  if (schema.anyOf) return buildFixtureValue(schema.anyOf[0], name, index);
+
+  const type = Array.isArray(schema.type) ? schema.type[0] : schema.type;
+  const label = name.replace(/_/g, ' ');
+
+  switch (type) {
+    case 'object':
+      return Object.fromEntries(Object.entries(schema.properties || {})
+        .map(([key, propertySchema]) => [key, buildFixtureValue(propertySchema, key, index)]));
+    case 'array': {
+      const length = Math.max(schema.minItems || 0, Math.min(schema.maxItems ?? FIXTURE_ARRAY_LENGTH, FIXTURE_ARRAY_LENGTH));
+      // Item hints (e.g. "mermaid code") are usually described on the array itself
+      const items = { description: schema.description, ...schema.items };
+      return Array.from({ length }, (_, i) => buildFixtureValue(items, name, i));
+    }
+    case 'string':
+      if (/mermaid/i.test(schema.description || '')) return FIXTURE_MERMAID;
+      return `Fixture ${label} ${index + 1}`;
+    case 'number':
+    case 'integer':
+      return schema.minimum !== undefined ? schema.minimum : index + 1;
+    case 'boolean':
+      return index % 2 === 0;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Deterministic offline provider for development and tests. Structured output
+ * comes from MODEL_FIXTURE_DIR/<flowName>.json when that file exists, and is
+ * otherwise generated from the output schema.
+ * @param {Object} options - { model } the fixture set name (unused by default), { flowName }
+ */
+function createFixtureProvider({ model, flowName } = {}) {
+  const fixtureDir = process.env.MODEL_FIXTURE_DIR;
+
+  const loadFixtureFile = () => {
+    if (!fixtureDir || !flowName) return null;
+    const fixturePath = path.resolve(fixtureDir, `${flowName}.json`);
+    return fs.existsSync(fixturePath) ? JSON.parse(fs.readFileSync(fixturePath, 'utf8')) : null;
+  };
+
+  return {
+    name: 'fixture',
+    model: model || 'default',
+
+    async generate({ system, prompt, schema }) {
+      const fromFile = loadFixtureFile();
+      let output = null;
+      let text;
+
+      if (schema) {
+        output = schema.parse(fromFile || buildFixtureValue(toJsonSchema({ schema })));
+        text = JSON.stringify(output);
+      } else {
+        text = typeof fromFile === 'string'
+          ? fromFile
+          : `Fixture response for ${flowName || 'request'}: ${String(prompt).substring(0, 80)}`;
+      }
+
+      const inputTokens = estimateTokens(system) + estimateTokens(prompt);
+      const outputTokens = estimateTokens(text);
+
+      return {
+        output,
+        text,
+        usage: { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens }
+      };
+    }
+  };
+}
+
+module.exports = createFixtureProvider;
+module.exports.buildFixtureValue = buildFixtureValue;
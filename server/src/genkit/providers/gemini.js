@@ -0,0 +1,60 @@
+const { genkit } = require('genkit');
+const { googleAI, gemini } = require('@genkit-ai/googleai');
+
+const DEFAULT_GEMINI_MODEL = 'gemini-2.0-flash';
+
+// One Genkit instance with the Google AI plugin, created on first use so the
+// server can start (and other providers can be used) without a Google API key
+let googleGenkit = null;
+
+const getGoogleGenkit = () => {
+  if (!googleGenkit) {
+    const apiKey = process.env.GOOGLE_GENAI_API_KEY;
+    if (!apiKey) {
+      throw new Error('GOOGLE_GENAI_API_KEY environment variable is not set - configure it or choose another model provider');
+    }
+    googleGenkit = genkit({ plugins: [googleAI({ apiKey })] });
+  }
+  return googleGenkit;
+};
+
+/**
+ * Gemini through the Genkit Google AI plugin
+ * @param {Object} options - { model } e.g. gemini-2.0-flash
+ */
+function createGeminiProvider({ model } = {}) {
+  const modelName = model || process.env.GEMINI_MODEL || DEFAULT_GEMINI_MODEL;
+
+  return {
+    name: 'gemini',
+    model: modelName,
+
+    async generate({ system, prompt, schema, media = [], config }) {
+      // Files are sent inline as data URLs alongside the text prompt
+      const promptParts = media.length
+        ? [
+          { text: prompt },
+          ...media.map(({ contentType, data }) => ({
+            media: { contentType, url: `data:${contentType};base64,${data.toString('base64')}` }
+          }))
+        ]
+        : prompt;
+
+      const response = await getGoogleGenkit().generate({
+        model: gemini(modelName),
+        system,
+        prompt: promptParts,
+        output: schema ? { schema } : undefined,
+        config
+      });
+
+      return {
+        output: schema ? response.output : null,
+        text: response.text,
+        usage: response.usage || {}
+      };
+    }
+  };
+}
+
+module.exports = createGeminiProvider;
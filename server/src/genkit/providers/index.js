@@ -0,0 +1,109 @@
+const createGeminiProvider = require('./gemini');
+const createOpenAICompatibleProvider = require('./openaiCompatible');
+const createFixtureProvider = require('./fixture');
+
+/**
+ * Model provider registry.
+ *
+ * Every provider exposes generate({ system, prompt, schema, media, config })
+ * and resolves { output, text, usage }, where output is the parsed structured
+ * result when a zod schema is given.
+ *
+ * Each flow picks its provider from a "provider:model" spec:
+ *   <FLOW>_MODEL        per flow, e.g. NOTE_BEAUTIFIER_MODEL=openai:qwen2.5
+ *   MODEL_PROVIDER      default for every flow, e.g. gemini:gemini-2.0-flash
+ * The model part is optional. Without any configuration Gemini is used, and
+ * the server refuses to start without GOOGLE_GENAI_API_KEY (see
+ * assertModelProvidersConfigured). The fixture provider, which serves canned
+ * notes, is only used when configured explicitly or when NODE_ENV is test.
+ */
+const PROVIDER_FACTORIES = {
+  gemini: createGeminiProvider,
+  openai: createOpenAICompatibleProvider,
+  fixture: createFixtureProvider
+};
+
+const providerCache = new Map();
+
+/**
+ * Environment variable holding a flow's model spec: noteBeautifierFlow -> NOTE_BEAUTIFIER_MODEL
+ */
+const flowEnvName = (flowName) => `${flowName
+  .replace(/Flow$/, '')
+  .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+  .toUpperCase()}_MODEL`;
+
+/**
+ * Parse a "provider:model" spec
+ */
+function parseModelSpec(spec) {
+  const [provider, ...modelParts] = spec.trim().split(':');
+  return { provider: provider.toLowerCase(), model: modelParts.join(':') || undefined };
+}
+
+/**
+ * The provider/model a flow is configured to use
+ */
+function resolveModelSpec(flowName) {
+  const spec = process.env[flowEnvName(flowName)] || process.env.MODEL_PROVIDER;
+  if (spec) return parseModelSpec(spec);
+  return { provider: process.env.NODE_ENV === 'test' ? 'fixture' : 'gemini', model: undefined };
+}
+
+/**
+ * Throw unless every flow has a known provider, and Gemini flows an API key,
+ * so a misconfigured server fails at startup rather than on the first request
+ */
+function assertModelProvidersConfigured(flowNames) {
+  const problems = [];
+  flowNames.forEach(flowName => {
+    const { provider } = resolveModelSpec(flowName);
+    if (!PROVIDER_FACTORIES[provider]) {
+      problems.push(`${flowName}: unknown model provider "${provider}"`);
+    } else if (provider === 'gemini' && !process.env.GOOGLE_GENAI_API_KEY) {
+      problems.push(`${flowName}: uses gemini but GOOGLE_GENAI_API_KEY is not set`);
+    }
+  });
+  if (problems.length) {
+    throw new Error(`Model providers are not configured - set GOOGLE_GENAI_API_KEY or MODEL_PROVIDER (${problems.join('; ')})`);
+  }
+}
+
+/**
+ * Provider instance for a flow
+ */
+function getModelProvider(flowName) {
+  if (!providerCache.has(flowName)) {
+    const { provider, model } = resolveModelSpec(flowName);
+    const factory = PROVIDER_FACTORIES[provider];
+    if (!factory) {
+      throw new Error(`Unknown model provider "${provider}" for ${flowName} (expected one of: ${Object.keys(PROVIDER_FACTORIES).join(', ')})`);
+    }
+    providerCache.set(flowName, factory({ model, flowName }));
+  }
+  return providerCache.get(flowName);
+}
+
+/**
+ * Summary of which provider and model each flow uses, for logs and /api/health
+ */
+function describeModelProviders(flowNames) {
+  return Object.fromEntries(flowNames.map(flowName => {
+    try {
+      const provider = getModelProvider(flowName);
+      return [flowName, `${provider.name}:${provider.model}`];
+    } catch (error) {
+      return [flowName, `error: ${error.message}`];
+    }
+  }));
+}
+
+module.exports = {
+  PROVIDER_FACTORIES,
+  flowEnvName,
+  parseModelSpec,
+  resolveModelSpec,
+  assertModelProvidersConfigured,
+  getModelProvider,
+  describeModelProviders
+};
@@ -0,0 +1,124 @@
+const fetch = require('node-fetch');
+const { toJsonSchema } = require('genkit/schema');
+
+const DEFAULT_BASE_URL = 'http://localhost:11434/v1'; // Ollama's OpenAI-compatible API
+const DEFAULT_MODEL = 'llama3.1';
+const DEFAULT_TIMEOUT_MS = 120000;
+
+/**
+ * Pull the JSON document out of a model reply, tolerating ```json fences and
+ * chatter before or after the object
+ */
+const extractJson = (content) => {
+  const fenced = content.match(/```(?:json)?\s*([\s\S]*?)```/);
+  const candidate = fenced ? fenced[1] : content;
+  const start = candidate.indexOf('{');
+  const end = candidate.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    throw new Error('Model response did not contain a JSON object');
+  }
+  return JSON.parse(candidate.substring(start, end + 1));
+};
+
+/**
+ * Any OpenAI-compatible /chat/completions endpoint: OpenAI itself, a local
+ * llama.cpp server, Ollama, vLLM, LM Studio...
+ * @param {Object} options - { model, baseUrl, apiKey, timeoutMs }
+ */
+function createOpenAICompatibleProvider({ model, baseUrl, apiKey, timeoutMs } = {}) {
+  const modelName = model || process.env.OPENAI_MODEL || DEFAULT_MODEL;
+  const endpoint = `${(baseUrl || process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '')}/chat/completions`;
+  const key = apiKey || process.env.OPENAI_API_KEY;
+  const timeout = timeoutMs || parseInt(process.env.OPENAI_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS;
+  // json_schema is enforced server-side by recent servers; json_object works almost everywhere
+  const jsonMode = process.env.OPENAI_JSON_MODE || 'json_schema';
+
+  return {
+    name: 'openai',
+    model: modelName,
+
+    async generate({ system, prompt, schema, media = [], config = {} }) {
+      const jsonSchema = schema ? toJsonSchema({ schema }) : null;
+
+      let systemContent = system || '';
+      if (jsonSchema) {
+        // Not every server enforces response_format, so the schema is spelled out too
+        systemContent += `\n\nRespond with a single JSON object that matches this JSON schema, and nothing else:\n${JSON.stringify(jsonSchema)}`;
+      }
+
+      // Images can be sent inline; other binary inputs aren't part of the chat API
+      const images = media.filter(m => m.contentType.startsWith('image/'));
+      if (images.length < media.length) {
+        console.warn(`OpenAI-compatible provider: skipping ${media.length - images.length} non-image attachment(s)`);
+      }
+      const userContent = images.length
+        ? [
+          { type: 'text', text: prompt },
+          ...images.map(({ contentType, data }) => ({
+            type: 'image_url',
+            image_url: { url: `data:${contentType};base64,${data.toString('base64')}` }
+          }))
+        ]
+        : prompt;
+
+      const body = {
+        model: modelName,
+        messages: [
+          ...(systemContent ? [{ role: 'system', content: systemContent.trim() }] : []),
+          { role: 'user', content: userContent }
+        ],
+        temperature: config.temperature,
+        max_tokens: config.maxOutputTokens
+      };
+      if (jsonSchema) {
+        body.response_format = jsonMode === 'json_object'
+          ? { type: 'json_object' }
+          : { type: 'json_schema', json_schema: { name: 'output', schema: jsonSchema } };
+      }
+
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeout);
+
+      let data;
+      try {
+        const response = await fetch(endpoint, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...(key ? { 'Authorization': `Bearer ${key}` } : {})
+          },
+          body: JSON.stringify(body),
+          signal: controller.signal
+        });
+
+        if (!response.ok) {
+          const errorText = await response.text();
+          throw new Error(`OpenAI-compatible API error ${response.status}: ${errorText.substring(0, 500)}`);
+        }
+        data = await response.json();
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          throw new Error(`OpenAI-compatible API request timed out after ${timeout}ms`);
+        }
+        throw error;
+      } finally {
+        clearTimeout(timer);
+      }
+
+      const content = data.choices?.[0]?.message?.content || '';
+      const usage = data.usage || {};
+
+      return {
+        output: schema ? schema.parse(extractJson(content)) : null,
+        text: content,
+        usage: {
+          inputTokens: usage.prompt_tokens || 0,
+          outputTokens: usage.completion_tokens || 0,
+          totalTokens: usage.total_tokens || 0
+        }
+      };
+    }
+  };
+}
+
+module.exports = createOpenAICompatibleProvider;
@@ -0,0 +1,140 @@
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+
+/**
+ * Authentication middleware
+ *
+ * Verifies the Firebase ID token sent as `Authorization: Bearer <token>` and
+ * attaches the decoded user to `req.user` ({ uid, email, name, claims }).
+ *
+ * EventSource can't set headers, so Server-Sent Events streams (GET requests
+ * to a path ending in /events) may pass the token as a `?token=` query
+ * parameter instead. Other routes ignore it, so tokens don't end up in the
+ * logs and browser history of ordinary requests.
+ *
+ * Test mode (AUTH_TEST_MODE=true, never in production) accepts HS256 JWTs
+ * signed locally with AUTH_TEST_SECRET instead of real Firebase tokens - see
+ * createTestToken.
+ */
+
+const isTestMode = () => process.env.AUTH_TEST_MODE === 'true' && process.env.NODE_ENV !== 'production';
+
+const base64UrlEncode = (value) => Buffer.from(value).toString('base64url');
+
+const signTestPayload = (encodedHeader, encodedPayload, secret) => crypto
+  .createHmac('sha256', secret)
+  .update(`${encodedHeader}.${encodedPayload}`)
+  .digest('base64url');
+
+/**
+ * Sign a token that authMiddleware accepts in test mode.
+ * @param {string} uid
+ * @param {Object} claims - extra claims (email, name, ...)
+ * @param {number} expiresInSeconds
+ */
+function createTestToken(uid, claims = {}, expiresInSeconds = 3600) {
+  const secret = process.env.AUTH_TEST_SECRET;
+  if (!secret) {
+    throw new Error('AUTH_TEST_SECRET must be set to sign test tokens');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const encodedHeader = base64UrlEncode(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const encodedPayload = base64UrlEncode(JSON.stringify({
+    ...claims,
+    uid,
+    sub: uid,
+    iat: now,
+    exp: now + expiresInSeconds
+  }));
+
+  return `${encodedHeader}.${encodedPayload}.${signTestPayload(encodedHeader, encodedPayload, secret)}`;
+}
+
+/**
+ * Verify a locally signed test token, returning its claims
+ */
+function verifyTestToken(token) {
+  const secret = process.env.AUTH_TEST_SECRET;
+  if (!secret) {
+    throw new Error('AUTH_TEST_SECRET is not configured');
+  }
+
+  const [encodedHeader, encodedPayload, signature] = token.split('.');
+  if (!encodedHeader || !encodedPayload || !signature) {
+    throw new Error('Malformed token');
+  }
+
+  const header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf8'));
+  if (header.alg !== 'HS256') {
+    throw new Error(`Unsupported token algorithm: ${header.alg}`);
+  }
+
+  const expected = Buffer.from(signTestPayload(encodedHeader, encodedPayload, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new Error('Invalid token signature');
+  }
+
+  const payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+  if (payload.exp && payload.exp < Math.floor(Date.now() / 1000)) {
+    throw new Error('Token has expired');
+  }
+  if (!payload.uid && !payload.sub) {
+    throw new Error('Token has no subject');
+  }
+
+  return { ...payload, uid: payload.uid || payload.sub };
+}
+
+// Event stream routes, the only ones that accept ?token=
+const isEventStreamRequest = (req) => req.method === 'GET' && /\/events\/?$/.test(req.path);
+
+/**
+ * Read the bearer token from the request
+ */
+const extractToken = (req) => {
+  const header = req.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (match) return match[1].trim();
+
+  if (isEventStreamRequest(req) && typeof req.query.token === 'string') {
+    return req.query.token;
+  }
+
+  return null;
+};
+
+const authMiddleware = async (req, res, next) => {
+  const token = extractToken(req);
+
+  if (!token) {
+    return res.status(401).json({ error: 'Authentication required', details: 'Missing Authorization bearer token' });
+  }
+
+  try {
+    const decoded = isTestMode()
+      ? verifyTestToken(token)
+      : await admin.auth().verifyIdToken(token);
+
+    req.user = {
+      uid: decoded.uid,
+      email: decoded.email || null,
+      name: decoded.name || null,
+      claims: decoded
+    };
+
+    next();
+  } catch (error) {
+    console.warn(`[${req.requestId || 'auth'}] Rejected token for ${req.method} ${req.path}:`, error.message);
+    res.status(401).json({ error: 'Invalid or expired authentication token', details: error.message });
+  }
+};
+
+if (isTestMode()) {
+  console.warn('AUTH_TEST_MODE is enabled - locally signed test tokens are accepted instead of Firebase ID tokens');
+}
+
+module.exports = authMiddleware;
+module.exports.createTestToken = createTestToken;
+module.exports.verifyTestToken = verifyTestToken;
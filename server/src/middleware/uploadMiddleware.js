@@ -0,0 +1,80 @@
+const multer = require('multer');
+
+/**
+ * Upload middleware for the AI routes that take a note's source file
+ *
+ * Files are kept in memory, up to 20MB, and limited to the types the note
+ * pipeline can read. Use as `upload.single('file')`; handleUploadError turns
+ * rejected uploads into 4xx responses.
+ */
+
+const ALLOWED_MIME_TYPES = [
+  // Text
+  'text/plain',
+  'text/markdown',
+  'text/csv',
+  // Documents
+  'application/pdf',
+  'application/json',
+  // Images
+  'image/jpeg', 'image/png', 'image/gif', 'image/webp',
+  // Audio
+  'audio/mpeg', 'audio/wav', 'audio/ogg', 'audio/webm',
+  // Video
+  'video/mp4', 'video/webm', 'video/quicktime'
+];
+
+/**
+ * A file rejected by the upload's type filter
+ */
+class UnsupportedFileTypeError extends Error {
+  constructor(mimetype) {
+    super(`File type ${mimetype} is not supported`);
+    this.name = 'UnsupportedFileTypeError';
+    this.mimetype = mimetype;
+  }
+}
+
+const fileFilter = (req, file, cb) => {
+  if (ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new UnsupportedFileTypeError(file.mimetype), false);
+  }
+};
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 20 * 1024 * 1024 }, // 20MB limit
+  fileFilter
+});
+
+/**
+ * Error middleware answering rejected uploads with a client error instead of
+ * a 500. Other errors are passed on.
+ */
+const handleUploadError = (err, req, res, next) => {
+  if (err instanceof UnsupportedFileTypeError) {
+    return res.status(415).json({
+      error: 'Unsupported file type',
+      message: err.message,
+      details: { allowed: ALLOWED_MIME_TYPES }
+    });
+  }
+
+  if (err instanceof multer.MulterError) {
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        error: 'File Too Large',
+        message: 'The uploaded file exceeds the size limit. Please upload a smaller file.'
+      });
+    }
+    return res.status(400).json({ error: 'Invalid file upload', message: err.message, details: err.code });
+  }
+
+  next(err);
+};
+
+module.exports = upload;
+module.exports.UnsupportedFileTypeError = UnsupportedFileTypeError;
+module.exports.handleUploadError = handleUploadError;
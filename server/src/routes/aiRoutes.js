@@ -1,74 +1,78 @@
 const express = require('express');
-const { noteBeautifierFlow, conversationFlow, documentGenerationFlow } = require('../genkit/noteBeautifier');
-const multer = require('multer');
+const admin = require('firebase-admin');
+const {
+  conversationFlow,
+  documentGenerationFlow,
+  quizGenerationFlow,
+  intentClassificationFlow,
+  QUIZ_DIFFICULTIES
+} = require('../genkit/noteBeautifier');
+const { beautifyNotes } = require('../genkit/chunkedBeautifier');
+const { DIAGRAM_BACKENDS, resolveDiagramBackend } = require('../genkit/diagramSpec');
 const router = express.Router();
-const { generateDocumentFromContent } = require('../utils/pdfGenerator');
+const { generateDocumentFromContent, generateQuizDocument } = require('../utils/pdfGenerator');
+const { validatePdfOptions } = require('../utils/pdfNavigation');
+const { listPdfTemplates } = require('../utils/pdfTemplates');
+const { QUIZ_EXPORT_FORMATS, toAnkiDelimited, toQuizJson } = require('../utils/quizExport');
+const { resolveVisualAssets } = require('../utils/assetCache');
+const { getJob, getJobContent } = require('../utils/jobStore');
+const { submitJob, waitForJob, isJobRunningHere } = require('../utils/jobRunner');
+const { subscribeToJob, getJobEventHistory, TERMINAL_EVENTS } = require('../utils/jobEvents');
+const { quotaMiddleware, assertQuota, isQuotaError, sendQuotaExceeded } = require('../utils/quota');
+const upload = require('../middleware/uploadMiddleware');
 
-// Configure multer for file uploads with explicit mime type filtering
-const storage = multer.memoryStorage();
-const fileFilter = (req, file, cb) => {
-  // Allow these mime types
-  const allowedMimeTypes = [
-    // Text
-    'text/plain', 
-    'text/markdown',
-    'text/csv',
-    // Documents
-    'application/pdf',
-    'application/json',
-    // Images
-    'image/jpeg', 'image/png', 'image/gif', 'image/webp',
-    // Audio
-    'audio/mpeg', 'audio/wav', 'audio/ogg', 'audio/webm',
-    // Video
-    'video/mp4', 'video/webm', 'video/quicktime'
-  ];
-  
-  if (allowedMimeTypes.includes(file.mimetype)) {
-    cb(null, true);
-  } else {
-    cb(new Error(`File type ${file.mimetype} is not supported`), false);
-  }
+// Where the client should send a message for each non-conversation intent
+const INTENT_ENDPOINTS = {
+  note_generation: '/api/ai/notes',
+  quiz: '/api/ai/quiz',
+  note_question: '/api/chat/sessions'
 };
 
-const upload = multer({ 
-  storage,
-  limits: { fileSize: 20 * 1024 * 1024 }, // 20MB limit
-  fileFilter
-});
-
-// Endpoint for normal conversations
-router.post('/chat', async (req, res) => {
+// Chat endpoint. Each message is classified first; conversation is answered
+// here, other intents come back with the endpoint that handles them.
+// Pass noteId when the user has a note open, so questions about it are recognized.
+router.post('/chat', quotaMiddleware('tokens'), async (req, res) => {
   try {
-    const { message } = req.body;
+    const { message, noteId } = req.body;
     
     if (!message) {
       return res.status(400).json({ error: 'Message is required' });
     }
     
-    // Check if this is just a normal conversation or a note beautification request
-    const isBeautificationRequest = message.toLowerCase().includes('beautify') || 
-                                    message.toLowerCase().includes('structure') ||
-                                    message.toLowerCase().includes('format');
+    let intent;
+    try {
+      intent = await intentClassificationFlow({ message, hasNote: !!noteId });
+    } catch (classificationError) {
+      if (isQuotaError(classificationError)) throw classificationError;
+      // A failed classification shouldn't block the chat itself
+      console.error('Intent classification failed, treating as conversation:', classificationError.message);
+      intent = { intent: 'conversation', confidence: 0, reason: 'Classification unavailable' };
+    }
     
-    if (isBeautificationRequest) {
-      return res.status(400).json({ 
-        error: 'For note beautification, use the /beautify endpoint instead',
-        isBeautificationRequest: true
-      });
+    const typedIntent = {
+      type: intent.intent,
+      confidence: intent.confidence,
+      reason: intent.reason,
+      endpoint: INTENT_ENDPOINTS[intent.intent] || null,
+      noteId: intent.intent === 'note_question' ? noteId : null
+    };
+    
+    if (typedIntent.type !== 'conversation') {
+      return res.json({ intent: typedIntent, response: null });
     }
     
     const response = await conversationFlow(message);
     
-    res.json({ response });
+    res.json({ intent: typedIntent, response });
   } catch (error) {
+    if (isQuotaError(error)) return sendQuotaExceeded(res, error);
     console.error('Chat error:', error.message);
     res.status(500).json({ error: 'Failed to process chat request', details: error.message });
   }
 });
 
 // Updated endpoint for note beautification with PDF generation
-router.post('/beautify', upload.single('file'), async (req, res) => {
+router.post('/beautify', upload.single('file'), quotaMiddleware('tokens'), async (req, res) => {
   try {
     // Get text from request body or file
     let text = req.body.text || '';
@@ -104,18 +108,29 @@ router.post('/beautify', upload.single('file'), async (req, res) => {
           concepts_diagram: [],
           diagram_prompts: [],
           concepts_flowcharts: [],
-          flowcharts_prompt: []
+          flowcharts_prompt: [],
+          flowchart_kinds: [],
+          key_terms: [],
+          learning_objectives: [],
+          outline: [],
+          open_questions: []
         }
       });
     }
     
-    // Call the beautifier flow with the appropriate input
-    const output = await noteBeautifierFlow({ 
+    // Long text is split into chunks that are beautified separately and merged.
+    // chunkSize / chunkOverlap (characters) override the server defaults.
+    const chunkOptions = {};
+    if (parseInt(req.body.chunkSize, 10) > 0) chunkOptions.chunkSize = parseInt(req.body.chunkSize, 10);
+    if (parseInt(req.body.chunkOverlap, 10) >= 0) chunkOptions.overlap = parseInt(req.body.chunkOverlap, 10);
+    
+    // Call the beautifier with the appropriate input
+    const output = await beautifyNotes({ 
       text, 
       inputType,
       // Ensure fileBuffer is always a string, even if null
       fileBuffer: fileBuffer ? Buffer.from(fileBuffer).toString('base64') : ''
-    });
+    }, chunkOptions);
     
     // Check if output summary suggests the content couldn't be properly analyzed
     const potentialProcessingIssue = 
@@ -145,6 +160,7 @@ router.post('/beautify', upload.single('file'), async (req, res) => {
     res.json(response);
     
   } catch (error) {
+    if (isQuotaError(error)) return sendQuotaExceeded(res, error);
     console.error('Beautification error:', error.message);
     res.status(500).json({ 
       error: 'Failed to process beautification request', 
@@ -153,19 +169,40 @@ router.post('/beautify', upload.single('file'), async (req, res) => {
   }
 });
 
-// Add a new endpoint for generating PDF after visuals
-router.post('/generate-pdf', async (req, res) => {
+// PDF templates a request can pick by id with pdfOptions.template. Requests
+// can also send a template object of their own, see utils/pdfTemplates.
+router.get('/pdf-templates', (req, res) => {
+  res.json({ templates: listPdfTemplates() });
+});
+
+// Add a new endpoint for generating PDF after visuals.
+// Optional pdfOptions: table of contents, header and footer, template, see utils/pdfNavigation
+router.post('/generate-pdf', validatePdfOptions, quotaMiddleware('tokens'), async (req, res) => {
   try {
     const { beautifiedOutput, diagrams, flowcharts } = req.body;
+    const { pdfOptions } = req;
     
     if (!beautifiedOutput) {
       return res.status(400).json({ error: 'No content provided for PDF generation' });
     }
     
+    // Visuals can reference the asset cache ({ assetId } from /generate-visuals)
+    // instead of carrying the image - only the user's own assets. If any has
+    // been evicted the client has to send the images themselves.
+    const resolvedDiagrams = await resolveVisualAssets(Array.isArray(diagrams) ? diagrams : [], req.user.uid);
+    const resolvedFlowcharts = await resolveVisualAssets(Array.isArray(flowcharts) ? flowcharts : [], req.user.uid);
+    const missingAssetIds = [...resolvedDiagrams.missing, ...resolvedFlowcharts.missing];
+    if (missingAssetIds.length) {
+      return res.status(409).json({
+        error: 'Some cached visuals are no longer available - send the images instead',
+        missingAssetIds
+      });
+    }
+    
     // Validate input objects to prevent undefined errors
     const validatedBeautifiedOutput = beautifiedOutput || {};
-    const validatedDiagrams = Array.isArray(diagrams) ? diagrams : [];
-    const validatedFlowcharts = Array.isArray(flowcharts) ? flowcharts : [];
+    const validatedDiagrams = resolvedDiagrams.visuals;
+    const validatedFlowcharts = resolvedFlowcharts.visuals;
     
     const diagramCount = validatedDiagrams.length;
     const flowchartCount = validatedFlowcharts.length;
@@ -207,6 +244,8 @@ router.post('/generate-pdf', async (req, res) => {
               processedDiagrams.push({
                 index: validatedDiagrams[i].index || 0,
                 buffer: imageBuffer,
+                // Drawn as vectors in the PDF when present; the image is the fallback
+                svg: typeof validatedDiagrams[i].svg === 'string' ? validatedDiagrams[i].svg : null,
                 prompt: validatedDiagrams[i].prompt || '',
                 error: null
               });
@@ -253,6 +292,7 @@ router.post('/generate-pdf', async (req, res) => {
                   index: validatedFlowcharts[i].index || 0,
                   name: validatedFlowcharts[i].name || `Flowchart ${i+1}`,
                   buffer: imageBuffer,
+                  svg: typeof validatedFlowcharts[i].svg === 'string' ? validatedFlowcharts[i].svg : null,
                   error: null
                 });
               } else {
@@ -317,11 +357,13 @@ router.post('/generate-pdf', async (req, res) => {
             
             // Access safely with null checks
             const flowchartsPrompt = validatedBeautifiedOutput.fullOutput?.flowcharts_prompt || [];
+            const flowchartKinds = validatedBeautifiedOutput.fullOutput?.flowchart_kinds || [];
             
             flowchartsWithCode.push({
               index: i,
               name: validatedFlowcharts[i].name || `Flowchart ${i+1}`,
-              code: flowchartsPrompt[conceptIndex] || ''
+              code: flowchartsPrompt[conceptIndex] || '',
+              kind: validatedFlowcharts[i].kind || flowchartKinds[conceptIndex] || 'flowchart'
             });
           }
         }
@@ -366,7 +408,8 @@ router.post('/generate-pdf', async (req, res) => {
         validatedBeautifiedOutput, 
         processedDiagrams, 
         processedFlowcharts,
-        docStructure
+        docStructure,
+        pdfOptions
       );
       
       // Make sure to log success or failure
@@ -394,14 +437,26 @@ router.post('/generate-pdf', async (req, res) => {
 });
 
 // Generate visuals endpoint - simplified
-router.post('/generate-visuals', async (req, res) => {
+router.post('/generate-visuals', quotaMiddleware(), async (req, res) => {
   try {
-    const { diagramPrompts, flowchartPrompts, flowchartConcepts } = req.body;
+    // flowchartKinds: optional Mermaid diagram kind per flowchart (sequence, timeline, ...)
+    // diagramBackend: 'image' (text-to-image API) or 'spec' (drawn locally from a model-written spec)
+    const { diagramPrompts, diagramConcepts, flowchartPrompts, flowchartConcepts, flowchartKinds } = req.body;
     
     if ((!diagramPrompts || !diagramPrompts.length) && 
         (!flowchartPrompts || !flowchartPrompts.length)) {
       return res.status(400).json({ error: 'No prompts provided for visual generation' });
     }
+    const diagramBackend = resolveDiagramBackend(req.body.diagramBackend);
+    if (!diagramBackend) {
+      return res.status(400).json({ error: `diagramBackend must be one of: ${DIAGRAM_BACKENDS.join(', ')}` });
+    }
+    
+    // Refuse up front when the diagrams wouldn't fit in the quota, rather than
+    // drawing some and placeholders for the rest
+    if (diagramPrompts?.length > 0) {
+      await assertQuota(req.user.uid, 'diagrams', diagramPrompts.length);
+    }
     
     try {
       // Dynamic import to handle module not found gracefully
@@ -410,7 +465,11 @@ router.post('/generate-visuals', async (req, res) => {
       // Process diagrams and flowcharts in parallel
       const [diagramResults, flowchartResults] = await Promise.all([
         diagramPrompts?.length > 0 
-          ? visualUtils.generateAllDiagrams(diagramPrompts).catch(err => {
+          ? visualUtils.generateAllDiagrams(diagramPrompts, {
+              backend: diagramBackend,
+              concepts: diagramConcepts || []
+            }).catch(err => {
+              if (isQuotaError(err)) throw err;
               console.error("Error generating diagrams:", err);
               return diagramPrompts.map((_, idx) => ({
                 index: idx,
@@ -420,7 +479,7 @@ router.post('/generate-visuals', async (req, res) => {
             })
           : [],
         flowchartPrompts?.length > 0 
-          ? visualUtils.generateAllFlowcharts(flowchartPrompts, flowchartConcepts || []).catch(err => {
+          ? visualUtils.generateAllFlowcharts(flowchartPrompts, flowchartConcepts || [], flowchartKinds || []).catch(err => {
               console.error("Error generating flowcharts:", err);
               return (flowchartPrompts || []).map((_, idx) => ({
                 index: idx,
@@ -437,18 +496,39 @@ router.post('/generate-visuals', async (req, res) => {
         diagrams: diagramResults.map(r => ({
           index: r.index,
           image: r.buffer ? r.buffer.toString('base64') : null,
+          // Which backend drew it (image, spec or placeholder) and why the requested one wasn't used
+          backend: r.backend || null,
+          // The text-to-image provider for image diagrams, e.g. huggingface or automatic1111
+          provider: r.provider || null,
+          fallbackReason: r.fallbackReason || null,
+          svg: r.svg || null,
+          // Visual cache id - /generate-pdf accepts { assetId } in place of the image
+          assetId: r.assetId || null,
+          cached: !!r.cached,
           error: r.error
         })),
         flowcharts: flowchartResults.map(r => ({
           index: r.index,
           name: r.name,
+          kind: r.kind || 'flowchart',
           image: r.buffer ? r.buffer.toString('base64') : null,
-          error: r.error
+          error: r.error,
+          // Mermaid parser attempts (including model repairs) and the parse
+          // error the final code still had, if any
+          code: r.code,
+          attempts: r.attempts || 0,
+          repaired: !!r.repaired,
+          validationError: r.validationError || null,
+          // Flattened Mermaid SVG, which the PDF draws as vectors
+          svg: r.svg || null,
+          assetId: r.assetId || null,
+          cached: !!r.cached
         }))
       };
       
       res.json(response);
     } catch (moduleError) {
+      if (isQuotaError(moduleError)) throw moduleError;
       // Handle module loading errors gracefully
       console.error("Visual generation module error:", moduleError.message);
       
@@ -468,6 +548,7 @@ router.post('/generate-visuals', async (req, res) => {
       });
     }
   } catch (error) {
+    if (isQuotaError(error)) return sendQuotaExceeded(res, error);
     console.error('Visual generation error:', error.message);
     res.status(500).json({
       error: 'Failed to generate visual elements',
@@ -476,4 +557,270 @@ router.post('/generate-visuals', async (req, res) => {
   }
 });
 
+// Flashcards and practice questions for a note, from either a beautified output
+// (as returned by /beautify) or a generated note's noteId.
+// format: json (default), csv or tsv (Anki import), or pdf (printable).
+// counts: { flashcards, multipleChoice, shortAnswer }; difficulty: easy, medium or hard.
+router.post('/quiz', quotaMiddleware('tokens'), async (req, res) => {
+  try {
+    const { beautifiedOutput, noteId, counts = {}, difficulty = 'medium' } = req.body;
+    const format = (req.body.format || req.query.format || 'json').toLowerCase();
+    
+    if (!QUIZ_EXPORT_FORMATS[format]) {
+      return res.status(400).json({ error: `Unsupported format "${format}"`, formats: Object.keys(QUIZ_EXPORT_FORMATS) });
+    }
+    if (!QUIZ_DIFFICULTIES[difficulty]) {
+      return res.status(400).json({ error: `Unsupported difficulty "${difficulty}"`, difficulties: Object.keys(QUIZ_DIFFICULTIES) });
+    }
+    
+    const requestedCounts = {};
+    for (const [key, value] of Object.entries(counts)) {
+      const count = parseInt(value, 10);
+      if (!['flashcards', 'multipleChoice', 'shortAnswer'].includes(key) || Number.isNaN(count) || count < 0) {
+        return res.status(400).json({ error: `Invalid count "${key}"` });
+      }
+      requestedCounts[key] = count;
+    }
+    
+    let note;
+    if (noteId) {
+      const job = await getJob(noteId);
+      if (!job || job.userId !== req.user.uid) {
+        return res.status(404).json({ error: 'Note not found' });
+      }
+      if (!job.summary) {
+        return res.status(409).json({ error: 'Note has no content yet', status: job.status });
+      }
+      // Notes created before their content was stored only have the summary
+      const content = await getJobContent(noteId);
+      note = {
+        title: job.documentTitle || job.title || undefined,
+        summary: job.summary,
+        key_terms: content?.keyTerms,
+        outline: content?.sections
+          .filter(section => section.heading)
+          .map(section => ({
+            heading: section.heading,
+            points: section.content.split('\n').map(line => line.trim()).filter(Boolean)
+          }))
+      };
+    } else if (beautifiedOutput) {
+      const fullOutput = beautifiedOutput.fullOutput || beautifiedOutput;
+      note = {
+        title: req.body.title || undefined,
+        summary: fullOutput.summary || '',
+        key_terms: fullOutput.key_terms,
+        learning_objectives: fullOutput.learning_objectives,
+        outline: fullOutput.outline
+      };
+    }
+    
+    if (!note || !note.summary) {
+      return res.status(400).json({ error: 'A beautifiedOutput with a summary or a noteId is required' });
+    }
+    
+    const quiz = await quizGenerationFlow({ note, counts: requestedCounts, difficulty });
+    
+    const title = note.title || 'NoteFlow Notes';
+    const { contentType, extension, delimiter } = QUIZ_EXPORT_FORMATS[format];
+    const fileName = `${title.replace(/[^a-z0-9 _-]/gi, '').trim() || 'noteflow'} - quiz.${extension}`;
+    
+    let body;
+    if (format === 'pdf') {
+      body = await generateQuizDocument(quiz, { title, difficulty });
+    } else if (delimiter) {
+      body = toAnkiDelimited(quiz, delimiter, { difficulty });
+    } else {
+      body = toQuizJson(quiz, { title, difficulty });
+    }
+    
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `${format === 'json' ? 'inline' : 'attachment'}; filename="${fileName}"`
+    });
+    res.send(body);
+  } catch (error) {
+    if (isQuotaError(error)) return sendQuotaExceeded(res, error);
+    console.error('Quiz generation error:', error.message);
+    res.status(500).json({ error: 'Failed to generate quiz', details: error.message });
+  }
+});
+
+// Produce a finished note in one call: beautify, visuals, structure and PDF all
+// run on the server, so images never travel through the browser. Responds once
+// the note is done (or with 202 if it is still running after the wait timeout,
+// or immediately with ?wait=false). The PDF is downloaded from pdfUrl.
+router.post('/notes', upload.single('file'), validatePdfOptions, quotaMiddleware('tokens'), async (req, res) => {
+  try {
+    const { text, title } = req.body;
+    const idempotencyKey = req.get('Idempotency-Key') || req.body.idempotencyKey || null;
+    const wait = req.query.wait !== 'false';
+    
+    if (!req.file && !(text && text.trim())) {
+      return res.status(400).json({ error: 'No content provided for note generation' });
+    }
+    const diagramBackend = resolveDiagramBackend(req.body.diagramBackend);
+    if (!diagramBackend) {
+      return res.status(400).json({ error: `diagramBackend must be one of: ${DIAGRAM_BACKENDS.join(', ')}` });
+    }
+    const { job: submittedJob } = await submitJob({
+      userId: req.user.uid,
+      title,
+      text,
+      file: req.file,
+      diagramBackend,
+      pdfOptions: req.pdfOptions,
+      idempotencyKey
+    });
+    
+    const job = wait ? await waitForJob(submittedJob.id) : submittedJob;
+    const noteResponse = {
+      noteId: job.id,
+      status: job.status,
+      title: job.title,
+      documentTitle: job.documentTitle,
+      summary: job.summary,
+      pdfUrl: job.status === 'completed' ? `${req.baseUrl}/notes/${job.id}/pdf` : null,
+      eventsUrl: `${req.baseUrl}/notes/${job.id}/events`
+    };
+    
+    if (job.status === 'failed' && job.quota) {
+      res.set('Retry-After', String(job.quota.retryAfterSeconds));
+      return res.status(429).json({ ...noteResponse, ...job.quota, failedStage: job.failedStage });
+    }
+    
+    if (job.status === 'failed') {
+      return res.status(500).json({
+        ...noteResponse,
+        error: 'Failed to generate note',
+        details: job.error,
+        failedStage: job.failedStage
+      });
+    }
+    
+    res.status(job.status === 'completed' ? 200 : 202).json(noteResponse);
+  } catch (error) {
+    console.error('Note generation error:', error.message);
+    res.status(500).json({ error: 'Failed to generate note', details: error.message });
+  }
+});
+
+// Binary PDF download for a generated note. Add ?inline=true to view it in the browser.
+router.get('/notes/:noteId/pdf', async (req, res) => {
+  try {
+    const job = await getJob(req.params.noteId);
+    
+    if (!job || job.userId !== req.user.uid) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+    
+    if (job.status !== 'completed' || !job.pdfPath) {
+      return res.status(409).json({ error: 'Note PDF is not ready yet', status: job.status });
+    }
+    
+    const pdfFile = admin.storage().bucket().file(job.pdfPath);
+    const [metadata] = await pdfFile.getMetadata();
+    const fileName = (job.documentTitle || 'noteflow-document').replace(/[^a-z0-9 _-]/gi, '').trim() || 'noteflow-document';
+    
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Length': metadata.size,
+      'Content-Disposition': `${req.query.inline === 'true' ? 'inline' : 'attachment'}; filename="${fileName}.pdf"`
+    });
+    
+    pdfFile.createReadStream()
+      .on('error', (streamError) => {
+        console.error('PDF download stream error:', streamError.message);
+        res.destroy(streamError);
+      })
+      .pipe(res);
+  } catch (error) {
+    console.error('PDF download error:', error.message);
+    res.status(500).json({ error: 'Failed to download note PDF', details: error.message });
+  }
+});
+
+// Server-Sent Events stream of a note job's progress. Emits a snapshot of the
+// job first, replays events published so far, then pushes events as they happen:
+// progress, summary, visual (with thumbnail), structure, pdf, complete/failed.
+// EventSource can't set headers, so clients pass their ID token as ?token=
+router.get('/notes/:jobId/events', async (req, res) => {
+  const { jobId } = req.params;
+  
+  try {
+    const job = await getJob(jobId);
+    
+    if (!job || job.userId !== req.user.uid) {
+      return res.status(404).json({ error: 'Note job not found' });
+    }
+    
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Disable proxy buffering so events arrive immediately
+    });
+    res.flushHeaders();
+    
+    let eventId = 0;
+    const sendEvent = (type, data) => {
+      eventId++;
+      res.write(`id: ${eventId}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    
+    sendEvent('snapshot', { job });
+    
+    // A finished job won't publish anything else
+    if (job.status === 'completed' || job.status === 'failed') {
+      sendEvent(job.status === 'completed' ? 'complete' : 'failed', job.status === 'completed'
+        ? { noteUrl: job.noteUrl, documentTitle: job.documentTitle, summary: job.summary }
+        : { error: job.error, failedStage: job.failedStage });
+      return res.end();
+    }
+    
+    const pastEvents = getJobEventHistory(jobId);
+    for (const event of pastEvents) {
+      sendEvent(event.type, event.data);
+    }
+    
+    // The job may have finished between the snapshot and the replay
+    if (pastEvents.some(event => TERMINAL_EVENTS.includes(event.type))) {
+      return res.end();
+    }
+    
+    // Events are only published by the instance running the job. For a job
+    // running elsewhere (or stranded until the stale job sweep fails it) the
+    // stream ends after the snapshot and clients fall back to polling.
+    if (!isJobRunningHere(jobId)) {
+      return res.end();
+    }
+    
+    // Keep the connection open through proxies that drop idle connections
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+    let unsubscribe = () => {};
+    
+    const cleanup = () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    };
+    
+    unsubscribe = subscribeToJob(jobId, (event) => {
+      sendEvent(event.type, event.data);
+      if (TERMINAL_EVENTS.includes(event.type)) {
+        cleanup();
+        res.end();
+      }
+    });
+    
+    req.on('close', cleanup);
+  } catch (error) {
+    console.error('Note event stream error:', error.message);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to stream note events', details: error.message });
+    } else {
+      res.end();
+    }
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,121 @@
+const express = require('express');
+const router = express.Router();
+const { getJob, getJobContent } = require('../utils/jobStore');
+const { createSession, getSession, listSessions, getMessages, appendMessages } = require('../utils/chatStore');
+const { answerNoteQuestion } = require('../genkit/noteChat');
+const { quotaMiddleware, isQuotaError, sendQuotaExceeded } = require('../utils/quota');
+
+// Longest question accepted in one message
+const MAX_MESSAGE_LENGTH = 4000;
+
+/**
+ * Load a session owned by the signed-in user, or send a 404 and return null
+ */
+async function findOwnSession(req, res) {
+  const session = await getSession(req.params.id);
+
+  // Other users' sessions are reported as missing rather than forbidden
+  if (!session || session.userId !== req.user.uid) {
+    res.status(404).json({ error: 'Chat session not found' });
+    return null;
+  }
+  return session;
+}
+
+// Start a chat session about one of the user's notes
+router.post('/sessions', async (req, res) => {
+  try {
+    const { noteId, title } = req.body;
+
+    if (!noteId) {
+      return res.status(400).json({ error: 'noteId is required' });
+    }
+
+    const note = await getJob(noteId);
+    if (!note || note.userId !== req.user.uid) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+    if (note.status !== 'completed') {
+      return res.status(409).json({ error: 'Note is not finished yet', status: note.status });
+    }
+
+    const session = await createSession({ userId: req.user.uid, noteId, title: title || null });
+    res.status(201).json({ session });
+  } catch (error) {
+    console.error('Chat session creation error:', error.message);
+    res.status(500).json({ error: 'Failed to create chat session', details: error.message });
+  }
+});
+
+// List the user's chat sessions, most recently active first. ?noteId= limits them to one note.
+router.get('/sessions', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 100);
+
+    const sessions = await listSessions(req.user.uid, { noteId: req.query.noteId || null, limit });
+    res.json({ sessions });
+  } catch (error) {
+    console.error('Chat session listing error:', error.message);
+    res.status(500).json({ error: 'Failed to list chat sessions', details: error.message });
+  }
+});
+
+// A session with its full message history
+router.get('/sessions/:id', async (req, res) => {
+  try {
+    const session = await findOwnSession(req, res);
+    if (!session) return;
+
+    const messages = await getMessages(session.id);
+    res.json({ session, messages });
+  } catch (error) {
+    console.error('Chat session lookup error:', error.message);
+    res.status(500).json({ error: 'Failed to fetch chat session', details: error.message });
+  }
+});
+
+// Continue a session: answer the message from the note's content and store both turns
+router.post('/sessions/:id/messages', quotaMiddleware('tokens'), async (req, res) => {
+  try {
+    const message = (req.body.message || '').trim();
+
+    if (!message) {
+      return res.status(400).json({ error: 'Message is required' });
+    }
+    if (message.length > MAX_MESSAGE_LENGTH) {
+      return res.status(400).json({ error: `Message is longer than ${MAX_MESSAGE_LENGTH} characters` });
+    }
+
+    const session = await findOwnSession(req, res);
+    if (!session) return;
+
+    const note = await getJob(session.noteId);
+    if (!note || note.userId !== req.user.uid) {
+      return res.status(404).json({ error: 'The note for this chat no longer exists' });
+    }
+
+    // Notes from before content was stored can still be discussed from their summary
+    const content = await getJobContent(session.noteId) || { sections: [], sourceText: '' };
+    const history = await getMessages(session.id);
+
+    const reply = await answerNoteQuestion({
+      title: note.documentTitle || note.title,
+      summary: note.summary || '',
+      sections: content.sections,
+      sourceText: content.sourceText
+    }, history, message);
+
+    const [userMessage, assistantMessage] = await appendMessages(session.id, [
+      { role: 'user', content: message },
+      { role: 'assistant', content: reply.answer, citations: reply.citations, answerable: reply.answerable }
+    ]);
+
+    res.json({ userMessage, message: assistantMessage });
+  } catch (error) {
+    if (isQuotaError(error)) return sendQuotaExceeded(res, error);
+    console.error('Chat message error:', error.message);
+    res.status(500).json({ error: 'Failed to answer message', details: error.message });
+  }
+});
+
+module.exports = router;
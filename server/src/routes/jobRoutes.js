@@ -0,0 +1,96 @@
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const { getJob, listJobs } = require('../utils/jobStore');
+const { submitJob, uploadPathFromUrl } = require('../utils/jobRunner');
+const { DIAGRAM_BACKENDS, resolveDiagramBackend } = require('../genkit/diagramSpec');
+const { validatePdfOptions } = require('../utils/pdfNavigation');
+const { quotaMiddleware } = require('../utils/quota');
+
+// Configure multer for file uploads
+const storage = multer.memoryStorage();
+const upload = multer({
+  storage,
+  limits: { fileSize: 20 * 1024 * 1024 } // 20MB limit, same as /api/ai/beautify
+});
+
+// Submit a note for the beautify -> visuals -> PDF pipeline.
+// Send an Idempotency-Key header (or idempotencyKey field) so a retried
+// request returns the original job instead of starting a second one - unless
+// that job failed, in which case the same key starts it again.
+// Optional pdfOptions: table of contents, header and footer, template, see utils/pdfNavigation
+router.post('/', upload.single('file'), validatePdfOptions, quotaMiddleware('tokens'), async (req, res) => {
+  try {
+    const { text, title, fileUrl, fileType } = req.body;
+    const idempotencyKey = req.get('Idempotency-Key') || req.body.idempotencyKey || null;
+
+    if (!req.file && !fileUrl && !(text && text.trim())) {
+      return res.status(400).json({ error: 'No content provided for note generation' });
+    }
+    // Files are only read from the project's own bucket, see uploadPathFromUrl
+    if (!req.file && fileUrl && !uploadPathFromUrl(fileUrl, req.user.uid)) {
+      return res.status(400).json({ error: 'fileUrl must be a file under uploads/<your user id>/ in this project\'s Storage bucket' });
+    }
+
+    // Optional diagramBackend: image or spec, see genkit/diagramSpec
+    const diagramBackend = resolveDiagramBackend(req.body.diagramBackend);
+    if (!diagramBackend) {
+      return res.status(400).json({ error: `diagramBackend must be one of: ${DIAGRAM_BACKENDS.join(', ')}` });
+    }
+
+    const { job, created } = await submitJob({
+      userId: req.user.uid,
+      title,
+      text,
+      file: req.file,
+      fileUrl,
+      fileType,
+      diagramBackend,
+      pdfOptions: req.pdfOptions,
+      idempotencyKey
+    });
+
+    // 202 for a newly accepted job, 200 when replaying an existing one
+    res.status(created ? 202 : 200).json({ job, created });
+  } catch (error) {
+    console.error('Job submission error:', error.message);
+    res.status(500).json({ error: 'Failed to submit note job', details: error.message });
+  }
+});
+
+// List the signed-in user's jobs, newest first. The user comes from the auth
+// token; a ?userId= naming anyone else is refused rather than ignored.
+router.get('/', async (req, res) => {
+  try {
+    if (req.query.userId !== undefined && req.query.userId !== req.user.uid) {
+      return res.status(403).json({ error: 'You can only list your own jobs' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+    const jobs = await listJobs(req.user.uid, limit);
+    res.json({ jobs });
+  } catch (error) {
+    console.error('Job listing error:', error.message);
+    res.status(500).json({ error: 'Failed to list jobs', details: error.message });
+  }
+});
+
+// Poll a single job for progress
+router.get('/:id', async (req, res) => {
+  try {
+    const job = await getJob(req.params.id);
+
+    // Other users' jobs are reported as missing rather than forbidden
+    if (!job || job.userId !== req.user.uid) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({ job });
+  } catch (error) {
+    console.error('Job lookup error:', error.message);
+    res.status(500).json({ error: 'Failed to fetch job', details: error.message });
+  }
+});
+
+module.exports = router;
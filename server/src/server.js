@@ -4,8 +4,20 @@ const express = require('express');
 const cors = require('cors');
 const admin = require('firebase-admin');
 const multer = require('multer');
-const path = require('path');
 const aiRoutes = require('./routes/aiRoutes');
+const jobRoutes = require('./routes/jobRoutes');
+const chatRoutes = require('./routes/chatRoutes');
+const authMiddleware = require('./middleware/authMiddleware');
+const { handleUploadError } = require('./middleware/uploadMiddleware');
+const { quotaMiddleware, getQuotaStatus } = require('./utils/quota');
+const { describeModelProviders, assertModelProvidersConfigured } = require('./genkit/providers');
+const { describeImageProviders } = require('./utils/imageProviders');
+const { getVisualCacheStats } = require('./utils/assetCache');
+const { getVisualSchedulerStats } = require('./utils/visualScheduler');
+const { getMermaidRendererHealth, shutdownMermaidRenderer } = require('./utils/mermaidRenderer');
+const { describePdfFonts } = require('./utils/pdfFonts');
+const { MODEL_FLOWS } = require('./genkit/noteBeautifier');
+const { submitJob, uploadPathFromUrl, startStaleJobSweep } = require('./utils/jobRunner');
 
 // Log environment variables for debugging (redact sensitive info)
 console.log('Environment check:', {
@@ -44,8 +56,15 @@ try {
   process.exit(1);
 }
 
+// Every flow needs a working model provider; don't start serving without one
+try {
+  assertModelProvidersConfigured(MODEL_FLOWS);
+} catch (error) {
+  console.error('Fatal:', error.message);
+  process.exit(1);
+}
+
 // Get Firebase services
-const db = admin.firestore();
 const bucket = admin.storage().bucket();
 
 // Middleware
@@ -67,76 +86,69 @@ app.get('/api/health', (req, res) => {
   res.status(200).json({ 
     status: 'OK', 
     environment: process.env.NODE_ENV || 'development',
-    genaiApiKeyConfigured: !!process.env.GOOGLE_GENAI_API_KEY
+    genaiApiKeyConfigured: !!process.env.GOOGLE_GENAI_API_KEY,
+    models: describeModelProviders(MODEL_FLOWS),
+    imageProviders: describeImageProviders(),
+    visualCache: getVisualCacheStats(),
+    visualQueue: getVisualSchedulerStats(),
+    mermaidRenderer: getMermaidRendererHealth(),
+    pdfFonts: describePdfFonts()
   });
 });
 
-// AI routes
-app.use('/api/ai', aiRoutes);
+// AI routes (authenticated - every call spends model quota)
+app.use('/api/ai', authMiddleware, aiRoutes);
+
+// Note generation jobs
+app.use('/api/jobs', authMiddleware, jobRoutes);
+
+// Chat sessions grounded in a note
+app.use('/api/chat', authMiddleware, chatRoutes);
+
+// Remaining quota for the signed-in user
+app.get('/api/quota', authMiddleware, async (req, res) => {
+  try {
+    const quota = await getQuotaStatus(req.user.uid);
+    res.json({ quota });
+  } catch (error) {
+    console.error('Quota lookup error:', error.message);
+    res.status(500).json({ error: 'Failed to fetch quota', details: error.message });
+  }
+});
 
 // Process API endpoint
-app.post('/api/process', upload.single('file'), async (req, res) => {
+app.post('/api/process', authMiddleware, upload.single('file'), quotaMiddleware('tokens'), async (req, res) => {
   try {
-    const { userId, text, fileUrl, fileName, fileType } = req.body;
-    let inputContent = '';
-    let inputType = '';
+    const { text, fileUrl, fileName, fileType } = req.body;
     
-    if (req.file) {
-      // Check if bucket is initialized
-      if (!bucket) {
-        return res.status(500).json({ error: 'Storage bucket not configured' });
-      }
-      
-      // Handle uploaded file
-      const file = req.file;
-      inputType = file.mimetype;
-      
-      // Upload file to Firebase Storage
-      const fileBuffer = file.buffer;
-      const filePath = `uploads/${userId}/${Date.now()}_${file.originalname}`;
-      const fileRef = bucket.file(filePath);
-      
-      await fileRef.save(fileBuffer, {
-        metadata: { contentType: file.mimetype }
-      });
-      
-      // Get public URL
-      const [url] = await fileRef.getSignedUrl({
-        action: 'read',
-        expires: '03-01-2500' // Far future expiry
-      });
-      
-      inputContent = url;
-    } else if (fileUrl) {
-      // Handle file URL from client
-      inputContent = fileUrl;
-      inputType = fileType || 'unknown';
-    } else if (text) {
-      // Handle text input
-      inputContent = text;
-      inputType = 'text/plain';
-    } else {
+    if (!req.file && !fileUrl && !text) {
       return res.status(400).json({ error: 'No input provided' });
     }
+    // Files are only read from the project's own bucket, see uploadPathFromUrl
+    if (!req.file && fileUrl && !uploadPathFromUrl(fileUrl, req.user.uid)) {
+      return res.status(400).json({ error: 'fileUrl must be a file under uploads/<your user id>/ in this project\'s Storage bucket' });
+    }
     
-    // Store in Firestore with proper error handling
-    const noteRef = await db.collection('processedNotes').add({
-      userId,
-      inputType,
-      inputContent,
-      status: 'processing',
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-      title: fileName || `Note ${new Date().toLocaleString()}`
-    });
+    // Check if bucket is initialized
+    if (req.file && !bucket) {
+      return res.status(500).json({ error: 'Storage bucket not configured' });
+    }
     
-    // Process asynchronously
-    processInput(noteRef.id, inputType, inputContent)
-      .catch(err => console.error(`Error processing note ${noteRef.id}:`, err));
+    // Create the processedNotes job and process it asynchronously
+    const { job } = await submitJob({
+      userId: req.user.uid,
+      title: fileName,
+      text,
+      file: req.file,
+      fileUrl,
+      fileType,
+      idempotencyKey: req.get('Idempotency-Key') || req.body.idempotencyKey
+    });
     
     res.status(200).json({
       message: 'Processing started',
-      noteId: noteRef.id,
-      noteUrl: `${process.env.APP_URL || 'https://noteflow-dcb74.web.app'}/notes/${noteRef.id}.pdf`
+      noteId: job.id,
+      status: job.status
     });
     
   } catch (error) {
@@ -145,18 +157,8 @@ app.post('/api/process', upload.single('file'), async (req, res) => {
   }
 });
 
-// Mock processing function - in production, implement actual processing logic
-async function processInput(noteId, type, content) {
-  // Simulate processing time
-  await new Promise(resolve => setTimeout(resolve, 5000));
-  
-  // Update the document with completed status
-  return await db.collection('processedNotes').doc(noteId).update({
-    status: 'completed',
-    noteUrl: `${process.env.APP_URL || 'https://noteflow-dcb74.web.app'}/notes/${noteId}.pdf`,
-    updatedAt: admin.firestore.FieldValue.serverTimestamp()
-  });
-}
+// Rejected file uploads: too large (413), unsupported type (415), malformed (400)
+app.use(handleUploadError);
 
 // Add a specific error handler for payload size errors
 app.use((err, req, res, next) => {
@@ -188,6 +190,28 @@ app.use((err, req, res, next) => {
 });
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+  // Jobs a previous run left unfinished will never finish
+  startStaleJobSweep();
 });
+
+// Graceful shutdown: stop accepting connections, let the Mermaid renderer
+// finish the charts in flight and close its browser, then exit
+let shuttingDown = false;
+const shutdown = async (signal) => {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`${signal} received, shutting down`);
+
+  server.close();
+  try {
+    await shutdownMermaidRenderer();
+  } catch (error) {
+    console.error('Error during shutdown:', error.message);
+  }
+  process.exit(0);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
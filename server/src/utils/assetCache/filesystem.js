@@ -0,0 +1,93 @@
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+const DEFAULT_CACHE_DIR = path.join(os.tmpdir(), 'noteflow-visual-cache');
+
+const isNotFound = (error) => error && error.code === 'ENOENT';
+
+/**
+ * Visual assets as files in a local directory: <id>.bin holds the image and
+ * <id>.json what it was rendered from. The data file's mtime is bumped on
+ * every read, so it doubles as the last access time for LRU eviction.
+ * @param {Object} options - { dir }
+ */
+function createFilesystemCacheBackend({ dir } = {}) {
+  const root = dir || process.env.VISUAL_CACHE_DIR || DEFAULT_CACHE_DIR;
+  let ready = null;
+  const ensureDir = () => {
+    if (!ready) {
+      ready = fs.mkdir(root, { recursive: true });
+      ready.catch(() => { ready = null; });
+    }
+    return ready;
+  };
+
+  const dataPath = (id) => path.join(root, `${id}.bin`);
+  const metaPath = (id) => path.join(root, `${id}.json`);
+
+  return {
+    name: 'filesystem',
+    location: root,
+
+    async get(id) {
+      let meta;
+      let buffer;
+      try {
+        meta = JSON.parse(await fs.readFile(metaPath(id), 'utf8'));
+        buffer = await fs.readFile(dataPath(id));
+      } catch (error) {
+        if (isNotFound(error)) return null;
+        throw error;
+      }
+
+      const now = new Date();
+      await fs.utimes(dataPath(id), now, now).catch(() => {});
+      return { ...meta, buffer };
+    },
+
+    async set(id, { buffer, contentType, metadata, createdAt }) {
+      await ensureDir();
+      // Data first: an entry only counts once its metadata exists
+      await fs.writeFile(dataPath(id), buffer);
+      await fs.writeFile(metaPath(id), JSON.stringify({ contentType, metadata, createdAt, size: buffer.length }));
+    },
+
+    async delete(id) {
+      await Promise.all([
+        fs.rm(metaPath(id), { force: true }),
+        fs.rm(dataPath(id), { force: true })
+      ]);
+    },
+
+    /**
+     * Every entry with its size, creation and last access times (ms)
+     */
+    async list() {
+      let names;
+      try {
+        names = await fs.readdir(root);
+      } catch (error) {
+        if (isNotFound(error)) return [];
+        throw error;
+      }
+
+      const entries = await Promise.all(names
+        .filter(name => name.endsWith('.json'))
+        .map(async (name) => {
+          const id = name.slice(0, -'.json'.length);
+          try {
+            const meta = JSON.parse(await fs.readFile(path.join(root, name), 'utf8'));
+            const stats = await fs.stat(dataPath(id));
+            return { id, size: stats.size, createdAt: meta.createdAt, lastAccessedAt: stats.mtimeMs };
+          } catch (error) {
+            // Half-written or already deleted - let eviction clear it out
+            return { id, size: 0, createdAt: 0, lastAccessedAt: 0 };
+          }
+        }));
+      return entries;
+    }
+  };
+}
+
+module.exports = createFilesystemCacheBackend;
@@ -0,0 +1,84 @@
+const admin = require('firebase-admin');
+
+const DEFAULT_PREFIX = 'visual-cache';
+
+const isNotFound = (error) => error && error.code === 404;
+
+/**
+ * Visual assets in the Firebase Storage bucket, so every server instance
+ * shares one cache: <prefix>/<id> holds the image and <prefix>/<id>.json what
+ * it was rendered from. Creation and last access times are kept in the image
+ * object's custom metadata for eviction.
+ * @param {Object} options - { prefix }
+ */
+function createFirebaseStorageCacheBackend({ prefix } = {}) {
+  const folder = (prefix || process.env.VISUAL_CACHE_STORAGE_PREFIX || DEFAULT_PREFIX).replace(/\/+$/, '');
+  const bucket = () => admin.storage().bucket();
+  const dataFile = (id) => bucket().file(`${folder}/${id}`);
+  const metaFile = (id) => bucket().file(`${folder}/${id}.json`);
+
+  return {
+    name: 'firebase',
+    location: `${folder}/`,
+
+    async get(id) {
+      let meta;
+      let buffer;
+      try {
+        const [metaBuffer] = await metaFile(id).download();
+        meta = JSON.parse(metaBuffer.toString('utf8'));
+        [buffer] = await dataFile(id).download();
+      } catch (error) {
+        if (isNotFound(error)) return null;
+        throw error;
+      }
+
+      // Not awaited - a stale access time only makes eviction slightly less accurate
+      dataFile(id)
+        .setMetadata({ metadata: { lastAccessedAt: String(Date.now()) } })
+        .catch(error => console.warn(`Visual cache: failed to touch ${id}:`, error.message));
+      return { ...meta, buffer };
+    },
+
+    async set(id, { buffer, contentType, metadata, createdAt }) {
+      await dataFile(id).save(buffer, {
+        resumable: false,
+        metadata: {
+          contentType,
+          metadata: { createdAt: String(createdAt), lastAccessedAt: String(createdAt) }
+        }
+      });
+      await metaFile(id).save(JSON.stringify({ contentType, metadata, createdAt, size: buffer.length }), {
+        resumable: false,
+        metadata: { contentType: 'application/json' }
+      });
+    },
+
+    async delete(id) {
+      await Promise.all([
+        metaFile(id).delete({ ignoreNotFound: true }),
+        dataFile(id).delete({ ignoreNotFound: true })
+      ]);
+    },
+
+    /**
+     * Every entry with its size, creation and last access times (ms)
+     */
+    async list() {
+      const [files] = await bucket().getFiles({ prefix: `${folder}/` });
+      return files
+        .filter(file => !file.name.endsWith('.json'))
+        .map(file => {
+          const custom = file.metadata.metadata || {};
+          return {
+            id: file.name.substring(folder.length + 1),
+            size: Number(file.metadata.size) || 0,
+            createdAt: Number(custom.createdAt) || 0,
+            lastAccessedAt: Number(custom.lastAccessedAt) || Number(custom.createdAt) || 0
+          };
+        });
+    }
+  };
+}
+
+module.exports = createFirebaseStorageCacheBackend;
@@ -0,0 +1,233 @@
+const crypto = require('crypto');
+const createFilesystemCacheBackend = require('./filesystem');
+const createFirebaseStorageCacheBackend = require('./firebaseStorage');
+const { getQuotaUserId } = require('../quota');
+
+/**
+ * Content-addressed cache for rendered visuals (diagram images, flowchart PNGs).
+ *
+ * An asset's id is a hash of everything its pixels depend on - renderer,
+ * prompt or Mermaid source, size and theme - so regenerating the same note
+ * reuses earlier renders instead of calling mmdc or the image API again, and
+ * the PDF endpoint can take asset ids instead of base64 images.
+ *
+ * Entries are kept per user: an asset id only resolves for the user who
+ * rendered it, since ids reach clients and logs and a shared entry would
+ * also tell one user what another has rendered. The user defaults to the one
+ * the current request or job is charged to (see quota.runWithQuotaUser);
+ * without one nothing is cached.
+ *
+ * VISUAL_CACHE_BACKEND picks where assets live: filesystem (default),
+ * firebase (Storage bucket, shared between instances) or none. Entries older
+ * than VISUAL_CACHE_TTL_HOURS are dropped, and the least recently used ones
+ * go once the cache is over VISUAL_CACHE_MAX_MB.
+ */
+const CACHE_BACKEND_FACTORIES = {
+  filesystem: createFilesystemCacheBackend,
+  firebase: createFirebaseStorageCacheBackend
+};
+
+const ASSET_ID_LENGTH = 40;
+const ASSET_ID_PATTERN = new RegExp(`^[a-f0-9]{${ASSET_ID_LENGTH}}$`);
+
+const VISUAL_CACHE_TTL_MS = (parseFloat(process.env.VISUAL_CACHE_TTL_HOURS) || 24 * 7) * 60 * 60 * 1000;
+const VISUAL_CACHE_MAX_BYTES = (parseFloat(process.env.VISUAL_CACHE_MAX_MB) || 500) * 1024 * 1024;
+// Listing the whole cache isn't free (especially in Storage), so evict at most this often
+const EVICTION_INTERVAL_MS = 5 * 60 * 1000;
+
+const stats = { hits: 0, misses: 0, writes: 0, evictions: 0, errors: 0 };
+let backend;
+let lastEvictionAt = 0;
+let evictionRunning = null;
+
+/**
+ * The configured backend, or null when caching is off or misconfigured
+ */
+function getCacheBackend() {
+  if (backend === undefined) {
+    const name = (process.env.VISUAL_CACHE_BACKEND || 'filesystem').toLowerCase();
+    const factory = CACHE_BACKEND_FACTORIES[name];
+    if (name !== 'none' && !factory) {
+      console.error(`Unknown visual cache backend "${name}" (expected one of: ${[...Object.keys(CACHE_BACKEND_FACTORIES), 'none'].join(', ')}) - caching disabled`);
+    }
+    backend = factory ? factory() : null;
+  }
+  return backend;
+}
+
+/**
+ * Asset id for a render: a hash of what the output depends on
+ * @param {Object} key - { renderer, source, size, theme }
+ */
+function visualAssetId({ renderer, source, size = null, theme = null }) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify([renderer, source, size, theme]))
+    .digest('hex')
+    .substring(0, ASSET_ID_LENGTH);
+}
+
+const isVisualAssetId = (id) => typeof id === 'string' && ASSET_ID_PATTERN.test(id);
+
+const isExpired = (createdAt, now = Date.now()) => !createdAt || now - createdAt > VISUAL_CACHE_TTL_MS;
+
+/**
+ * Backend key of a user's copy of an asset
+ */
+const ownedAssetKey = (id, ownerId) => crypto
+  .createHash('sha256')
+  .update(`${ownerId}:${id}`)
+  .digest('hex')
+  .substring(0, ASSET_ID_LENGTH);
+
+/**
+ * Look up a user's cached asset. Cache failures are logged and count as
+ * misses, so a broken cache only ever costs a re-render.
+ * @param {string} id - from visualAssetId
+ * @param {string} ownerId - user the asset was stored for
+ * @returns {Promise<Object|null>} - { buffer, contentType, metadata, createdAt } or null
+ */
+async function getVisualAsset(id, ownerId = getQuotaUserId()) {
+  const cache = getCacheBackend();
+  if (!cache || !isVisualAssetId(id) || !ownerId) return null;
+
+  const key = ownedAssetKey(id, ownerId);
+  try {
+    const entry = await cache.get(key);
+    if (entry && isExpired(entry.createdAt)) {
+      await cache.delete(key);
+      stats.evictions++;
+    } else if (entry) {
+      stats.hits++;
+      return entry;
+    }
+  } catch (error) {
+    stats.errors++;
+    console.warn(`Visual cache read failed for ${id}:`, error.message);
+  }
+  stats.misses++;
+  return null;
+}
+
+/**
+ * Store a rendered asset for a user. Returns whether it was stored.
+ * @param {string} id - from visualAssetId
+ * @param {Buffer} buffer - the image
+ * @param {Object} options - { contentType, metadata, ownerId } where metadata
+ *   is anything JSON the caller needs back on a hit
+ */
+async function putVisualAsset(id, buffer, { contentType = 'image/png', metadata = {}, ownerId = getQuotaUserId() } = {}) {
+  const cache = getCacheBackend();
+  if (!cache || !isVisualAssetId(id) || !buffer || !ownerId) return false;
+
+  try {
+    await cache.set(ownedAssetKey(id, ownerId), { buffer, contentType, metadata, createdAt: Date.now() });
+    stats.writes++;
+  } catch (error) {
+    stats.errors++;
+    console.warn(`Visual cache write failed for ${id}:`, error.message);
+    return false;
+  }
+
+  if (Date.now() - lastEvictionAt > EVICTION_INTERVAL_MS) {
+    evictVisualAssets().catch(error => console.warn('Visual cache eviction failed:', error.message));
+  }
+  return true;
+}
+
+/**
+ * Drop expired entries, then the least recently used ones until the cache
+ * fits in VISUAL_CACHE_MAX_BYTES
+ * @returns {Promise<number>} - how many entries were removed
+ */
+function evictVisualAssets({ maxBytes = VISUAL_CACHE_MAX_BYTES } = {}) {
+  const cache = getCacheBackend();
+  if (!cache) return Promise.resolve(0);
+  // One pass at a time; concurrent callers share it
+  if (evictionRunning) return evictionRunning;
+
+  lastEvictionAt = Date.now();
+  evictionRunning = (async () => {
+    const now = Date.now();
+    const entries = await cache.list();
+    const expired = entries.filter(entry => isExpired(entry.createdAt, now));
+    const live = entries
+      .filter(entry => !isExpired(entry.createdAt, now))
+      .sort((a, b) => a.lastAccessedAt - b.lastAccessedAt);
+
+    let totalBytes = live.reduce((sum, entry) => sum + entry.size, 0);
+    const victims = [...expired];
+    while (totalBytes > maxBytes && live.length) {
+      const oldest = live.shift();
+      totalBytes -= oldest.size;
+      victims.push(oldest);
+    }
+
+    for (const { id } of victims) {
+      await cache.delete(id);
+    }
+    stats.evictions += victims.length;
+    stats.entries = live.length;
+    stats.bytes = totalBytes;
+    if (victims.length) {
+      console.log(`Visual cache: evicted ${victims.length} asset(s), ${live.length} left (${(totalBytes / 1024 / 1024).toFixed(1)}MB)`);
+    }
+    return victims.length;
+  })().finally(() => { evictionRunning = null; });
+
+  return evictionRunning;
+}
+
+/**
+ * Hit/miss counters since startup, for /api/health. entries and bytes are as
+ * of the last eviction pass.
+ */
+function getVisualCacheStats() {
+  const cache = getCacheBackend();
+  const lookups = stats.hits + stats.misses;
+  return {
+    backend: cache ? cache.name : 'none',
+    location: cache ? cache.location : null,
+    ...stats,
+    hitRate: lookups ? Number((stats.hits / lookups).toFixed(3)) : null,
+    ttlHours: VISUAL_CACHE_TTL_MS / 3600000,
+    maxBytes: VISUAL_CACHE_MAX_BYTES
+  };
+}
+
+/**
+ * Replace asset ids in PDF visuals ({ assetId } instead of { image }) with the
+ * user's cached images, and their SVG where one was stored
+ * @param {Array} visuals - diagrams or flowcharts as sent to /generate-pdf
+ * @param {string} ownerId - the requesting user
+ * @returns {Promise<Object>} - { visuals, missing } where missing lists the
+ *   asset ids that are no longer (or never were) in the user's cache
+ */
+async function resolveVisualAssets(visuals, ownerId) {
+  const missing = [];
+  const resolved = await Promise.all((visuals || []).map(async (visual) => {
+    if (!visual || visual.image || !visual.assetId) return visual;
+    const entry = await getVisualAsset(visual.assetId, ownerId);
+    if (!entry) {
+      missing.push(visual.assetId);
+      return visual;
+    }
+    return {
+      ...visual,
+      image: entry.buffer.toString('base64'),
+      svg: visual.svg || (entry.metadata && entry.metadata.svg) || null
+    };
+  }));
+  return { visuals: resolved, missing };
+}
+
+module.exports = {
+  CACHE_BACKEND_FACTORIES,
+  visualAssetId,
+  isVisualAssetId,
+  getVisualAsset,
+  putVisualAsset,
+  evictVisualAssets,
+  getVisualCacheStats,
+  resolveVisualAssets
+};
@@ -0,0 +1,131 @@
+const admin = require('firebase-admin');
+const { toIsoString } = require('./jobStore');
+
+// One document per chat session, with its messages in a subcollection
+const SESSIONS_COLLECTION = 'chatSessions';
+
+const sessionsCollection = () => admin.firestore().collection(SESSIONS_COLLECTION);
+const messagesCollection = (sessionId) => sessionsCollection().doc(sessionId).collection('messages');
+
+/**
+ * Public representation of a session document
+ */
+const serializeSession = (snapshot) => {
+  const data = snapshot.data() || {};
+  return {
+    id: snapshot.id,
+    userId: data.userId,
+    noteId: data.noteId,
+    title: data.title || null,
+    messageCount: data.messageCount || 0,
+    lastMessage: data.lastMessage || null,
+    createdAt: toIsoString(data.createdAt),
+    updatedAt: toIsoString(data.updatedAt)
+  };
+};
+
+const serializeMessage = (snapshot) => {
+  const data = snapshot.data() || {};
+  return {
+    id: snapshot.id,
+    role: data.role,
+    content: data.content,
+    citations: data.citations || [],
+    answerable: data.answerable !== undefined ? data.answerable : null,
+    createdAt: toIsoString(data.createdAt)
+  };
+};
+
+/**
+ * Start a chat session about a note
+ */
+async function createSession({ userId, noteId, title = null }) {
+  const ref = await sessionsCollection().add({
+    userId,
+    noteId,
+    title,
+    messageCount: 0,
+    lastMessage: null,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  return serializeSession(await ref.get());
+}
+
+/**
+ * Fetch a single session, or null if it doesn't exist
+ */
+async function getSession(sessionId) {
+  const snapshot = await sessionsCollection().doc(sessionId).get();
+  return snapshot.exists ? serializeSession(snapshot) : null;
+}
+
+/**
+ * List a user's sessions, optionally for one note, most recently active first
+ */
+async function listSessions(userId, { noteId = null, limit = 50 } = {}) {
+  let sessionsQuery = sessionsCollection().where('userId', '==', userId);
+  if (noteId) {
+    sessionsQuery = sessionsQuery.where('noteId', '==', noteId);
+  }
+  const snapshot = await sessionsQuery.get();
+
+  // Sorted in memory to avoid requiring a composite Firestore index
+  return snapshot.docs
+    .map(serializeSession)
+    .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''))
+    .slice(0, limit);
+}
+
+/**
+ * A session's messages, oldest first
+ */
+async function getMessages(sessionId) {
+  const snapshot = await messagesCollection(sessionId).orderBy('createdAt', 'asc').get();
+  return snapshot.docs.map(serializeMessage);
+}
+
+/**
+ * Append messages to a session in one batch and update its summary fields.
+ * The session gets a title from its first question.
+ * @param {Array} messages - [{ role, content, citations, answerable }]
+ */
+async function appendMessages(sessionId, messages) {
+  const batch = admin.firestore().batch();
+  const refs = messages.map(() => messagesCollection(sessionId).doc());
+  // Consecutive messages get increasing timestamps so they keep their order
+  const baseTime = Date.now();
+
+  messages.forEach((message, i) => {
+    batch.set(refs[i], {
+      role: message.role,
+      content: message.content,
+      citations: message.citations || [],
+      ...(message.answerable !== undefined ? { answerable: message.answerable } : {}),
+      createdAt: admin.firestore.Timestamp.fromMillis(baseTime + i)
+    });
+  });
+
+  const session = await getSession(sessionId);
+  const firstQuestion = messages.find(message => message.role === 'user');
+  const lastMessage = messages[messages.length - 1];
+
+  batch.update(sessionsCollection().doc(sessionId), {
+    messageCount: admin.firestore.FieldValue.increment(messages.length),
+    lastMessage: lastMessage.content.substring(0, 200),
+    ...(!session.title && firstQuestion ? { title: firstQuestion.content.substring(0, 80) } : {}),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  await batch.commit();
+  return Promise.all(refs.map(async ref => serializeMessage(await ref.get())));
+}
+
+module.exports = {
+  SESSIONS_COLLECTION,
+  createSession,
+  getSession,
+  listSessions,
+  getMessages,
+  appendMessages
+};
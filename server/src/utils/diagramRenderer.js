@@ -0,0 +1,546 @@
+/**
+ * Local renderer for diagram specs (see diagramSpecFlow): lays out labeled
+ * boxes, arrows, groups and annotations and draws them as SVG or PNG, so
+ * diagram text is always exactly what the spec says.
+ *
+ * Layout is layered: nodes are ranked along the spec's direction by their
+ * longest incoming path, ordered within each rank by their predecessors, and
+ * arrows are drawn as straight lines between box borders. Arrows that point
+ * back up the ranks (cycles) or stay within one are routed around the side.
+ */
+
+// Most nodes a diagram draws; the rest of the spec is dropped
+const MAX_NODES = 20;
+const MAX_ANNOTATIONS = 6;
+
+const FONT_FAMILY = 'Helvetica, Arial, sans-serif';
+const FONT_SIZE = 15;
+const LINE_HEIGHT = 19;
+const TITLE_SIZE = 22;
+const SMALL_SIZE = 12;
+// Average glyph width as a fraction of the font size, used to size boxes
+// without a font engine - generous so text never overflows
+const CHAR_WIDTH = 0.58;
+const MAX_LABEL_CHARS = 22;
+
+const NODE_PADDING_X = 16;
+const NODE_PADDING_Y = 12;
+const NODE_GAP = 36;
+const RANK_GAP = 72;
+const MARGIN = 32;
+const GROUP_PADDING = 16;
+// Space between side-routed arrows
+const CHANNEL_GAP = 14;
+
+const COLORS = {
+  background: '#ffffff',
+  text: '#1f2933',
+  muted: '#52606d',
+  nodeFill: '#e8f0fe',
+  nodeStroke: '#3c5a99',
+  decisionFill: '#fff4e0',
+  decisionStroke: '#b7791f',
+  edge: '#52606d',
+  badge: '#3c5a99'
+};
+
+// Group outlines cycle through these fills
+const GROUP_FILLS = ['#f0f4f8', '#f3f9f1', '#fdf5f7', '#f7f3fd'];
+
+const textWidth = (text, size = FONT_SIZE) => text.length * size * CHAR_WIDTH;
+
+/**
+ * Break a label into lines of at most maxChars characters
+ */
+function wrapText(text, maxChars = MAX_LABEL_CHARS) {
+  const lines = [];
+  let line = '';
+
+  String(text || '').split(/\s+/).filter(Boolean).forEach(word => {
+    // Words longer than a line are cut
+    while (word.length > maxChars) {
+      if (line) {
+        lines.push(line);
+        line = '';
+      }
+      lines.push(word.substring(0, maxChars));
+      word = word.substring(maxChars);
+    }
+
+    if (!line) {
+      line = word;
+    } else if (line.length + 1 + word.length <= maxChars) {
+      line += ` ${word}`;
+    } else {
+      lines.push(line);
+      line = word;
+    }
+  });
+
+  if (line) lines.push(line);
+  return lines.length ? lines : [''];
+}
+
+/**
+ * Drop what the spec refers to but doesn't define: duplicate or excess nodes,
+ * edges and annotations pointing at unknown nodes, and unknown groups
+ */
+function sanitizeSpec(spec) {
+  const seen = new Set();
+  const nodes = (spec.nodes || [])
+    .filter(node => node && node.id && !seen.has(node.id) && seen.add(node.id))
+    .slice(0, MAX_NODES);
+  const ids = new Set(nodes.map(node => node.id));
+
+  const groups = (spec.groups || []).filter(group => group && group.id);
+  const groupIds = new Set(groups.map(group => group.id));
+
+  return {
+    title: spec.title || '',
+    direction: spec.direction === 'LR' ? 'LR' : 'TB',
+    nodes: nodes.map(node => ({ ...node, group: groupIds.has(node.group) ? node.group : null })),
+    edges: (spec.edges || []).filter(edge => edge && ids.has(edge.from) && ids.has(edge.to) && edge.from !== edge.to),
+    groups: groups.filter(group => nodes.some(node => node.group === group.id)),
+    annotations: (spec.annotations || [])
+      .filter(annotation => annotation && annotation.text)
+      .slice(0, MAX_ANNOTATIONS)
+      .map(annotation => ({ ...annotation, target: ids.has(annotation.target) ? annotation.target : null }))
+  };
+}
+
+/**
+ * Rank of each node: the length of the longest path reaching it, ignoring
+ * edges that close a cycle
+ */
+function rankNodes(nodes, edges) {
+  const outgoing = new Map(nodes.map(node => [node.id, []]));
+  edges.forEach(edge => outgoing.get(edge.from).push(edge.to));
+
+  // Depth-first search marks the edges that point back into the current path
+  const state = new Map();
+  const forward = [];
+  const visit = (id) => {
+    state.set(id, 'active');
+    outgoing.get(id).forEach(target => {
+      if (state.get(target) === 'active') return;
+      forward.push([id, target]);
+      if (!state.has(target)) visit(target);
+    });
+    state.set(id, 'done');
+  };
+  nodes.forEach(node => {
+    if (!state.has(node.id)) visit(node.id);
+  });
+
+  const ranks = new Map(nodes.map(node => [node.id, 0]));
+  // Longest path by relaxation - there are no cycles left among forward edges
+  for (let pass = 0; pass < nodes.length; pass++) {
+    let changed = false;
+    forward.forEach(([from, to]) => {
+      if (ranks.get(to) < ranks.get(from) + 1) {
+        ranks.set(to, ranks.get(from) + 1);
+        changed = true;
+      }
+    });
+    if (!changed) break;
+  }
+  return ranks;
+}
+
+/**
+ * Compute positions and sizes for every node, group and annotation
+ */
+function layoutSpec(rawSpec) {
+  const spec = sanitizeSpec(rawSpec);
+  const horizontal = spec.direction === 'LR';
+  const groupOrder = new Map(spec.groups.map((group, i) => [group.id, i]));
+
+  const nodes = spec.nodes.map((node, order) => {
+    const lines = wrapText(node.label);
+    const shape = ['box', 'rounded', 'ellipse', 'diamond'].includes(node.shape) ? node.shape : 'rounded';
+    let width = Math.max(...lines.map(line => textWidth(line))) + NODE_PADDING_X * 2;
+    let height = lines.length * LINE_HEIGHT + NODE_PADDING_Y * 2;
+    // Ellipses and diamonds need extra room for their text to stay inside
+    if (shape === 'ellipse') {
+      width *= 1.25;
+      height *= 1.25;
+    } else if (shape === 'diamond') {
+      width *= 1.6;
+      height *= 1.6;
+    }
+    return { ...node, shape, lines, width: Math.max(width, 80), height, order };
+  });
+  const byId = new Map(nodes.map(node => [node.id, node]));
+
+  const ranks = rankNodes(nodes, spec.edges);
+  const layers = [];
+  nodes.forEach(node => {
+    const rank = ranks.get(node.id);
+    (layers[rank] = layers[rank] || []).push(node);
+  });
+
+  // Order each layer by group, then by the average position of the node's predecessors
+  layers.forEach((layer, rank) => {
+    if (rank > 0) {
+      const previous = new Map(layers[rank - 1].map((node, i) => [node.id, i]));
+      layer.forEach(node => {
+        const positions = spec.edges
+          .filter(edge => edge.to === node.id && previous.has(edge.from))
+          .map(edge => previous.get(edge.from));
+        node.barycenter = positions.length
+          ? positions.reduce((sum, position) => sum + position, 0) / positions.length
+          : node.order;
+      });
+    }
+    layer.sort((a, b) => {
+      const groupA = a.group ? groupOrder.get(a.group) : -1;
+      const groupB = b.group ? groupOrder.get(b.group) : -1;
+      return groupA - groupB || (a.barycenter ?? a.order) - (b.barycenter ?? b.order);
+    });
+  });
+
+  // Main axis runs along the ranks, cross axis across each layer
+  const mainSize = (node) => (horizontal ? node.width : node.height);
+  const crossSize = (node) => (horizontal ? node.height : node.width);
+  const layerCross = layers.map(layer =>
+    layer.reduce((sum, node) => sum + crossSize(node), 0) + NODE_GAP * (layer.length - 1));
+  const maxCross = Math.max(...layerCross, 0);
+
+  let mainOffset = 0;
+  layers.forEach((layer, rank) => {
+    const layerMain = Math.max(...layer.map(mainSize));
+    let crossOffset = (maxCross - layerCross[rank]) / 2;
+    layer.forEach(node => {
+      const main = mainOffset + (layerMain - mainSize(node)) / 2;
+      node.x = horizontal ? main : crossOffset;
+      node.y = horizontal ? crossOffset : main;
+      crossOffset += crossSize(node) + NODE_GAP;
+    });
+    mainOffset += layerMain + RANK_GAP;
+  });
+
+  const titleHeight = spec.title ? TITLE_SIZE + 20 : 0;
+  const top = MARGIN + titleHeight + GROUP_PADDING + SMALL_SIZE;
+  const left = MARGIN + GROUP_PADDING;
+  nodes.forEach(node => {
+    node.x += left;
+    node.y += top;
+  });
+
+  const groups = spec.groups.map((group, i) => {
+    const members = nodes.filter(node => node.group === group.id);
+    const x = Math.min(...members.map(node => node.x)) - GROUP_PADDING;
+    const y = Math.min(...members.map(node => node.y)) - GROUP_PADDING - SMALL_SIZE;
+    return {
+      ...group,
+      x,
+      y,
+      width: Math.max(...members.map(node => node.x + node.width)) + GROUP_PADDING - x,
+      height: Math.max(...members.map(node => node.y + node.height)) + GROUP_PADDING - y,
+      fill: GROUP_FILLS[i % GROUP_FILLS.length]
+    };
+  });
+
+  const diagramRight = Math.max(...nodes.map(node => node.x + node.width), ...groups.map(group => group.x + group.width));
+  const diagramBottom = Math.max(...nodes.map(node => node.y + node.height), ...groups.map(group => group.y + group.height));
+
+  // Edges that don't go forward get their own channel beside the diagram:
+  // right of it for top-to-bottom layouts, below it for left-to-right ones
+  const edges = spec.edges.map(edge => ({ ...edge, backward: ranks.get(edge.to) <= ranks.get(edge.from) }));
+  let channels = 0;
+  edges.filter(edge => edge.backward).forEach(edge => {
+    channels += 1;
+    edge.channel = (horizontal ? diagramBottom : diagramRight) + CHANNEL_GAP * channels;
+  });
+  const channelSpace = channels ? CHANNEL_GAP * channels + CHANNEL_GAP : 0;
+
+  const contentRight = Math.max(
+    diagramRight + (horizontal ? 0 : channelSpace),
+    MARGIN + textWidth(spec.title, TITLE_SIZE)
+  );
+  let bottom = diagramBottom + (horizontal ? channelSpace : 0);
+
+  // Annotations are numbered notes below the diagram, with matching badges on their nodes
+  const annotationChars = Math.max(40, Math.floor((contentRight - MARGIN) / (SMALL_SIZE * CHAR_WIDTH)) - 4);
+  const annotations = spec.annotations.map((annotation, i) => {
+    const lines = wrapText(`${i + 1}. ${annotation.text}`, annotationChars);
+    const result = { ...annotation, number: i + 1, lines, y: bottom + (i === 0 ? 28 : 8) };
+    bottom = result.y + lines.length * (SMALL_SIZE + 4);
+    return result;
+  });
+
+  return {
+    title: spec.title,
+    horizontal,
+    nodes,
+    byId,
+    edges,
+    groups,
+    annotations,
+    width: Math.ceil(contentRight + GROUP_PADDING + MARGIN),
+    height: Math.ceil(bottom + MARGIN)
+  };
+}
+
+/**
+ * Where the line from a node's center towards (x, y) leaves its outline
+ */
+function borderPoint(node, x, y) {
+  const cx = node.x + node.width / 2;
+  const cy = node.y + node.height / 2;
+  const dx = x - cx;
+  const dy = y - cy;
+  if (dx === 0 && dy === 0) return { x: cx, y: cy };
+
+  const halfWidth = node.width / 2;
+  const halfHeight = node.height / 2;
+  let t;
+  if (node.shape === 'ellipse') {
+    t = 1 / Math.sqrt((dx * dx) / (halfWidth * halfWidth) + (dy * dy) / (halfHeight * halfHeight));
+  } else if (node.shape === 'diamond') {
+    t = 1 / (Math.abs(dx) / halfWidth + Math.abs(dy) / halfHeight);
+  } else {
+    t = Math.min(halfWidth / Math.abs(dx || 1e-9), halfHeight / Math.abs(dy || 1e-9));
+  }
+  return { x: cx + dx * t, y: cy + dy * t };
+}
+
+/**
+ * Flatten the layout into drawing primitives shared by the SVG and PNG output:
+ * rect, ellipse, polygon, line (a polyline through points) and text
+ */
+function buildScene(layout) {
+  const scene = [{ type: 'rect', x: 0, y: 0, width: layout.width, height: layout.height, fill: COLORS.background }];
+
+  if (layout.title) {
+    scene.push({ type: 'text', x: MARGIN, y: MARGIN + TITLE_SIZE, lines: [layout.title], size: TITLE_SIZE, bold: true, color: COLORS.text, align: 'left' });
+  }
+
+  layout.groups.forEach(group => {
+    scene.push({ type: 'rect', x: group.x, y: group.y, width: group.width, height: group.height, radius: 10, fill: group.fill, stroke: '#9aa5b1', dash: true });
+    scene.push({ type: 'text', x: group.x + 10, y: group.y + SMALL_SIZE + 4, lines: [group.label || ''], size: SMALL_SIZE, bold: true, color: COLORS.muted, align: 'left' });
+  });
+
+  layout.edges.forEach(edge => {
+    const from = layout.byId.get(edge.from);
+    const to = layout.byId.get(edge.to);
+    let points;
+    if (!edge.backward) {
+      points = [
+        borderPoint(from, to.x + to.width / 2, to.y + to.height / 2),
+        borderPoint(to, from.x + from.width / 2, from.y + from.height / 2)
+      ];
+    } else if (layout.horizontal) {
+      // Out of the bottom of the source, along the channel, into the bottom of the target
+      points = [
+        { x: from.x + from.width / 2, y: from.y + from.height },
+        { x: from.x + from.width / 2, y: edge.channel },
+        { x: to.x + to.width / 2, y: edge.channel },
+        { x: to.x + to.width / 2, y: to.y + to.height }
+      ];
+    } else {
+      points = [
+        { x: from.x + from.width, y: from.y + from.height / 2 },
+        { x: edge.channel, y: from.y + from.height / 2 },
+        { x: edge.channel, y: to.y + to.height / 2 },
+        { x: to.x + to.width, y: to.y + to.height / 2 }
+      ];
+    }
+
+    const end = points[points.length - 1];
+    const beforeEnd = points[points.length - 2];
+    const angle = Math.atan2(end.y - beforeEnd.y, end.x - beforeEnd.x);
+    const arrow = 10;
+    // The line stops inside the arrowhead so its end doesn't poke through the tip
+    const linePoints = [...points.slice(0, -1), { x: end.x - Math.cos(angle) * arrow * 0.8, y: end.y - Math.sin(angle) * arrow * 0.8 }];
+
+    scene.push({ type: 'line', points: linePoints, stroke: COLORS.edge, dash: edge.style === 'dashed' });
+    scene.push({
+      type: 'polygon',
+      points: [
+        [end.x, end.y],
+        [end.x - arrow * Math.cos(angle - 0.4), end.y - arrow * Math.sin(angle - 0.4)],
+        [end.x - arrow * Math.cos(angle + 0.4), end.y - arrow * Math.sin(angle + 0.4)]
+      ],
+      fill: COLORS.edge
+    });
+
+    if (edge.label) {
+      const lines = wrapText(edge.label, 18);
+      const width = Math.max(...lines.map(line => textWidth(line, SMALL_SIZE))) + 8;
+      const height = lines.length * (SMALL_SIZE + 3) + 4;
+      // Labels sit on the middle segment
+      const segment = Math.floor((points.length - 1) / 2);
+      const midX = (points[segment].x + points[segment + 1].x) / 2;
+      const midY = (points[segment].y + points[segment + 1].y) / 2;
+      scene.push({ type: 'rect', x: midX - width / 2, y: midY - height / 2, width, height, radius: 3, fill: COLORS.background });
+      scene.push({ type: 'text', x: midX, y: midY - height / 2 + SMALL_SIZE + 1, lines, size: SMALL_SIZE, lineHeight: SMALL_SIZE + 3, color: COLORS.muted, align: 'center' });
+    }
+  });
+
+  layout.nodes.forEach(node => {
+    const isDecision = node.shape === 'diamond';
+    const style = {
+      fill: isDecision ? COLORS.decisionFill : COLORS.nodeFill,
+      stroke: isDecision ? COLORS.decisionStroke : COLORS.nodeStroke
+    };
+    const cx = node.x + node.width / 2;
+    const cy = node.y + node.height / 2;
+
+    if (node.shape === 'ellipse') {
+      scene.push({ type: 'ellipse', cx, cy, rx: node.width / 2, ry: node.height / 2, ...style });
+    } else if (isDecision) {
+      scene.push({ type: 'polygon', points: [[cx, node.y], [node.x + node.width, cy], [cx, node.y + node.height], [node.x, cy]], ...style });
+    } else {
+      scene.push({ type: 'rect', x: node.x, y: node.y, width: node.width, height: node.height, radius: node.shape === 'rounded' ? 8 : 0, ...style });
+    }
+
+    // Vertically centered: the first baseline sits half the text block above the center
+    const firstBaseline = cy - (node.lines.length * LINE_HEIGHT) / 2 + LINE_HEIGHT * 0.75;
+    scene.push({ type: 'text', x: cx, y: firstBaseline, lines: node.lines, size: FONT_SIZE, color: COLORS.text, align: 'center' });
+  });
+
+  layout.annotations.forEach(annotation => {
+    if (annotation.target) {
+      const node = layout.byId.get(annotation.target);
+      scene.push({ type: 'ellipse', cx: node.x + node.width, cy: node.y, rx: 9, ry: 9, fill: COLORS.badge });
+      scene.push({ type: 'text', x: node.x + node.width, y: node.y + 4, lines: [String(annotation.number)], size: SMALL_SIZE - 1, bold: true, color: '#ffffff', align: 'center' });
+    }
+    scene.push({ type: 'text', x: MARGIN, y: annotation.y + SMALL_SIZE, lines: annotation.lines, size: SMALL_SIZE, lineHeight: SMALL_SIZE + 4, color: COLORS.muted, align: 'left' });
+  });
+
+  return scene;
+}
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const round = (value) => Math.round(value * 10) / 10;
+
+function sceneToSvg(scene, width, height) {
+  const paint = (item) => [
+    `fill="${item.fill || 'none'}"`,
+    item.stroke ? `stroke="${item.stroke}" stroke-width="${item.strokeWidth || 1.5}"` : '',
+    item.dash ? 'stroke-dasharray="6 4"' : ''
+  ].filter(Boolean).join(' ');
+
+  const elements = scene.map(item => {
+    switch (item.type) {
+      case 'rect':
+        return `<rect x="${round(item.x)}" y="${round(item.y)}" width="${round(item.width)}" height="${round(item.height)}" rx="${item.radius || 0}" ${paint(item)}/>`;
+      case 'ellipse':
+        return `<ellipse cx="${round(item.cx)}" cy="${round(item.cy)}" rx="${round(item.rx)}" ry="${round(item.ry)}" ${paint(item)}/>`;
+      case 'polygon':
+        return `<polygon points="${item.points.map(([x, y]) => `${round(x)},${round(y)}`).join(' ')}" ${paint(item)}/>`;
+      case 'line':
+        return `<polyline points="${item.points.map(point => `${round(point.x)},${round(point.y)}`).join(' ')}" ${paint({ ...item, fill: null })}/>`;
+      case 'text': {
+        const anchor = item.align === 'center' ? 'middle' : 'start';
+        const lineHeight = item.lineHeight || LINE_HEIGHT;
+        return item.lines.map((line, i) =>
+          `<text x="${round(item.x)}" y="${round(item.y + i * lineHeight)}" font-family="${FONT_FAMILY}" font-size="${item.size}"${item.bold ? ' font-weight="bold"' : ''} fill="${item.color}" text-anchor="${anchor}">${escapeXml(line)}</text>`
+        ).join('\n');
+      }
+      default:
+        return '';
+    }
+  });
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">\n${elements.join('\n')}\n</svg>`;
+}
+
+function sceneToPng(scene, width, height, scale = 2) {
+  // Loaded here so SVG output works without the native canvas module
+  const { createCanvas } = require('canvas');
+  const canvas = createCanvas(Math.ceil(width * scale), Math.ceil(height * scale));
+  const ctx = canvas.getContext('2d');
+  ctx.scale(scale, scale);
+
+  const paint = (item) => {
+    if (item.fill) {
+      ctx.fillStyle = item.fill;
+      ctx.fill();
+    }
+    if (item.stroke) {
+      ctx.setLineDash(item.dash ? [6, 4] : []);
+      ctx.strokeStyle = item.stroke;
+      ctx.lineWidth = item.strokeWidth || 1.5;
+      ctx.stroke();
+    }
+  };
+
+  scene.forEach(item => {
+    ctx.beginPath();
+    switch (item.type) {
+      case 'rect':
+        if (item.radius) {
+          const r = Math.min(item.radius, item.width / 2, item.height / 2);
+          ctx.moveTo(item.x + r, item.y);
+          ctx.arcTo(item.x + item.width, item.y, item.x + item.width, item.y + item.height, r);
+          ctx.arcTo(item.x + item.width, item.y + item.height, item.x, item.y + item.height, r);
+          ctx.arcTo(item.x, item.y + item.height, item.x, item.y, r);
+          ctx.arcTo(item.x, item.y, item.x + item.width, item.y, r);
+          ctx.closePath();
+        } else {
+          ctx.rect(item.x, item.y, item.width, item.height);
+        }
+        paint(item);
+        break;
+      case 'ellipse':
+        ctx.ellipse(item.cx, item.cy, item.rx, item.ry, 0, 0, Math.PI * 2);
+        paint(item);
+        break;
+      case 'polygon':
+        item.points.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+        ctx.closePath();
+        paint(item);
+        break;
+      case 'line':
+        item.points.forEach((point, i) => (i === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y)));
+        paint({ ...item, fill: null });
+        break;
+      case 'text': {
+        const lineHeight = item.lineHeight || LINE_HEIGHT;
+        ctx.font = `${item.bold ? 'bold ' : ''}${item.size}px ${FONT_FAMILY}`;
+        ctx.fillStyle = item.color;
+        ctx.textAlign = item.align === 'center' ? 'center' : 'left';
+        item.lines.forEach((line, i) => ctx.fillText(line, item.x, item.y + i * lineHeight));
+        break;
+      }
+      default:
+        break;
+    }
+  });
+
+  return canvas.toBuffer('image/png');
+}
+
+/**
+ * Render a diagram spec
+ * @param {Object} spec - DiagramSpecSchema output: { title, direction, nodes, edges, groups, annotations }
+ * @param {Object} options - { png: also render a PNG (default true), scale: PNG pixels per unit }
+ * @returns {Object} - { svg, png, width, height } where png is a Buffer, or null if not requested
+ */
+function renderDiagramSpec(spec, { png = true, scale = 2 } = {}) {
+  const layout = layoutSpec(spec);
+  if (layout.nodes.length === 0) {
+    throw new Error('Diagram spec has no nodes to draw');
+  }
+
+  const scene = buildScene(layout);
+  return {
+    svg: sceneToSvg(scene, layout.width, layout.height),
+    png: png ? sceneToPng(scene, layout.width, layout.height, scale) : null,
+    width: layout.width,
+    height: layout.height
+  };
+}
+
+module.exports = {
+  renderDiagramSpec,
+  layoutSpec,
+  wrapText
+};
@@ -0,0 +1,67 @@
+const { ImageProviderError, parseRetryAfter, isRetryableStatus, fetchWithTimeout } = require('./retry');
+
+const DEFAULT_BASE_URL = 'http://127.0.0.1:7860';
+// Local GPUs are slow, and a first request may have to load the checkpoint
+const DEFAULT_TIMEOUT_MS = 300000;
+const DEFAULT_STEPS = 30;
+
+/**
+ * Any server speaking the Automatic1111 web UI API (POST /sdapi/v1/txt2img):
+ * A1111 or Forge started with --api, SD.Next, ComfyUI behind an A1111-compatible
+ * bridge, or the stand-in server in stubServer.js
+ * @param {Object} options - { model, baseUrl, timeoutMs }
+ */
+function createAutomatic1111Provider({ model, baseUrl, timeoutMs } = {}) {
+  const modelName = model || process.env.AUTOMATIC1111_MODEL || null;
+  const endpoint = `${(baseUrl || process.env.AUTOMATIC1111_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '')}/sdapi/v1/txt2img`;
+  const timeout = timeoutMs || parseInt(process.env.AUTOMATIC1111_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS;
+  const steps = parseInt(process.env.AUTOMATIC1111_STEPS, 10) || DEFAULT_STEPS;
+
+  return {
+    name: 'automatic1111',
+    model: modelName || 'default',
+    timeoutMs: timeout,
+
+    async generate(prompt, { width = 1024, height = 1024 } = {}) {
+      const body = {
+        prompt,
+        negative_prompt: 'blurry, illegible text, watermark',
+        width,
+        height,
+        steps,
+        cfg_scale: 7
+      };
+      if (modelName) {
+        // Switches the checkpoint for this request only
+        body.override_settings = { sd_model_checkpoint: modelName };
+        body.override_settings_restore_afterwards = true;
+      }
+
+      const response = await fetchWithTimeout(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      }, { provider: 'automatic1111', timeoutMs: timeout });
+
+      if (!response.ok) {
+        const detail = await response.text().catch(() => '');
+        throw new ImageProviderError(`Automatic1111 error: ${response.status} ${detail.substring(0, 200) || response.statusText}`, {
+          provider: 'automatic1111',
+          status: response.status,
+          retryable: isRetryableStatus(response.status),
+          retryAfterMs: parseRetryAfter(response.headers.get('retry-after'))
+        });
+      }
+
+      const data = await response.json();
+      const image = data.images && data.images[0];
+      if (!image) {
+        throw new ImageProviderError('Automatic1111 response contained no image', { provider: 'automatic1111' });
+      }
+      // Some servers return data URLs rather than bare base64
+      return Buffer.from(image.replace(/^data:image\/\w+;base64,/, ''), 'base64');
+    }
+  };
+}
+
+module.exports = createAutomatic1111Provider;
@@ -0,0 +1,80 @@
+const { ImageProviderError, parseRetryAfter, isRetryableStatus, fetchWithTimeout } = require('./retry');
+
+const DEFAULT_BASE_URL = 'https://api-inference.huggingface.co/models';
+// FLUX.1-dev renders text in diagrams better than most
+const DEFAULT_MODEL = 'black-forest-labs/FLUX.1-dev';
+const DEFAULT_TIMEOUT_MS = 120000;
+
+/**
+ * Turn a failed Hugging Face response into an ImageProviderError. A 503 while
+ * the model loads carries estimated_time (seconds) in the JSON body, a 429
+ * carries Retry-After.
+ */
+async function toProviderError(response) {
+  const contentType = response.headers.get('content-type') || '';
+  let message = `${response.status} ${response.statusText}`;
+  let estimatedMs = null;
+
+  if (contentType.includes('application/json')) {
+    const errorData = await response.json().catch(() => ({}));
+    if (errorData.error) message = `${response.status} ${errorData.error}`;
+    if (typeof errorData.estimated_time === 'number') estimatedMs = errorData.estimated_time * 1000;
+  }
+
+  // Hugging Face sometimes reports rate limits in the error text rather than the status
+  const rateLimited = response.status === 429 || /rate|limit/i.test(message);
+  return new ImageProviderError(`Hugging Face ${rateLimited ? 'rate limit reached' : 'error'}: ${message}`, {
+    provider: 'huggingface',
+    status: response.status,
+    retryable: rateLimited || isRetryableStatus(response.status),
+    retryAfterMs: parseRetryAfter(response.headers.get('retry-after')) ?? estimatedMs
+  });
+}
+
+/**
+ * Hugging Face Inference API text-to-image
+ * @param {Object} options - { model, baseUrl, apiKey, timeoutMs }
+ */
+function createHuggingFaceProvider({ model, baseUrl, apiKey, timeoutMs } = {}) {
+  const modelName = model || process.env.HUGGINGFACE_IMAGE_MODEL || DEFAULT_MODEL;
+  const endpoint = `${(baseUrl || process.env.HUGGINGFACE_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '')}/${modelName}`;
+  const timeout = timeoutMs || parseInt(process.env.HUGGINGFACE_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS;
+
+  return {
+    name: 'huggingface',
+    model: modelName,
+    timeoutMs: timeout,
+
+    async generate(prompt, { width = 1024, height = 1024 } = {}) {
+      const key = apiKey || process.env.HUGGINGFACE_API_KEY;
+      if (!key) {
+        throw new ImageProviderError('HUGGINGFACE_API_KEY is not set', { provider: 'huggingface' });
+      }
+
+      const response = await fetchWithTimeout(endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${key}`
+        },
+        body: JSON.stringify({
+          inputs: prompt,
+          parameters: {
+            guidance_scale: 7.5, // Higher guidance scale for better text clarity
+            num_inference_steps: 50,
+            width,
+            height,
+            seed: Math.floor(Math.random() * 2147483647) // Random seed for variety
+          }
+        })
+      }, { provider: 'huggingface', timeoutMs: timeout });
+
+      if (!response.ok) {
+        throw await toProviderError(response);
+      }
+      return Buffer.from(await response.arrayBuffer());
+    }
+  };
+}
+
+module.exports = createHuggingFaceProvider;
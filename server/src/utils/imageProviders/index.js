@@ -0,0 +1,99 @@
+const createHuggingFaceProvider = require('./huggingface');
+const createAutomatic1111Provider = require('./automatic1111');
+const createStubProvider = require('./stub');
+const { withRetries } = require('./retry');
+
+/**
+ * Text-to-image provider registry.
+ *
+ * Every provider exposes generate(prompt, { width, height }) and resolves a
+ * PNG/JPEG Buffer, throwing ImageProviderError on failure.
+ *
+ * IMAGE_PROVIDERS is the failover order, e.g. IMAGE_PROVIDERS=automatic1111,huggingface,stub.
+ * Each provider is retried with backoff while its failures are retryable, then
+ * the next one is tried. Defaults to huggingface alone.
+ */
+const IMAGE_PROVIDER_FACTORIES = {
+  huggingface: createHuggingFaceProvider,
+  automatic1111: createAutomatic1111Provider,
+  stub: createStubProvider
+};
+
+const DEFAULT_IMAGE_PROVIDERS = ['huggingface'];
+
+const providerCache = new Map();
+
+/**
+ * Provider names in failover order
+ */
+function resolveImageProviderOrder() {
+  const configured = (process.env.IMAGE_PROVIDERS || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+  return configured.length ? configured : DEFAULT_IMAGE_PROVIDERS;
+}
+
+/**
+ * Provider instance by name
+ */
+function getImageProvider(name) {
+  if (!providerCache.has(name)) {
+    const factory = IMAGE_PROVIDER_FACTORIES[name];
+    if (!factory) {
+      throw new Error(`Unknown image provider "${name}" (expected one of: ${Object.keys(IMAGE_PROVIDER_FACTORIES).join(', ')})`);
+    }
+    providerCache.set(name, factory());
+  }
+  return providerCache.get(name);
+}
+
+/**
+ * Generate an image with the first provider in the failover order that succeeds
+ * @param {string} prompt - text-to-image prompt
+ * @param {Object} options - { width, height, order } where order overrides IMAGE_PROVIDERS
+ * @returns {Promise<Object>} - { buffer, provider, attempts, failures } where
+ *   failures lists the providers that failed before it, e.g. "huggingface: ..."
+ */
+async function generateImage(prompt, { width = 1024, height = 1024, order = resolveImageProviderOrder() } = {}) {
+  const failures = [];
+
+  for (const name of order) {
+    try {
+      const provider = getImageProvider(name);
+      const { buffer, attempts } = await withRetries(
+        () => provider.generate(prompt, { width, height }),
+        { provider: name }
+      );
+      return { buffer, provider: name, attempts, failures };
+    } catch (error) {
+      const attempts = error.attempts ? ` after ${error.attempts} attempt${error.attempts === 1 ? '' : 's'}` : '';
+      console.warn(`Image provider "${name}" failed${attempts}: ${error.message}`);
+      failures.push(`${name}: ${error.message}`);
+    }
+  }
+
+  throw new Error(`No image provider succeeded (${failures.join('; ')})`);
+}
+
+/**
+ * Failover order with each provider's model, for logs and /api/health
+ */
+function describeImageProviders() {
+  return resolveImageProviderOrder().map(name => {
+    try {
+      const provider = getImageProvider(name);
+      return `${provider.name}:${provider.model}`;
+    } catch (error) {
+      return `error: ${error.message}`;
+    }
+  });
+}
+
+module.exports = {
+  IMAGE_PROVIDER_FACTORIES,
+  resolveImageProviderOrder,
+  getImageProvider,
+  generateImage,
+  describeImageProviders
+};
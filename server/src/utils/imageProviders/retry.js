@@ -0,0 +1,118 @@
+const fetch = require('node-fetch');
+
+// Retries per provider after the first try, the first backoff delay (doubled
+// on every retry) and the longest wait we accept before moving on to the next
+// provider instead - a model that says it needs five minutes to load isn't
+// worth blocking a note for
+const configuredRetries = parseInt(process.env.IMAGE_RETRY_ATTEMPTS, 10);
+const IMAGE_RETRY_ATTEMPTS = Number.isNaN(configuredRetries) ? 3 : Math.max(0, configuredRetries);
+const IMAGE_RETRY_BASE_MS = parseInt(process.env.IMAGE_RETRY_BASE_MS, 10) || 1000;
+const IMAGE_RETRY_MAX_WAIT_MS = parseInt(process.env.IMAGE_RETRY_MAX_WAIT_MS, 10) || 60000;
+
+/**
+ * A failed text-to-image call. retryable says whether the same provider is
+ * worth asking again (model loading, rate limited, timed out, 5xx) and
+ * retryAfterMs is how long the provider asked us to wait, when it said.
+ */
+class ImageProviderError extends Error {
+  constructor(message, { provider, status = null, retryable = false, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'ImageProviderError';
+    this.provider = provider;
+    this.status = status;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * Milliseconds to wait from a Retry-After header, which is either a number of
+ * seconds or an HTTP date. Null when missing or unparseable.
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Statuses worth retrying on the same provider
+ */
+const isRetryableStatus = (status) => status === 408 || status === 429 || status >= 500;
+
+/**
+ * fetch with a timeout. A timeout is reported as a retryable ImageProviderError.
+ */
+async function fetchWithTimeout(url, options, { provider, timeoutMs }) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await fetch(url, { ...options, signal: controller.signal });
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new ImageProviderError(`${provider} timed out after ${timeoutMs}ms`, { provider, retryable: true });
+    }
+    // Connection refused, DNS... the endpoint may just be restarting
+    throw new ImageProviderError(`${provider} request failed: ${error.message}`, { provider, retryable: true });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Delay before retry number `retry` (1-based): exponential backoff with a
+ * little jitter, or what the provider asked for if that is longer
+ */
+function retryDelay(retry, retryAfterMs, baseMs = IMAGE_RETRY_BASE_MS) {
+  const backoff = baseMs * 2 ** (retry - 1);
+  const jitter = Math.random() * baseMs * 0.25;
+  return Math.max(backoff + jitter, retryAfterMs || 0);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run a provider call, retrying retryable failures with exponential backoff.
+ * Gives up early when the provider asks for a longer wait than maxWaitMs.
+ * @param {Function} call - () => Promise<Buffer>
+ * @param {Object} options - { provider, retries, baseMs, maxWaitMs }
+ * @returns {Promise<Object>} - { buffer, attempts }
+ */
+async function withRetries(call, {
+  provider,
+  retries = IMAGE_RETRY_ATTEMPTS,
+  baseMs = IMAGE_RETRY_BASE_MS,
+  maxWaitMs = IMAGE_RETRY_MAX_WAIT_MS
+} = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const buffer = await call();
+      return { buffer, attempts: attempt };
+    } catch (error) {
+      error.attempts = attempt;
+      if (!error.retryable || attempt > retries) throw error;
+
+      const delay = retryDelay(attempt, error.retryAfterMs, baseMs);
+      if (delay > maxWaitMs) {
+        error.message += ` (asked to wait ${Math.round(delay / 1000)}s, giving up)`;
+        throw error;
+      }
+      console.warn(`Image provider "${provider}" failed (attempt ${attempt}): ${error.message} - retrying in ${Math.round(delay)}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = {
+  IMAGE_RETRY_ATTEMPTS,
+  IMAGE_RETRY_BASE_MS,
+  IMAGE_RETRY_MAX_WAIT_MS,
+  ImageProviderError,
+  parseRetryAfter,
+  isRetryableStatus,
+  fetchWithTimeout,
+  retryDelay,
+  withRetries
+};
@@ -0,0 +1,80 @@
+const zlib = require('zlib');
+
+// CRC-32 table for PNG chunk checksums
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const pngChunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+};
+
+/**
+ * A plain PNG - a border and a grid tinted by the prompt - built without
+ * canvas, so the stub works on machines where canvas isn't installed.
+ * The same prompt always gives the same image.
+ */
+function createStubPng(prompt, { width = 1024, height = 1024 } = {}) {
+  let hash = 0;
+  for (const ch of prompt || '') hash = (hash * 31 + ch.charCodeAt(0)) >>> 0;
+  const tint = [150 + (hash & 0x3f), 150 + ((hash >> 6) & 0x3f), 150 + ((hash >> 12) & 0x3f)];
+  const border = Math.max(4, Math.round(Math.min(width, height) / 50));
+  const cell = Math.max(16, Math.round(Math.min(width, height) / 8));
+
+  // One filter byte (0 = none) then RGB for every row
+  const raw = Buffer.alloc((width * 3 + 1) * height);
+  for (let y = 0; y < height; y++) {
+    const row = y * (width * 3 + 1);
+    for (let x = 0; x < width; x++) {
+      const edge = x < border || y < border || x >= width - border || y >= height - border;
+      const grid = x % cell === 0 || y % cell === 0;
+      const color = edge ? [60, 60, 60] : grid ? tint : [245, 245, 245];
+      raw.set(color, row + 1 + x * 3);
+    }
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 2; // truecolor RGB
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+/**
+ * Stand-in image provider for development and tests: answers instantly with
+ * a generated PNG and never calls out
+ */
+function createStubProvider() {
+  return {
+    name: 'stub',
+    model: 'stub',
+    timeoutMs: 0,
+
+    async generate(prompt, { width = 1024, height = 1024 } = {}) {
+      return createStubPng(prompt, { width, height });
+    }
+  };
+}
+
+module.exports = createStubProvider;
+module.exports.createStubPng = createStubPng;
@@ -0,0 +1,86 @@
+/**
+ * Local stand-in for the text-to-image services, for developing and testing
+ * the image provider chain without a GPU or a Hugging Face key:
+ *
+ *   npm run image-stub
+ *   AUTOMATIC1111_BASE_URL=http://127.0.0.1:7861
+ *   HUGGINGFACE_BASE_URL=http://127.0.0.1:7861/models HUGGINGFACE_API_KEY=anything
+ *
+ * It answers POST /sdapi/v1/txt2img like Automatic1111 and any other POST like
+ * the Hugging Face Inference API, with the stub provider's PNG. To exercise
+ * retries it can fail the first requests the way real services do:
+ *   IMAGE_STUB_FAIL=503   "model loading" with estimated_time, like Hugging Face
+ *   IMAGE_STUB_FAIL=429   rate limited with a Retry-After header
+ *   IMAGE_STUB_FAIL_COUNT how many requests fail before it recovers (default 2)
+ *   IMAGE_STUB_DELAY_MS   extra latency per request, for timeouts
+ */
+const http = require('http');
+const { createStubPng } = require('./stub');
+
+const PORT = parseInt(process.env.IMAGE_STUB_PORT, 10) || 7861;
+const FAIL_STATUS = parseInt(process.env.IMAGE_STUB_FAIL, 10) || null;
+const configuredFailCount = parseInt(process.env.IMAGE_STUB_FAIL_COUNT, 10);
+const FAIL_COUNT = Number.isNaN(configuredFailCount) ? 2 : configuredFailCount;
+const DELAY_MS = parseInt(process.env.IMAGE_STUB_DELAY_MS, 10) || 0;
+
+let failuresLeft = FAIL_STATUS ? FAIL_COUNT : 0;
+
+const sendJson = (res, status, body, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * Create the stand-in server (not listening yet)
+ */
+function createStubServer() {
+  return http.createServer((req, res) => {
+    if (req.method !== 'POST') {
+      return sendJson(res, 404, { detail: 'Not Found' });
+    }
+    const automatic1111 = req.url === '/sdapi/v1/txt2img';
+
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      setTimeout(() => {
+        if (failuresLeft > 0) {
+          failuresLeft--;
+          if (FAIL_STATUS === 429) {
+            return sendJson(res, 429, { error: 'Rate limit reached' }, { 'Retry-After': '1' });
+          }
+          return sendJson(res, FAIL_STATUS, { error: 'Model is currently loading', estimated_time: 1.5 });
+        }
+
+        let body;
+        try {
+          body = JSON.parse(raw || '{}');
+        } catch (error) {
+          return sendJson(res, 422, { detail: `Invalid JSON: ${error.message}` });
+        }
+
+        // Hugging Face nests the size under parameters and calls the prompt inputs
+        const params = automatic1111 ? body : (body.parameters || {});
+        const prompt = (automatic1111 ? body.prompt : body.inputs) || '';
+        const width = Math.min(parseInt(params.width, 10) || 512, 2048);
+        const height = Math.min(parseInt(params.height, 10) || 512, 2048);
+        const png = createStubPng(prompt, { width, height });
+        console.log(`${automatic1111 ? 'txt2img' : req.url} ${width}x${height}: ${prompt.substring(0, 60)}`);
+
+        if (automatic1111) {
+          return sendJson(res, 200, { images: [png.toString('base64')], parameters: body, info: '{}' });
+        }
+        res.writeHead(200, { 'Content-Type': 'image/png' });
+        res.end(png);
+      }, DELAY_MS);
+    });
+  });
+}
+
+if (require.main === module) {
+  createStubServer().listen(PORT, '127.0.0.1', () => {
+    console.log(`Image stub server listening on http://127.0.0.1:${PORT}${FAIL_STATUS ? ` (failing the first ${FAIL_COUNT} requests with ${FAIL_STATUS})` : ''}`);
+  });
+}
+
+module.exports = { createStubServer };
@@ -0,0 +1,63 @@
+const { EventEmitter } = require('events');
+
+// In-process event bus for job progress. Streams subscribe per job id.
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // One listener per open stream - no fixed limit
+
+// Recent events per job, replayed to streams that connect mid-job
+const history = new Map();
+const MAX_HISTORY_EVENTS = 100;
+const HISTORY_TTL_MS = 10 * 60 * 1000; // Keep finished jobs' events for 10 minutes
+
+// Events after which no more events will be published for a job
+const TERMINAL_EVENTS = ['complete', 'failed'];
+
+/**
+ * Publish an event for a job to all current subscribers
+ * @param {string} jobId
+ * @param {string} type - progress | summary | visual | structure | pdf | complete | failed
+ * @param {Object} data - JSON-serializable payload
+ */
+function publishJobEvent(jobId, type, data = {}) {
+  const event = { type, data, timestamp: new Date().toISOString() };
+
+  if (!history.has(jobId)) {
+    history.set(jobId, []);
+  }
+  const events = history.get(jobId);
+  events.push(event);
+  if (events.length > MAX_HISTORY_EVENTS) {
+    // Never drop the summary - late subscribers need it to render anything
+    const dropIndex = events.findIndex(e => e.type !== 'summary');
+    events.splice(dropIndex, 1);
+  }
+
+  if (TERMINAL_EVENTS.includes(type)) {
+    setTimeout(() => history.delete(jobId), HISTORY_TTL_MS).unref();
+  }
+
+  emitter.emit(jobId, event);
+}
+
+/**
+ * Subscribe to a job's events
+ * @returns {Function} - unsubscribe
+ */
+function subscribeToJob(jobId, listener) {
+  emitter.on(jobId, listener);
+  return () => emitter.off(jobId, listener);
+}
+
+/**
+ * Events already published for a job, oldest first
+ */
+function getJobEventHistory(jobId) {
+  return [...(history.get(jobId) || [])];
+}
+
+module.exports = {
+  TERMINAL_EVENTS,
+  publishJobEvent,
+  subscribeToJob,
+  getJobEventHistory
+};
@@ -0,0 +1,488 @@
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const { runNotePipeline, PIPELINE_STAGES } = require('./notePipeline');
+const {
+  createJob,
+  failStaleJob,
+  getJob,
+  listUnfinishedJobs,
+  updateUnfinishedJob,
+  saveJobContent
+} = require('./jobStore');
+const { publishJobEvent, subscribeToJob, TERMINAL_EVENTS } = require('./jobEvents');
+const { runWithQuotaUser, isQuotaError } = require('./quota');
+
+// How long synchronous callers wait for a job before getting it back unfinished
+const JOB_WAIT_TIMEOUT_MS = parseInt(process.env.JOB_WAIT_TIMEOUT_MS, 10) || 5 * 60 * 1000;
+
+// Running jobs bump their updatedAt this often, even through long stages. An
+// unfinished job not updated for JOB_STALE_MS has lost its server (a restart,
+// a crash, a deploy) and is failed by the stale job sweep of any instance.
+const JOB_HEARTBEAT_MS = parseInt(process.env.JOB_HEARTBEAT_MS, 10) || 30 * 1000;
+const JOB_STALE_MS = parseInt(process.env.JOB_STALE_MS, 10) || 5 * 60 * 1000;
+const STALE_SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Recorded on the jobs this instance runs, to tell in logs whose job went stale
+const INSTANCE_ID = process.env.INSTANCE_ID || crypto.randomUUID();
+
+// Jobs this process is working on - the only ones whose progress events it publishes
+const runningJobs = new Set();
+
+// Relative share of the overall progress bar for each pipeline stage
+const STAGE_WEIGHTS = {
+  analyzing: 20,
+  diagrams: 25,
+  flowcharts: 25,
+  layout: 10,
+  rendering: 20
+};
+
+/**
+ * Overall completion percentage (0-100) from the per-stage records
+ */
+function computeProgress(stages) {
+  let progress = 0;
+  for (const stage of PIPELINE_STAGES) {
+    const record = stages[stage];
+    if (!record) continue;
+
+    if (record.status === 'completed' || record.status === 'skipped') {
+      progress += STAGE_WEIGHTS[stage];
+    } else if (record.status === 'running' && record.total > 0) {
+      progress += STAGE_WEIGHTS[stage] * (record.completed || 0) / record.total;
+    }
+  }
+  return Math.round(progress);
+}
+
+// Source text kept for chat grounding is capped to stay well inside
+// Firestore's 1 MiB document limit
+const MAX_STORED_SOURCE_LENGTH = 200000; // characters
+
+/**
+ * What chat answers are grounded in: the document's sections (or the outline
+ * when no document structure was generated), key terms and the source text
+ */
+function buildNoteContent(result, sourceText) {
+  let sections = (result.docStructure?.sections || [])
+    .map(section => ({ heading: section.heading || '', content: section.content || '' }));
+
+  if (sections.length === 0) {
+    sections = (result.beautifiedOutput.outline || []).map(topic => ({
+      heading: topic.heading,
+      content: [
+        ...(topic.points || []),
+        ...(topic.subsections || []).map(sub => `${sub.heading}: ${(sub.points || []).join('; ')}`)
+      ].join('\n')
+    }));
+  }
+
+  return {
+    sections,
+    keyTerms: result.beautifiedOutput.key_terms || [],
+    sourceText: (sourceText || '').substring(0, MAX_STORED_SOURCE_LENGTH)
+  };
+}
+
+/**
+ * Save a buffer to Firebase Storage and return a long-lived signed URL
+ */
+async function saveToStorage(filePath, buffer, contentType) {
+  const fileRef = admin.storage().bucket().file(filePath);
+  await fileRef.save(buffer, { metadata: { contentType } });
+
+  const [url] = await fileRef.getSignedUrl({
+    action: 'read',
+    expires: '03-01-2500' // Far future expiry
+  });
+  return url;
+}
+
+/**
+ * Base64 PNG thumbnail of a rendered visual for progress events, or null
+ */
+async function createVisualThumbnail(buffer) {
+  if (!buffer) return null;
+  try {
+    // Loaded lazily, like the rest of the visual pipeline
+    const { createThumbnail } = require('./visualUtils');
+    const thumbnail = await createThumbnail(buffer);
+    return thumbnail ? thumbnail.toString('base64') : null;
+  } catch (error) {
+    console.warn('Thumbnail generation unavailable:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Path of a user's upload in the project's Storage bucket, from a gs://,
+ * storage.googleapis.com or Firebase download URL, or null for anything
+ * else. Input files are read from the bucket, never fetched from the URL,
+ * and only from the user's own uploads/ folder.
+ */
+function uploadPathFromUrl(fileUrl, userId) {
+  if (typeof fileUrl !== 'string' || !userId) return null;
+
+  let url;
+  let bucketName;
+  try {
+    url = new URL(fileUrl);
+    bucketName = admin.storage().bucket().name;
+  } catch (error) {
+    return null;
+  }
+
+  let urlBucket;
+  let filePath;
+  if (url.protocol === 'gs:') {
+    urlBucket = url.hostname;
+    filePath = url.pathname.slice(1);
+  } else if (url.protocol === 'https:' && url.hostname === 'storage.googleapis.com') {
+    [urlBucket, ...filePath] = url.pathname.slice(1).split('/');
+    filePath = filePath.join('/');
+  } else if (url.protocol === 'https:' && url.hostname === 'firebasestorage.googleapis.com') {
+    const match = url.pathname.match(/^\/v0\/b\/([^/]+)\/o\/([^/]+)$/);
+    if (!match) return null;
+    [, urlBucket, filePath] = match;
+  } else {
+    return null;
+  }
+
+  try {
+    filePath = decodeURIComponent(filePath);
+  } catch (error) {
+    return null;
+  }
+  if (urlBucket !== bucketName) return null;
+  if (!filePath.startsWith(`uploads/${userId}/`) || filePath.split('/').includes('..')) return null;
+  return filePath;
+}
+
+/**
+ * Resolve what the pipeline should receive: text is passed as text, text files
+ * are decoded, and files uploaded to Storage are downloaded first
+ */
+async function resolvePipelineInput({ inputType, text, fileBuffer, fileUrl, diagramBackend, pdfOptions }, userId) {
+  let buffer = fileBuffer || null;
+
+  if (!buffer && fileUrl) {
+    const uploadPath = uploadPathFromUrl(fileUrl, userId);
+    if (!uploadPath) {
+      throw new Error('Input file URL is not an upload in this project\'s Storage bucket');
+    }
+    const fileRef = admin.storage().bucket().file(uploadPath);
+    [buffer] = await fileRef.download();
+    if (!inputType || inputType === 'unknown') {
+      const [metadata] = await fileRef.getMetadata();
+      inputType = metadata.contentType || 'application/octet-stream';
+    }
+  }
+
+  if (buffer && inputType.startsWith('text/')) {
+    // Text files are sent to the model as text, not as file parts
+    return { inputType, text: text || buffer.toString('utf8'), fileBuffer: null, diagramBackend, pdfOptions };
+  }
+
+  return { inputType, text: text || '', fileBuffer: buffer, diagramBackend, pdfOptions };
+}
+
+/**
+ * Run the note pipeline for a job, recording per-stage progress and any error
+ * on the job record, and store the resulting PDF
+ */
+async function runJob(jobId, userId, input) {
+  const stages = {};
+
+  // Firestore doesn't guarantee ordering between concurrent writes, and diagrams
+  // and flowcharts report in parallel - so progress updates are chained.
+  // Resolves false once the job has been failed as stale.
+  let pendingUpdate = Promise.resolve();
+  const queueUpdate = (fields) => {
+    pendingUpdate = pendingUpdate
+      .then(() => updateUnfinishedJob(jobId, fields))
+      .catch(err => console.error(`Failed to update job ${jobId}:`, err.message));
+    return pendingUpdate;
+  };
+
+  const onProgress = async ({ stage, status, completed, total, summary, error, failedChunks, visual, title, sections }) => {
+    stages[stage] = { status };
+    if (total !== undefined) {
+      stages[stage].completed = completed;
+      stages[stage].total = total;
+    }
+    if (error) stages[stage].error = error;
+    if (failedChunks) stages[stage].failedChunks = failedChunks;
+
+    const fields = {
+      status: 'processing',
+      currentStage: stage,
+      stages: { ...stages },
+      progress: computeProgress(stages)
+    };
+    if (summary) fields.summary = summary;
+
+    publishJobEvent(jobId, 'progress', {
+      stage,
+      status,
+      stages: fields.stages,
+      progress: fields.progress
+    });
+
+    if (summary) {
+      publishJobEvent(jobId, 'summary', { summary });
+    }
+
+    if (visual) {
+      publishJobEvent(jobId, 'visual', {
+        kind: stage === 'diagrams' ? 'diagram' : 'flowchart',
+        index: visual.index,
+        name: visual.name || null,
+        error: visual.error || null,
+        // Served from the visual asset cache rather than rendered
+        cached: !!visual.cached,
+        // Diagrams only: the backend that drew it (image, spec or placeholder) and the image provider
+        ...(visual.backend ? { backend: visual.backend, provider: visual.provider || null } : {}),
+        // Flowcharts only: parser attempts and the error left after repair
+        ...(visual.attempts !== undefined ? {
+          attempts: visual.attempts,
+          validationError: visual.validationError || null
+        } : {}),
+        thumbnail: await createVisualThumbnail(visual.buffer),
+        completed,
+        total
+      });
+    }
+
+    if (stage === 'layout' && status === 'completed') {
+      publishJobEvent(jobId, 'structure', { title, sections });
+    }
+
+    return queueUpdate(fields);
+  };
+
+  try {
+    const pipelineInput = await resolvePipelineInput(input, userId);
+    // Charge the pipeline's tokens and diagrams to the job's owner
+    const result = await runWithQuotaUser(userId, () => runNotePipeline(pipelineInput, { onProgress }));
+
+    const pdfPath = `notes/${userId}/${jobId}.pdf`;
+    const noteUrl = await saveToStorage(pdfPath, result.pdfBuffer, 'application/pdf');
+
+    try {
+      await saveJobContent(jobId, buildNoteContent(result, pipelineInput.text));
+    } catch (contentError) {
+      // The note itself is fine - it just can't be chatted with
+      console.error(`Failed to store content for job ${jobId}:`, contentError.message);
+    }
+
+    publishJobEvent(jobId, 'pdf', {
+      noteUrl,
+      documentTitle: result.documentTitle,
+      size: result.pdfBuffer.length
+    });
+
+    const updated = await queueUpdate({
+      status: 'completed',
+      currentStage: null,
+      progress: 100,
+      noteUrl,
+      pdfPath,
+      documentTitle: result.documentTitle,
+      summary: result.beautifiedOutput.summary,
+      error: null
+    });
+    if (updated === false) {
+      console.warn(`Job ${jobId} finished after it was failed as stale, leaving it failed`);
+      return;
+    }
+
+    publishJobEvent(jobId, 'complete', {
+      noteUrl,
+      documentTitle: result.documentTitle,
+      summary: result.beautifiedOutput.summary
+    });
+  } catch (error) {
+    console.error(`Note pipeline failed for job ${jobId}:`, error);
+
+    const quota = isQuotaError(error) ? error.toJSON() : null;
+
+    const updated = await queueUpdate({
+      status: 'failed',
+      error: error.message || 'Unknown error',
+      failedStage: error.stage || null,
+      quota
+    });
+    if (updated === false) return;
+
+    publishJobEvent(jobId, 'failed', {
+      error: error.message || 'Unknown error',
+      failedStage: error.stage || null,
+      quota
+    });
+  }
+}
+
+/**
+ * Create a job for a note submission and start processing it in the background.
+ * Retried submissions with the same idempotency key return the original job.
+ *
+ * @param {Object} submission - { userId, title, text, file, fileUrl, fileType, diagramBackend, pdfOptions, idempotencyKey }
+ *   where file is a multer file ({ buffer, mimetype, originalname })
+ * @returns {Promise<{job: Object, created: boolean}>}
+ */
+async function submitJob({ userId, title, text, file, fileUrl, fileType, diagramBackend, pdfOptions, idempotencyKey }) {
+  let inputType;
+  let inputContent;
+
+  if (file) {
+    inputType = file.mimetype;
+    inputContent = file.originalname;
+  } else if (fileUrl) {
+    inputType = fileType || 'unknown';
+    inputContent = fileUrl;
+  } else {
+    inputType = 'text/plain';
+    inputContent = text;
+  }
+
+  const { job, created } = await createJob({
+    userId,
+    inputType,
+    inputContent,
+    title: title || (file && file.originalname) || `Note ${new Date().toLocaleString()}`,
+    owner: INSTANCE_ID
+  }, idempotencyKey);
+
+  if (!created) {
+    return { job, created };
+  }
+
+  const run = async () => {
+    if (file) {
+      // Keep a copy of the original upload alongside the generated note
+      const uploadPath = `uploads/${userId}/${Date.now()}_${file.originalname}`;
+      const uploadUrl = await saveToStorage(uploadPath, file.buffer, file.mimetype);
+      await updateUnfinishedJob(job.id, { inputContent: uploadUrl });
+    }
+
+    await runJob(job.id, userId, {
+      inputType,
+      text,
+      fileBuffer: file ? file.buffer : null,
+      fileUrl: file ? null : fileUrl,
+      diagramBackend,
+      pdfOptions
+    });
+  };
+
+  // Keep the job's updatedAt fresh for the stale job sweep while it runs
+  const heartbeat = setInterval(() => {
+    updateUnfinishedJob(job.id, { owner: INSTANCE_ID })
+      .catch(err => console.error(`Failed to record heartbeat of job ${job.id}:`, err.message));
+  }, JOB_HEARTBEAT_MS);
+  heartbeat.unref();
+
+  // Process asynchronously - runJob records its own failures, this only
+  // catches errors from storing the upload
+  runningJobs.add(job.id);
+  run().catch(err => {
+    console.error(`Error processing job ${job.id}:`, err);
+    updateUnfinishedJob(job.id, { status: 'failed', error: err.message, failedStage: 'upload' })
+      .then(updated => {
+        if (updated) publishJobEvent(job.id, 'failed', { error: err.message, failedStage: 'upload' });
+      })
+      .catch(updateError => console.error(`Failed to update job ${job.id}:`, updateError.message));
+  }).finally(() => {
+    clearInterval(heartbeat);
+    runningJobs.delete(job.id);
+  });
+
+  return { job, created };
+}
+
+/**
+ * Whether a job is being processed by this instance, which is the only one
+ * publishing its progress events
+ */
+const isJobRunningHere = (jobId) => runningJobs.has(jobId);
+
+const STALE_JOB_ERROR = 'Processing stopped because the server working on this note went away. Please submit the note again.';
+
+/**
+ * Fail unfinished jobs whose heartbeat is older than JOB_STALE_MS, whichever
+ * instance ran them. A job updated since it was listed is left alone.
+ * @returns {Promise<number>} - how many jobs were failed
+ */
+async function failStaleJobs(now = Date.now()) {
+  const staleJobs = (await listUnfinishedJobs())
+    .filter(job => !job.updatedAt || now - new Date(job.updatedAt).getTime() > JOB_STALE_MS);
+
+  let failedCount = 0;
+  for (const job of staleJobs) {
+    const failedStage = job.currentStage || null;
+    if (await failStaleJob(job.id, job.updatedAt, { error: STALE_JOB_ERROR, failedStage })) {
+      console.warn(`Failed stale job ${job.id} (${job.status}, owner ${job.owner || 'unknown'}, last updated ${job.updatedAt})`);
+      publishJobEvent(job.id, 'failed', { error: STALE_JOB_ERROR, failedStage });
+      failedCount++;
+    }
+  }
+  return failedCount;
+}
+
+/**
+ * Run failStaleJobs now and then every minute
+ */
+function startStaleJobSweep() {
+  const sweep = () => failStaleJobs()
+    .catch(error => console.error('Stale job sweep failed:', error.message));
+
+  sweep();
+  setInterval(sweep, STALE_SWEEP_INTERVAL_MS).unref();
+}
+
+/**
+ * Wait until a job has completed or failed.
+ * Resolves with the job record - still unfinished if the timeout was reached first.
+ */
+function waitForJob(jobId, timeoutMs = JOB_WAIT_TIMEOUT_MS) {
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    let unsubscribe = () => {};
+
+    const settle = (jobPromise) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      unsubscribe();
+      jobPromise.then(resolve, reject);
+    };
+
+    const timer = setTimeout(() => settle(getJob(jobId)), timeoutMs);
+
+    unsubscribe = subscribeToJob(jobId, (event) => {
+      if (TERMINAL_EVENTS.includes(event.type)) {
+        settle(getJob(jobId));
+      }
+    });
+
+    // The job may already be finished
+    getJob(jobId)
+      .then(job => {
+        if (!job || job.status === 'completed' || job.status === 'failed') {
+          settle(Promise.resolve(job));
+        }
+      })
+      .catch(error => settle(Promise.reject(error)));
+  });
+}
+
+module.exports = {
+  computeProgress,
+  failStaleJobs,
+  isJobRunningHere,
+  startStaleJobSweep,
+  uploadPathFromUrl,
+  runJob,
+  submitJob,
+  waitForJob
+};
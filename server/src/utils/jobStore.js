@@ -0,0 +1,234 @@
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+
+// Jobs live in the same collection the Dashboard already lists, so every
+// submission shows up as a note while it is being processed
+const JOBS_COLLECTION = 'processedNotes';
+
+// Firestore error code for "document already exists"
+const ALREADY_EXISTS = 6;
+
+// Statuses of jobs that haven't completed or failed yet
+const UNFINISHED_STATUSES = ['queued', 'processing'];
+
+const jobsCollection = () => admin.firestore().collection(JOBS_COLLECTION);
+
+/**
+ * Convert Firestore timestamps to ISO strings so records can be sent as JSON.
+ * Shared with the other Firestore stores.
+ */
+const toIsoString = (value) => {
+  if (!value) return null;
+  if (typeof value.toDate === 'function') return value.toDate().toISOString();
+  if (value instanceof Date) return value.toISOString();
+  return value;
+};
+
+/**
+ * Public representation of a job document
+ */
+const serializeJob = (snapshot) => {
+  const data = snapshot.data() || {};
+  return {
+    id: snapshot.id,
+    userId: data.userId,
+    title: data.title,
+    inputType: data.inputType,
+    status: data.status,
+    currentStage: data.currentStage || null,
+    stages: data.stages || {},
+    progress: data.progress || 0,
+    summary: data.summary || null,
+    documentTitle: data.documentTitle || null,
+    noteUrl: data.noteUrl || null,
+    pdfPath: data.pdfPath || null,
+    error: data.error || null,
+    failedStage: data.failedStage || null,
+    quota: data.quota || null,
+    idempotencyKey: data.idempotencyKey || null,
+    createdAt: toIsoString(data.createdAt),
+    updatedAt: toIsoString(data.updatedAt)
+  };
+};
+
+/**
+ * Deterministic document id for an idempotent submission, so two concurrent
+ * retries race on the same document instead of creating two jobs
+ */
+const idempotentJobId = (userId, idempotencyKey) => crypto
+  .createHash('sha256')
+  .update(`${userId || 'anonymous'}:${idempotencyKey}`)
+  .digest('hex')
+  .substring(0, 20);
+
+/**
+ * Create a job record. If an idempotency key is given and a job already exists
+ * for it, the existing job is returned with created=false - unless that job
+ * failed, in which case it is replaced so the submission can be retried.
+ * @returns {Promise<{job: Object, created: boolean}>}
+ */
+async function createJob(data, idempotencyKey = null) {
+  const record = {
+    ...data,
+    status: 'queued',
+    currentStage: null,
+    stages: {},
+    progress: 0,
+    idempotencyKey: idempotencyKey || null,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  };
+
+  if (!idempotencyKey) {
+    const ref = await jobsCollection().add(record);
+    return { job: serializeJob(await ref.get()), created: true };
+  }
+
+  const ref = jobsCollection().doc(idempotentJobId(data.userId, idempotencyKey));
+  try {
+    await ref.create(record);
+    return { job: serializeJob(await ref.get()), created: true };
+  } catch (error) {
+    if (error.code !== ALREADY_EXISTS) throw error;
+  }
+
+  // Replace a failed job in a transaction, so concurrent retries still start one job
+  const replaced = await admin.firestore().runTransaction(async (transaction) => {
+    const existing = await transaction.get(ref);
+    if (existing.exists && existing.data().status !== 'failed') return false;
+    transaction.set(ref, record);
+    return true;
+  });
+
+  if (replaced) {
+    console.log(`Resubmission for key ${idempotencyKey}, restarting failed job ${ref.id}`);
+  } else {
+    console.log(`Idempotent replay for key ${idempotencyKey}, returning existing job ${ref.id}`);
+  }
+  return { job: serializeJob(await ref.get()), created: replaced };
+}
+
+/**
+ * Fetch a single job, or null if it doesn't exist
+ */
+async function getJob(jobId) {
+  const snapshot = await jobsCollection().doc(jobId).get();
+  return snapshot.exists ? serializeJob(snapshot) : null;
+}
+
+/**
+ * List a user's jobs, newest first
+ */
+async function listJobs(userId, limit = 20) {
+  const snapshot = await jobsCollection()
+    .where('userId', '==', userId)
+    .get();
+
+  // Sorted in memory to avoid requiring a composite Firestore index
+  return snapshot.docs
+    .map(serializeJob)
+    .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''))
+    .slice(0, limit);
+}
+
+/**
+ * Jobs still queued or processing, across all users, with the id of the
+ * server instance running each (owner)
+ */
+async function listUnfinishedJobs() {
+  const snapshot = await jobsCollection()
+    .where('status', 'in', UNFINISHED_STATUSES)
+    .get();
+  return snapshot.docs.map(doc => ({ ...serializeJob(doc), owner: doc.data().owner || null }));
+}
+
+/**
+ * Apply a partial update to a job, always bumping updatedAt
+ */
+async function updateJob(jobId, fields) {
+  return jobsCollection().doc(jobId).update({
+    ...fields,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+}
+
+/**
+ * Apply a partial update to a job that hasn't completed or failed yet. Checked
+ * in a transaction, so a run whose job was failed as stale can't bring it back.
+ * @returns {Promise<boolean>} - whether the job was updated
+ */
+async function updateUnfinishedJob(jobId, fields) {
+  const ref = jobsCollection().doc(jobId);
+  return admin.firestore().runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(ref);
+    if (!snapshot.exists || !UNFINISHED_STATUSES.includes(snapshot.data().status)) return false;
+    transaction.update(ref, {
+      ...fields,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return true;
+  });
+}
+
+/**
+ * Mark a stale job failed, unless it has finished or been updated since it
+ * was found stale - its heartbeat may have come in after all
+ * @param {string} staleUpdatedAt - the job's updatedAt when it was found stale
+ * @param {Object} fields - { error, failedStage }
+ * @returns {Promise<boolean>} - whether the job was failed
+ */
+async function failStaleJob(jobId, staleUpdatedAt, fields) {
+  const ref = jobsCollection().doc(jobId);
+  return admin.firestore().runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(ref);
+    if (!snapshot.exists) return false;
+    const data = snapshot.data();
+    if (!UNFINISHED_STATUSES.includes(data.status) || toIsoString(data.updatedAt) !== staleUpdatedAt) return false;
+    transaction.update(ref, {
+      ...fields,
+      status: 'failed',
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return true;
+  });
+}
+
+// The note's full content (sections and source text) is kept in a document of
+// its own, so listing jobs - which the Dashboard does on every visit - stays small
+const contentDoc = (jobId) => jobsCollection().doc(jobId).collection('content').doc('note');
+
+/**
+ * Store the content of a finished note, used to ground chat answers
+ * @param {Object} content - { sections: [{ heading, content }], keyTerms, sourceText }
+ */
+async function saveJobContent(jobId, content) {
+  return contentDoc(jobId).set({
+    ...content,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+}
+
+/**
+ * Content stored for a note, or null for notes created before it was stored
+ */
+async function getJobContent(jobId) {
+  const snapshot = await contentDoc(jobId).get();
+  if (!snapshot.exists) return null;
+  const { sections = [], keyTerms = [], sourceText = '' } = snapshot.data();
+  return { sections, keyTerms, sourceText };
+}
+
+module.exports = {
+  JOBS_COLLECTION,
+  UNFINISHED_STATUSES,
+  createJob,
+  failStaleJob,
+  getJob,
+  getJobContent,
+  listJobs,
+  listUnfinishedJobs,
+  saveJobContent,
+  toIsoString,
+  updateJob,
+  updateUnfinishedJob
+};
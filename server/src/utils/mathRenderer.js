@@ -0,0 +1,69 @@
+const { mathjax } = require('mathjax-full/js/mathjax.js');
+const { TeX } = require('mathjax-full/js/input/tex.js');
+const { SVG } = require('mathjax-full/js/output/svg.js');
+const { liteAdaptor } = require('mathjax-full/js/adaptors/liteAdaptor.js');
+const { RegisterHTMLHandler } = require('mathjax-full/js/handlers/html.js');
+const { AllPackages } = require('mathjax-full/js/input/tex/AllPackages.js');
+
+/**
+ * TeX math to SVG, rendered locally with MathJax. Glyphs come out as paths
+ * (no font cache or <use> references), so svgToPdf can draw them as vectors.
+ */
+
+const MATH_CACHE_SIZE = parseInt(process.env.MATH_CACHE_SIZE, 10) || 500;
+
+let adaptor = null;
+let mathDocument = null;
+const cache = new Map();
+
+// MathJax takes a moment to set up, so only when math first shows up
+function getMathDocument() {
+  if (!mathDocument) {
+    adaptor = liteAdaptor();
+    RegisterHTMLHandler(adaptor);
+    mathDocument = mathjax.document('', {
+      InputJax: new TeX({
+        packages: AllPackages,
+        // Throw instead of drawing the error into the formula
+        formatError: (jax, error) => { throw error; }
+      }),
+      OutputJax: new SVG({ fontCache: 'none' })
+    });
+  }
+  return mathDocument;
+}
+
+/**
+ * Render a TeX formula. Sizes are in ems of the surrounding text: the SVG's
+ * viewBox is in thousandths of an em with the baseline at y = 0.
+ * @param {string} tex - formula, without delimiters
+ * @param {Object} options - { display } for display style (\[ \] or $$ $$)
+ * @returns {Object} - { svg, width, height (above the baseline), depth (below it) }
+ * @throws {Error} - when the TeX doesn't parse
+ */
+function renderMath(tex, { display = false } = {}) {
+  const key = `${display ? 'D' : 'I'}:${tex}`;
+  if (cache.has(key)) return cache.get(key);
+
+  const node = getMathDocument().convert(tex, { display });
+  const svg = adaptor.outerHTML(adaptor.firstChild(node));
+  const viewBox = (svg.match(/viewBox="([^"]+)"/) || [])[1];
+  if (!viewBox) {
+    throw new Error('MathJax returned no SVG');
+  }
+  const [, minY, width, height] = viewBox.split(/\s+/).map(Number);
+  const result = {
+    svg,
+    width: width / 1000,
+    height: -minY / 1000,
+    depth: (height + minY) / 1000
+  };
+
+  if (cache.size >= MATH_CACHE_SIZE) cache.delete(cache.keys().next().value);
+  cache.set(key, result);
+  return result;
+}
+
+module.exports = {
+  renderMath
+};
@@ -0,0 +1,489 @@
+const MERMAID_SCRIPT_PATH = require.resolve('mermaid/dist/mermaid.min.js');
+
+const DEFAULT_OPTIONS = {
+  poolSize: parseInt(process.env.MERMAID_POOL_SIZE, 10) || 2,
+  // Pages slowly accumulate Mermaid state and leaked DOM, so each is replaced after this many renders
+  maxRendersPerPage: parseInt(process.env.MERMAID_PAGE_MAX_RENDERS, 10) || 50,
+  renderTimeoutMs: parseInt(process.env.MERMAID_RENDER_TIMEOUT_MS, 10) || 30000,
+  healthCheckIntervalMs: parseInt(process.env.MERMAID_HEALTH_INTERVAL_MS, 10) || 30000,
+  // After the browser fails to launch, renders fail fast for this long instead of retrying every chart
+  launchRetryMs: 60000,
+  viewportWidth: parseInt(process.env.MERMAID_RENDER_WIDTH, 10) || 1200,
+  scale: parseFloat(process.env.MERMAID_RENDER_SCALE) || 2,
+  theme: process.env.MERMAID_THEME || 'default'
+};
+
+const PAGE_HTML = '<!DOCTYPE html><html><head><meta charset="utf-8"></head>' +
+  '<body style="margin:0;background:white"><div id="container"></div></body></html>';
+
+/**
+ * Mermaid rejected the diagram source. Another renderer won't do better, so
+ * callers can skip straight to their fallback.
+ */
+class MermaidSyntaxError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MermaidSyntaxError';
+    this.code = 'MERMAID_SYNTAX';
+  }
+}
+
+const withTimeout = (promise, timeoutMs, message) => {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Runs in the page (serialized by page.evaluate, so mermaid and document are
+ * the page's): render the source with the preloaded Mermaid and leave the SVG
+ * in #container so it can be measured and screenshotted.
+ *
+ * Mermaid's own SVG leans on CSS, markers and HTML labels in foreignObject,
+ * which only a browser draws correctly. What is returned instead is the
+ * rendered result flattened to plain shapes and text with their computed
+ * paint and page positions - SVG that svgToPdf can draw into a PDF.
+ */
+async function renderInPage(code, theme, renderId) {
+  const SKIPPED = 'defs, marker, clipPath, mask, symbol, style, title, desc, script';
+  const round = (value) => Math.round(value * 100) / 100;
+  const escapeXml = (text) => String(text)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  const paintable = (value) => (value && value !== 'none' && !value.startsWith('url(') ? value : 'none');
+  const isHidden = (style) => style.display === 'none' || style.visibility === 'hidden' || parseFloat(style.opacity) === 0;
+
+  function flatten(svgElement) {
+    const box = svgElement.getBoundingClientRect();
+    // Everything is placed in the SVG's own box, in CSS pixels
+    const origin = new DOMMatrix().translate(-box.left, -box.top);
+    const parts = [];
+
+    const matrixAttr = (m) => `matrix(${[m.a, m.b, m.c, m.d, m.e, m.f].map(v => round(v)).join(' ')})`;
+    const paintAttrs = (style) => {
+      const dash = style.strokeDasharray === 'none' ? '' : style.strokeDasharray.replace(/px/g, '');
+      return [
+        `fill="${paintable(style.fill)}"`,
+        `stroke="${paintable(style.stroke)}"`,
+        `stroke-width="${round(parseFloat(style.strokeWidth) || 0)}"`,
+        dash ? `stroke-dasharray="${dash}"` : '',
+        `opacity="${style.opacity}"`,
+        `fill-opacity="${style.fillOpacity}"`,
+        `stroke-opacity="${style.strokeOpacity}"`
+      ].filter(Boolean).join(' ');
+    };
+    const geometry = (el) => {
+      switch (el.tagName) {
+        case 'path': return `d="${escapeXml(el.getAttribute('d') || '')}"`;
+        case 'rect': return ['x', 'y', 'width', 'height', 'rx', 'ry']
+          .map(name => `${name}="${round(el[name].baseVal.value)}"`).join(' ');
+        case 'circle': return ['cx', 'cy', 'r'].map(name => `${name}="${round(el[name].baseVal.value)}"`).join(' ');
+        case 'ellipse': return ['cx', 'cy', 'rx', 'ry'].map(name => `${name}="${round(el[name].baseVal.value)}"`).join(' ');
+        case 'line': return ['x1', 'y1', 'x2', 'y2'].map(name => `${name}="${round(el[name].baseVal.value)}"`).join(' ');
+        default: return `points="${escapeXml(el.getAttribute('points') || '')}"`;
+      }
+    };
+    const addShape = (el, matrix, style) => {
+      parts.push(`<${el.tagName} ${geometry(el)} transform="${matrixAttr(matrix)}" ${paintAttrs(style)}/>`);
+    };
+
+    // Markers (arrowheads) are drawn into the path's coordinates at its end points
+    const addMarker = (el, which) => {
+      const style = getComputedStyle(el);
+      const ref = (which === 'end' ? style.markerEnd : style.markerStart).match(/#([^")]+)/);
+      const marker = ref && svgElement.querySelector(`marker#${CSS.escape(ref[1])}`);
+      const length = el.getTotalLength ? el.getTotalLength() : 0;
+      if (!marker || !length) return;
+
+      const at = el.getPointAtLength(which === 'end' ? length : 0);
+      const near = el.getPointAtLength(which === 'end' ? Math.max(0, length - 1) : Math.min(length, 1));
+      const direction = which === 'end'
+        ? Math.atan2(at.y - near.y, at.x - near.x)
+        : Math.atan2(near.y - at.y, near.x - at.x);
+      const orient = marker.getAttribute('orient') || '0';
+      let angle = parseFloat(orient) || 0;
+      if (orient === 'auto') angle = direction * 180 / Math.PI;
+      if (orient === 'auto-start-reverse') angle = direction * 180 / Math.PI + (which === 'start' ? 180 : 0);
+
+      const units = marker.getAttribute('markerUnits') === 'userSpaceOnUse' ? 1 : parseFloat(style.strokeWidth) || 1;
+      const viewBox = marker.viewBox.baseVal;
+      const fit = viewBox && viewBox.width && viewBox.height
+        ? Math.min(marker.markerWidth.baseVal.value / viewBox.width, marker.markerHeight.baseVal.value / viewBox.height)
+        : 1;
+      const placement = origin.multiply(el.getScreenCTM())
+        .translate(at.x, at.y)
+        .rotate(angle)
+        .scale(units * fit)
+        .translate(-marker.refX.baseVal.value, -marker.refY.baseVal.value);
+
+      marker.querySelectorAll('path, rect, circle, ellipse, line, polyline, polygon').forEach(shape => {
+        const local = shape.transform.baseVal.consolidate();
+        addShape(shape, local ? placement.multiply(local.matrix) : placement, getComputedStyle(shape));
+      });
+    };
+
+    // Text is emitted a line at a time, from where the browser laid it out
+    const addText = (node) => {
+      const parent = node.parentElement;
+      const style = getComputedStyle(parent);
+      if (isHidden(style) || !node.textContent.trim()) return;
+      const owner = parent.closest('foreignObject, text') || parent;
+      const ctm = owner.getScreenCTM ? owner.getScreenCTM() : null;
+      const fontSize = parseFloat(style.fontSize) * (ctm ? Math.hypot(ctm.a, ctm.b) : 1);
+      const color = owner.tagName === 'foreignObject' ? style.color : paintable(style.fill);
+
+      const lines = [];
+      const range = document.createRange();
+      for (let i = 0; i < node.textContent.length; i++) {
+        range.setStart(node, i);
+        range.setEnd(node, i + 1);
+        const rect = range.getBoundingClientRect();
+        const ch = node.textContent[i];
+        if (!rect.width && !rect.height) continue;
+        let line = lines[lines.length - 1];
+        if (!line || Math.abs(rect.top - line.top) > rect.height / 2) {
+          line = { text: '', left: rect.left, right: rect.right, top: rect.top, height: rect.height };
+          lines.push(line);
+        }
+        line.text += ch;
+        line.left = Math.min(line.left, rect.left);
+        line.right = Math.max(line.right, rect.right);
+      }
+
+      lines.filter(line => line.text.trim()).forEach(line => {
+        // Baseline from the line box, using Helvetica-like ascent and descent
+        const baseline = line.top + (line.height - 1.117 * fontSize) / 2 + 0.905 * fontSize;
+        const weight = parseInt(style.fontWeight, 10) >= 600 || style.fontWeight === 'bold' ? 'bold' : 'normal';
+        parts.push(`<text x="${round((line.left + line.right) / 2 - box.left)}" y="${round(baseline - box.top)}" ` +
+          `font-size="${round(fontSize)}" font-weight="${weight}" font-style="${style.fontStyle}" ` +
+          `fill="${color}" text-anchor="middle">${escapeXml(line.text.replace(/\s+/g, ' ').trim())}</text>`);
+      });
+    };
+
+    const walker = document.createTreeWalker(svgElement, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      if (node.nodeType === Node.TEXT_NODE) {
+        if (!node.parentElement.closest(SKIPPED)) addText(node);
+        continue;
+      }
+      if (!(node instanceof SVGGeometryElement) || node.closest(SKIPPED)) continue;
+      const style = getComputedStyle(node);
+      if (isHidden(style)) continue;
+      addShape(node, origin.multiply(node.getScreenCTM()), style);
+      addMarker(node, 'start');
+      addMarker(node, 'end');
+    }
+
+    const width = Math.ceil(box.width);
+    const height = Math.ceil(box.height);
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">\n` +
+      `${parts.join('\n')}\n</svg>`;
+  }
+
+  mermaid.initialize({ startOnLoad: false, securityLevel: 'strict', theme });
+  const container = document.getElementById('container');
+  container.innerHTML = '';
+  try {
+    const { svg } = await mermaid.render(renderId, code);
+    container.innerHTML = svg;
+    const svgElement = container.querySelector('svg');
+    const rect = svgElement.getBoundingClientRect();
+    return { svg: flatten(svgElement), width: Math.ceil(rect.width), height: Math.ceil(rect.height) };
+  } catch (error) {
+    return { error: error.message || String(error) };
+  } finally {
+    // Mermaid leaves its scratch element behind when rendering fails
+    const scratch = document.getElementById(`d${renderId}`);
+    if (scratch) scratch.remove();
+  }
+}
+
+/**
+ * Long-lived Mermaid renderer: one headless Chromium with a small pool of
+ * pages that already have Mermaid loaded, so a chart costs one page.evaluate
+ * and a screenshot instead of a Chromium boot per mmdc call.
+ *
+ * The browser starts on the first render. Pages are recycled after
+ * maxRendersPerPage renders, after a timeout or crash, and when the periodic
+ * health check finds them unresponsive; a disconnected browser is relaunched.
+ *
+ * @param {Object} options - see DEFAULT_OPTIONS
+ */
+function createMermaidRenderer(options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const pool = []; // { page, renders, busy }
+  const waiting = [];
+  const stats = { renders: 0, failures: 0, recycled: 0, launches: 0 };
+
+  let browser = null;
+  let starting = null;
+  let launchFailedAt = 0;
+  let lastError = null;
+  let healthTimer = null;
+  let shuttingDown = false;
+  let renderCounter = 0;
+
+  const openPage = async () => {
+    const page = await browser.newPage();
+    await page.setContent(PAGE_HTML);
+    await page.addScriptTag({ path: MERMAID_SCRIPT_PATH });
+    return { page, renders: 0, busy: false };
+  };
+
+  const launch = async () => {
+    const puppeteer = require('puppeteer');
+    browser = await puppeteer.launch({
+      headless: 'new',
+      args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage']
+    });
+    stats.launches++;
+    browser.on('disconnected', () => {
+      if (shuttingDown) return;
+      console.warn('Mermaid renderer: browser disconnected, it will be relaunched on the next render');
+      browser = null;
+      pool.length = 0;
+      // Queued renders start over, which relaunches the browser
+      waiting.splice(0).forEach(resolve => resolve(null));
+    });
+
+    for (let i = 0; i < config.poolSize; i++) {
+      pool.push(await openPage());
+    }
+    console.log(`Mermaid renderer: browser ready with ${config.poolSize} page(s)`);
+
+    if (!healthTimer && config.healthCheckIntervalMs > 0) {
+      healthTimer = setInterval(() => {
+        checkHealth().catch(error => console.warn('Mermaid renderer health check failed:', error.message));
+      }, config.healthCheckIntervalMs);
+      // Never keep the process alive just for health checks
+      healthTimer.unref();
+    }
+  };
+
+  /**
+   * Start the browser and pages once; concurrent callers share the attempt
+   */
+  const ensureStarted = async () => {
+    if (shuttingDown) throw new Error('Mermaid renderer is shutting down');
+    if (browser && browser.isConnected()) return;
+    if (Date.now() - launchFailedAt < config.launchRetryMs) {
+      throw new Error(`Mermaid renderer unavailable: ${lastError}`);
+    }
+
+    if (!starting) {
+      starting = launch()
+        .catch(async (error) => {
+          launchFailedAt = Date.now();
+          lastError = error.message.split('\n')[0];
+          if (browser) await browser.close().catch(() => {});
+          browser = null;
+          pool.length = 0;
+          throw new Error(`Mermaid renderer unavailable: ${lastError}`);
+        })
+        .finally(() => { starting = null; });
+    }
+    await starting;
+  };
+
+  /**
+   * Swap a page for a fresh one. The slot stays busy until the new page is ready.
+   */
+  const recyclePage = async (slot, reason) => {
+    stats.recycled++;
+    console.log(`Mermaid renderer: recycling page (${reason})`);
+    await slot.page.close().catch(() => {});
+    try {
+      const fresh = await openPage();
+      slot.page = fresh.page;
+      slot.renders = 0;
+    } catch (error) {
+      // Browser is gone - drop the slot; the next render relaunches
+      pool.splice(pool.indexOf(slot), 1);
+      throw error;
+    }
+  };
+
+  const acquirePage = () => new Promise(resolve => {
+    const idle = pool.find(slot => !slot.busy);
+    if (idle) {
+      idle.busy = true;
+      resolve(idle);
+    } else {
+      waiting.push(resolve);
+    }
+  });
+
+  const releasePage = (slot) => {
+    const next = waiting.shift();
+    if (!pool.includes(slot)) {
+      // The slot was dropped - a queued render has to start over
+      if (next) next(null);
+      return;
+    }
+    if (next) {
+      next(slot);
+    } else {
+      slot.busy = false;
+    }
+  };
+
+  /**
+   * Render Mermaid source
+   * @param {string} code - Mermaid diagram source, including its declaration
+   * @param {Object} options - { png, scale, theme, backgroundColor }
+   * @returns {Promise<Object>} - { svg (flattened, see renderInPage), png (Buffer, when png
+   *   is true), width, height }
+   */
+  async function render(code, { png = true, scale = config.scale, theme = config.theme, backgroundColor = 'white' } = {}) {
+    let slot = null;
+    while (!slot) {
+      // acquirePage resolves null when the pool changed under a queued render
+      await ensureStarted();
+      if (!pool.length) {
+        throw new Error('Mermaid renderer has no pages');
+      }
+      slot = await acquirePage();
+    }
+    const renderId = `mermaid-${++renderCounter}`;
+    let pageBroken = false;
+
+    try {
+      const output = await withTimeout((async () => {
+        const { page } = slot;
+        await page.setViewport({ width: config.viewportWidth, height: 800, deviceScaleFactor: scale });
+        await page.evaluate((color) => { document.body.style.background = color; }, backgroundColor);
+
+        const result = await page.evaluate(renderInPage, code, theme, renderId);
+        if (result.error) {
+          throw new MermaidSyntaxError(result.error);
+        }
+        if (!png) return { svg: result.svg, width: result.width, height: result.height };
+
+        // Make room for the whole diagram, then capture just its box
+        await page.setViewport({
+          width: Math.max(config.viewportWidth, result.width),
+          height: Math.max(1, result.height),
+          deviceScaleFactor: scale
+        });
+        const element = await page.$('#container svg');
+        const image = await element.screenshot({ omitBackground: backgroundColor === 'transparent' });
+        return { svg: result.svg, png: Buffer.from(image), width: result.width, height: result.height };
+      })(), config.renderTimeoutMs, `Mermaid render timed out after ${config.renderTimeoutMs}ms`);
+
+      stats.renders++;
+      return output;
+    } catch (error) {
+      stats.failures++;
+      if (!(error instanceof MermaidSyntaxError)) {
+        // Timed out or the page crashed - don't trust it with another chart
+        pageBroken = true;
+        lastError = error.message;
+      }
+      throw error;
+    } finally {
+      slot.renders++;
+      const reason = pageBroken ? 'render failed'
+        : slot.renders >= config.maxRendersPerPage ? `${slot.renders} renders` : null;
+      if (reason && browser) {
+        await recyclePage(slot, reason).catch(error => {
+          console.warn('Mermaid renderer: failed to replace page:', error.message);
+        });
+      }
+      releasePage(slot);
+    }
+  }
+
+  /**
+   * Ping every idle page; replace the ones that don't answer, and let the
+   * next render relaunch a browser that has gone away
+   */
+  async function checkHealth() {
+    if (!browser || shuttingDown) return health();
+
+    for (const slot of pool.filter(s => !s.busy)) {
+      slot.busy = true;
+      try {
+        const ready = await withTimeout(
+          slot.page.evaluate(() => typeof mermaid !== 'undefined'),
+          5000,
+          'page did not respond'
+        );
+        if (!ready) throw new Error('Mermaid is not loaded');
+      } catch (error) {
+        await recyclePage(slot, `health check: ${error.message}`).catch(() => {});
+      } finally {
+        releasePage(slot);
+      }
+    }
+    return health();
+  }
+
+  /**
+   * Current state, for /api/health
+   */
+  function health() {
+    let status = 'idle';
+    if (shuttingDown) status = 'stopped';
+    else if (starting) status = 'starting';
+    else if (browser && browser.isConnected()) status = pool.length ? 'ready' : 'degraded';
+    else if (launchFailedAt) status = 'unavailable';
+
+    return {
+      status,
+      pages: pool.length,
+      busy: pool.filter(slot => slot.busy).length,
+      queued: waiting.length,
+      ...stats,
+      lastError
+    };
+  }
+
+  /**
+   * Stop taking renders, give the ones in flight up to graceMs to finish, and
+   * close the browser
+   */
+  async function shutdown({ graceMs = 10000 } = {}) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    if (healthTimer) clearInterval(healthTimer);
+    // Queued renders wake up to find the renderer shutting down
+    waiting.splice(0).forEach(resolve => resolve(null));
+
+    const deadline = Date.now() + graceMs;
+    while (pool.some(slot => slot.busy) && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    if (starting) await starting.catch(() => {});
+    if (browser) {
+      await browser.close().catch(error => console.warn('Mermaid renderer: error closing browser:', error.message));
+      browser = null;
+    }
+    pool.length = 0;
+    console.log('Mermaid renderer: shut down');
+  }
+
+  return { render, checkHealth, health, shutdown };
+}
+
+// The renderer the server uses, created on first use
+let sharedRenderer = null;
+
+const getMermaidRenderer = () => {
+  if (!sharedRenderer) sharedRenderer = createMermaidRenderer();
+  return sharedRenderer;
+};
+
+const getMermaidRendererHealth = () => (sharedRenderer ? sharedRenderer.health() : { status: 'idle' });
+
+const shutdownMermaidRenderer = async (options) => {
+  if (sharedRenderer) await sharedRenderer.shutdown(options);
+};
+
+module.exports = {
+  MermaidSyntaxError,
+  createMermaidRenderer,
+  getMermaidRenderer,
+  getMermaidRendererHealth,
+  shutdownMermaidRenderer
+};
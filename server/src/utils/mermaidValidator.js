@@ -0,0 +1,122 @@
+// Mermaid and DOMPurify are ES modules, so they are loaded with import() on first use
+let mermaidPromise = null;
+
+/**
+ * Load mermaid for parsing only.
+ * Mermaid sanitizes labels with DOMPurify while parsing, and DOMPurify has no
+ * hooks or sanitizer without a DOM. Nothing parsed here is ever rendered as
+ * HTML, so it gets pass-through versions of both.
+ */
+function loadMermaid() {
+  if (!mermaidPromise) {
+    mermaidPromise = (async () => {
+      const { default: DOMPurify } = await import('dompurify');
+      if (typeof DOMPurify.addHook !== 'function') {
+        DOMPurify.addHook = () => {};
+        DOMPurify.removeHook = () => {};
+        DOMPurify.removeAllHooks = () => {};
+        DOMPurify.sanitize = (dirty) => String(dirty);
+      }
+
+      const { default: mermaid } = await import('mermaid');
+      mermaid.initialize({ startOnLoad: false, securityLevel: 'strict' });
+      return mermaid;
+    })();
+
+    // Let a later call try again rather than caching the failure
+    mermaidPromise.catch(() => { mermaidPromise = null; });
+  }
+  return mermaidPromise;
+}
+
+/**
+ * Mermaid diagram kinds the note visuals can use: the declaration a diagram of
+ * that kind starts with, the keywords Mermaid accepts for it, and how it is
+ * described in prompts and captions
+ */
+const MERMAID_DIAGRAM_KINDS = {
+  flowchart: { header: 'flowchart TD', keywords: ['flowchart', 'graph'], label: 'flowchart' },
+  sequence: { header: 'sequenceDiagram', keywords: ['sequenceDiagram'], label: 'sequence diagram' },
+  class: { header: 'classDiagram', keywords: ['classDiagram', 'classDiagram-v2'], label: 'class diagram' },
+  state: { header: 'stateDiagram-v2', keywords: ['stateDiagram', 'stateDiagram-v2'], label: 'state diagram' },
+  er: { header: 'erDiagram', keywords: ['erDiagram'], label: 'entity-relationship diagram' },
+  timeline: { header: 'timeline', keywords: ['timeline'], label: 'timeline' },
+  mindmap: { header: 'mindmap', keywords: ['mindmap'], label: 'mind map' },
+  gantt: { header: 'gantt', keywords: ['gantt'], label: 'Gantt chart' },
+  pie: { header: 'pie', keywords: ['pie'], label: 'pie chart' }
+};
+
+const DIAGRAM_KIND_NAMES = Object.keys(MERMAID_DIAGRAM_KINDS);
+
+/**
+ * How a diagram kind is described to readers, e.g. 'sequence diagram'
+ */
+const diagramKindLabel = (kind) => (MERMAID_DIAGRAM_KINDS[kind] || MERMAID_DIAGRAM_KINDS.flowchart).label;
+
+/**
+ * The first line of the code that isn't blank or a %% comment/directive
+ */
+const firstStatement = (code) => (code || '')
+  .split('\n')
+  .map(line => line.trim())
+  .find(line => line && !line.startsWith('%%')) || '';
+
+/**
+ * The kind of diagram the code declares, or null if it has no known declaration
+ */
+function detectDiagramKind(code) {
+  const keyword = firstStatement(code).split(/[\s;]/)[0];
+  return DIAGRAM_KIND_NAMES.find(kind => MERMAID_DIAGRAM_KINDS[kind].keywords.includes(keyword)) || null;
+}
+
+/**
+ * Strip markdown fences and add the declaration for the expected kind when
+ * the code starts straight with its content. Code that already declares a
+ * kind is left as it is, even if it's not the expected one.
+ * @param {string} code - Mermaid diagram code
+ * @param {string} kind - one of DIAGRAM_KIND_NAMES, flowchart by default
+ */
+function normalizeMermaidCode(code, kind = 'flowchart') {
+  const trimmed = (code || '')
+    .replace(/^\s*```(?:mermaid)?\s*\n?/i, '')
+    .replace(/\n?```\s*$/, '')
+    .trim();
+
+  if (detectDiagramKind(trimmed)) {
+    return trimmed;
+  }
+  const { header } = MERMAID_DIAGRAM_KINDS[kind] || MERMAID_DIAGRAM_KINDS.flowchart;
+  return `${header}\n${trimmed}`;
+}
+
+/**
+ * Check Mermaid code with Mermaid's own parser
+ * @param {string} code - Mermaid diagram code
+ * @returns {Promise<Object>} - { valid, error }. valid is null when the parser
+ *   itself couldn't be loaded, in which case error says why.
+ */
+async function validateMermaid(code) {
+  let mermaid;
+  try {
+    mermaid = await loadMermaid();
+  } catch (loadError) {
+    console.warn('Mermaid parser unavailable:', loadError.message);
+    return { valid: null, error: `Mermaid parser unavailable: ${loadError.message}` };
+  }
+
+  try {
+    await mermaid.parse(code);
+    return { valid: true, error: null };
+  } catch (parseError) {
+    return { valid: false, error: parseError.message || String(parseError) };
+  }
+}
+
+module.exports = {
+  MERMAID_DIAGRAM_KINDS,
+  DIAGRAM_KIND_NAMES,
+  diagramKindLabel,
+  detectDiagramKind,
+  normalizeMermaidCode,
+  validateMermaid
+};
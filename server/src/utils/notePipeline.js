@@ -0,0 +1,203 @@
+const { documentGenerationFlow } = require('../genkit/noteBeautifier');
+const { beautifyNotes } = require('../genkit/chunkedBeautifier');
+const { generateDocumentFromContent } = require('./pdfGenerator');
+const { isQuotaError } = require('./quota');
+
+/**
+ * Ordered list of the stages the note pipeline goes through.
+ * Diagrams and flowcharts are rendered in parallel.
+ */
+const PIPELINE_STAGES = ['analyzing', 'diagrams', 'flowcharts', 'layout', 'rendering'];
+
+/**
+ * Build the documentGenerationFlow input from the beautified output and the
+ * rendered visuals, then sanitize the returned structure for the PDF generator.
+ * Returns null if the structure could not be generated so the PDF generator
+ * can fall back to its basic layout.
+ */
+async function buildDocumentStructure(beautifiedOutput, diagrams = [], flowcharts = [], userInput = '') {
+  const conceptsDiagram = beautifiedOutput.concepts_diagram || [];
+  const diagramPrompts = beautifiedOutput.diagram_prompts || [];
+  const flowchartsPrompt = beautifiedOutput.flowcharts_prompt || [];
+  const flowchartKinds = beautifiedOutput.flowchart_kinds || [];
+
+  const renderedDiagrams = diagrams.filter(d => d && !d.error && d.buffer);
+  const renderedFlowcharts = flowcharts.filter(f => f && !f.error && f.buffer);
+
+  const diagramsWithPrompts = renderedDiagrams.map((diagram, i) => ({
+    index: i,
+    concept: conceptsDiagram[diagram.index] || `Concept ${i+1}`,
+    prompt: diagramPrompts[diagram.index] || ''
+  }));
+
+  const flowchartsWithCode = renderedFlowcharts.map((flowchart, i) => ({
+    index: i,
+    name: flowchart.name || `Flowchart ${i+1}`,
+    code: flowchart.code || flowchartsPrompt[flowchart.index] || '',
+    kind: flowchart.kind || flowchartKinds[flowchart.index] || 'flowchart'
+  }));
+
+  try {
+    const docStructure = await documentGenerationFlow({
+      userInput: userInput || 'User input',
+      beautifiedOutput,
+      diagramCount: renderedDiagrams.length,
+      flowchartCount: renderedFlowcharts.length,
+      diagramsWithPrompts,
+      flowchartsWithCode
+    });
+
+    // Sanitize docStructure content to prevent encoding issues
+    if (docStructure && docStructure.sections) {
+      docStructure.sections = docStructure.sections.map(section => {
+        if (section.content) {
+          section.content = section.content
+            .replace(/\r\n/g, '\n')  // Normalize all newlines
+            .replace(/\n{3,}/g, '\n\n');  // Remove excessive newlines
+        }
+
+        if (section.imageCaption) {
+          section.imageCaption = section.imageCaption.replace(/[\r\n]+/g, ' ');
+        }
+
+        return section;
+      });
+    }
+
+    return docStructure;
+  } catch (structureError) {
+    console.error('Error generating document structure:', structureError);
+    return null;
+  }
+}
+
+/**
+ * Render all diagrams and flowcharts requested by the beautified output.
+ * Visual failures never abort the pipeline - they are reported per visual -
+ * except running out of quota, which fails the job with a 429.
+ * @param {Function} report - (stage, status, details) progress callback
+ * @param {Object} options - { diagramBackend } see genkit/diagramSpec
+ */
+async function generateVisuals(beautifiedOutput, report = async () => {}, { diagramBackend } = {}) {
+  const diagramPrompts = beautifiedOutput.diagram_prompts || [];
+  const diagramConcepts = beautifiedOutput.concepts_diagram || [];
+  const flowchartPrompts = beautifiedOutput.flowcharts_prompt || [];
+  const flowchartConcepts = beautifiedOutput.concepts_flowcharts || [];
+  const flowchartKinds = beautifiedOutput.flowchart_kinds || [];
+
+  let visualUtils = null;
+  if (diagramPrompts.length || flowchartPrompts.length) {
+    try {
+      // Loaded lazily so a missing native dependency (canvas) doesn't take the server down
+      visualUtils = require('./visualUtils');
+    } catch (moduleError) {
+      console.error('Visual generation module error:', moduleError.message);
+    }
+  }
+
+  const renderStage = async (stage, total, render) => {
+    if (!visualUtils || total === 0) {
+      await report(stage, 'skipped', { completed: 0, total });
+      return [];
+    }
+
+    await report(stage, 'running', { completed: 0, total });
+    const results = await render((completed, visual) => report(stage, 'running', { completed, total, visual }))
+      .catch(err => {
+        if (isQuotaError(err)) throw err;
+        console.error(`Error generating ${stage}:`, err);
+        return [];
+      });
+    await report(stage, 'completed', {
+      completed: results.filter(r => r.buffer).length,
+      total
+    });
+    return results;
+  };
+
+  const [diagrams, flowcharts] = await Promise.all([
+    renderStage('diagrams', diagramPrompts.length,
+      (onItem) => visualUtils.generateAllDiagrams(diagramPrompts, { backend: diagramBackend, concepts: diagramConcepts }, onItem)),
+    renderStage('flowcharts', flowchartPrompts.length,
+      (onItem) => visualUtils.generateAllFlowcharts(flowchartPrompts, flowchartConcepts, flowchartKinds, onItem))
+  ]);
+
+  return { diagrams, flowcharts };
+}
+
+/**
+ * Run the full note pipeline server-side:
+ * beautify -> diagrams/flowcharts -> document structure -> PDF
+ *
+ * @param {Object} input - { text, inputType, fileBuffer, diagramBackend, pdfOptions }
+ * @param {Object} options - { onProgress({ stage, status, ...details }) } called as each stage advances
+ * @returns {Promise<Object>} - { beautifiedOutput, diagrams, flowcharts, docStructure, pdfBuffer, documentTitle }
+ */
+async function runNotePipeline({ text = '', inputType = 'text/plain', fileBuffer = null, diagramBackend, pdfOptions }, { onProgress } = {}) {
+  let currentStage = null;
+
+  // Progress reporting must never break the pipeline itself
+  const report = async (stage, status, details = {}) => {
+    currentStage = stage;
+    if (!onProgress) return;
+    try {
+      await onProgress({ stage, status, ...details });
+    } catch (progressError) {
+      console.error(`Failed to report pipeline progress ${stage}:${status}:`, progressError.message);
+    }
+  };
+
+  try {
+    await report('analyzing', 'running');
+    const beautifiedOutput = await beautifyNotes({
+      text,
+      inputType,
+      fileBuffer: fileBuffer ? Buffer.from(fileBuffer).toString('base64') : ''
+    }, {
+      // Long inputs are noted chunk by chunk
+      onChunk: (completed, total) => report('analyzing', 'running', { completed, total })
+    });
+    await report('analyzing', 'completed', {
+      summary: beautifiedOutput.summary,
+      // Parts of a long input that couldn't be noted and are missing from the note
+      failedChunks: beautifiedOutput.failed_chunks
+    });
+
+    const { diagrams, flowcharts } = await generateVisuals(beautifiedOutput, report, { diagramBackend });
+
+    await report('layout', 'running');
+    const docStructure = await buildDocumentStructure(beautifiedOutput, diagrams, flowcharts, text);
+    await report('layout', docStructure ? 'completed' : 'skipped', docStructure ? {
+      title: docStructure.title,
+      sections: (docStructure.sections || []).map(section => section.heading || '')
+    } : {});
+
+    await report('rendering', 'running');
+    const pdfBuffer = await generateDocumentFromContent({ fullOutput: beautifiedOutput }, diagrams, flowcharts, docStructure, pdfOptions);
+    if (!pdfBuffer) {
+      throw new Error('PDF generation failed - no buffer returned');
+    }
+    await report('rendering', 'completed', { size: pdfBuffer.length });
+
+    return {
+      beautifiedOutput,
+      diagrams,
+      flowcharts,
+      docStructure,
+      pdfBuffer,
+      documentTitle: docStructure?.title || 'NoteFlow Document'
+    };
+  } catch (error) {
+    // Tag the error with the stage it happened in so callers can record it
+    error.stage = error.stage || currentStage;
+    await report(error.stage, 'failed', { error: error.message });
+    throw error;
+  }
+}
+
+module.exports = {
+  PIPELINE_STAGES,
+  buildDocumentStructure,
+  generateVisuals,
+  runNotePipeline
+};
@@ -0,0 +1,410 @@
+const fs = require('fs');
+const path = require('path');
+const fontkit = require('@pdf-lib/fontkit');
+const bidiFactory = require('bidi-js');
+const { StandardFonts } = require('pdf-lib');
+
+const bidi = bidiFactory();
+
+const STYLES = ['regular', 'bold', 'italic', 'boldItalic'];
+
+// Styles a family may lack, and what to use instead
+const STYLE_FALLBACKS = {
+  regular: [],
+  bold: ['regular'],
+  italic: ['regular'],
+  boldItalic: ['bold', 'italic', 'regular'],
+  code: ['regular']
+};
+
+// Text styles a document gets: the four above plus monospace for code
+const TEXT_STYLES = [...STYLES, 'code'];
+
+const notoFiles = (pkg, prefix, styles) => ({
+  package: pkg,
+  files: Object.fromEntries(Object.entries({
+    regular: `400Regular/${prefix}_400Regular.ttf`,
+    bold: `700Bold/${prefix}_700Bold.ttf`,
+    italic: `400Regular_Italic/${prefix}_400Regular_Italic.ttf`,
+    boldItalic: `700Bold_Italic/${prefix}_700Bold_Italic.ttf`
+  }).filter(([style]) => styles.includes(style)))
+});
+
+// Fonts are tried in this order for every character, so a label can mix
+// scripts: the first family with a glyph for the character draws it. Noto
+// Sans covers Latin, Greek and Cyrillic; the rest fill in other scripts and
+// symbols. CJK is an optional dependency (it is large) and is skipped when
+// it isn't installed.
+const FONT_FAMILIES = [
+  { name: 'Noto Sans', ...notoFiles('@expo-google-fonts/noto-sans', 'NotoSans', STYLES) },
+  { name: 'Noto Sans Arabic', ...notoFiles('@expo-google-fonts/noto-sans-arabic', 'NotoSansArabic', ['regular', 'bold']) },
+  { name: 'Noto Sans Hebrew', ...notoFiles('@expo-google-fonts/noto-sans-hebrew', 'NotoSansHebrew', ['regular', 'bold']) },
+  { name: 'Noto Sans Math', ...notoFiles('@expo-google-fonts/noto-sans-math', 'NotoSansMath', ['regular']) },
+  { name: 'Noto Sans Symbols', ...notoFiles('@expo-google-fonts/noto-sans-symbols', 'NotoSansSymbols', ['regular', 'bold']) },
+  { name: 'Noto Sans SC', ...notoFiles('@expo-google-fonts/noto-sans-sc', 'NotoSansSC', ['regular', 'bold']) }
+];
+
+// Monospace for code, in place of Noto Sans; other scripts fall back as usual
+const CODE_FAMILY = { name: 'Noto Sans Mono', ...notoFiles('@expo-google-fonts/noto-sans-mono', 'NotoSansMono', ['regular']) };
+
+// Serif typeface, in place of Noto Sans for text set in serif (it covers the
+// same scripts); other scripts fall back as usual
+const SERIF_FAMILY = { name: 'Noto Serif', ...notoFiles('@expo-google-fonts/noto-serif', 'NotoSerif', STYLES) };
+
+const TYPEFACES = ['sans', 'serif'];
+
+// pdf-lib's standard fonts per typeface, when no Unicode fonts are installed
+const STANDARD_FONTS = {
+  sans: {
+    regular: StandardFonts.Helvetica,
+    bold: StandardFonts.HelveticaBold,
+    italic: StandardFonts.HelveticaOblique,
+    boldItalic: StandardFonts.HelveticaBoldOblique
+  },
+  serif: {
+    regular: StandardFonts.TimesRoman,
+    bold: StandardFonts.TimesRomanBold,
+    italic: StandardFonts.TimesRomanItalic,
+    boldItalic: StandardFonts.TimesRomanBoldItalic
+  }
+};
+
+// More fallback fonts (comma-separated TTF/OTF paths), tried after the
+// bundled ones - e.g. a Korean or Devanagari font
+const EXTRA_FONT_PATHS = (process.env.PDF_EXTRA_FONTS || '')
+  .split(',').map(p => p.trim()).filter(Boolean);
+
+// Strong right-to-left characters (Hebrew, Arabic and their presentation forms)
+const RTL_PATTERN = /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF]/;
+
+/**
+ * A family's font files resolved to paths, or null if its package isn't installed
+ */
+function resolveFamily(family) {
+  try {
+    const files = Object.fromEntries(Object.entries(family.files)
+      .map(([style, file]) => [style, require.resolve(`${family.package}/${file}`)]));
+    return { name: family.name, files };
+  } catch (error) {
+    return null;
+  }
+}
+
+let availableFamilies = null;
+let codeFamily;
+let serifFamily;
+
+/**
+ * The installed fallback chain. Font files are read and parsed on first use
+ * and kept for the life of the process.
+ */
+function getFontFamilies() {
+  if (availableFamilies) return availableFamilies;
+
+  const extra = EXTRA_FONT_PATHS
+    .filter(fontPath => {
+      if (fs.existsSync(fontPath)) return true;
+      console.warn(`PDF fonts: ${fontPath} (PDF_EXTRA_FONTS) not found, skipping`);
+      return false;
+    })
+    .map(fontPath => ({ name: path.basename(fontPath), files: { regular: fontPath } }));
+
+  availableFamilies = [];
+  FONT_FAMILIES.forEach(family => {
+    const resolved = resolveFamily(family);
+    if (resolved) availableFamilies.push(resolved);
+    else console.warn(`PDF fonts: ${family.package} is not installed, ${family.name} glyphs will be missing`);
+  });
+  availableFamilies.push(...extra);
+  availableFamilies.forEach(family => {
+    family.bytes = {};
+    family.coverage = null;
+  });
+
+  codeFamily = resolveFamily(CODE_FAMILY);
+  if (codeFamily) codeFamily.bytes = {};
+  else console.warn(`PDF fonts: ${CODE_FAMILY.package} is not installed, code will be set in ${FONT_FAMILIES[0].name}`);
+
+  serifFamily = resolveFamily(SERIF_FAMILY);
+  if (serifFamily) serifFamily.bytes = {};
+  else console.warn(`PDF fonts: ${SERIF_FAMILY.package} is not installed, serif text will be set in ${FONT_FAMILIES[0].name}`);
+  return availableFamilies;
+}
+
+const fontBytes = (family, style) => {
+  if (!family.bytes[style]) family.bytes[style] = fs.readFileSync(family.files[style]);
+  return family.bytes[style];
+};
+
+/**
+ * Whether a family has a glyph for a code point (checked against its regular
+ * style, which every family has)
+ */
+function familyHasGlyph(family, codePoint) {
+  if (!family.coverage) family.coverage = fontkit.create(fontBytes(family, 'regular'));
+  return family.coverage.hasGlyphForCodePoint(codePoint);
+}
+
+const familyIndexCache = new Map();
+
+/**
+ * Index of the first family that can draw a character, -1 for whitespace
+ * (drawn with whatever font is around it) and 0 when none can
+ */
+function familyIndexFor(ch) {
+  if (/\s/.test(ch)) return -1;
+  if (familyIndexCache.has(ch)) return familyIndexCache.get(ch);
+  const families = getFontFamilies();
+  const codePoint = ch.codePointAt(0);
+  let index = families.findIndex(family => familyHasGlyph(family, codePoint));
+  if (index < 0) index = 0;
+  familyIndexCache.set(ch, index);
+  return index;
+}
+
+/**
+ * Every string in a value, recursively - buffers and other binary data are skipped
+ */
+function collectStrings(value, out = []) {
+  if (typeof value === 'string') {
+    out.push(value);
+  } else if (Array.isArray(value)) {
+    value.forEach(item => collectStrings(item, out));
+  } else if (value && typeof value === 'object' && !Buffer.isBuffer(value) && !ArrayBuffer.isView(value)) {
+    Object.values(value).forEach(item => collectStrings(item, out));
+  }
+  return out;
+}
+
+// Control characters have no glyphs; tabs and stray newlines read as spaces
+const cleanText = (text) => String(text == null ? '' : text).replace(/[\u0000-\u001F\u007F]/g, ' ');
+
+/**
+ * Text that pdf-lib's standard fonts (WinAnsi only) can draw, with '?' for
+ * the rest. Only used when no Unicode fonts are installed.
+ */
+function winAnsiText(font, text) {
+  return Array.from(text).map(ch => {
+    try {
+      font.encodeText(ch);
+      return ch;
+    } catch (error) {
+      return '?';
+    }
+  }).join('');
+}
+
+/**
+ * A text style (regular, bold, ...) over the embedded fallback chain. It
+ * stands in for a pdf-lib font: text is split into runs per font, so every
+ * character is drawn by a font that has it, and right-to-left runs are
+ * reordered with the Unicode bidi algorithm. Arabic shaping happens in
+ * fontkit when a run is laid out.
+ */
+function createTextFont(style, embedded, standard) {
+  const fontFor = (familyIndex) => {
+    if (style === 'code' && familyIndex === 0 && embedded.code) return embedded.code;
+    const family = embedded[familyIndex] || embedded[0];
+    return [style, ...STYLE_FALLBACKS[style]].map(s => family[s]).find(Boolean);
+  };
+
+  /**
+   * Split a line into runs of { text, font } in visual (left to right) order
+   * @returns {Object} - { runs, rtl } where rtl is the line's base direction
+   */
+  function layoutRuns(rawText) {
+    const text = cleanText(rawText);
+    if (standard) {
+      const font = fontFor(0);
+      return { runs: text ? [{ text: winAnsiText(font, text), font }] : [], rtl: false };
+    }
+
+    // Each character's family; whitespace joins the run before it so runs stay whole
+    const chars = Array.from(text);
+    const offsets = [];
+    let offset = 0;
+    let previous = null;
+    const families = chars.map(ch => {
+      offsets.push(offset);
+      offset += ch.length;
+      const index = familyIndexFor(ch);
+      if (index >= 0) previous = index;
+      return index >= 0 ? index : previous;
+    });
+    let next = 0;
+    for (let i = families.length - 1; i >= 0; i--) {
+      if (families[i] === null) families[i] = next;
+      else next = families[i];
+    }
+
+    if (!RTL_PATTERN.test(text)) {
+      const runs = [];
+      chars.forEach((ch, i) => {
+        const last = runs[runs.length - 1];
+        if (last && last.family === families[i]) last.text += ch;
+        else runs.push({ text: ch, family: families[i] });
+      });
+      return { runs: runs.map(run => ({ text: run.text, font: fontFor(run.family) })), rtl: false };
+    }
+
+    // bidi-js works on UTF-16 indices; map them back to characters
+    const levels = bidi.getEmbeddingLevels(text);
+    const mirrored = bidi.getMirroredCharactersMap(text, levels.levels);
+    const charAt = new Map(offsets.map((start, i) => [start, i]));
+    const visual = bidi.getReorderedIndices(text, levels).filter(index => charAt.has(index));
+
+    const groups = [];
+    visual.forEach(index => {
+      const i = charAt.get(index);
+      const rtl = (levels.levels[index] & 1) === 1;
+      const ch = mirrored.get(index) || chars[i];
+      const last = groups[groups.length - 1];
+      if (last && last.family === families[i] && last.rtl === rtl) last.chars.push(ch);
+      else groups.push({ family: families[i], rtl, chars: [ch] });
+    });
+
+    const runs = groups.map(group => {
+      // fontkit lays out runs of a right-to-left script itself (shaping them
+      // and reversing to visual order), so those go back to logical order
+      const visualText = group.chars.join('');
+      const runText = group.rtl && RTL_PATTERN.test(visualText) ? group.chars.reverse().join('') : visualText;
+      return { text: runText, font: fontFor(group.family) };
+    });
+    return { runs, rtl: (levels.paragraphs[0].level & 1) === 1 };
+  }
+
+  const runsWidth = (runs, size) => runs.reduce((sum, run) => sum + run.font.widthOfTextAtSize(run.text, size), 0);
+
+  return {
+    style,
+
+    widthOfTextAtSize(text, size) {
+      return runsWidth(layoutRuns(text).runs, size);
+    },
+
+    heightAtSize(size) {
+      return fontFor(0).heightAtSize(size);
+    },
+
+    /**
+     * Draw one line of text
+     * @param {PDFPage} page - pdf-lib page
+     * @param {string} text - the line, in logical order
+     * @param {Object} options - { x, y, size, color, opacity, maxWidth } where
+     *   maxWidth is the width of the line box: a right-to-left line is
+     *   aligned to its right edge
+     * @returns {number} - the width drawn
+     */
+    drawText(page, text, { x, y, size, color, opacity, maxWidth }) {
+      const { runs, rtl } = layoutRuns(text);
+      const width = runsWidth(runs, size);
+      let cursor = rtl && maxWidth ? x + Math.max(0, maxWidth - width) : x;
+      runs.forEach(run => {
+        page.drawText(run.text, { x: cursor, y, size, font: run.font, color, opacity });
+        cursor += run.font.widthOfTextAtSize(run.text, size);
+      });
+      return width;
+    }
+  };
+}
+
+// Fonts embedded per document, so text styles for both typefaces share them
+const embeddedFonts = new WeakMap();
+
+/**
+ * Embed a font file (or standard font name) in a document once
+ */
+async function embedOnce(pdfDoc, key, source, options) {
+  if (!embeddedFonts.has(pdfDoc)) embeddedFonts.set(pdfDoc, new Map());
+  const fonts = embeddedFonts.get(pdfDoc);
+  if (!fonts.has(key)) fonts.set(key, pdfDoc.embedFont(source, options));
+  return fonts.get(key);
+}
+
+/**
+ * Embed the fonts a document needs and return its text styles. Noto Sans (or
+ * Noto Serif) is always embedded; a fallback family only when some string in
+ * `sample` has characters only it covers. Fonts are subset, so only used
+ * glyphs end up in the file. Called again for the other typeface, fonts
+ * already embedded are reused.
+ *
+ * Falls back to the standard Helvetica or Times fonts (WinAnsi only) when no
+ * Unicode fonts are installed.
+ *
+ * @param {PDFDocument} pdfDoc - pdf-lib document
+ * @param {*} sample - the document's content; all strings in it are scanned
+ * @param {Object} options - { typeface: 'sans' (default) or 'serif' }
+ * @returns {Promise<Object>} - { regular, bold, italic, boldItalic, code }
+ */
+async function embedDocumentFonts(pdfDoc, sample, { typeface = 'sans' } = {}) {
+  const families = getFontFamilies();
+  if (!TYPEFACES.includes(typeface)) typeface = 'sans';
+
+  if (!families.length) {
+    const standard = {};
+    for (const style of STYLES) {
+      standard[style] = await embedOnce(pdfDoc, STANDARD_FONTS[typeface][style], STANDARD_FONTS[typeface][style]);
+    }
+    standard.code = await embedOnce(pdfDoc, StandardFonts.Courier, StandardFonts.Courier);
+    return Object.fromEntries(TEXT_STYLES.map(style => [style, createTextFont(style, [standard], true)]));
+  }
+
+  pdfDoc.registerFontkit(fontkit);
+  const needed = new Set([0]);
+  collectStrings(sample).forEach(text => {
+    for (const ch of text) {
+      if (ch.charCodeAt(0) > 0x7f) needed.add(Math.max(0, familyIndexFor(ch)));
+    }
+  });
+
+  const embedFamily = async (family) => {
+    const styles = {};
+    for (const style of Object.keys(family.files)) {
+      styles[style] = await embedOnce(pdfDoc, `${family.name}:${style}`, fontBytes(family, style), { subset: true });
+    }
+    return styles;
+  };
+
+  const embedded = [];
+  for (let index = 0; index < families.length; index++) {
+    if (!needed.has(index)) continue;
+    embedded[index] = await embedFamily(index === 0 && typeface === 'serif' && serifFamily ? serifFamily : families[index]);
+  }
+  if (codeFamily) {
+    embedded.code = await embedOnce(pdfDoc, `${codeFamily.name}:regular`, fontBytes(codeFamily, 'regular'), { subset: true });
+  }
+  return Object.fromEntries(TEXT_STYLES.map(style => [style, createTextFont(style, embedded, false)]));
+}
+
+/**
+ * Break text into lines that fit a width, at spaces
+ * @returns {Array<string>}
+ */
+function wrapText(font, text, size, maxWidth) {
+  const lines = [];
+  let line = '';
+  cleanText(text).split(' ').filter(Boolean).forEach(word => {
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && font.widthOfTextAtSize(candidate, size) > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  });
+  if (line) lines.push(line);
+  return lines;
+}
+
+/**
+ * Installed font families, for /api/health
+ */
+const describePdfFonts = () => getFontFamilies().map(family => family.name);
+
+module.exports = {
+  FONT_FAMILIES,
+  TYPEFACES,
+  embedDocumentFonts,
+  wrapText,
+  describePdfFonts
+};
@@ -3,16 +3,32 @@ const fs = require('fs').promises;
 const path = require('path');
 const os = require('os');
 const { v4: uuidv4 } = require('uuid');
+const { OPTION_LETTERS } = require('./quizExport');
+const { diagramKindLabel } = require('./mermaidValidator');
+const { measureSvg, layoutSvg, drawSvgOperations } = require('./svgToPdf');
+const { embedDocumentFonts, wrapText } = require('./pdfFonts');
+const { drawMarkdown } = require('./pdfRichText');
+const { resolvePdfOptions, addDocumentNavigation } = require('./pdfNavigation');
+const { pageDimensions, templateColors } = require('./pdfTemplates');
 
 /**
  * Generate a PDF document based on content structure
  * @param {Object} content - Content structure with text and images
+ * @param {Object} options - table of contents, header and footer, template, see resolvePdfOptions
  * @returns {Promise<Buffer>} - PDF document as buffer
  */
-async function generatePDF(content) {
+async function generatePDF(content, options = {}) {
   try {
     console.log('Starting PDF generation');
     
+    let pdfOptions = resolvePdfOptions(options);
+    if (!pdfOptions) {
+      console.warn('Invalid PDF options, using the defaults:', options);
+      pdfOptions = resolvePdfOptions({});
+    }
+    const { template } = pdfOptions;
+    const colors = templateColors(template);
+    
     // Create a new PDFDocument
     const pdfDoc = await PDFDocument.create();
     
@@ -22,25 +38,49 @@ async function generatePDF(content) {
     pdfDoc.setSubject(content.subject || 'AI-Generated Notes');
     pdfDoc.setKeywords(['notes', 'noteflow', 'ai-generated']);
     
-    // Embed standard fonts - use only Helvetica fonts which are guaranteed to work
-    const helveticaFont = await pdfDoc.embedFont(StandardFonts.Helvetica);
-    const helveticaBold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
-    const helveticaOblique = await pdfDoc.embedFont(StandardFonts.HelveticaOblique);
+    // Embed Unicode fonts, with per-character fallback for scripts and symbols
+    // the body font lacks. These are text styles rather than pdf-lib fonts:
+    // draw with font.drawText(page, text, options). Headings may be set in
+    // the template's other typeface.
+    const fonts = await embedDocumentFonts(pdfDoc, content, { typeface: template.fonts.body });
+    const headingFonts = template.fonts.headings === template.fonts.body
+      ? fonts
+      : await embedDocumentFonts(pdfDoc, content, { typeface: template.fonts.headings });
+    const bodyFont = fonts.regular;
+    const boldFont = fonts.bold;
+    const italicFont = fonts.italic;
     
-    // Define fallback fonts - don't embed Times fonts which might be causing issues
-    const bodyFont = helveticaFont;
-    const boldFont = helveticaBold;
-    const italicFont = helveticaOblique;
+    // Set up page and content parameters from the template
+    const [pageWidth, pageHeight] = pageDimensions(template);
+    const { margins } = template;
+    const contentWidth = pageWidth - margins.left - margins.right;
+    const pageTop = pageHeight - margins.top;
+    const bodySize = template.fonts.size;
+    const smallSize = bodySize - 1;
+    const sectionSize = template.headings.section.size;
+    const subsectionSize = template.headings.subsection.size;
     
-    // Set up page and content parameters
-    const pageWidth = 612; // Letter size in points (8.5 x 11 inches)
-    const pageHeight = 792;
-    const margin = 50;
-    const contentWidth = pageWidth - (margin * 2);
+    // Cover page: the title, a short rule and the date, a little above the middle
+    let coverPages = 0;
+    if (template.cover && content.title) {
+      const cover = pdfDoc.addPage([pageWidth, pageHeight]);
+      const titleSize = template.headings.title.size * 1.4;
+      const titleLines = wrapText(headingFonts.bold, content.title, titleSize, contentWidth);
+      let coverY = pageHeight * 0.62 + (titleLines.length - 1) * titleSize * 0.6;
+      titleLines.forEach(line => {
+        const width = headingFonts.bold.widthOfTextAtSize(line, titleSize);
+        headingFonts.bold.drawText(cover, line, { x: margins.left + (contentWidth - width) / 2, y: coverY, size: titleSize, color: colors.heading, maxWidth: contentWidth });
+        coverY -= titleSize * 1.2;
+      });
+      cover.drawRectangle({ x: pageWidth / 2 - 40, y: coverY, width: 80, height: 2.5, color: colors.accent });
+      const dateWidth = headingFonts.regular.widthOfTextAtSize(pdfOptions.date, bodySize + 2);
+      headingFonts.regular.drawText(cover, pdfOptions.date, { x: (pageWidth - dateWidth) / 2, y: coverY - 40, size: bodySize + 2, color: colors.muted });
+      coverPages = 1;
+    }
     
     // Add the first page
     let currentPage = pdfDoc.addPage([pageWidth, pageHeight]);
-    let y = pageHeight - margin;
+    let y = pageTop;
     
     // Helper for adding text
     const addText = (text, font, size, color, indent = 0, maxWidth = contentWidth - indent) => {
@@ -52,17 +92,9 @@ async function generatePDF(content) {
       // Ensure text is a string
       const safeText = String(text || '');
       
-      // Sanitize text to handle problematic characters and ensure newlines are processed correctly
+      // Ensure newlines are processed correctly
       // Replace any standalone \n with space+newline for better detection
-      let sanitizedText = safeText.replace(/([^\r])\n/g, '$1 \n');
-      
-      // Replace any other characters that might cause encoding issues
-      // This replacement uses standard ASCII characters that should be safe in any encoding
-      sanitizedText = sanitizedText.replace(/[\u0080-\uFFFF]/g, (ch) => {
-        // Replace non-ASCII characters with a standard ASCII equivalent if possible
-        // or a question mark if no equivalent is available
-        return ' ';
-      });
+      const sanitizedText = safeText.replace(/([^\r])\n/g, '$1 \n');
       
       // Process text line by line - pre-split by newlines before word processing
       const paragraphs = sanitizedText.split('\n');
@@ -85,51 +117,20 @@ async function generatePDF(content) {
           if (!words[i].trim()) continue;
           
           try {
-            // Try to measure the width - if this fails due to encoding issues, replace problem chars
             const testLine = line + words[i] + ' ';
-            
-            // IMPORTANT FIX: Remove all problematic characters before measuring width
-            const sanitizedTestLine = testLine.replace(/[\r\n\u0080-\uFFFF]/g, ' ');
-            
-            let lineWidth;
-            try {
-              lineWidth = safeFont.widthOfTextAtSize(sanitizedTestLine, size);
-            } catch (measureError) {
-              // If measurement still fails, use a very simple character-based approximation
-              lineWidth = sanitizedTestLine.length * (size * 0.6);
-              console.warn('Using character approximation for width measurement');
-            }
+            const lineWidth = safeFont.widthOfTextAtSize(testLine, size);
             
             if (lineWidth > maxWidth) {
-              // Add current line and start a new one
-              try {
-                currentPage.drawText(line, {
-                  x: margin + indent,
-                  y,
-                  size,
-                  font: safeFont,
-                  color
-                });
-              } catch (drawError) {
-                console.warn('Error drawing text, attempting to sanitize:', drawError.message);
-                // If drawing fails, retry with heavily sanitized version
-                const safeLine = line.replace(/[^\x20-\x7E]/g, '');
-                currentPage.drawText(safeLine, {
-                  x: margin + indent,
-                  y,
-                  size,
-                  font: safeFont,
-                  color
-                });
-              }
+              // Add current line and start a new one (right-to-left lines align right)
+              safeFont.drawText(currentPage, line, { x: margins.left + indent, y, size, color, maxWidth });
               
               // Move to next line
               y -= size * 1.2;
               
               // Check if we need a new page
-              if (y < margin) {
+              if (y < margins.bottom) {
                 currentPage = pdfDoc.addPage([pageWidth, pageHeight]);
-                y = pageHeight - margin;
+                y = pageTop;
               }
               
               // Start new line
@@ -146,26 +147,7 @@ async function generatePDF(content) {
         
         // Draw any remaining text in the last line
         if (line.trim().length > 0) {
-          try {
-            currentPage.drawText(line, {
-              x: margin + indent,
-              y,
-              size,
-              font: safeFont,
-              color
-            });
-          } catch (drawError) {
-            console.warn('Error drawing final line, attempting to sanitize:', drawError.message);
-            // If drawing fails, retry with heavily sanitized version
-            const safeLine = line.replace(/[^\x20-\x7E]/g, '');
-            currentPage.drawText(safeLine, {
-              x: margin + indent,
-              y,
-              size,
-              font: safeFont,
-              color
-            });
-          }
+          safeFont.drawText(currentPage, line, { x: margins.left + indent, y, size, color, maxWidth });
           
           y -= size * 1.2;
         }
@@ -180,41 +162,123 @@ async function generatePDF(content) {
       y -= size * 0.5;
       
       // Check if we need a new page
-      if (y < margin) {
+      if (y < margins.bottom) {
         currentPage = pdfDoc.addPage([pageWidth, pageHeight]);
-        y = pageHeight - margin;
+        y = pageTop;
+      }
+    };
+    
+    // Headings drawn so far, for the table of contents and bookmarks
+    const headings = [];
+    const addHeading = (text, size, level = 1) => {
+      headings.push({ title: String(text).trim(), level, page: currentPage, top: y + size });
+      const page = currentPage;
+      addText(text, headingFonts.bold, size, colors.heading);
+      // Rule under section headings, unless the heading ended the page
+      if (level === 1 && template.headings.section.rule && currentPage === page) {
+        currentPage.drawLine({
+          start: { x: margins.left, y: y + size * 1.4 },
+          end: { x: pageWidth - margins.right, y: y + size * 1.4 },
+          thickness: 0.8,
+          color: colors.accent
+        });
       }
     };
     
-    // Helper for adding images
-    const addImage = async (imageBuffer, width = contentWidth, caption = null, isFlowchart = false) => {
+    // Section text is Markdown, laid out by pdfRichText through this cursor.
+    // While textColumn is set, lines above its bottom on its page use its
+    // narrower column (beside a diagram).
+    let textColumn = null;
+    const cursor = {
+      get page() { return currentPage; },
+      get y() { return y; },
+      set y(value) { y = value; },
+      top: pageTop,
+      bottom: margins.bottom,
+      newPage() {
+        currentPage = pdfDoc.addPage([pageWidth, pageHeight]);
+        y = pageTop;
+      },
+      columnAt(lineY) {
+        if (textColumn && textColumn.page === currentPage && lineY > textColumn.bottom) return textColumn;
+        return { x: margins.left, width: contentWidth };
+      }
+    };
+    
+    // Helper for adding Markdown section text (bold/italic, lists, quotes, code, tables)
+    const addMarkdown = (text) => {
+      if (!text) return;
+      drawMarkdown(String(text), {
+        fonts,
+        cursor,
+        size: bodySize,
+        color: colors.text,
+        palette: {
+          heading: colors.heading,
+          link: colors.link,
+          quote: colors.quote,
+          rule: colors.rule,
+          codeBackground: colors.codeBackground,
+          tableHeader: colors.tableHeader
+        },
+        // Headings inside section text are bookmarked under their section
+        onHeading: (title, page, top) => headings.push({ title, level: 2, page, top })
+      });
+      if (y < margins.bottom) cursor.newPage();
+    };
+    
+    // Embed a PNG, or a JPEG if it isn't one; null if it is neither
+    const embedRaster = async (imageBuffer) => {
+      try {
+        // Try PNG first
+        const image = await pdfDoc.embedPng(imageBuffer);
+        console.log(`Successfully embedded PNG image: ${image.width}x${image.height}`);
+        return image;
+      } catch (pngError) {
+        console.error('Error embedding as PNG:', pngError.message);
+        
+        try {
+          // Try JPEG if PNG fails
+          const image = await pdfDoc.embedJpg(imageBuffer);
+          console.log(`Successfully embedded JPG image: ${image.width}x${image.height}`);
+          return image;
+        } catch (jpgError) {
+          console.error('Error embedding as JPG:', jpgError.message);
+          return null;
+        }
+      }
+    };
+    
+    // Helper for adding images. When the visual has SVG it is drawn as vector
+    // paths and text, which stay sharp at any zoom; the image buffer is the fallback.
+    let figureCount = 0;
+    const addImage = async (imageBuffer, width = contentWidth, caption = null, isFlowchart = false, svg = null) => {
       try {
         if (!imageBuffer) {
           console.warn('Skipping image - buffer is null or undefined');
           return null;
         }
         
-        console.log(`Adding image: isFlowchart=${isFlowchart}, buffer size=${imageBuffer.length} bytes`);
+        console.log(`Adding image: isFlowchart=${isFlowchart}, buffer size=${imageBuffer.length} bytes, svg=${Boolean(svg)}`);
         
-        // Embed the image in the PDF
-        let image;
-        try {
-          // Try PNG first
-          image = await pdfDoc.embedPng(imageBuffer);
-          console.log(`Successfully embedded PNG image: ${image.width}x${image.height}`);
-        } catch (pngError) {
-          console.error('Error embedding as PNG:', pngError.message);
-          
+        let vector = null;
+        if (svg) {
           try {
-            // Try JPEG if PNG fails
-            image = await pdfDoc.embedJpg(imageBuffer);
-            console.log(`Successfully embedded JPG image: ${image.width}x${image.height}`);
-          } catch (jpgError) {
-            console.error('Error embedding as JPG:', jpgError.message);
-            return null;
+            vector = measureSvg(svg);
+          } catch (svgError) {
+            console.warn('Unusable SVG, embedding the image instead:', svgError.message);
           }
         }
         
+        // Embed the image in the PDF, unless it will be drawn from the SVG
+        let image = null;
+        if (!vector) {
+          image = await embedRaster(imageBuffer);
+          if (!image) return null;
+        }
+        // Intrinsic size, for the layout below
+        const source = vector || image;
+        
         // Calculate dimensions based on image type
         let dimensions;
         if (isFlowchart) {
@@ -223,19 +287,19 @@ async function generatePDF(content) {
           const maxFlowchartHeight = pageHeight * 0.5; // Changed from 0.65 to 0.5
           
           // Calculate scale factors for width and height
-          const widthScale = maxFlowchartWidth / image.width;
-          const heightScale = maxFlowchartHeight / image.height;
+          const widthScale = maxFlowchartWidth / source.width;
+          const heightScale = maxFlowchartHeight / source.height;
           
           // Use the smaller scale factor to ensure both constraints are met
           const scale = Math.min(widthScale, heightScale);
           
           // Only scale down, not up (if image is already smaller than limits)
           if (scale < 1) {
-            dimensions = image.scale(scale);
+            dimensions = { width: source.width * scale, height: source.height * scale };
             console.log(`Scaled down flowchart to ${dimensions.width.toFixed(1)}x${dimensions.height.toFixed(1)} (${(scale*100).toFixed(1)}% of original)`);
           } else {
             // If image is smaller than our limits, keep original size
-            dimensions = { width: image.width, height: image.height };
+            dimensions = { width: source.width, height: source.height };
             console.log(`Keeping original flowchart size: ${dimensions.width}x${dimensions.height} (already within limits)`);
           }
         } else {
@@ -243,13 +307,13 @@ async function generatePDF(content) {
           const diagramWidth = contentWidth * 0.5;
           // First scale to fit width
           let scaledWidth = diagramWidth;
-          let scaledHeight = (image.height / image.width) * diagramWidth;
+          let scaledHeight = (source.height / source.width) * diagramWidth;
           
           // If resulting height is too large, scale to height instead
           const maxHeight = pageHeight * 0.4; // Maximum 40% of page height
           if (scaledHeight > maxHeight) {
             scaledHeight = maxHeight;
-            scaledWidth = (image.width / image.height) * maxHeight;
+            scaledWidth = (source.width / source.height) * maxHeight;
           }
           
           dimensions = { width: scaledWidth, height: scaledHeight };
@@ -257,63 +321,90 @@ async function generatePDF(content) {
         
         // Check if image fits on current page - use more space for caption
         const totalHeight = dimensions.height + (caption ? 45 : 20);
-        if (y - totalHeight < margin) {
+        if (y - totalHeight < margins.bottom) {
           // Add a new page if it doesn't fit
           currentPage = pdfDoc.addPage([pageWidth, pageHeight]);
-          y = pageHeight - margin;
+          y = pageTop;
         }
         
         // Calculate x position based on image type
         let x;
         if (isFlowchart) {
           // Center flowcharts
-          x = margin + (contentWidth - dimensions.width) / 2;
+          x = margins.left + (contentWidth - dimensions.width) / 2;
         } else {
           // Left-align diagrams
-          x = margin;
+          x = margins.left;
         }
         
         // The top of the image should be at current y position
         const imageY = y;
         
-        // Draw the image
-        currentPage.drawImage(image, {
+        const box = {
           x,
           y: imageY - dimensions.height,
           width: dimensions.width,
           height: dimensions.height
-        });
+        };
+        
+        // Lay the SVG out in full before drawing any of it, so one that fails
+        // leaves the page clean for the image
+        let svgOperations = null;
+        if (vector) {
+          try {
+            svgOperations = layoutSvg(svg, { ...box, fonts });
+          } catch (svgError) {
+            console.warn('Failed to draw SVG, embedding the image instead:', svgError.message);
+            image = await embedRaster(imageBuffer);
+          }
+        }
+        
+        // Draw the image
+        if (svgOperations) {
+          drawSvgOperations(currentPage, svgOperations);
+        } else if (image) {
+          currentPage.drawImage(image, box);
+        }
         
         // Store the bottom position of the image for later use
         const imageBottom = imageY - dimensions.height;
         
-        // Add caption if provided
+        // Add caption if provided, in the template's caption style
         if (caption) {
           const captionY = imageBottom - 25; // More space before caption
           const captionWidth = dimensions.width;
           const captionX = x;
+          const captionStyle = template.caption;
+          const captionFont = captionStyle.italic ? italicFont : bodyFont;
+          const lineHeight = captionStyle.size * 1.2;
+          figureCount++;
           
-          currentPage.drawText('Figure: ' + caption, {
-            x: captionX,
-            y: captionY,
-            size: 10,
-            font: italicFont,
-            color: rgb(0.3, 0.3, 0.3),
-            maxWidth: captionWidth,
-            lineHeight: 12
+          const prefix = captionStyle.prefix.replace(/\{n\}/g, String(figureCount));
+          const captionLines = wrapText(captionFont, prefix + caption, captionStyle.size, captionWidth);
+          captionLines.forEach((captionLine, index) => {
+            const offset = captionStyle.align === 'center'
+              ? Math.max(0, (captionWidth - captionFont.widthOfTextAtSize(captionLine, captionStyle.size)) / 2)
+              : 0;
+            captionFont.drawText(currentPage, captionLine, {
+              x: captionX + offset,
+              y: captionY - index * lineHeight,
+              size: captionStyle.size,
+              color: colors.caption,
+              maxWidth: captionWidth
+            });
           });
           
           // Update y position after caption - add more space (especially for flowcharts)
-          y = captionY - (isFlowchart ? 50 : 35); // Increased space after flowchart captions
+          y = captionY - (captionLines.length - 1) * lineHeight - (isFlowchart ? 50 : 35); // Increased space after flowchart captions
         } else {
           // Update y position without caption
           y = imageBottom - 25; // Increased space after image
         }
         
         // Check if we need a new page after image
-        if (y < margin) {
+        if (y < margins.bottom) {
           currentPage = pdfDoc.addPage([pageWidth, pageHeight]);
-          y = pageHeight - margin;
+          y = pageTop;
         }
         
         // Return information about the image placement
@@ -330,17 +421,39 @@ async function generatePDF(content) {
       }
     };
     
-    // Start with a title
-    if (content.title) {
-      addText(content.title, boldFont, 24, rgb(0, 0, 0));
+    // Start with a title, unless it is on the cover
+    if (content.title && !coverPages) {
+      const titleStyle = template.headings.title;
+      if (titleStyle.align === 'center') {
+        wrapText(headingFonts.bold, content.title, titleStyle.size, contentWidth).forEach(line => {
+          const width = headingFonts.bold.widthOfTextAtSize(line, titleStyle.size);
+          headingFonts.bold.drawText(currentPage, line, { x: margins.left + (contentWidth - width) / 2, y, size: titleStyle.size, color: colors.heading, maxWidth: contentWidth });
+          y -= titleStyle.size * 1.2;
+        });
+        y -= titleStyle.size * 0.5;
+      } else {
+        addText(content.title, headingFonts.bold, titleStyle.size, colors.heading);
+      }
       y -= 30; // Add extra space after title
     }
     
+    // Learning objectives go up front, so the reader knows what to look for
+    if (content.objectives && content.objectives.length > 0) {
+      addHeading('Learning Objectives', sectionSize);
+      y -= 5;
+      content.objectives.forEach((objective, i) => {
+        addText(`${i + 1}. ${objective}`, bodyFont, bodySize, colors.text, 15);
+      });
+      y -= 30;
+    }
+    
     // Process content sections
+    let sectionNumber = 0;
     for (const section of content.sections) {
       // Add section heading
       if (section.heading) {
-        addText(section.heading, boldFont, 18, rgb(0, 0, 0));
+        sectionNumber++;
+        addHeading(template.headings.section.numbered ? `${sectionNumber}. ${section.heading}` : section.heading, sectionSize);
         y -= 10; // Reduced space after heading
       }
       
@@ -352,20 +465,20 @@ async function generatePDF(content) {
           
           // Add text above the flowchart
           if (section.text) {
-            addText(section.text, bodyFont, 12, rgb(0, 0, 0));
+            addMarkdown(section.text);
             y -= 20; // More space between text and flowchart
           }
           
           // Add flowchart
           if (section.imageBuffer && section.imageBuffer.length > 0) {
             console.log(`Adding flowchart image with buffer size: ${section.imageBuffer.length} bytes`);
-            await addImage(section.imageBuffer, contentWidth * 0.85, section.imageCaption, true);
+            await addImage(section.imageBuffer, contentWidth * 0.85, section.imageCaption, true, section.imageSvg);
             // Add extra space after flowcharts to prevent overlap with next heading
             y -= 15; // Additional spacing specifically after flowcharts
           } else {
             console.warn(`Missing image buffer for flowchart section: "${section.heading}"`);
             // Add placeholder text indicating the flowchart couldn't be rendered
-            addText("(Flowchart visualization unavailable)", italicFont, 12, rgb(0.6, 0, 0));
+            addText("(Diagram visualization unavailable)", italicFont, bodySize, rgb(0.6, 0, 0));
             y -= 20;
           }
           
@@ -373,277 +486,45 @@ async function generatePDF(content) {
           // For regular diagrams: Side-by-side layout
           if (section.text) {
             // Get remaining height on current page
-            const remainingHeight = y - margin;
+            const remainingHeight = y - margins.bottom;
             
             // If not enough space, start a new page
             if (remainingHeight < 250) { // Increased minimum space needed for side-by-side layout
               currentPage = pdfDoc.addPage([pageWidth, pageHeight]);
-              y = pageHeight - margin;
+              y = pageTop;
             }
             
             // Add image to left side (will return position and dimensions)
-            const imageResult = await addImage(section.imageBuffer, contentWidth * 0.45, section.imageCaption, false); // Slightly smaller image
+            const imageResult = await addImage(section.imageBuffer, contentWidth * 0.45, section.imageCaption, false, section.imageSvg); // Slightly smaller image
             
             if (imageResult) {
-              // Calculate text width for side-by-side portion (right side of page)
-              const textWidth = contentWidth - imageResult.width - 30; // More spacing between image and text (30pt)
-              const textX = imageResult.x + imageResult.width + 30;
-              
-              // Store the bottom position of the image for layout decisions
+              // Text starts level with the top of the image, in the column to its
+              // right (30pt gap), and widens to the full page below it
               const imageBottom = imageResult.bottom;
+              textColumn = {
+                page: currentPage,
+                x: imageResult.x + imageResult.width + 30,
+                width: contentWidth - imageResult.width - 30,
+                bottom: imageBottom
+              };
+              y = imageResult.y;
+              addMarkdown(section.text);
               
-              // *** IMPORTANT: Use the image's top position (not the page top) for text alignment ***
-              let textY = imageResult.y; // Start text at the same level as the top of the image
-              
-              // Split text for wrapping
-              const words = section.text.split(' ');
-              let line = '';
-              let i = 0;
-              let isTextLongerThanImage = false;
-              
-              // First phase: Render text beside the image until we reach image bottom
-              while (i < words.length) {
-                // IMPORTANT FIX: Remove potential problematic characters before text measurement
-                const safeWord = words[i].replace(/[\r\n\u0080-\uFFFF]/g, ' ');
-                const testLine = (line + safeWord + ' ').replace(/[\r\n\u0080-\uFFFF]/g, ' ');
-                
-                let lineWidth;
-                try {
-                  lineWidth = bodyFont.widthOfTextAtSize(testLine, 12);
-                } catch (measureError) {
-                  // Fallback to character-based approximation
-                  lineWidth = testLine.length * 7; // Rough approximation
-                }
-                
-                if (lineWidth > textWidth || words[i].includes('\n')) {
-                  // Add current line
-                  currentPage.drawText(line, {
-                    x: textX,
-                    y: textY,
-                    size: 12,
-                    font: bodyFont,
-                    color: rgb(0, 0, 0)
-                  });
-                  
-                  // Move down for next line
-                  textY -= 18; // Slightly increased line spacing
-                  
-                  // Check if we've reached the bottom of the image
-                  if (textY < imageBottom) {
-                    isTextLongerThanImage = true;
-                    break; // Exit the loop to switch to full-width rendering
-                  }
-                  
-                  // Start new line (ignoring leading spaces)
-                  line = words[i].endsWith('\n') ? '' : words[i] + ' ';
-                  
-                  // Handle explicit newlines
-                  if (words[i].includes('\n')) {
-                    const parts = words[i].split('\n');
-                    let partIndex = 0;
-                    
-                    while (partIndex < parts.length) {
-                      if (partIndex > 0) {
-                        // For each new line after the first part
-                        textY -= 18; // Consistent line spacing
-                        
-                        // Check if we've reached the bottom of the image
-                        if (textY < imageBottom) {
-                          isTextLongerThanImage = true;
-                          break; // Exit the loop to switch to full-width rendering
-                        }
-                      }
-                      
-                      if (parts[partIndex]) {
-                        currentPage.drawText(parts[partIndex], {
-                          x: textX,
-                          y: textY,
-                          size: 12,
-                          font: bodyFont,
-                          color: rgb(0, 0, 0)
-                        });
-                        textY -= 18;
-                        
-                        // Check if we've reached the bottom of the image
-                        if (textY < imageBottom) {
-                          isTextLongerThanImage = true;
-                          break; // Exit the loop to switch to full-width rendering
-                        }
-                      }
-                      
-                      partIndex++;
-                    }
-                    
-                    // If we exited the inner loop due to reaching image bottom, also exit the outer loop
-                    if (isTextLongerThanImage) break;
-                    
-                    line = '';
-                  }
-                  
-                  i++;
-                } else {
-                  line = testLine;
-                  i++;
-                }
-              }
-              
-              // Draw any remaining text from the first phase
-              if (line.trim().length > 0 && !isTextLongerThanImage) {
-                currentPage.drawText(line, {
-                  x: textX,
-                  y: textY,
-                  size: 12,
-                  font: bodyFont,
-                  color: rgb(0, 0, 0)
-                });
-                textY -= 18;
-              }
-              
-              // Second phase: If text extends beyond image height, continue with full width
-              if (isTextLongerThanImage) {
-                // Add some space after image before continuing with full-width text
-                y = imageBottom - 25;
-                
-                // Draw any remaining text from the previous phase first
-                if (line.trim().length > 0) {
-                  // Use the full content width for this line (not margin to margin)
-                  // This fixes the blank space issue by ensuring consistent text width
-                  currentPage.drawText(line, {
-                    x: margin, // Full width now, starting from left margin
-                    y: y,
-                    size: 12,
-                    font: bodyFont,
-                    color: rgb(0, 0, 0)
-                  });
-                  y -= 18;
-                }
-                
-                // Continue with the remaining words, now at full width
-                line = '';
-                while (i < words.length) {
-                  const testLine = line + words[i] + ' ';
-                  const lineWidth = bodyFont.widthOfTextAtSize(testLine, 12);
-                  
-                  if (lineWidth > contentWidth || words[i].includes('\n')) {
-                    // Add current line
-                    try {
-                      currentPage.drawText(line, {
-                        x: margin,
-                        y,
-                        size: 12,
-                        font: bodyFont,
-                        color: rgb(0, 0, 0)
-                      });
-                    } catch (drawError) {
-                      console.warn('Error drawing text, attempting to sanitize:', drawError.message);
-                      const safeLine = line.replace(/[^\x20-\x7E]/g, '');
-                      currentPage.drawText(safeLine, {
-                        x: margin,
-                        y,
-                        size: 12,
-                        font: bodyFont,
-                        color: rgb(0, 0, 0)
-                      });
-                    }
-                    
-                    // Move down for next line
-                    y -= 18;
-                    
-                    // Check if we need a new page
-                    if (y < margin) {
-                      currentPage = pdfDoc.addPage([pageWidth, pageHeight]);
-                      y = pageHeight - margin;
-                    }
-                    
-                    // Handle explicit newlines and new line setup
-                    if (words[i].includes('\n')) {
-                      const parts = words[i].split('\n');
-                      for (let j = 0; j < parts.length; j++) {
-                        if (j > 0) {
-                          y -= 18;
-                          if (y < margin) {
-                            currentPage = pdfDoc.addPage([pageWidth, pageHeight]);
-                            y = pageHeight - margin;
-                          }
-                        }
-                        
-                        if (parts[j]) {
-                          try {
-                            currentPage.drawText(parts[j], {
-                              x: margin,
-                              y,
-                              size: 12,
-                              font: bodyFont,
-                              color: rgb(0, 0, 0)
-                            });
-                          } catch (drawError) {
-                            console.warn('Error drawing text, attempting to sanitize:', drawError.message);
-                            const safePart = parts[j].replace(/[^\x20-\x7E]/g, '');
-                            currentPage.drawText(safePart, {
-                              x: margin,
-                              y,
-                              size: 12,
-                              font: bodyFont,
-                              color: rgb(0, 0, 0)
-                            });
-                          }
-                          y -= 18;
-                          
-                          if (y < margin) {
-                            currentPage = pdfDoc.addPage([pageWidth, pageHeight]);
-                            y = pageHeight - margin;
-                          }
-                        }
-                      }
-                      line = '';
-                    } else {
-                      line = words[i].endsWith('\n') ? '' : words[i] + ' ';
-                    }
-                    
-                    i++;
-                  } else {
-                    line = testLine;
-                    i++;
-                  }
-                }
-                
-                // Draw any remaining text in the last line
-                if (line.trim().length > 0) {
-                  try {
-                    currentPage.drawText(line, {
-                      x: margin,
-                      y,
-                      size: 12,
-                      font: bodyFont,
-                      color: rgb(0, 0, 0)
-                    });
-                  } catch (drawError) {
-                    console.warn('Error drawing final line, attempting to sanitize:', drawError.message);
-                    const safeLine = line.replace(/[^\x20-\x7E]/g, '');
-                    currentPage.drawText(safeLine, {
-                      x: margin,
-                      y,
-                      size: 12,
-                      font: bodyFont,
-                      color: rgb(0, 0, 0)
-                    });
-                  }
-                  y -= 18;
-                }
-              } else {
-                // If text was shorter than image, use the lower of the two positions
-                y = Math.min(textY, imageBottom);
-              }
+              // If text was shorter than image, continue below the image
+              if (currentPage === textColumn.page) y = Math.min(y, imageBottom);
+              textColumn = null;
+            } else {
+              addMarkdown(section.text);
             }
           } else {
             // No text, just add the image centered
-            await addImage(section.imageBuffer, contentWidth * 0.7, section.imageCaption, false);
+            await addImage(section.imageBuffer, contentWidth * 0.7, section.imageCaption, false, section.imageSvg);
           }
         }
       } else {
         // Standard text-only section
         if (section.text) {
-          addText(section.text, bodyFont, 12, rgb(0, 0, 0));
+          addMarkdown(section.text);
         }
       }
       
@@ -652,12 +533,156 @@ async function generatePDF(content) {
       y -= section.isFlowchart ? 45 : 35; // More space after flowchart sections
       
       // Check if we need a new page
-      if (y < margin) {
+      if (y < margins.bottom) {
         currentPage = pdfDoc.addPage([pageWidth, pageHeight]);
-        y = pageHeight - margin;
+        y = pageTop;
+      }
+    }
+    
+    // Questions the notes leave open, after the main content
+    if (content.openQuestions && content.openQuestions.length > 0) {
+      addHeading('Open Questions', sectionSize);
+      y -= 5;
+      content.openQuestions.forEach(question => {
+        addText(`- ${question}`, bodyFont, bodySize, colors.text, 15);
+      });
+      y -= 35;
+    }
+    
+    // Glossary on its own page at the back, in alphabetical order
+    if (content.glossary && content.glossary.length > 0) {
+      currentPage = pdfDoc.addPage([pageWidth, pageHeight]);
+      y = pageTop;
+      
+      addHeading('Glossary', sectionSize);
+      y -= 10;
+      
+      const entries = [...content.glossary].sort((a, b) =>
+        a.term.localeCompare(b.term, undefined, { sensitivity: 'base' }));
+      for (const entry of entries) {
+        // Keep a term together with at least the first line of its definition
+        if (y - 40 < margins.bottom) {
+          currentPage = pdfDoc.addPage([pageWidth, pageHeight]);
+          y = pageTop;
+        }
+        addText(entry.term, boldFont, bodySize, colors.text);
+        y += 6; // Pull the definition up under its term
+        addText(entry.definition, bodyFont, smallSize, colors.muted, 15);
+        y -= 6;
+      }
+    }
+    
+    // Practice questions as a printable appendix, with the answers on separate pages
+    if (content.quiz) {
+      const { flashcards = [], multiple_choice: multipleChoice = [], short_answer: shortAnswer = [] } = content.quiz;
+      const newPage = () => {
+        currentPage = pdfDoc.addPage([pageWidth, pageHeight]);
+        y = pageTop;
+      };
+      // Start a question on a new page rather than splitting it from its options
+      const keepTogether = (height) => {
+        if (y - height < margins.bottom) newPage();
+      };
+      
+      // As an appendix to notes it starts on a new page; on its own it follows the title
+      if (content.sections.length > 0 || content.glossary?.length > 0 || content.objectives?.length > 0) {
+        newPage();
+      }
+      addHeading('Appendix: Practice Questions', sectionSize);
+      if (content.quiz.difficulty) {
+        addText(`Difficulty: ${content.quiz.difficulty}`, italicFont, smallSize, colors.muted);
+      }
+      y -= 10;
+      
+      if (multipleChoice.length > 0) {
+        addHeading('Multiple Choice', subsectionSize, 2);
+        multipleChoice.forEach((question, i) => {
+          keepTogether(40 + question.options.length * 20);
+          addText(`${i + 1}. ${question.question}`, bodyFont, bodySize, colors.text);
+          question.options.forEach((option, j) => {
+            addText(`${OPTION_LETTERS[j]}) ${option}`, bodyFont, smallSize, colors.text, 20);
+            y += 4;
+          });
+          y -= 10;
+        });
+        y -= 15;
+      }
+      
+      if (shortAnswer.length > 0) {
+        addHeading('Short Answer', subsectionSize, 2);
+        shortAnswer.forEach((question, i) => {
+          keepTogether(100);
+          addText(`${i + 1}. ${question.question}`, bodyFont, bodySize, colors.text);
+          // Room to write the answer by hand
+          for (let line = 0; line < 3; line++) {
+            y -= 18;
+            currentPage.drawLine({
+              start: { x: margins.left + 20, y },
+              end: { x: pageWidth - margins.right, y },
+              thickness: 0.5,
+              color: colors.rule
+            });
+          }
+          y -= 20;
+        });
+        y -= 15;
+      }
+      
+      if (flashcards.length > 0) {
+        keepTogether(60);
+        addHeading('Flashcards', subsectionSize, 2);
+        flashcards.forEach(card => {
+          keepTogether(50);
+          addText(card.front, boldFont, bodySize, colors.text);
+          y += 6;
+          addText(card.back, bodyFont, smallSize, colors.muted, 15);
+          y -= 6;
+        });
+      }
+      
+      if (multipleChoice.length > 0 || shortAnswer.length > 0) {
+        newPage();
+        addHeading('Answer Key', sectionSize);
+        y -= 5;
+        
+        if (multipleChoice.length > 0) {
+          addHeading('Multiple Choice', subsectionSize, 2);
+          multipleChoice.forEach((question, i) => {
+            keepTogether(40);
+            addText(`${i + 1}. ${OPTION_LETTERS[question.answer_index]}) ${question.options[question.answer_index]}`, boldFont, bodySize, colors.text);
+            y += 4;
+            addText(question.explanation, bodyFont, smallSize, colors.muted, 20);
+          });
+          y -= 15;
+        }
+        
+        if (shortAnswer.length > 0) {
+          addHeading('Short Answer', subsectionSize, 2);
+          shortAnswer.forEach((question, i) => {
+            keepTogether(40);
+            addText(`${i + 1}. ${question.answer}`, boldFont, bodySize, colors.text);
+            y += 4;
+            addText(question.explanation, bodyFont, smallSize, colors.muted, 20);
+          });
+        }
       }
     }
     
+    // Table of contents, bookmarks, and running headers and footers, now that
+    // every page exists
+    addDocumentNavigation(pdfDoc, {
+      entries: headings,
+      options: pdfOptions,
+      title: content.title || 'NoteFlow Document',
+      fonts,
+      headingFonts,
+      colors,
+      pageWidth,
+      pageHeight,
+      margins,
+      coverPages
+    });
+    
     // Serialize the PDFDocument to bytes
     const pdfBytes = await pdfDoc.save();
     
@@ -669,10 +694,38 @@ async function generatePDF(content) {
   }
 }
 
+/**
+ * Objectives, open questions and glossary from a beautifier output, in the
+ * shape generatePDF expects. Notes from before these fields existed have none.
+ */
+const noteExtras = (fullOutput) => ({
+  objectives: fullOutput.learning_objectives || [],
+  openQuestions: fullOutput.open_questions || [],
+  glossary: (fullOutput.key_terms || []).filter(entry => entry && entry.term && entry.definition),
+  quiz: fullOutput.quiz || null
+});
+
+/**
+ * Outline as plain text, one numbered topic or point per line
+ */
+function formatOutline(outline = []) {
+  const lines = [];
+  (outline || []).forEach((topic, i) => {
+    lines.push(`${i + 1}. ${topic.heading}`);
+    (topic.points || []).forEach(point => lines.push(`- ${point}`));
+    (topic.subsections || []).forEach((sub, j) => {
+      lines.push(`${i + 1}.${j + 1} ${sub.heading}`);
+      (sub.points || []).forEach(point => lines.push(`- ${point}`));
+    });
+  });
+  return lines.join('\n');
+}
+
 /**
  * Generate PDF from structured content including diagrams and flowcharts
+ * @param {Object} pdfOptions - table of contents, header and footer, template, see resolvePdfOptions
  */
-async function generateDocumentFromContent(noteData, diagrams = [], flowcharts = [], docStructure = null) {
+async function generateDocumentFromContent(noteData, diagrams = [], flowcharts = [], docStructure = null, pdfOptions = {}) {
   try {
     console.log('generateDocumentFromContent called with:', {
       hasDiagrams: diagrams?.length > 0,
@@ -705,7 +758,8 @@ async function generateDocumentFromContent(noteData, diagrams = [], flowcharts =
       
       const content = {
         title: docStructure.title,
-        sections: []
+        sections: [],
+        ...noteExtras(fullOutput)
       };
       
       // Keep track of which visuals we've used
@@ -719,6 +773,7 @@ async function generateDocumentFromContent(noteData, diagrams = [], flowcharts =
           layout: section.includeImage ? 'text-with-image' : 'text-only',
           imageCaption: section.imageCaption || '',
           imageBuffer: null,
+          imageSvg: null,
           isFlowchart: false
         };
         
@@ -772,6 +827,7 @@ async function generateDocumentFromContent(noteData, diagrams = [], flowcharts =
                 if (matchFn(flowchartName)) {
                   // Make a copy of the buffer to prevent reference issues
                   newSection.imageBuffer = Buffer.from(flowchartsCopy[i].buffer);
+                  newSection.imageSvg = flowchartsCopy[i].svg || null;
                   newSection.imageCaption = section.imageCaption || flowchartsCopy[i].name;
                   newSection.isFlowchart = true;
                   usedVisuals.add(`flow-${i}`);
@@ -806,6 +862,7 @@ async function generateDocumentFromContent(noteData, diagrams = [], flowcharts =
                   (section.imageCaption && section.imageCaption.toLowerCase().includes(conceptName))
               )) {
                 newSection.imageBuffer = Buffer.from(diagramsCopy[d].buffer);
+                newSection.imageSvg = diagramsCopy[d].svg || null;
                 newSection.imageCaption = section.imageCaption || conceptName;
                 newSection.isFlowchart = false;
                 usedVisuals.add(`diagram-${d}`);
@@ -823,6 +880,7 @@ async function generateDocumentFromContent(noteData, diagrams = [], flowcharts =
               for (let i = 0; i < flowchartsCopy.length; i++) {
                 if (flowchartsCopy[i]?.buffer && !usedVisuals.has(`flow-${i}`)) {
                   newSection.imageBuffer = Buffer.from(flowchartsCopy[i].buffer);
+                  newSection.imageSvg = flowchartsCopy[i].svg || null;
                   newSection.imageCaption = section.imageCaption || flowchartsCopy[i].name || 'Flowchart';
                   newSection.isFlowchart = true;
                   usedVisuals.add(`flow-${i}`);
@@ -845,6 +903,7 @@ async function generateDocumentFromContent(noteData, diagrams = [], flowcharts =
                   }
                   
                   newSection.imageBuffer = Buffer.from(diagramsCopy[i].buffer);
+                  newSection.imageSvg = diagramsCopy[i].svg || null;
                   newSection.imageCaption = section.imageCaption || conceptName;
                   newSection.isFlowchart = false;
                   usedVisuals.add(`diagram-${i}`);
@@ -874,10 +933,11 @@ async function generateDocumentFromContent(noteData, diagrams = [], flowcharts =
             console.log(`Adding unassigned flowchart #${i} "${flowchartsCopy[i].name}" as a new section`);
             content.sections.push({
               heading: `${flowchartsCopy[i].name || 'Process Workflow'} ${unassignedCount}`,
-              text: `This flowchart illustrates ${flowchartsCopy[i].name || 'a process workflow'}.`,
+              text: `This ${diagramKindLabel(flowchartsCopy[i].kind)} illustrates ${flowchartsCopy[i].name || 'a process workflow'}.`,
               layout: 'text-with-image',
               imageCaption: flowchartsCopy[i].name || `Flowchart ${i+1}`,
               imageBuffer: Buffer.from(flowchartsCopy[i].buffer),
+              imageSvg: flowchartsCopy[i].svg || null,
               isFlowchart: true
             });
             usedVisuals.add(`flow-${i}`);
@@ -892,7 +952,7 @@ async function generateDocumentFromContent(noteData, diagrams = [], flowcharts =
       // No need for the "Additional Flowcharts" section - the AI should generate prompts only for needed flowcharts
       
       // Generate the PDF using the structured content
-      return await generatePDF(content);
+      return await generatePDF(content, pdfOptions);
     } else {
       // Fall back to basic structure if AI document structure is not available
       console.log('Using basic document structure for PDF');
@@ -905,9 +965,16 @@ async function generateDocumentFromContent(noteData, diagrams = [], flowcharts =
             heading: 'Summary',
             text: fullOutput.summary || noteData.summary || 'No summary available'
           }
-        ]
+        ],
+        ...noteExtras(fullOutput)
       };
       
+      // Without an AI document structure, the outline is the best view of how the notes are organized
+      const outlineText = formatOutline(fullOutput.outline);
+      if (outlineText) {
+        content.sections.push({ heading: 'Outline', text: outlineText });
+      }
+      
       // Add diagram sections if available
       if (diagrams && diagrams.length > 0) {
         console.log(`Adding ${diagrams.filter(d => d.buffer).length} diagrams to PDF`);
@@ -919,6 +986,7 @@ async function generateDocumentFromContent(noteData, diagrams = [], flowcharts =
             content.sections.push({
               heading: conceptName,
               imageBuffer: diagrams[i].buffer,
+              imageSvg: diagrams[i].svg || null,
               imageCaption: conceptName,
               layout: 'text-with-image',
               isFlowchart: false
@@ -935,6 +1003,7 @@ async function generateDocumentFromContent(noteData, diagrams = [], flowcharts =
             content.sections.push({
               heading: flowcharts[i].name,
               imageBuffer: flowcharts[i].buffer,
+              imageSvg: flowcharts[i].svg || null,
               imageCaption: flowcharts[i].name,
               layout: 'text-with-image',
               isFlowchart: true
@@ -947,7 +1016,7 @@ async function generateDocumentFromContent(noteData, diagrams = [], flowcharts =
       const timestamp = new Date().toISOString();
       
       // Generate the PDF
-      const pdfBuffer = await generatePDF(content);
+      const pdfBuffer = await generatePDF(content, pdfOptions);
       
       // Verify buffer and log details
       if (!pdfBuffer || pdfBuffer.length === 0) {
@@ -970,99 +1039,21 @@ async function generateDocumentFromContent(noteData, diagrams = [], flowcharts =
   } catch (error) {
     console.error('Error generating document from content:', error);
     
-    // If we get a specific encoding issue with newlines, attempt recovery
-    if (error.message && (
-        error.message.includes("WinAnsi cannot encode") || 
-        error.message.includes("0x000a")
-    )) {
-      console.log("Detected text encoding issue, attempting recovery with simplified content");
-      
-      try {
-        // Create simplified content that avoids complex text handling
-        const simplifiedContent = {
-          title: "PDF Document (Simplified Version)",
-          sections: [
-            {
-              heading: "Note Summary",
-              text: "The original note content contained characters that couldn't be properly encoded. This is a simplified version.",
-              layout: "text-only"
-            }
-          ]
-        };
-        
-        // Add a basic summary if available
-        const summary = noteData?.fullOutput?.summary || noteData?.summary;
-        if (summary) {
-          const safeSummary = String(summary)
-            .replace(/[\r\n]+/g, ' ')  // Replace all newlines with spaces
-            .replace(/[^\x20-\x7E]/g, ' '); // Replace all non-ASCII chars
-            
-          simplifiedContent.sections.push({
-            heading: "Content Summary",
-            text: safeSummary,
-            layout: "text-only"
-          });
-        }
-        
-        // Try to include diagrams and flowcharts without text
-        if (diagrams && diagrams.length > 0) {
-          for (let i = 0; i < diagrams.length; i++) {
-            if (diagrams[i].buffer) {
-              simplifiedContent.sections.push({
-                heading: `Diagram ${i+1}`,
-                text: "",
-                imageBuffer: diagrams[i].buffer,
-                layout: "text-with-image",
-                imageCaption: `Diagram ${i+1}`,
-                isFlowchart: false
-              });
-            }
-          }
-        }
-        
-        if (flowcharts && flowcharts.length > 0) {
-          for (let i = 0; i < flowcharts.length; i++) {
-            if (flowcharts[i].buffer) {
-              simplifiedContent.sections.push({
-                heading: `Flowchart ${i+1}`,
-                text: "",
-                imageBuffer: flowcharts[i].buffer,
-                layout: "text-with-image",
-                imageCaption: flowcharts[i].name || `Flowchart ${i+1}`,
-                isFlowchart: true
-              });
-            }
-          }
-        }
-        
-        return await generatePDF(simplifiedContent);
-      } catch (recoveryError) {
-        console.error("Recovery attempt failed:", recoveryError);
-        // Fall through to basic error PDF
-      }
-    }
-    
     // Return a simple error PDF instead of failing completely
     try {
-      // Sanitize error message to avoid encoding issues
-      const safeErrorMessage = error.message ? 
-        error.message.replace(/[\u0080-\uFFFF\n\r]/g, ' ') : 
-        'Unknown error';
-        
+      const errorMessage = error.message || 'Unknown error';
       const summaryText = noteData?.fullOutput?.summary || noteData?.summary || 'No summary available';
-      // Sanitize summary text to avoid encoding issues
-      const safeSummaryText = summaryText.replace(/[\u0080-\uFFFF\n\r]/g, ' ');
       
       const errorContent = {
         title: 'Error Generating PDF',
         sections: [
           {
             heading: 'Error Information',
-            text: `An error occurred while generating this PDF: ${safeErrorMessage}`
+            text: `An error occurred while generating this PDF: ${errorMessage}`
           },
           {
             heading: 'Content Summary',
-            text: safeSummaryText
+            text: summaryText
           }
         ]
       };
@@ -1086,11 +1077,16 @@ async function generateDocumentFromContent(noteData, diagrams = [], flowcharts =
           font
         });
         
-        page.drawText(`Error: ${error.message}`, {
-          x: 50,
-          y: height - 150,
-          size: 12,
-          font
+        // Helvetica only encodes WinAnsi, and the message may quote any input
+        // - keep it to printable ASCII so drawing it can't fail as well
+        const message = `Error: ${error.message || 'Unknown error'}`.replace(/[^\x20-\x7e\n\t]/g, '?');
+        wrapText(font, message, 12, width - 100).slice(0, 40).forEach((line, index) => {
+          page.drawText(line, {
+            x: 50,
+            y: height - 150 - index * 16,
+            size: 12,
+            font
+          });
         });
         
         const pdfBytes = await pdfDoc.save();
@@ -1103,7 +1099,23 @@ async function generateDocumentFromContent(noteData, diagrams = [], flowcharts =
   }
 }
 
+/**
+ * Printable PDF of a quiz on its own: questions, then the answer key
+ * @param {Object} quiz - quizGenerationFlow output
+ * @param {Object} options - { title, difficulty }
+ * @returns {Promise<Buffer>}
+ */
+async function generateQuizDocument(quiz, { title = 'NoteFlow Notes', difficulty = null } = {}) {
+  return generatePDF({
+    title: `${title} - Practice Questions`,
+    subject: 'Practice questions',
+    sections: [],
+    quiz: { ...quiz, difficulty }
+  });
+}
+
 module.exports = {
   generatePDF,
-  generateDocumentFromContent
+  generateDocumentFromContent,
+  generateQuizDocument
 };
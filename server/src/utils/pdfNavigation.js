@@ -0,0 +1,293 @@
+const { PDFHexString, PDFName } = require('pdf-lib');
+const { resolvePdfTemplate } = require('./pdfTemplates');
+
+/**
+ * Navigation for generated PDFs, added once the body has been laid out:
+ * a table of contents at the front (after the cover page, if the template
+ * has one) with page numbers and internal links, outline bookmarks for
+ * section headings, and running headers and footers.
+ *
+ * Headers and footers are "left|center|right" templates (a template without
+ * "|" is centred) with the placeholders {title}, {date}, {section}, {page}
+ * and {pages}. An empty template turns that line off.
+ */
+
+const TOC_MODES = ['auto', 'always', 'never'];
+const DEFAULT_TOC = TOC_MODES.includes(process.env.PDF_TOC) ? process.env.PDF_TOC : 'auto';
+// With toc "auto", documents with at least this many pages get a table of contents
+const PDF_TOC_MIN_PAGES = parseInt(process.env.PDF_TOC_MIN_PAGES, 10) || 6;
+const DEFAULT_HEADER = process.env.PDF_HEADER ?? '{title}||{section}';
+const DEFAULT_FOOTER = process.env.PDF_FOOTER ?? '{date}||Page {page} of {pages}';
+
+const HEADER_SIZE = 9;
+const TOC_LINE_HEIGHT = 20;
+
+/**
+ * Parse a header/footer template into [left, center, right], or null when off.
+ * Undefined when it isn't a template at all.
+ */
+function parseTemplate(template) {
+  if (template === false || template === null || template === '') return null;
+  if (Array.isArray(template)) {
+    // Already parsed
+    if (template.length !== 3 || template.some(part => typeof part !== 'string')) return undefined;
+    return template.some(Boolean) ? template : null;
+  }
+  if (typeof template === 'string') {
+    const parts = template.split('|');
+    if (parts.length === 1) return ['', parts[0], ''];
+    return [parts[0], parts[1] || '', parts.slice(2).join('|')];
+  }
+  if (typeof template === 'object') {
+    const parts = ['left', 'center', 'right'].map(key => template[key] || '');
+    if (parts.some(part => typeof part !== 'string')) return undefined;
+    return parts.some(Boolean) ? parts : null;
+  }
+  return undefined;
+}
+
+/**
+ * PDF options for a request, with defaults from the environment, or null if
+ * they are invalid. Resolved options resolve to themselves.
+ * @param {Object|string} requested - { toc: true | false | 'auto' | 'always' | 'never',
+ *   header, footer: template string, { left, center, right } or false, date,
+ *   template: see resolvePdfTemplate }, or the same as JSON (from a multipart form)
+ * @returns {Object|null} - { toc, header, footer, date, template }
+ */
+function resolvePdfOptions(requested = {}) {
+  if (typeof requested === 'string') {
+    try {
+      requested = JSON.parse(requested);
+    } catch (error) {
+      return null;
+    }
+  }
+  if (!requested || typeof requested !== 'object' || Array.isArray(requested)) return null;
+
+  let toc = requested.toc ?? DEFAULT_TOC;
+  if (toc === true) toc = 'always';
+  if (toc === false) toc = 'never';
+  if (!TOC_MODES.includes(toc)) return null;
+
+  // null is a line turned off (as resolved), not a missing one
+  const header = parseTemplate(requested.header === undefined ? DEFAULT_HEADER : requested.header);
+  const footer = parseTemplate(requested.footer === undefined ? DEFAULT_FOOTER : requested.footer);
+  if (header === undefined || footer === undefined) return null;
+
+  if (requested.date !== undefined && typeof requested.date !== 'string') return null;
+  const date = requested.date || new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+
+  const template = resolvePdfTemplate(requested.template);
+  if (!template) return null;
+
+  return { toc, header, footer, date, template };
+}
+
+/**
+ * Shorten text with an ellipsis until it fits a width
+ */
+function fitText(font, text, size, maxWidth) {
+  if (font.widthOfTextAtSize(text, size) <= maxWidth) return text;
+  const chars = Array.from(text);
+  while (chars.length && font.widthOfTextAtSize(`${chars.join('').trimEnd()}\u2026`, size) > maxWidth) {
+    chars.pop();
+  }
+  return chars.length ? `${chars.join('').trimEnd()}\u2026` : '';
+}
+
+// Destination for a heading: its page, scrolled to just above it
+const destination = (pdfDoc, entry) => pdfDoc.context.obj([entry.page.ref, 'XYZ', null, entry.top + 6, null]);
+
+/**
+ * Add outline bookmarks: sections at the top level, headings inside a
+ * section's text nested under it (collapsed)
+ * @param {PDFDocument} pdfDoc
+ * @param {Array} entries - [{ title, level, page, top }] in document order
+ */
+function addOutline(pdfDoc, entries) {
+  const tree = [];
+  entries.forEach(entry => {
+    const parent = tree[tree.length - 1];
+    if (entry.level > 1 && parent) parent.children.push({ ...entry, children: [] });
+    else tree.push({ ...entry, children: [] });
+  });
+  if (!tree.length) return;
+
+  const { context } = pdfDoc;
+  const outlinesRef = context.nextRef();
+
+  const addItems = (items, parentRef) => {
+    const refs = items.map(() => context.nextRef());
+    items.forEach((item, i) => {
+      const dict = {
+        Title: PDFHexString.fromText(item.title),
+        Parent: parentRef,
+        Dest: destination(pdfDoc, item)
+      };
+      if (i > 0) dict.Prev = refs[i - 1];
+      if (i < items.length - 1) dict.Next = refs[i + 1];
+      if (item.children.length) {
+        const childRefs = addItems(item.children, refs[i]);
+        dict.First = childRefs[0];
+        dict.Last = childRefs[childRefs.length - 1];
+        dict.Count = -item.children.length;
+      }
+      context.assign(refs[i], context.obj(dict));
+    });
+    return refs;
+  };
+
+  const topRefs = addItems(tree, outlinesRef);
+  context.assign(outlinesRef, context.obj({
+    Type: 'Outlines',
+    First: topRefs[0],
+    Last: topRefs[topRefs.length - 1],
+    Count: tree.length
+  }));
+  pdfDoc.catalog.set(PDFName.of('Outlines'), outlinesRef);
+  pdfDoc.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+}
+
+/**
+ * Insert table of contents pages after the cover (if any), listing the
+ * top-level entries with their page numbers (counted after the insert).
+ * Each line links to its heading.
+ * @returns {number} - how many pages were inserted
+ */
+function addTableOfContents(pdfDoc, entries, { fonts, headingFonts, colors, pageWidth, pageHeight, margins, coverPages }) {
+  const items = entries.filter(entry => entry.level === 1);
+  if (!items.length) return 0;
+
+  const contentWidth = pageWidth - margins.left - margins.right;
+  const firstPageTop = pageHeight - margins.top - 40; // below the "Contents" heading
+  const linesOnFirstPage = Math.max(1, Math.floor((firstPageTop - margins.bottom) / TOC_LINE_HEIGHT) + 1);
+  const linesPerPage = Math.max(1, Math.floor((pageHeight - margins.top - margins.bottom) / TOC_LINE_HEIGHT) + 1);
+  const pageCount = 1 + Math.ceil(Math.max(0, items.length - linesOnFirstPage) / linesPerPage);
+
+  const tocPages = [];
+  for (let i = 0; i < pageCount; i++) tocPages.push(pdfDoc.insertPage(coverPages + i, [pageWidth, pageHeight]));
+  const pages = pdfDoc.getPages();
+
+  headingFonts.bold.drawText(tocPages[0], 'Contents', { x: margins.left, y: pageHeight - margins.top, size: 18, color: colors.heading });
+
+  let pageIndex = 0;
+  let y = firstPageTop;
+  items.forEach(item => {
+    if (y < margins.bottom) {
+      pageIndex++;
+      y = pageHeight - margins.top;
+    }
+    const page = tocPages[pageIndex];
+    const size = 12;
+    const x = margins.left;
+    const number = String(pages.indexOf(item.page) + 1);
+    const numberWidth = fonts.regular.widthOfTextAtSize(number, size);
+    const title = fitText(fonts.regular, item.title, size, contentWidth - numberWidth - 40);
+    const titleWidth = fonts.regular.drawText(page, title, { x, y, size, color: colors.text });
+    fonts.regular.drawText(page, number, { x: x + contentWidth - numberWidth, y, size, color: colors.text });
+
+    // Dot leader between the title and the page number
+    const dotWidth = fonts.regular.widthOfTextAtSize('. ', size);
+    const leaderStart = x + titleWidth + 8;
+    const dots = Math.floor((x + contentWidth - numberWidth - 8 - leaderStart) / dotWidth);
+    if (dots > 0) {
+      fonts.regular.drawText(page, '. '.repeat(dots).trimEnd(), { x: leaderStart, y, size, color: colors.subtle });
+    }
+
+    const link = pdfDoc.context.register(pdfDoc.context.obj({
+      Type: 'Annot',
+      Subtype: 'Link',
+      Rect: [x, y - 5, x + contentWidth, y + size],
+      Border: [0, 0, 0],
+      Dest: destination(pdfDoc, item)
+    }));
+    page.node.addAnnot(link);
+
+    y -= TOC_LINE_HEIGHT;
+  });
+
+  return pageCount;
+}
+
+/**
+ * Draw a header or footer line, each part fitted into a third of the width
+ */
+function drawRunningLine(page, parts, values, { fonts, color, y, x: left, contentWidth }) {
+  const third = contentWidth / 3;
+  parts.forEach((template, i) => {
+    const text = template.replace(/\{(title|date|section|page|pages)\}/g, (match, key) => values[key] ?? '').trim();
+    if (!text) return;
+    // The middle part may spread wider when a side is empty
+    const sides = i === 1 && (!parts[0] || !parts[2]) ? contentWidth - 20 : third - 10;
+    const fitted = fitText(fonts.regular, text, HEADER_SIZE, sides);
+    const width = fonts.regular.widthOfTextAtSize(fitted, HEADER_SIZE);
+    const x = i === 0 ? left : i === 1 ? left + (contentWidth - width) / 2 : left + contentWidth - width;
+    fonts.regular.drawText(page, fitted, { x, y, size: HEADER_SIZE, color });
+  });
+}
+
+/**
+ * Add the table of contents, bookmarks, and running headers and footers to
+ * a laid-out document
+ * @param {PDFDocument} pdfDoc
+ * @param {Object} layout - { entries, options (from resolvePdfOptions), title, fonts,
+ *   headingFonts, colors, pageWidth, pageHeight, margins, coverPages } where
+ *   entries are the headings drawn, [{ title, level (1 for sections), page, top }]
+ *   in document order, colors are the template's as pdf-lib colors and
+ *   coverPages is how many pages come before the body
+ */
+function addDocumentNavigation(pdfDoc, layout) {
+  const { entries, options, title, fonts, colors, pageWidth, pageHeight, margins, coverPages = 0 } = layout;
+  const bodyPages = pdfDoc.getPageCount() - coverPages;
+  const withToc = options.toc === 'always' || (options.toc === 'auto' && bodyPages >= PDF_TOC_MIN_PAGES);
+  const tocPageCount = withToc ? addTableOfContents(pdfDoc, entries, { headingFonts: fonts, ...layout, coverPages }) : 0;
+
+  addOutline(pdfDoc, entries);
+
+  const pages = pdfDoc.getPages();
+  const contentWidth = pageWidth - margins.left - margins.right;
+  const lineLayout = { fonts, color: colors.subtle, x: margins.left, contentWidth };
+  // The first body page has the title at the top, unless it is on a cover
+  const headerFrom = coverPages + tocPageCount + (coverPages ? 0 : 1);
+  const sections = entries.filter(entry => entry.level === 1)
+    .map(entry => ({ title: entry.title, index: pages.indexOf(entry.page) }));
+
+  pages.forEach((page, index) => {
+    const section = sections.filter(entry => entry.index <= index).pop();
+    const values = {
+      title,
+      date: options.date,
+      section: section ? section.title : '',
+      page: String(index + 1),
+      pages: String(pages.length)
+    };
+    // No header over the cover, the table of contents or the title
+    if (options.header && index >= headerFrom) {
+      drawRunningLine(page, options.header, values, { ...lineLayout, y: pageHeight - margins.top + 22 });
+    }
+    if (options.footer && index >= coverPages) {
+      drawRunningLine(page, options.footer, values, { ...lineLayout, y: margins.bottom - 28 });
+    }
+  });
+
+  return { tocPages: tocPageCount };
+}
+
+/**
+ * Middleware for routes that generate PDFs: responds 400 if req.body.pdfOptions
+ * is invalid, otherwise sets the resolved options as req.pdfOptions
+ */
+function validatePdfOptions(req, res, next) {
+  const pdfOptions = resolvePdfOptions(req.body?.pdfOptions);
+  if (!pdfOptions) {
+    return res.status(400).json({ error: 'pdfOptions must be { toc: true, false, "auto", "always" or "never", header and footer: "left|center|right" templates or false, date: string, template: a template id (see /api/ai/pdf-templates) or template object }' });
+  }
+  req.pdfOptions = pdfOptions;
+  next();
+}
+
+module.exports = {
+  resolvePdfOptions,
+  validatePdfOptions,
+  addDocumentNavigation
+};
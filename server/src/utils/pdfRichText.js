@@ -0,0 +1,709 @@
+const { marked } = require('marked');
+const bidi = require('bidi-js')();
+const { rgb } = require('pdf-lib');
+const { renderMath } = require('./mathRenderer');
+const { drawSvg } = require('./svgToPdf');
+
+/**
+ * Markdown layout for the PDF generator. Section text is parsed with marked
+ * into blocks (paragraphs, headings, lists, block quotes, code, tables) of
+ * styled runs, which are wrapped and drawn with the text styles from
+ * pdfFonts, breaking pages as they go. TeX math between $...$ or \(...\)
+ * (inline) and $$...$$ or \[...\] (display) is rendered by mathRenderer and
+ * drawn as vectors, sitting on the text baseline.
+ *
+ * Drawing goes through a cursor owned by the generator:
+ *   page        - the current pdf-lib page (a getter; it changes on page breaks)
+ *   y           - baseline of the next line (get/set)
+ *   top         - baseline of the first line on a new page
+ *   bottom      - lowest y text may be drawn at
+ *   newPage()   - start a new page and move y to its top
+ *   columnAt(y) - { x, width } of the text column at a baseline, so text can
+ *                 run beside an image and then widen below it
+ */
+
+// Colors besides the text color; a PDF template can replace any of them
+const DEFAULT_PALETTE = {
+  heading: null, // the text color
+  link: rgb(0.1, 0.3, 0.7),
+  quote: rgb(0.3, 0.3, 0.3),
+  rule: rgb(0.75, 0.75, 0.75),
+  codeBackground: rgb(0.95, 0.95, 0.95),
+  tableHeader: rgb(0.92, 0.92, 0.92)
+};
+
+const LIST_INDENT = 18;
+const QUOTE_INDENT = 14;
+const CELL_PADDING = 4;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", nbsp: '\u00a0' };
+
+// marked escapes HTML in inline text
+const decodeEntities = (text) => String(text || '')
+  .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (match, name) => ENTITIES[name])
+  .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(parseInt(code, 10)))
+  .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)));
+
+const styleName = ({ bold, italic, code }) => {
+  if (code) return 'code';
+  if (bold && italic) return 'boldItalic';
+  if (bold) return 'bold';
+  return italic ? 'italic' : 'regular';
+};
+
+/**
+ * Flatten marked inline tokens into runs of { text, style, link, strike }
+ */
+function inlineRuns(tokens = [], format = {}) {
+  const runs = [];
+  const push = (text, extra = {}) => {
+    if (text) runs.push({ text, style: styleName({ ...format, ...extra }), link: format.link, strike: format.strike });
+  };
+
+  tokens.forEach(token => {
+    switch (token.type) {
+      case 'strong':
+        runs.push(...inlineRuns(token.tokens, { ...format, bold: true }));
+        break;
+      case 'em':
+        runs.push(...inlineRuns(token.tokens, { ...format, italic: true }));
+        break;
+      case 'del':
+        runs.push(...inlineRuns(token.tokens, { ...format, strike: true }));
+        break;
+      case 'link':
+        runs.push(...inlineRuns(token.tokens, { ...format, link: true }));
+        break;
+      case 'codespan':
+        push(decodeEntities(token.text), { code: true });
+        break;
+      case 'math': {
+        // Math that doesn't render is shown as its TeX source
+        const math = tryRenderMath(token.text, token.display);
+        if (math) runs.push({ text: token.raw, style: styleName(format), link: format.link, math });
+        else push(token.raw, { code: true });
+        break;
+      }
+      case 'br':
+        push('\n');
+        break;
+      case 'image':
+        push(decodeEntities(token.text || token.title || ''), { italic: true });
+        break;
+      case 'html':
+        // Notes aren't HTML: keep things like <value> as written
+        push(token.text.replace(/<br\s*\/?>/gi, '\n'));
+        break;
+      default:
+        if (token.tokens) runs.push(...inlineRuns(token.tokens, format));
+        else push(decodeEntities(token.text));
+    }
+  });
+  return runs;
+}
+
+/**
+ * marked extensions for TeX math. Inline $...$ needs a non-space after the
+ * opening $ and before the closing one, and no digit after it, so prices
+ * like "$5 and $10" stay text.
+ */
+const mathExtensions = [
+  {
+    name: 'mathBlock',
+    level: 'block',
+    start: (src) => (src.match(/\$\$|\\\[/) || {}).index,
+    tokenizer(src) {
+      const match = src.match(/^ {0,3}(?:\$\$([\s\S]+?)\$\$|\\\[([\s\S]+?)\\\])[ \t]*(?:\n+|$)/);
+      if (match) return { type: 'mathBlock', raw: match[0], text: (match[1] || match[2]).trim() };
+      return undefined;
+    }
+  },
+  {
+    name: 'math',
+    level: 'inline',
+    start: (src) => (src.match(/\$|\\\(/) || {}).index,
+    tokenizer(src) {
+      const match = src.match(/^\$\$([\s\S]+?)\$\$/) ||
+        src.match(/^\\\(([\s\S]+?)\\\)/) ||
+        src.match(/^\$(?!\s)((?:\\.|[^\\$\n])+?)(?<!\s)\$(?!\d)/);
+      if (match) return { type: 'math', raw: match[0], text: match[1].trim(), display: match[0].startsWith('$$') };
+      return undefined;
+    }
+  }
+];
+marked.use({ extensions: mathExtensions });
+
+/**
+ * Render a formula, or null (and a warning) when the TeX doesn't parse
+ */
+function tryRenderMath(tex, display) {
+  try {
+    return renderMath(tex, { display });
+  } catch (error) {
+    console.warn(`Could not render math "${tex}":`, error.message);
+    return null;
+  }
+}
+
+const runKey = (run) => `${run.style}|${run.link ? 1 : 0}|${run.strike ? 1 : 0}`;
+
+/**
+ * Lay out and draw Markdown
+ * @param {string} markdown - section text
+ * @param {Object} options - { fonts, cursor, size, color, palette, onHeading } where
+ *   fonts are the text styles from embedDocumentFonts, palette overrides
+ *   DEFAULT_PALETTE and onHeading(text, page, top) is told where each
+ *   heading was drawn
+ */
+function drawMarkdown(markdown, { fonts, cursor, size = 12, color = rgb(0, 0, 0), palette = {}, onHeading = null }) {
+  const colors = { ...DEFAULT_PALETTE, ...palette };
+  const tokens = marked.lexer(String(markdown || ''), { ...marked.defaults, gfm: true, breaks: true });
+
+  const measure = (text, style, runSize) => fonts[style].widthOfTextAtSize(text, runSize);
+
+  // Make room for something `height` below the current baseline
+  const ensureRoom = (height) => {
+    if (cursor.y - height < cursor.bottom) cursor.newPage();
+  };
+
+  // Column for the current line, less the block's indent
+  const lineBox = (indent) => {
+    const column = cursor.columnAt(cursor.y);
+    return { x: column.x + indent, width: Math.max(column.width - indent, size * 4) };
+  };
+
+  /**
+   * Group a paragraph's runs into words (text between spaces, possibly in
+   * several styles) and forced line breaks
+   */
+  function toWords(runs, runSize) {
+    const words = [];
+    let word = null;
+    let pendingSpace = null;
+    runs.forEach(run => {
+      // A formula is drawn whole, as part of the word it touches
+      if (run.math) {
+        const width = run.math.width * runSize;
+        if (word) {
+          word.parts.push({ text: '', run });
+          word.width += width;
+        } else {
+          word = {
+            parts: [{ text: '', run }],
+            width,
+            space: pendingSpace,
+            spaceWidth: pendingSpace ? measure(' ', pendingSpace.style, runSize) : 0
+          };
+          words.push(word);
+          pendingSpace = null;
+        }
+        return;
+      }
+      run.text.split(/(\n|[ \t]+)/).forEach(part => {
+        if (!part) return;
+        if (part === '\n') {
+          words.push({ lineBreak: true });
+          word = null;
+          pendingSpace = null;
+        } else if (/^[ \t]+$/.test(part)) {
+          word = null;
+          pendingSpace = run;
+        } else if (word) {
+          word.parts.push({ text: part, run });
+          word.width += measure(part, run.style, runSize);
+        } else {
+          word = {
+            parts: [{ text: part, run }],
+            width: measure(part, run.style, runSize),
+            space: pendingSpace,
+            spaceWidth: pendingSpace ? measure(' ', pendingSpace.style, runSize) : 0
+          };
+          words.push(word);
+          pendingSpace = null;
+        }
+      });
+    });
+    return words;
+  }
+
+  // Split a word too wide for a line at the last character that fits
+  function splitWord(word, width, runSize) {
+    const head = { parts: [], width: 0, space: word.space, spaceWidth: word.spaceWidth };
+    const tail = { parts: [], width: 0, space: null, spaceWidth: 0 };
+    word.parts.forEach(part => {
+      if (part.run.math) {
+        const mathWidth = part.run.math.width * runSize;
+        const target = !tail.parts.length && (!head.parts.length || head.width + mathWidth <= width) ? head : tail;
+        target.parts.push(part);
+        target.width += mathWidth;
+        return;
+      }
+      let headText = '';
+      let tailText = '';
+      Array.from(part.text).forEach(ch => {
+        const chWidth = measure(ch, part.run.style, runSize);
+        if (!tailText && !tail.parts.length && (head.width + chWidth <= width || (!head.parts.length && !headText))) {
+          headText += ch;
+          head.width += chWidth;
+        } else {
+          tailText += ch;
+          tail.width += chWidth;
+        }
+      });
+      if (headText) head.parts.push({ text: headText, run: part.run });
+      if (tailText) tail.parts.push({ text: tailText, run: part.run });
+    });
+    return tail.parts.length ? [head, tail] : [head];
+  }
+
+  /**
+   * Draw one line of words. Consecutive words in the same style are drawn
+   * as one piece of text; in right-to-left paragraphs the pieces go from
+   * the right edge leftwards.
+   */
+  function drawLine(words, box, { runSize, textColor, rtl }) {
+    const page = cursor.page;
+    const segments = [];
+    words.forEach((word, index) => {
+      const pieces = index > 0 && word.space ? [{ text: ' ', run: word.space }, ...word.parts] : word.parts;
+      pieces.forEach(piece => {
+        const last = segments[segments.length - 1];
+        if (last && !last.run.math && !piece.run.math && runKey(last.run) === runKey(piece.run)) last.text += piece.text;
+        else segments.push({ text: piece.text, run: piece.run });
+      });
+    });
+
+    let x = rtl ? box.x + box.width : box.x;
+    segments.forEach(segment => {
+      const { style, link, strike, math } = segment.run;
+      const width = math ? math.width * runSize : measure(segment.text, style, runSize);
+      if (rtl) x -= width;
+      if (math) {
+        drawSvg(page, math.svg, {
+          x,
+          y: cursor.y - math.depth * runSize,
+          width,
+          height: (math.height + math.depth) * runSize,
+          fonts,
+          color: link ? colors.link : textColor
+        });
+        if (!rtl) x += width;
+        return;
+      }
+      if (style === 'code' && segment.text.trim()) {
+        page.drawRectangle({ x: x - 1, y: cursor.y - runSize * 0.25, width: width + 2, height: runSize * 1.1, color: colors.codeBackground });
+      }
+      fonts[style].drawText(page, segment.text, { x, y: cursor.y, size: runSize, color: link ? colors.link : textColor });
+      if (strike || link) {
+        const lineY = strike ? cursor.y + runSize * 0.3 : cursor.y - runSize * 0.12;
+        page.drawLine({ start: { x, y: lineY }, end: { x: x + width, y: lineY }, thickness: 0.6, color: link ? colors.link : textColor });
+      }
+      if (!rtl) x += width;
+    });
+  }
+
+  /**
+   * Wrap and draw a paragraph of runs
+   * @param {Object} ctx - block context: { indent, quotes, marker, textColor }
+   */
+  function drawParagraph(runs, ctx, { runSize = size, lineHeight = runSize * 1.3 } = {}) {
+    const words = toWords(runs, runSize);
+    const plain = runs.map(run => run.text).join('');
+    const rtl = Boolean(plain.trim()) && (bidi.getEmbeddingLevels(plain).paragraphs[0].level & 1) === 1;
+
+    let index = 0;
+    while (index < words.length) {
+      if (words[index].lineBreak) {
+        index++;
+        cursor.y -= lineHeight;
+        continue;
+      }
+      ensureRoom(runSize * 0.3);
+      const box = lineBox(ctx.indent);
+
+      // Fill the line greedily, splitting a word that is wider than the whole line
+      let end = index;
+      let lineWidth = 0;
+      while (end < words.length && !words[end].lineBreak) {
+        const word = words[end];
+        const added = (end > index ? word.spaceWidth : 0) + word.width;
+        if (lineWidth + added > box.width) {
+          if (end === index) words.splice(index, 1, ...splitWord(word, box.width, runSize));
+          else break;
+          if (words[index].width > box.width) break;
+          continue;
+        }
+        lineWidth += added;
+        end++;
+      }
+      if (end === index) end = index + 1;
+
+      // Formulas taller or deeper than the text push the neighbouring lines away
+      const line = words.slice(index, end);
+      const { above, below } = mathExtent(line, runSize);
+      if (above) {
+        cursor.y -= above;
+        ensureRoom(runSize * 0.3 + below);
+      }
+      drawDecorations(ctx, runSize, lineHeight);
+      drawLine(line, box, { runSize, textColor: ctx.textColor, rtl });
+      index = end;
+      if (words[index] && words[index].lineBreak) index++;
+      cursor.y -= lineHeight + below;
+    }
+  }
+
+  // How far a line's formulas reach above and below ordinary text
+  function mathExtent(line, runSize) {
+    let above = 0;
+    let below = 0;
+    line.forEach(word => word.parts.forEach(({ run }) => {
+      if (!run.math) return;
+      above = Math.max(above, (run.math.height - 0.95) * runSize);
+      below = Math.max(below, (run.math.depth - 0.3) * runSize);
+    }));
+    return { above, below };
+  }
+
+  /**
+   * Draw a display formula centred in the column, scaled down if it is
+   * wider than the column. TeX that doesn't render is shown as code.
+   */
+  function drawDisplayMath(tex, ctx) {
+    const math = tryRenderMath(tex, true);
+    if (!math) {
+      drawCode(tex, ctx);
+      return;
+    }
+    const emSize = Math.min(size * 1.1, lineBox(ctx.indent).width / math.width);
+    const above = Math.max(0, math.height * emSize - size);
+    cursor.y -= size * 0.2;
+    ensureRoom(above + math.depth * emSize);
+    cursor.y -= above;
+    const box = lineBox(ctx.indent);
+    drawSvg(cursor.page, math.svg, {
+      x: box.x + (box.width - math.width * emSize) / 2,
+      y: cursor.y - math.depth * emSize,
+      width: math.width * emSize,
+      height: (math.height + math.depth) * emSize,
+      fonts,
+      color: ctx.textColor
+    });
+    cursor.y -= Math.max(size * 0.3, math.depth * emSize) + size * 0.5;
+  }
+
+  // Quote bars beside a line, and a list marker before the first line of an item
+  function drawDecorations(ctx, runSize, lineHeight) {
+    const column = cursor.columnAt(cursor.y);
+    ctx.quotes.forEach(offset => {
+      cursor.page.drawRectangle({
+        x: column.x + offset,
+        y: cursor.y - runSize * 0.3 - (lineHeight - runSize * 1.2),
+        width: 2.5,
+        height: lineHeight,
+        color: colors.rule
+      });
+    });
+    if (ctx.marker) {
+      ctx.marker(column.x + ctx.indent, runSize);
+      ctx.marker = null;
+    }
+  }
+
+  // List markers are drawn as shapes, so they look the same with any font
+  function listMarker(list, item, number, depth) {
+    return (textX, runSize) => {
+      const page = cursor.page;
+      const centerY = cursor.y + runSize * 0.32;
+      if (item.task) {
+        const side = runSize * 0.7;
+        const left = textX - LIST_INDENT + 2;
+        page.drawRectangle({ x: left, y: centerY - side / 2, width: side, height: side, borderColor: rgb(0.3, 0.3, 0.3), borderWidth: 0.8 });
+        if (item.checked) {
+          page.drawLine({ start: { x: left + side * 0.2, y: centerY }, end: { x: left + side * 0.42, y: centerY - side * 0.25 }, thickness: 1.2 });
+          page.drawLine({ start: { x: left + side * 0.42, y: centerY - side * 0.25 }, end: { x: left + side * 0.85, y: centerY + side * 0.3 }, thickness: 1.2 });
+        }
+      } else if (list.ordered) {
+        const label = `${number}.`;
+        const labelWidth = fonts.regular.widthOfTextAtSize(label, runSize);
+        fonts.regular.drawText(page, label, { x: textX - labelWidth - 5, y: cursor.y, size: runSize, color });
+      } else {
+        const markerX = textX - LIST_INDENT / 2 - 1;
+        const radius = runSize * 0.16;
+        const shape = depth % 3;
+        if (shape === 0) page.drawCircle({ x: markerX, y: centerY, size: radius, color });
+        else if (shape === 1) page.drawCircle({ x: markerX, y: centerY, size: radius, borderColor: color, borderWidth: 0.8 });
+        else page.drawRectangle({ x: markerX - radius, y: centerY - radius, width: radius * 2, height: radius * 2, color });
+      }
+    };
+  }
+
+  function drawCode(text, ctx) {
+    const codeSize = Math.max(size - 2, 8);
+    const lineHeight = codeSize * 1.35;
+    const padding = 4;
+    const font = fonts.code;
+    const lines = text.replace(/\t/g, '    ').split('\n');
+
+    cursor.y -= padding;
+    lines.forEach((line, lineIndex) => {
+      // Wrap at characters, since code has no good places to break
+      const chunks = [];
+      let chunk = '';
+      let chunkWidth = 0;
+      const width = lineBox(ctx.indent).width - padding * 2;
+      Array.from(line).forEach(ch => {
+        const chWidth = font.widthOfTextAtSize(ch, codeSize);
+        if (chunk && chunkWidth + chWidth > width) {
+          chunks.push(chunk);
+          chunk = '';
+          chunkWidth = 0;
+        }
+        chunk += ch;
+        chunkWidth += chWidth;
+      });
+      chunks.push(chunk);
+
+      chunks.forEach((part, chunkIndex) => {
+        const first = lineIndex === 0 && chunkIndex === 0;
+        const last = lineIndex === lines.length - 1 && chunkIndex === chunks.length - 1;
+        ensureRoom(codeSize * 0.35 + (last ? padding : 0));
+        const box = lineBox(ctx.indent);
+        const top = cursor.y + codeSize * 1.0 + (first ? padding : 0);
+        const bottom = cursor.y - codeSize * 0.35 - (last ? padding : 0);
+        cursor.page.drawRectangle({ x: box.x, y: bottom, width: box.width, height: top - bottom, color: colors.codeBackground });
+        drawDecorations(ctx, codeSize, lineHeight);
+        if (part) font.drawText(cursor.page, part, { x: box.x + padding, y: cursor.y, size: codeSize, color: rgb(0.15, 0.15, 0.15) });
+        cursor.y -= lineHeight;
+      });
+    });
+    cursor.y -= padding;
+  }
+
+  /**
+   * Draw a table. Columns get widths in proportion to their content, cells
+   * wrap, and rows move to the next page whole (with the header repeated)
+   * unless a single row is taller than a page.
+   */
+  function drawTable(token, ctx) {
+    const cellSize = Math.max(size - 2, 8);
+    const lineHeight = cellSize * 1.3;
+    const columns = token.header.length;
+    const box = lineBox(ctx.indent);
+    let tableX = box.x;
+    const toCell = (cell, header) => {
+      const runs = inlineRuns(cell.tokens);
+      return { runs: header ? runs.map(run => ({ ...run, style: run.style === 'code' ? 'code' : 'bold' })) : runs };
+    };
+    const header = token.header.map(cell => toCell(cell, true));
+    const rows = token.rows.map(row => row.map(cell => toCell(cell, false)));
+
+    // Natural widths (each cell on one line), then share out the table width
+    const natural = header.map((cell, col) => {
+      return Math.max(...[cell, ...rows.map(row => row[col])].map(c => {
+        return c ? toWords(c.runs, cellSize).reduce((sum, word) => sum + word.spaceWidth + word.width, 0) : 0;
+      })) + CELL_PADDING * 2 + 1;
+    });
+    const total = natural.reduce((sum, width) => sum + width, 0);
+    let widths = natural;
+    if (total > box.width) {
+      const floor = Math.min(40, box.width / columns);
+      widths = natural.map(width => Math.max(floor, box.width * width / total));
+      const scale = box.width / widths.reduce((sum, width) => sum + width, 0);
+      widths = widths.map(width => width * scale);
+    }
+
+    // Wrap each cell into lines of words
+    const wrapCell = (cell, width) => {
+      const words = cell ? toWords(cell.runs, cellSize) : [];
+      const lines = [];
+      let line = [];
+      let lineWidth = 0;
+      for (let i = 0; i < words.length; i++) {
+        const word = words[i];
+        if (word.lineBreak) {
+          lines.push(line);
+          line = [];
+          lineWidth = 0;
+          continue;
+        }
+        const added = (line.length ? word.spaceWidth : 0) + word.width;
+        if (line.length && lineWidth + added > width) {
+          lines.push(line);
+          line = [];
+          lineWidth = 0;
+          i--;
+        } else if (!line.length && word.width > width) {
+          const [head, tail] = splitWord(word, width, cellSize);
+          line.push(head);
+          if (tail) {
+            lines.push(line);
+            line = [];
+            words.splice(i + 1, 0, tail);
+          } else {
+            lineWidth = head.width;
+          }
+        } else {
+          line.push(word);
+          lineWidth += added;
+        }
+      }
+      if (line.length) lines.push(line);
+      return lines;
+    };
+    const layoutRow = (cells) => cells.map((cell, col) => wrapCell(cell, widths[col] - CELL_PADDING * 2));
+    const headerLines = layoutRow(header);
+
+    // Rows are drawn by their top edge; the cursor holds a baseline
+    let top = cursor.y + cellSize;
+    const drawRow = (lineSets, from, to, background) => {
+      const count = to - from;
+      const height = count * lineHeight + CELL_PADDING * 2;
+      const rowY = top - height;
+      let x = tableX;
+      lineSets.forEach((lines, col) => {
+        cursor.page.drawRectangle({
+          x, y: rowY, width: widths[col], height,
+          color: background, borderColor: colors.rule, borderWidth: 0.6
+        });
+        const align = token.align[col];
+        lines.slice(from, to).forEach((line, i) => {
+          const lineWidth = line.reduce((sum, word, w) => sum + (w ? word.spaceWidth : 0) + word.width, 0);
+          const inner = widths[col] - CELL_PADDING * 2;
+          let offset = 0;
+          if (align === 'center') offset = (inner - lineWidth) / 2;
+          else if (align === 'right') offset = inner - lineWidth;
+          cursor.y = top - CELL_PADDING - cellSize - i * lineHeight;
+          drawLine(line, { x: x + CELL_PADDING + Math.max(0, offset), width: inner }, { runSize: cellSize, textColor: ctx.textColor, rtl: false });
+        });
+        x += widths[col];
+      });
+      top -= height;
+    };
+    const rowHeight = (lineSets) => Math.max(1, ...lineSets.map(lines => lines.length)) * lineHeight + CELL_PADDING * 2;
+    const headerHeight = rowHeight(headerLines);
+    const pageTop = () => {
+      cursor.newPage();
+      top = cursor.y + cellSize;
+      tableX = lineBox(ctx.indent).x;
+    };
+    const drawHeader = () => drawRow(headerLines, 0, Math.max(1, ...headerLines.map(lines => lines.length)), colors.tableHeader);
+
+    if (top - headerHeight - (rows.length ? rowHeight(layoutRow(rows[0])) : 0) < cursor.bottom) pageTop();
+    drawHeader();
+
+    rows.forEach(row => {
+      const lineSets = layoutRow(row);
+      const count = Math.max(1, ...lineSets.map(lines => lines.length));
+      const pageRoom = cursor.top + cellSize - headerHeight - cursor.bottom;
+      if (top - rowHeight(lineSets) < cursor.bottom && rowHeight(lineSets) <= pageRoom) {
+        pageTop();
+        drawHeader();
+      }
+      // A row taller than the space left is split across pages
+      let from = 0;
+      while (from < count) {
+        const fits = Math.floor((top - cursor.bottom - CELL_PADDING * 2) / lineHeight);
+        if (fits < 1) {
+          pageTop();
+          drawHeader();
+          continue;
+        }
+        const to = Math.min(count, from + fits);
+        drawRow(lineSets, from, to, undefined);
+        from = to;
+      }
+    });
+
+    cursor.y = top - cellSize;
+  }
+
+  function drawBlocks(blocks, ctx) {
+    blocks.forEach((token, index) => {
+      const last = index === blocks.length - 1;
+      const gap = ctx.tight ? size * 0.15 : size * 0.6;
+      switch (token.type) {
+        case 'space':
+          return;
+        case 'heading': {
+          const headingSize = size + Math.max(1, 8 - token.depth * 2);
+          cursor.y -= size * 0.3;
+          // Keep a heading with the first lines after it
+          ensureRoom(headingSize * 1.3 + size * 2.6);
+          const runs = inlineRuns(token.tokens, { bold: true });
+          if (onHeading) onHeading(runs.map(run => run.text).join('').trim(), cursor.page, cursor.y + headingSize);
+          const headingCtx = { ...ctx, textColor: colors.heading || ctx.textColor };
+          drawParagraph(runs, headingCtx, { runSize: headingSize });
+          ctx.marker = headingCtx.marker;
+          cursor.y -= size * 0.2;
+          return;
+        }
+        case 'paragraph':
+        case 'text':
+          drawParagraph(token.tokens ? inlineRuns(token.tokens) : [{ text: decodeEntities(token.text), style: 'regular' }], ctx);
+          break;
+        case 'html':
+          drawParagraph([{ text: token.text.trim(), style: 'regular' }], ctx);
+          break;
+        case 'list': {
+          const depth = ctx.listDepth;
+          token.items.forEach((item, i) => {
+            const itemCtx = {
+              ...ctx,
+              indent: ctx.indent + LIST_INDENT,
+              listDepth: depth + 1,
+              tight: !token.loose,
+              marker: listMarker(token, item, (typeof token.start === 'number' ? token.start : 1) + i, depth)
+            };
+            drawBlocks(item.tokens, itemCtx);
+            // An empty item still gets its marker
+            if (itemCtx.marker) {
+              itemCtx.marker(lineBox(itemCtx.indent).x, size);
+              cursor.y -= size * 1.3;
+            }
+          });
+          break;
+        }
+        case 'blockquote': {
+          const quoteCtx = {
+            ...ctx,
+            indent: ctx.indent + QUOTE_INDENT,
+            quotes: [...ctx.quotes, ctx.indent + 2],
+            textColor: colors.quote,
+            tight: false
+          };
+          // A list marker still to be drawn goes with the quote's first line
+          ctx.marker = null;
+          drawBlocks(token.tokens, quoteCtx);
+          return;
+        }
+        case 'code':
+          drawCode(token.text, ctx);
+          break;
+        case 'mathBlock':
+          drawDisplayMath(token.text, ctx);
+          break;
+        case 'table':
+          drawTable(token, ctx);
+          break;
+        case 'hr': {
+          ensureRoom(size * 0.5);
+          const box = lineBox(ctx.indent);
+          const lineY = cursor.y + size * 0.3;
+          cursor.page.drawLine({ start: { x: box.x, y: lineY }, end: { x: box.x + box.width, y: lineY }, thickness: 0.8, color: colors.rule });
+          cursor.y -= size;
+          return;
+        }
+        default:
+          if (token.text) drawParagraph([{ text: decodeEntities(token.text), style: 'regular' }], ctx);
+      }
+      if (!last || !ctx.tight) cursor.y -= gap;
+    });
+  }
+
+  drawBlocks(tokens, { indent: 0, quotes: [], listDepth: 0, tight: false, marker: null, textColor: color });
+}
+
+module.exports = {
+  drawMarkdown
+};
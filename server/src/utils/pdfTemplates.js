@@ -0,0 +1,298 @@
+const fs = require('fs');
+const path = require('path');
+const { parseColor } = require('./svgToPdf');
+const { TYPEFACES } = require('./pdfFonts');
+
+/**
+ * PDF templates: page size, margins, typefaces, heading styles, color
+ * palette, cover page and caption style for generated documents. A request
+ * picks a built-in or installed template by id, or sends its own as JSON,
+ * optionally extending one of those ({ "extends": "academic", ... }); what
+ * it leaves out comes from the template it extends (classic by default).
+ *
+ * Colors are CSS colors (#rgb, #rrggbb, rgb() or a name). Caption prefixes
+ * may use {n}, the figure number.
+ */
+
+// Page sizes in points
+const PAGE_SIZES = {
+  letter: [612, 792],
+  a4: [595.28, 841.89]
+};
+
+const ALIGNMENTS = ['left', 'center'];
+
+// Installed templates: <id>.json files in this directory, listed next to the built-ins
+const PDF_TEMPLATE_DIR = process.env.PDF_TEMPLATE_DIR;
+
+// The look documents had before templates, and the base of every other template
+const CLASSIC = {
+  id: 'classic',
+  name: 'Classic',
+  description: 'Letter size, sans-serif, black text',
+  pageSize: 'letter',
+  margins: { top: 50, right: 50, bottom: 50, left: 50 },
+  fonts: { body: 'sans', headings: 'sans', size: 12 },
+  headings: {
+    title: { size: 24, align: 'left' },
+    section: { size: 18, numbered: false, rule: false },
+    subsection: { size: 14 }
+  },
+  colors: {
+    text: '#000000',
+    heading: '#000000',
+    muted: '#333333', // definitions and explanations
+    subtle: '#737373', // headers, footers and dot leaders
+    accent: '#1a4db3', // cover page and section rules
+    link: '#1a4db3',
+    quote: '#4d4d4d',
+    rule: '#bfbfbf',
+    codeBackground: '#f2f2f2',
+    tableHeader: '#ebebeb',
+    caption: '#4d4d4d'
+  },
+  cover: false,
+  caption: { size: 10, italic: true, prefix: 'Figure: ', align: 'left' }
+};
+
+// The others, as changes to classic
+const BUILTIN_DEFINITIONS = [
+  {
+    id: 'academic',
+    name: 'Academic',
+    description: 'A4, serif, numbered sections, cover page',
+    pageSize: 'a4',
+    margins: 72,
+    fonts: { body: 'serif', headings: 'serif', size: 11 },
+    headings: {
+      title: { size: 22, align: 'center' },
+      section: { size: 15, numbered: true },
+      subsection: { size: 12.5 }
+    },
+    colors: {
+      text: '#1a1a1a',
+      heading: '#1a1a1a',
+      muted: '#404040',
+      subtle: '#808080',
+      accent: '#1f3a68',
+      link: '#1f3a68',
+      rule: '#999999',
+      codeBackground: '#f5f5f5',
+      tableHeader: '#ededed',
+      caption: '#404040'
+    },
+    cover: true,
+    caption: { size: 9.5, italic: false, prefix: 'Figure {n}. ', align: 'center' }
+  },
+  {
+    id: 'compact',
+    name: 'Compact',
+    description: 'Smaller text and margins, fewer pages',
+    margins: { top: 44, right: 36, bottom: 44, left: 36 },
+    fonts: { size: 10 },
+    headings: {
+      title: { size: 18 },
+      section: { size: 14, rule: true },
+      subsection: { size: 12 }
+    },
+    colors: {
+      heading: '#1f4e79',
+      accent: '#1f4e79'
+    },
+    caption: { size: 8.5 }
+  },
+  {
+    id: 'high-contrast',
+    name: 'High contrast',
+    description: 'Large text, black on white, for low vision and print',
+    margins: 54,
+    fonts: { size: 14 },
+    headings: {
+      title: { size: 30 },
+      section: { size: 22, rule: true },
+      subsection: { size: 17 }
+    },
+    colors: {
+      muted: '#000000',
+      subtle: '#000000',
+      accent: '#000000',
+      link: '#0000cc',
+      quote: '#000000',
+      rule: '#000000',
+      codeBackground: '#e6e6e6',
+      tableHeader: '#d9d9d9',
+      caption: '#000000'
+    },
+    caption: { size: 12, italic: false }
+  }
+];
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Deep merge of a template's changes over its base. Undefined when the
+ * changes have a key the base doesn't (a typo, most likely).
+ */
+function mergeTemplate(base, changes) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(changes)) {
+    if (!Object.prototype.hasOwnProperty.call(base, key)) return undefined;
+    if (isPlainObject(base[key]) && isPlainObject(value)) {
+      merged[key] = mergeTemplate(base[key], value);
+      if (merged[key] === undefined) return undefined;
+    } else {
+      merged[key] = value;
+    }
+  }
+  return merged;
+}
+
+const inRange = (value, min, max) => typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+
+/**
+ * Page width and height in points
+ */
+const pageDimensions = (template) => (Array.isArray(template.pageSize) ? template.pageSize : PAGE_SIZES[template.pageSize]);
+
+/**
+ * Whether a merged template has every value in range, so layout can rely on it
+ */
+function isValidTemplate(template) {
+  const { margins, fonts, headings, colors, caption } = template;
+  const size = Array.isArray(template.pageSize)
+    ? template.pageSize.length === 2 && template.pageSize.every(side => inRange(side, 144, 2000)) && template.pageSize
+    : PAGE_SIZES[template.pageSize];
+  if (!size) return false;
+  if (!['top', 'right', 'bottom', 'left'].every(side => inRange(margins[side], 0, 200))) return false;
+  // Leave at least two inches each way for content
+  if (size[0] - margins.left - margins.right < 144 || size[1] - margins.top - margins.bottom < 144) return false;
+
+  return typeof template.id === 'string'
+    && typeof template.name === 'string' && template.name.length <= 60
+    && typeof template.description === 'string' && template.description.length <= 200
+    && TYPEFACES.includes(fonts.body) && TYPEFACES.includes(fonts.headings)
+    && inRange(fonts.size, 6, 32)
+    && inRange(headings.title.size, 8, 72) && ALIGNMENTS.includes(headings.title.align)
+    && inRange(headings.section.size, 8, 48)
+    && typeof headings.section.numbered === 'boolean' && typeof headings.section.rule === 'boolean'
+    && inRange(headings.subsection.size, 6, 40)
+    && Object.values(colors).every(color => typeof color === 'string' && parseColor(color) !== null)
+    && typeof template.cover === 'boolean'
+    && inRange(caption.size, 5, 24) && typeof caption.italic === 'boolean'
+    && typeof caption.prefix === 'string' && caption.prefix.length <= 40
+    && ALIGNMENTS.includes(caption.align);
+}
+
+/**
+ * A complete template from a definition and the template it extends, or null
+ * if the definition is invalid
+ * @param {Object} definition - template fields, plus extends (a template id)
+ * @param {Function} lookup - template id to template, for extends
+ */
+function buildTemplate(definition, lookup) {
+  if (!isPlainObject(definition)) return null;
+  const { extends: baseId = 'classic', ...changes } = definition;
+  const base = typeof baseId === 'string' ? lookup(baseId) : null;
+  if (!base) return null;
+
+  // A single number is the same margin on every side
+  if (typeof changes.margins === 'number') {
+    changes.margins = { top: changes.margins, right: changes.margins, bottom: changes.margins, left: changes.margins };
+  }
+  if (changes.id === undefined) changes.id = 'custom';
+
+  const template = mergeTemplate(base, changes);
+  return template && isValidTemplate(template) ? template : null;
+}
+
+const BUILTIN_TEMPLATES = { classic: CLASSIC };
+BUILTIN_DEFINITIONS.forEach(definition => {
+  BUILTIN_TEMPLATES[definition.id] = buildTemplate(definition, id => BUILTIN_TEMPLATES[id]);
+});
+
+let installedTemplates = null;
+
+/**
+ * Templates from PDF_TEMPLATE_DIR, read once. They may extend built-ins.
+ */
+function getInstalledTemplates() {
+  if (installedTemplates) return installedTemplates;
+  installedTemplates = {};
+  if (!PDF_TEMPLATE_DIR) return installedTemplates;
+
+  let fileNames = [];
+  try {
+    fileNames = fs.readdirSync(PDF_TEMPLATE_DIR).filter(fileName => fileName.endsWith('.json')).sort();
+  } catch (error) {
+    console.warn(`PDF templates: cannot read ${PDF_TEMPLATE_DIR} (PDF_TEMPLATE_DIR):`, error.message);
+    return installedTemplates;
+  }
+
+  fileNames.forEach(fileName => {
+    const id = path.basename(fileName, '.json');
+    if (BUILTIN_TEMPLATES[id]) {
+      console.warn(`PDF templates: ${fileName} has the id of a built-in template, skipping`);
+      return;
+    }
+    try {
+      const definition = JSON.parse(fs.readFileSync(path.join(PDF_TEMPLATE_DIR, fileName), 'utf8'));
+      const template = buildTemplate({ ...definition, id }, baseId => BUILTIN_TEMPLATES[baseId]);
+      if (template) installedTemplates[id] = template;
+      else console.warn(`PDF templates: ${fileName} is not a valid template, skipping`);
+    } catch (error) {
+      console.warn(`PDF templates: cannot load ${fileName}:`, error.message);
+    }
+  });
+  return installedTemplates;
+}
+
+const findTemplate = (id) => BUILTIN_TEMPLATES[id] || getInstalledTemplates()[id] || null;
+
+/**
+ * The template for a request, or null if it is invalid. Resolved templates
+ * resolve to themselves.
+ * @param {string|Object} requested - a template id, a template definition,
+ *   or a definition as JSON (from a multipart form); PDF_TEMPLATE or
+ *   classic when undefined
+ * @returns {Object|null}
+ */
+function resolvePdfTemplate(requested) {
+  if (requested === undefined || requested === null || requested === '') {
+    const fallback = findTemplate(process.env.PDF_TEMPLATE || 'classic');
+    if (fallback) return fallback;
+    console.warn(`PDF templates: unknown PDF_TEMPLATE "${process.env.PDF_TEMPLATE}", using classic`);
+    return CLASSIC;
+  }
+  if (typeof requested === 'string') {
+    if (!requested.trim().startsWith('{')) return findTemplate(requested);
+    try {
+      requested = JSON.parse(requested);
+    } catch (error) {
+      return null;
+    }
+  }
+  return buildTemplate(requested, findTemplate);
+}
+
+/**
+ * Templates a request can pick by id, for the template picker
+ * @returns {Array<Object>} - [{ id, name, description }]
+ */
+function listPdfTemplates() {
+  return [...Object.values(BUILTIN_TEMPLATES), ...Object.values(getInstalledTemplates())]
+    .map(({ id, name, description }) => ({ id, name, description }));
+}
+
+/**
+ * A template's colors as pdf-lib colors
+ */
+const templateColors = (template) => Object.fromEntries(Object.entries(template.colors)
+  .map(([name, color]) => [name, parseColor(color)]));
+
+module.exports = {
+  PAGE_SIZES,
+  resolvePdfTemplate,
+  listPdfTemplates,
+  pageDimensions,
+  templateColors
+};
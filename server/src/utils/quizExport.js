@@ -0,0 +1,108 @@
+/**
+ * Export formats for quizGenerationFlow output: Anki-importable CSV/TSV and JSON.
+ * The printable version is rendered by pdfGenerator (generateQuizDocument).
+ */
+
+const OPTION_LETTERS = 'ABCDEFGHIJ';
+
+const QUIZ_EXPORT_FORMATS = {
+  json: { contentType: 'application/json', extension: 'json' },
+  csv: { contentType: 'text/csv', extension: 'csv', delimiter: ',' },
+  tsv: { contentType: 'text/tab-separated-values', extension: 'tsv', delimiter: '\t' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+const escapeHtml = (text) => String(text || '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+/**
+ * Quote a field when it contains the delimiter, a quote or a line break
+ */
+const escapeField = (value, delimiter) => {
+  const text = String(value ?? '');
+  return text.includes(delimiter) || /["\r\n]/.test(text)
+    ? `"${text.replace(/"/g, '""')}"`
+    : text;
+};
+
+/**
+ * One Anki card per flashcard and question: [front, back, tags].
+ * Fields are HTML, which Anki renders when the file declares #html:true.
+ */
+function toAnkiCards(quiz, { difficulty = null, tags = [] } = {}) {
+  const tagsFor = (type) => ['noteflow', type, difficulty, ...tags]
+    .filter(Boolean)
+    .map(tag => String(tag).trim().replace(/\s+/g, '_'))
+    .join(' ');
+
+  const cards = [];
+
+  (quiz.flashcards || []).forEach(card => {
+    cards.push([escapeHtml(card.front), escapeHtml(card.back), tagsFor('flashcard')]);
+  });
+
+  (quiz.multiple_choice || []).forEach(question => {
+    const options = question.options
+      .map((option, i) => `${OPTION_LETTERS[i]}) ${escapeHtml(option)}`)
+      .join('<br>');
+    const answer = `${OPTION_LETTERS[question.answer_index]}) ${escapeHtml(question.options[question.answer_index])}`;
+    cards.push([
+      `${escapeHtml(question.question)}<br><br>${options}`,
+      `<b>${answer}</b><br><br>${escapeHtml(question.explanation)}`,
+      tagsFor('multiple-choice')
+    ]);
+  });
+
+  (quiz.short_answer || []).forEach(question => {
+    cards.push([
+      escapeHtml(question.question),
+      `<b>${escapeHtml(question.answer)}</b><br><br>${escapeHtml(question.explanation)}`,
+      tagsFor('short-answer')
+    ]);
+  });
+
+  return cards;
+}
+
+/**
+ * Anki text import file. The header lines tell Anki (2.1.54+) the separator,
+ * that fields are HTML and that the last column holds tags, so the file
+ * imports without adjusting any options.
+ * @param {Object} quiz - quizGenerationFlow output
+ * @param {string} delimiter - ',' for CSV, '\t' for TSV
+ * @param {Object} options - { difficulty, tags }
+ * @returns {string}
+ */
+function toAnkiDelimited(quiz, delimiter = '\t', options = {}) {
+  const header = [
+    `#separator:${delimiter === '\t' ? 'tab' : 'comma'}`,
+    '#html:true',
+    '#tags column:3'
+  ];
+  const rows = toAnkiCards(quiz, options)
+    .map(fields => fields.map(field => escapeField(field, delimiter)).join(delimiter));
+
+  return [...header, ...rows].join('\n') + '\n';
+}
+
+/**
+ * Self-describing JSON export, with the options the quiz was generated with
+ */
+function toQuizJson(quiz, { title = null, difficulty = null } = {}) {
+  return JSON.stringify({
+    title,
+    difficulty,
+    generatedAt: new Date().toISOString(),
+    ...quiz
+  }, null, 2);
+}
+
+module.exports = {
+  OPTION_LETTERS,
+  QUIZ_EXPORT_FORMATS,
+  toAnkiCards,
+  toAnkiDelimited,
+  toQuizJson
+};
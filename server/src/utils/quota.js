@@ -0,0 +1,320 @@
+const admin = require('firebase-admin');
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Quota subsystem for paid / rate-limited calls.
+ *
+ * Three metrics, each limited per user and globally:
+ *   requests - API calls that trigger generation, per minute
+ *   diagrams - Hugging Face image generations, per day
+ *   tokens   - Gemini tokens (input + output), per calendar month
+ *
+ * Limits come from QUOTA_USER_* / QUOTA_GLOBAL_* environment variables
+ * (0 disables a limit). Counters live in the store selected by QUOTA_STORE:
+ * "memory" (default, per process) or "firestore" (shared between instances).
+ */
+
+const envLimit = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const QUOTA_LIMITS = {
+  requests: {
+    window: 'minute',
+    user: envLimit('QUOTA_USER_REQUESTS_PER_MINUTE', 10),
+    global: envLimit('QUOTA_GLOBAL_REQUESTS_PER_MINUTE', 120)
+  },
+  diagrams: {
+    window: 'day',
+    user: envLimit('QUOTA_USER_DIAGRAMS_PER_DAY', 50),
+    global: envLimit('QUOTA_GLOBAL_DIAGRAMS_PER_DAY', 1000)
+  },
+  tokens: {
+    window: 'month',
+    user: envLimit('QUOTA_USER_TOKENS_PER_MONTH', 1000000),
+    global: envLimit('QUOTA_GLOBAL_TOKENS_PER_MONTH', 50000000)
+  }
+};
+
+const GLOBAL_SCOPE = 'global';
+
+/**
+ * Thrown when a call would exceed a quota. Routes turn it into a 429.
+ */
+class QuotaExceededError extends Error {
+  constructor({ metric, scope, limit, used, resetAt }) {
+    super(`${scope === GLOBAL_SCOPE ? 'Global' : 'User'} ${metric} quota exceeded (${used}/${limit}), resets at ${resetAt.toISOString()}`);
+    this.name = 'QuotaExceededError';
+    this.code = 'QUOTA_EXCEEDED';
+    this.status = 429;
+    this.metric = metric;
+    this.scope = scope === GLOBAL_SCOPE ? 'global' : 'user';
+    this.limit = limit;
+    this.used = used;
+    this.resetAt = resetAt;
+  }
+
+  toJSON() {
+    return {
+      error: 'Quota exceeded',
+      code: this.code,
+      details: this.message,
+      metric: this.metric,
+      scope: this.scope,
+      limit: this.limit,
+      used: this.used,
+      resetAt: this.resetAt.toISOString(),
+      retryAfterSeconds: Math.max(1, Math.ceil((this.resetAt - Date.now()) / 1000))
+    };
+  }
+}
+
+const isQuotaError = (error) => !!error && error.code === 'QUOTA_EXCEEDED';
+
+/**
+ * Current window for a metric: a stable id for counter keys and when it resets (UTC)
+ */
+function getWindow(windowName, now = new Date()) {
+  const y = now.getUTCFullYear();
+  const m = now.getUTCMonth();
+  const d = now.getUTCDate();
+
+  if (windowName === 'minute') {
+    const start = new Date(Date.UTC(y, m, d, now.getUTCHours(), now.getUTCMinutes()));
+    return { id: start.toISOString().substring(0, 16), resetAt: new Date(start.getTime() + 60 * 1000) };
+  }
+  if (windowName === 'day') {
+    return { id: new Date(Date.UTC(y, m, d)).toISOString().substring(0, 10), resetAt: new Date(Date.UTC(y, m, d + 1)) };
+  }
+  return { id: new Date(Date.UTC(y, m, 1)).toISOString().substring(0, 7), resetAt: new Date(Date.UTC(y, m + 1, 1)) };
+}
+
+/**
+ * In-process counter store. Counters disappear on restart.
+ */
+function createMemoryStore() {
+  const counters = new Map();
+
+  const sweep = () => {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.expiresAt <= now) counters.delete(key);
+    }
+  };
+
+  return {
+    name: 'memory',
+    async get(key) {
+      const counter = counters.get(key);
+      return counter && counter.expiresAt > Date.now() ? counter.value : 0;
+    },
+    async increment(key, amount, expiresAt) {
+      sweep();
+      const counter = counters.get(key) || { value: 0, expiresAt: expiresAt.getTime() };
+      counter.value += amount;
+      counters.set(key, counter);
+      return counter.value;
+    }
+  };
+}
+
+/**
+ * Firestore counter store, shared by every server instance. Each counter is a
+ * document with an expiresAt field, so a Firestore TTL policy can clean them up.
+ */
+function createFirestoreStore(collectionName = process.env.QUOTA_COLLECTION || 'quotaCounters') {
+  const counters = () => admin.firestore().collection(collectionName);
+  // Firestore document ids can't contain slashes
+  const docId = (key) => key.replace(/\//g, '_');
+
+  return {
+    name: 'firestore',
+    async get(key) {
+      const snapshot = await counters().doc(docId(key)).get();
+      return snapshot.exists ? (snapshot.data().count || 0) : 0;
+    },
+    async increment(key, amount, expiresAt) {
+      const ref = counters().doc(docId(key));
+      await ref.set({
+        count: admin.firestore.FieldValue.increment(amount),
+        expiresAt
+      }, { merge: true });
+      const snapshot = await ref.get();
+      return snapshot.data().count || 0;
+    }
+  };
+}
+
+let store = null;
+
+/**
+ * Active counter store, created from QUOTA_STORE on first use
+ */
+function getQuotaStore() {
+  if (!store) {
+    store = process.env.QUOTA_STORE === 'firestore' ? createFirestoreStore() : createMemoryStore();
+    console.log(`Quota counters stored in ${store.name}`);
+  }
+  return store;
+}
+
+/**
+ * Replace the counter store, e.g. with a custom implementation of { get, increment }
+ */
+function setQuotaStore(customStore) {
+  store = customStore;
+}
+
+const counterKey = (scope, metric, windowId) => `${scope.key}:${metric}:${windowId}`;
+
+// The user whose quota is charged by calls made deep inside flows and visual
+// generation, without threading a userId through every function
+const quotaContext = new AsyncLocalStorage();
+
+/**
+ * Run fn with quota charged to userId
+ */
+function runWithQuotaUser(userId, fn) {
+  return quotaContext.run({ userId }, fn);
+}
+
+/**
+ * User charged by the current call chain, or null outside a request/job
+ */
+function getQuotaUserId() {
+  const context = quotaContext.getStore();
+  return context ? context.userId : null;
+}
+
+// User keys are prefixed so a user id can never collide with the global counter
+const userScope = (userId) => ({ type: 'user', key: `user_${userId}` });
+const globalScope = { type: GLOBAL_SCOPE, key: GLOBAL_SCOPE };
+
+/**
+ * Scopes a call is charged to: always global, plus the user when known
+ */
+const scopesFor = (userId) => (userId ? [userScope(userId), globalScope] : [globalScope]);
+
+/**
+ * Throw QuotaExceededError if adding `amount` would exceed the user or global limit
+ */
+async function assertQuota(userId, metric, amount = 1) {
+  const config = QUOTA_LIMITS[metric];
+  const window = getWindow(config.window);
+
+  for (const scope of scopesFor(userId)) {
+    const limit = scope.type === GLOBAL_SCOPE ? config.global : config.user;
+    if (!limit) continue;
+
+    const used = await getQuotaStore().get(counterKey(scope, metric, window.id));
+    if (used + amount > limit) {
+      throw new QuotaExceededError({ metric, scope: scope.type, limit, used, resetAt: window.resetAt });
+    }
+  }
+}
+
+/**
+ * Record usage against the user and global counters without checking limits
+ * (used for tokens, which are only known after the call)
+ */
+async function recordUsage(userId, metric, amount = 1) {
+  if (!amount) return;
+  const window = getWindow(QUOTA_LIMITS[metric].window);
+
+  await Promise.all(scopesFor(userId).map(scope =>
+    getQuotaStore().increment(counterKey(scope, metric, window.id), amount, window.resetAt)
+  ));
+}
+
+/**
+ * Check and charge a quota in one step.
+ * Concurrent calls can overshoot a limit slightly - counters are not locked.
+ */
+async function consumeQuota(userId, metric, amount = 1) {
+  await assertQuota(userId, metric, amount);
+  await recordUsage(userId, metric, amount);
+}
+
+/**
+ * Usage, limit, remaining and reset time for every metric, for a user and globally
+ */
+async function getQuotaStatus(userId) {
+  const status = {};
+
+  for (const [metric, config] of Object.entries(QUOTA_LIMITS)) {
+    const window = getWindow(config.window);
+    const [userUsed, globalUsed] = await Promise.all([
+      getQuotaStore().get(counterKey(userScope(userId), metric, window.id)),
+      getQuotaStore().get(counterKey(globalScope, metric, window.id))
+    ]);
+
+    const remainingFor = (limit, used) => (limit ? Math.max(0, limit - used) : null);
+    const userRemaining = remainingFor(config.user, userUsed);
+    const globalRemaining = remainingFor(config.global, globalUsed);
+
+    status[metric] = {
+      window: config.window,
+      resetAt: window.resetAt.toISOString(),
+      user: { used: userUsed, limit: config.user || null, remaining: userRemaining },
+      global: { used: globalUsed, limit: config.global || null, remaining: globalRemaining },
+      // What the user can actually still use - the tighter of the two
+      remaining: [userRemaining, globalRemaining].filter(r => r !== null).reduce((a, b) => Math.min(a, b), Infinity)
+    };
+    if (status[metric].remaining === Infinity) status[metric].remaining = null;
+  }
+
+  return status;
+}
+
+/**
+ * Send a structured 429 for a quota error
+ */
+function sendQuotaExceeded(res, error) {
+  const body = error.toJSON();
+  res.set('Retry-After', String(body.retryAfterSeconds));
+  return res.status(429).json(body);
+}
+
+/**
+ * Express middleware factory: charge one request to req.user, refuse the call
+ * up front if any of `requiredMetrics` (e.g. 'tokens') is already used up, and
+ * run the rest of the request with that user as the quota context.
+ * Mount it after multer so the context survives the multipart parser.
+ */
+const quotaMiddleware = (...requiredMetrics) => async (req, res, next) => {
+  const userId = req.user ? req.user.uid : null;
+
+  try {
+    for (const metric of requiredMetrics) {
+      await assertQuota(userId, metric, 1);
+    }
+    await consumeQuota(userId, 'requests');
+  } catch (error) {
+    if (isQuotaError(error)) {
+      console.warn(`[${req.requestId || 'quota'}] ${error.message}`);
+      return sendQuotaExceeded(res, error);
+    }
+    console.error('Quota check failed, allowing request:', error.message);
+  }
+
+  runWithQuotaUser(userId, next);
+};
+
+module.exports = {
+  QUOTA_LIMITS,
+  QuotaExceededError,
+  isQuotaError,
+  getQuotaStore,
+  setQuotaStore,
+  createMemoryStore,
+  createFirestoreStore,
+  runWithQuotaUser,
+  getQuotaUserId,
+  assertQuota,
+  recordUsage,
+  consumeQuota,
+  getQuotaStatus,
+  sendQuotaExceeded,
+  quotaMiddleware
+};
@@ -0,0 +1,625 @@
+const { rgb } = require('pdf-lib');
+
+/**
+ * Draw SVG into a pdf-lib page as vector paths and text, so diagrams stay
+ * sharp at any zoom.
+ *
+ * This handles the self-contained SVG our renderers produce - the spec
+ * diagram renderer and the flattened output of the Mermaid renderer - not
+ * arbitrary SVG: shapes (path, rect, circle, ellipse, line, polyline, polygon)
+ * and text, painted with presentation attributes, under g/element transforms.
+ * CSS, gradients, markers, clip paths and foreignObject are not supported;
+ * the Mermaid renderer resolves all of them before it emits the SVG.
+ */
+
+const SHAPES = new Set(['path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon']);
+const SKIPPED_CONTAINERS = new Set(['defs', 'style', 'title', 'desc', 'marker', 'clipPath', 'mask', 'symbol', 'foreignObject', 'script']);
+
+const NAMED_COLORS = {
+  black: [0, 0, 0], white: [255, 255, 255], red: [255, 0, 0], green: [0, 128, 0],
+  blue: [0, 0, 255], gray: [128, 128, 128], grey: [128, 128, 128], orange: [255, 165, 0],
+  yellow: [255, 255, 0], purple: [128, 0, 128], navy: [0, 0, 128], teal: [0, 128, 128],
+  silver: [192, 192, 192], maroon: [128, 0, 0], lightgray: [211, 211, 211], lightgrey: [211, 211, 211],
+  darkgray: [169, 169, 169], darkgrey: [169, 169, 169]
+};
+
+// 4/3 * (sqrt(2) - 1): control point distance for a quarter circle as a cubic Bezier
+const KAPPA = 0.5522847498;
+
+const decodeEntities = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+  .replace(/&amp;/g, '&');
+
+const parseAttributes = (source) => {
+  const attrs = {};
+  const pattern = /([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = pattern.exec(source))) {
+    attrs[match[1]] = decodeEntities(match[3] !== undefined ? match[3] : match[4]);
+  }
+  // Inline style declarations win over attributes, as in SVG
+  if (attrs.style) {
+    attrs.style.split(';').forEach(declaration => {
+      const [name, ...value] = declaration.split(':');
+      if (name && value.length) attrs[name.trim()] = value.join(':').trim();
+    });
+  }
+  return attrs;
+};
+
+const num = (value, fallback = 0) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+/**
+ * Affine matrices as [a, b, c, d, e, f], like SVG's matrix()
+ */
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+const multiply = (m, n) => [
+  m[0] * n[0] + m[2] * n[1],
+  m[1] * n[0] + m[3] * n[1],
+  m[0] * n[2] + m[2] * n[3],
+  m[1] * n[2] + m[3] * n[3],
+  m[0] * n[4] + m[2] * n[5] + m[4],
+  m[1] * n[4] + m[3] * n[5] + m[5]
+];
+const apply = (m, x, y) => [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+
+function parseTransform(value) {
+  let matrix = IDENTITY;
+  const pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+  let match;
+  while ((match = pattern.exec(value || ''))) {
+    const args = match[2].split(/[\s,]+/).filter(Boolean).map(Number);
+    let step;
+    switch (match[1]) {
+      case 'matrix':
+        step = args.length === 6 ? args : IDENTITY;
+        break;
+      case 'translate':
+        step = [1, 0, 0, 1, args[0] || 0, args[1] || 0];
+        break;
+      case 'scale':
+        step = [args[0], 0, 0, args.length > 1 ? args[1] : args[0], 0, 0];
+        break;
+      case 'rotate': {
+        const angle = (args[0] || 0) * Math.PI / 180;
+        const [cx = 0, cy = 0] = args.slice(1);
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        step = multiply(multiply([1, 0, 0, 1, cx, cy], [cos, sin, -sin, cos, 0, 0]), [1, 0, 0, 1, -cx, -cy]);
+        break;
+      }
+      case 'skewX':
+        step = [1, 0, Math.tan((args[0] || 0) * Math.PI / 180), 1, 0, 0];
+        break;
+      default:
+        step = [1, Math.tan((args[0] || 0) * Math.PI / 180), 0, 1, 0, 0];
+    }
+    matrix = multiply(matrix, step);
+  }
+  return matrix;
+}
+
+/**
+ * Parse the supported subset into a flat list of drawable elements, each
+ * with its attributes (inherited paint included) and combined transform
+ * @returns {Object} - { width, height, viewBox: [x, y, w, h], elements }
+ */
+function parseSvg(svg) {
+  const tokens = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<([/?!]?)([\w:-]+)([^>]*?)(\/?)>|([^<]+)/g;
+  const stack = [{ tag: '#root', attrs: {}, matrix: IDENTITY, skip: 0 }];
+  const elements = [];
+  let root = null;
+  let text = null;
+  let match;
+
+  const inherited = (attrs) => {
+    const parent = stack[stack.length - 1].attrs;
+    const merged = {};
+    ['fill', 'stroke', 'stroke-width', 'stroke-dasharray', 'opacity', 'fill-opacity', 'stroke-opacity',
+      'font-size', 'font-weight', 'font-style', 'text-anchor', 'visibility', 'display']
+      .forEach(name => { if (parent[name] !== undefined) merged[name] = parent[name]; });
+    // Opacity multiplies down the tree rather than being inherited
+    if (parent.opacity !== undefined && attrs.opacity !== undefined) {
+      merged.opacity = String(num(parent.opacity, 1) * num(attrs.opacity, 1));
+      return { ...merged, ...attrs, opacity: merged.opacity };
+    }
+    return { ...merged, ...attrs };
+  };
+
+  while ((match = tokens.exec(svg))) {
+    const [, cdata, prefix, tag, rawAttrs, selfClosing, chars] = match;
+    const top = stack[stack.length - 1];
+
+    if (chars !== undefined || cdata !== undefined) {
+      if (text && !top.skip) text.content += decodeEntities(chars !== undefined ? chars : cdata);
+      continue;
+    }
+    if (!tag || prefix === '?' || prefix === '!') continue;
+
+    if (prefix === '/') {
+      if (stack.length > 1) {
+        const closed = stack.pop();
+        if (closed.tag === 'text' && text) {
+          if (text.content.trim()) elements.push(text);
+          text = null;
+        }
+      }
+      continue;
+    }
+
+    const attrs = inherited(parseAttributes(rawAttrs));
+    const matrix = multiply(top.matrix, parseTransform(attrs.transform));
+    const skip = top.skip || SKIPPED_CONTAINERS.has(tag) || attrs.display === 'none' ? 1 : 0;
+    const node = { tag, attrs, matrix, skip };
+
+    if (tag === 'svg' && !root) {
+      root = attrs;
+    } else if (!skip && SHAPES.has(tag)) {
+      elements.push({ tag, attrs, matrix });
+    } else if (!skip && tag === 'text') {
+      text = { tag, attrs, matrix, content: '' };
+    } else if (!skip && tag === 'tspan' && text) {
+      // A tspan with its own position starts a new line of the same text
+      if ((attrs.x !== undefined || attrs.y !== undefined) && text.content.trim()) {
+        elements.push(text);
+        text = { tag: 'text', attrs: { ...text.attrs, ...attrs }, matrix, content: '' };
+      } else if (attrs.x !== undefined || attrs.y !== undefined) {
+        text.attrs = { ...text.attrs, ...attrs };
+      }
+    }
+
+    if (!selfClosing) stack.push(node);
+  }
+
+  if (!root) {
+    throw new Error('Not an SVG document');
+  }
+  const viewBox = (root.viewBox || '').split(/[\s,]+/).filter(Boolean).map(Number);
+  const width = num(root.width, viewBox[2]);
+  const height = num(root.height, viewBox[3]);
+  if (!(width > 0) || !(height > 0)) {
+    throw new Error('SVG has no size');
+  }
+  return {
+    width,
+    height,
+    viewBox: viewBox.length === 4 ? viewBox : [0, 0, width, height],
+    elements
+  };
+}
+
+/**
+ * An SVG color as a pdf-lib color, or null for none/transparent/unsupported paint
+ */
+function parseColor(value) {
+  if (!value || value === 'none' || value === 'transparent' || value.startsWith('url(')) return null;
+  const color = value.trim().toLowerCase();
+  let channels = null;
+
+  const hex = color.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/);
+  if (hex) {
+    const digits = hex[1].length === 3 ? hex[1].split('').map(d => d + d) : hex[1].match(/../g);
+    channels = digits.map(d => parseInt(d, 16));
+  }
+  const functional = color.match(/^rgba?\(([^)]+)\)$/);
+  if (functional) {
+    const parts = functional[1].split(/[\s,/]+/).filter(Boolean);
+    if (parts.length === 4 && num(parts[3], 1) === 0) return null;
+    channels = parts.slice(0, 3).map(part => (part.endsWith('%') ? num(part) * 2.55 : num(part)));
+  }
+  if (!channels) channels = NAMED_COLORS[color] || null;
+  if (!channels) return null;
+
+  const [r, g, b] = channels.map(c => Math.min(255, Math.max(0, c)) / 255);
+  return rgb(r, g, b);
+}
+
+/**
+ * Alpha of an rgba() color, 1 otherwise
+ */
+const colorAlpha = (value) => {
+  const match = (value || '').match(/^rgba\(([^)]+)\)$/i);
+  return match ? num(match[1].split(/[\s,/]+/)[3], 1) : 1;
+};
+
+/**
+ * Convert an elliptical arc to cubic Beziers (SVG implementation notes F.6)
+ * @returns {Array} - [[c1x, c1y, c2x, c2y, x, y], ...]
+ */
+function arcToCubics(x1, y1, rx, ry, rotation, largeArc, sweep, x2, y2) {
+  if (rx === 0 || ry === 0) return [[x1, y1, x2, y2, x2, y2]];
+  const phi = rotation * Math.PI / 180;
+  const cos = Math.cos(phi);
+  const sin = Math.sin(phi);
+  const dx = (x1 - x2) / 2;
+  const dy = (y1 - y2) / 2;
+  const x1p = cos * dx + sin * dy;
+  const y1p = -sin * dx + cos * dy;
+
+  rx = Math.abs(rx);
+  ry = Math.abs(ry);
+  const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+
+  const numerator = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+  const denominator = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+  const coefficient = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, numerator / denominator));
+  const cxp = coefficient * (rx * y1p) / ry;
+  const cyp = coefficient * -(ry * x1p) / rx;
+  const cx = cos * cxp - sin * cyp + (x1 + x2) / 2;
+  const cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+
+  const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+  const theta1 = angle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+  let delta = angle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+  if (!sweep && delta > 0) delta -= 2 * Math.PI;
+  if (sweep && delta < 0) delta += 2 * Math.PI;
+
+  const segments = Math.ceil(Math.abs(delta) / (Math.PI / 2));
+  const step = delta / segments;
+  const t = (4 / 3) * Math.tan(step / 4);
+  const point = (theta) => [
+    cx + rx * Math.cos(theta) * cos - ry * Math.sin(theta) * sin,
+    cy + rx * Math.cos(theta) * sin + ry * Math.sin(theta) * cos
+  ];
+  const derivative = (theta) => [
+    -rx * Math.sin(theta) * cos - ry * Math.cos(theta) * sin,
+    -rx * Math.sin(theta) * sin + ry * Math.cos(theta) * cos
+  ];
+
+  const curves = [];
+  for (let i = 0; i < segments; i++) {
+    const a1 = theta1 + i * step;
+    const a2 = a1 + step;
+    const [px1, py1] = point(a1);
+    const [px2, py2] = point(a2);
+    const [dx1, dy1] = derivative(a1);
+    const [dx2, dy2] = derivative(a2);
+    curves.push([px1 + t * dx1, py1 + t * dy1, px2 - t * dx2, py2 - t * dy2, px2, py2]);
+  }
+  return curves;
+}
+
+/**
+ * Parse path data into absolute M, L, C, Q and Z commands - arcs become
+ * cubics and shorthand commands are expanded - so points can be transformed
+ * @returns {Array} - [[command, ...numbers], ...]
+ */
+function normalizePath(d) {
+  const tokens = (d || '').match(/[a-zA-Z]|-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi) || [];
+  const commands = [];
+  let i = 0;
+  let command = null;
+  let x = 0;
+  let y = 0;
+  let startX = 0;
+  let startY = 0;
+  let lastControl = null; // [x, y, type] for S/T reflection
+
+  const next = () => Number(tokens[i++]);
+  const hasNumber = () => i < tokens.length && !/^[a-zA-Z]$/.test(tokens[i]);
+
+  while (i < tokens.length) {
+    if (/^[a-zA-Z]$/.test(tokens[i])) {
+      command = tokens[i++];
+    } else if (!command) {
+      break;
+    }
+    const relative = command === command.toLowerCase();
+    const upper = command.toUpperCase();
+    const ox = relative ? x : 0;
+    const oy = relative ? y : 0;
+
+    if (upper === 'Z') {
+      commands.push(['Z']);
+      x = startX;
+      y = startY;
+      lastControl = null;
+      continue;
+    }
+    if (!hasNumber()) break;
+
+    switch (upper) {
+      case 'M':
+        x = ox + next();
+        y = oy + next();
+        startX = x;
+        startY = y;
+        commands.push(['M', x, y]);
+        // Further pairs after a moveto are linetos
+        command = relative ? 'l' : 'L';
+        lastControl = null;
+        break;
+      case 'L':
+        x = ox + next();
+        y = oy + next();
+        commands.push(['L', x, y]);
+        lastControl = null;
+        break;
+      case 'H':
+        x = ox + next();
+        commands.push(['L', x, y]);
+        lastControl = null;
+        break;
+      case 'V':
+        y = oy + next();
+        commands.push(['L', x, y]);
+        lastControl = null;
+        break;
+      case 'C': {
+        const c = [ox + next(), oy + next(), ox + next(), oy + next(), ox + next(), oy + next()];
+        commands.push(['C', ...c]);
+        lastControl = [c[2], c[3], 'C'];
+        [x, y] = [c[4], c[5]];
+        break;
+      }
+      case 'S': {
+        const [c1x, c1y] = lastControl && lastControl[2] === 'C' ? [2 * x - lastControl[0], 2 * y - lastControl[1]] : [x, y];
+        const c = [ox + next(), oy + next(), ox + next(), oy + next()];
+        commands.push(['C', c1x, c1y, ...c]);
+        lastControl = [c[0], c[1], 'C'];
+        [x, y] = [c[2], c[3]];
+        break;
+      }
+      case 'Q': {
+        const c = [ox + next(), oy + next(), ox + next(), oy + next()];
+        commands.push(['Q', ...c]);
+        lastControl = [c[0], c[1], 'Q'];
+        [x, y] = [c[2], c[3]];
+        break;
+      }
+      case 'T': {
+        const [cx, cy] = lastControl && lastControl[2] === 'Q' ? [2 * x - lastControl[0], 2 * y - lastControl[1]] : [x, y];
+        const end = [ox + next(), oy + next()];
+        commands.push(['Q', cx, cy, ...end]);
+        lastControl = [cx, cy, 'Q'];
+        [x, y] = end;
+        break;
+      }
+      case 'A': {
+        const [rx, ry, rotation, largeArc, sweep] = [next(), next(), next(), next(), next()];
+        const end = [ox + next(), oy + next()];
+        arcToCubics(x, y, rx, ry, rotation, !!largeArc, !!sweep, end[0], end[1])
+          .forEach(curve => commands.push(['C', ...curve]));
+        [x, y] = end;
+        lastControl = null;
+        break;
+      }
+      default:
+        // Unknown command - stop rather than draw garbage
+        return commands;
+    }
+  }
+  return commands;
+}
+
+/**
+ * Path commands for the basic shapes
+ */
+function shapeToPath(tag, attrs) {
+  switch (tag) {
+    case 'path':
+      return normalizePath(attrs.d);
+    case 'rect': {
+      const x = num(attrs.x);
+      const y = num(attrs.y);
+      const w = num(attrs.width);
+      const h = num(attrs.height);
+      if (w <= 0 || h <= 0) return [];
+      let rx = attrs.rx !== undefined ? num(attrs.rx) : num(attrs.ry);
+      let ry = attrs.ry !== undefined ? num(attrs.ry) : rx;
+      rx = Math.min(rx, w / 2);
+      ry = Math.min(ry, h / 2);
+      if (!rx || !ry) {
+        return [['M', x, y], ['L', x + w, y], ['L', x + w, y + h], ['L', x, y + h], ['Z']];
+      }
+      const kx = rx * KAPPA;
+      const ky = ry * KAPPA;
+      return [
+        ['M', x + rx, y],
+        ['L', x + w - rx, y],
+        ['C', x + w - rx + kx, y, x + w, y + ry - ky, x + w, y + ry],
+        ['L', x + w, y + h - ry],
+        ['C', x + w, y + h - ry + ky, x + w - rx + kx, y + h, x + w - rx, y + h],
+        ['L', x + rx, y + h],
+        ['C', x + rx - kx, y + h, x, y + h - ry + ky, x, y + h - ry],
+        ['L', x, y + ry],
+        ['C', x, y + ry - ky, x + rx - kx, y, x + rx, y],
+        ['Z']
+      ];
+    }
+    case 'circle':
+    case 'ellipse': {
+      const cx = num(attrs.cx);
+      const cy = num(attrs.cy);
+      const rx = tag === 'circle' ? num(attrs.r) : num(attrs.rx);
+      const ry = tag === 'circle' ? num(attrs.r) : num(attrs.ry);
+      if (rx <= 0 || ry <= 0) return [];
+      const kx = rx * KAPPA;
+      const ky = ry * KAPPA;
+      return [
+        ['M', cx + rx, cy],
+        ['C', cx + rx, cy + ky, cx + kx, cy + ry, cx, cy + ry],
+        ['C', cx - kx, cy + ry, cx - rx, cy + ky, cx - rx, cy],
+        ['C', cx - rx, cy - ky, cx - kx, cy - ry, cx, cy - ry],
+        ['C', cx + kx, cy - ry, cx + rx, cy - ky, cx + rx, cy],
+        ['Z']
+      ];
+    }
+    case 'line':
+      return [['M', num(attrs.x1), num(attrs.y1)], ['L', num(attrs.x2), num(attrs.y2)]];
+    case 'polyline':
+    case 'polygon': {
+      const values = (attrs.points || '').split(/[\s,]+/).filter(Boolean).map(Number);
+      const commands = [];
+      for (let i = 0; i + 1 < values.length; i += 2) {
+        commands.push([i === 0 ? 'M' : 'L', values[i], values[i + 1]]);
+      }
+      if (tag === 'polygon' && commands.length) commands.push(['Z']);
+      return commands;
+    }
+    default:
+      return [];
+  }
+}
+
+/**
+ * Path commands as a path string, with every point run through the matrix
+ */
+function transformPath(commands, matrix) {
+  return commands.map(([command, ...values]) => {
+    const points = [];
+    for (let i = 0; i < values.length; i += 2) {
+      const [px, py] = apply(matrix, values[i], values[i + 1]);
+      points.push(`${px.toFixed(3)} ${py.toFixed(3)}`);
+    }
+    return `${command}${points.join(' ')}`;
+  }).join(' ');
+}
+
+/**
+ * How much a matrix scales lengths (for stroke widths and font sizes)
+ */
+const matrixScale = (m) => Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2])) || 1;
+
+/**
+ * Intrinsic size of an SVG document, in its own units
+ */
+function measureSvg(svg) {
+  const { width, height } = parseSvg(svg);
+  return { width, height };
+}
+
+/**
+ * Lay out an SVG document in a box: everything that can fail on a malformed
+ * SVG (parsing, paths, colors, text measuring) without touching a page.
+ * @param {string} svg - SVG in the supported subset
+ * @param {Object} options - { x, y (bottom-left of the box, like drawImage), width, height,
+ *   fonts: { regular, bold, italic, boldItalic }, color } where fonts are pdfFonts text
+ *   styles and color is what currentColor paints with (black by default)
+ * @returns {Array} drawing operations for drawSvgOperations
+ */
+function layoutSvg(svg, { x, y, width, height, fonts, color = rgb(0, 0, 0) }) {
+  const { viewBox, elements } = parseSvg(svg);
+  const paint = (value) => (value && value.trim() === 'currentColor' ? color : parseColor(value));
+  const [vbX, vbY, vbWidth, vbHeight] = viewBox;
+  // Uniform scale, centred in the box (preserveAspectRatio xMidYMid meet)
+  const scale = Math.min(width / vbWidth, height / vbHeight);
+  const originX = x + (width - vbWidth * scale) / 2;
+  const top = y + height - (height - vbHeight * scale) / 2;
+  const toViewBox = [1, 0, 0, 1, -vbX, -vbY];
+  const operations = [];
+
+  elements.forEach(({ tag, attrs, matrix, content }) => {
+    if (attrs.visibility === 'hidden' || attrs.display === 'none') return;
+    const elementMatrix = multiply(toViewBox, matrix);
+    const opacity = num(attrs.opacity, 1);
+
+    if (tag === 'text') {
+      const fill = paint(attrs.fill === undefined ? 'black' : attrs.fill);
+      if (!fill) return;
+      const bold = attrs['font-weight'] === 'bold' || num(attrs['font-weight'], 400) >= 600;
+      const italic = attrs['font-style'] === 'italic';
+      const font = (bold && italic ? fonts.boldItalic : bold ? fonts.bold : italic ? fonts.italic : null) || fonts.regular;
+      const text = content.replace(/\s+/g, ' ').trim();
+      const size = num(attrs['font-size'], 16) * matrixScale(elementMatrix) * scale;
+      const [tx, ty] = apply(elementMatrix, num(attrs.x), num(attrs.y));
+
+      const textWidth = font.widthOfTextAtSize(text, size);
+      const anchor = attrs['text-anchor'];
+      const shift = anchor === 'middle' ? textWidth / 2 : anchor === 'end' ? textWidth : 0;
+      operations.push({
+        type: 'text',
+        font,
+        text,
+        options: {
+          x: originX + tx * scale - shift,
+          y: top - ty * scale,
+          size,
+          color: fill,
+          opacity: opacity * num(attrs['fill-opacity'], 1) * colorAlpha(attrs.fill)
+        }
+      });
+      return;
+    }
+
+    const path = transformPath(shapeToPath(tag, attrs), elementMatrix);
+    if (!path) return;
+    // Lines have no fill whatever their attributes say
+    const fill = tag === 'line' || (tag === 'polyline' && attrs.fill === undefined)
+      ? null
+      : paint(attrs.fill === undefined ? 'black' : attrs.fill);
+    const strokeWidth = num(attrs['stroke-width'], 1) * matrixScale(elementMatrix);
+    // A zero width would be a hairline in PDF, not nothing
+    const stroke = strokeWidth > 0 ? paint(attrs.stroke) : null;
+    if (!fill && !stroke) return;
+
+    const dash = (attrs['stroke-dasharray'] || '').split(/[\s,]+/).filter(Boolean).map(Number)
+      .filter(Number.isFinite);
+    operations.push({
+      type: 'path',
+      path,
+      options: {
+        x: originX,
+        y: top,
+        scale,
+        color: fill || undefined,
+        opacity: opacity * num(attrs['fill-opacity'], 1) * colorAlpha(attrs.fill),
+        borderColor: stroke || undefined,
+        borderWidth: stroke ? strokeWidth : undefined,
+        borderOpacity: opacity * num(attrs['stroke-opacity'], 1) * colorAlpha(attrs.stroke),
+        borderDashArray: stroke && dash.length && dash.some(Boolean)
+          ? dash.map(value => value * matrixScale(elementMatrix))
+          : undefined
+      }
+    });
+  });
+
+  return operations;
+}
+
+/**
+ * Draw operations from layoutSvg onto a page
+ * @param {PDFPage} page - pdf-lib page
+ */
+function drawSvgOperations(page, operations) {
+  operations.forEach(operation => {
+    if (operation.type === 'text') {
+      operation.font.drawText(page, operation.text, operation.options);
+    } else {
+      page.drawSvgPath(operation.path, operation.options);
+    }
+  });
+}
+
+/**
+ * Draw an SVG document into a box on a page. The whole document is laid out
+ * first, so an SVG that can't be drawn throws before anything is on the page.
+ * @param {PDFPage} page - pdf-lib page
+ * @param {string} svg - SVG in the supported subset
+ * @param {Object} options - see layoutSvg
+ */
+function drawSvg(page, svg, options) {
+  drawSvgOperations(page, layoutSvg(svg, options));
+}
+
+module.exports = {
+  parseSvg,
+  parseColor,
+  normalizePath,
+  measureSvg,
+  layoutSvg,
+  drawSvgOperations,
+  drawSvg
+};
@@ -0,0 +1,117 @@
+/**
+ * Split long text into overlapping chunks that break at natural boundaries -
+ * paragraphs first, then lines, then sentences, then words - so each chunk
+ * reads as a coherent piece of the original.
+ */
+
+const DEFAULT_CHUNK_SIZE = parseInt(process.env.BEAUTIFY_CHUNK_SIZE, 10) || 12000; // characters
+const DEFAULT_CHUNK_OVERLAP = parseInt(process.env.BEAUTIFY_CHUNK_OVERLAP, 10) || 800; // characters
+
+// Smaller chunks would mean a model call for every few sentences
+const MIN_CHUNK_SIZE = 1000;
+
+// Boundaries tried in order, with the string used to join pieces back together
+const BOUNDARIES = [
+  { pattern: /\n\s*\n/, joiner: '\n\n' },
+  { pattern: /\n/, joiner: '\n' },
+  { pattern: /(?<=[.!?])\s+/, joiner: ' ' },
+  { pattern: /\s+/, joiner: ' ' }
+];
+
+/**
+ * Break text into pieces no longer than maxSize, using the coarsest boundary
+ * that works. Each piece remembers how it joins to the previous one.
+ */
+function splitIntoUnits(text, maxSize, level = 0, joiner = '') {
+  if (text.length <= maxSize) {
+    return [{ text, joiner }];
+  }
+
+  if (level >= BOUNDARIES.length) {
+    // No boundary left (e.g. one enormous word) - cut it
+    const units = [];
+    for (let i = 0; i < text.length; i += maxSize) {
+      units.push({ text: text.substring(i, i + maxSize), joiner: i === 0 ? joiner : '' });
+    }
+    return units;
+  }
+
+  const boundary = BOUNDARIES[level];
+  return text
+    .split(boundary.pattern)
+    .filter(piece => piece.trim())
+    .flatMap((piece, i) => splitIntoUnits(piece, maxSize, level + 1, i === 0 ? joiner : boundary.joiner));
+}
+
+const joinUnits = (units) => units
+  .map((unit, i) => (i === 0 ? unit.text : unit.joiner + unit.text))
+  .join('');
+
+const unitsLength = (units) => units.reduce((total, unit) => total + unit.text.length + unit.joiner.length, 0);
+
+/**
+ * Trailing units that fit within maxLength
+ */
+const takeTail = (units, maxLength) => {
+  const tail = [];
+  for (let i = units.length - 1; i >= 0; i--) {
+    if (unitsLength([units[i], ...tail]) > maxLength) break;
+    tail.unshift(units[i]);
+  }
+  return tail;
+};
+
+/**
+ * Split text into chunks of at most chunkSize characters, where each chunk
+ * starts with up to `overlap` characters from the end of the previous one so
+ * ideas that straddle a boundary aren't lost.
+ *
+ * @param {string} text
+ * @param {Object} options - { chunkSize, overlap }
+ * @returns {string[]} - a single element when the text already fits
+ */
+function splitIntoChunks(text, { chunkSize = DEFAULT_CHUNK_SIZE, overlap = DEFAULT_CHUNK_OVERLAP } = {}) {
+  chunkSize = Math.max(chunkSize, MIN_CHUNK_SIZE);
+  const normalized = (text || '').replace(/\r\n/g, '\n').trim();
+  if (normalized.length <= chunkSize) {
+    return normalized ? [normalized] : [];
+  }
+
+  // Overlap has to leave room for new content in every chunk
+  const overlapSize = Math.max(0, Math.min(overlap, Math.floor(chunkSize / 2)));
+  const units = splitIntoUnits(normalized, chunkSize - overlapSize);
+
+  const chunks = [];
+  let current = [];
+
+  for (const unit of units) {
+    if (current.length > 0 && unitsLength(current) + unit.joiner.length + unit.text.length > chunkSize) {
+      chunks.push(joinUnits(current));
+
+      // Carry trailing units of the finished chunk into the next one
+      let carried = takeTail(current, overlapSize);
+      if (carried.length === 0 && overlapSize > 0) {
+        // The last paragraph alone is longer than the overlap - carry its last sentences instead
+        carried = takeTail(splitIntoUnits(current[current.length - 1].text, overlapSize, 2), overlapSize);
+      }
+      while (carried.length > 0 && unitsLength(carried) + unit.joiner.length + unit.text.length > chunkSize) {
+        carried.shift();
+      }
+      current = carried;
+    }
+    current.push(unit);
+  }
+
+  if (current.length > 0) {
+    chunks.push(joinUnits(current));
+  }
+
+  return chunks;
+}
+
+module.exports = {
+  DEFAULT_CHUNK_SIZE,
+  DEFAULT_CHUNK_OVERLAP,
+  MIN_CHUNK_SIZE,
+  splitIntoChunks
+};
@@ -0,0 +1,137 @@
+// Visuals are rendered in parallel, within per-lane limits that every request
+// and job share: the remote image API rate limits and bills per call, and
+// flowcharts render on the shared page pool of the Mermaid renderer's one
+// Chromium (see mermaidRenderer) - or start a Chromium each when it falls back
+// to mermaid-cli - so more at once than MERMAID_POOL_SIZE only queue for pages
+const DEFAULT_LANE_LIMITS = {
+  remoteImage: parseInt(process.env.VISUAL_IMAGE_CONCURRENCY, 10) || 2,
+  mermaid: parseInt(process.env.VISUAL_MERMAID_CONCURRENCY, 10) || 2
+};
+
+// How long one visual may take before it is reported as failed
+const VISUAL_TIMEOUTS_MS = {
+  remoteImage: parseInt(process.env.VISUAL_IMAGE_TIMEOUT_MS, 10) || 300000,
+  mermaid: parseInt(process.env.VISUAL_MERMAID_TIMEOUT_MS, 10) || 120000
+};
+
+/**
+ * A counting semaphore: run(task) starts the task once fewer than
+ * `concurrency` tasks of this lane are running
+ */
+function createLane(name, concurrency) {
+  let active = 0;
+  const waiting = [];
+
+  const release = () => {
+    active--;
+    const next = waiting.shift();
+    if (next) next();
+  };
+
+  const acquire = () => new Promise(resolve => {
+    const start = () => {
+      active++;
+      resolve();
+    };
+    if (active < concurrency) start();
+    else waiting.push(start);
+  });
+
+  return {
+    name,
+    concurrency,
+    stats: () => ({ active, waiting: waiting.length, concurrency }),
+
+    async run(task) {
+      await acquire();
+      try {
+        return await task();
+      } finally {
+        release();
+      }
+    }
+  };
+}
+
+const VISUAL_LANES = Object.fromEntries(Object.entries(DEFAULT_LANE_LIMITS)
+  .map(([name, concurrency]) => [name, createLane(name, Math.max(1, concurrency))]));
+
+/**
+ * Reject with a timeout error if the promise hasn't settled in time. The
+ * work itself can't be cancelled; its late result is ignored.
+ */
+function withTimeout(promise, timeoutMs, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Generate `count` visuals through a lane, as many at a time as the lane
+ * allows. Each visual reports through onProgress as soon as it is done,
+ * whatever order they finish in, and the results come back in index order.
+ *
+ * A visual's lane slot is freed when it times out, so a hung render can't
+ * starve the others.
+ *
+ * @param {string} laneName - key of VISUAL_LANES: remoteImage or mermaid
+ * @param {number} count - number of visuals
+ * @param {Function} generate - (index) => Promise<result>
+ * @param {Object} options - { label, timeoutMs, onError(index, error) => result for a
+ *   visual that threw or timed out, onProgress(completedCount, result) }
+ * @returns {Promise<Array>} - results by index
+ */
+async function scheduleVisuals(laneName, count, generate, {
+  label = 'Visual',
+  timeoutMs = VISUAL_TIMEOUTS_MS[laneName],
+  onError,
+  onProgress = null
+} = {}) {
+  const lane = VISUAL_LANES[laneName];
+  if (!lane) {
+    throw new Error(`Unknown visual lane "${laneName}" (expected one of: ${Object.keys(VISUAL_LANES).join(', ')})`);
+  }
+
+  const results = new Array(count).fill(null);
+  let completed = 0;
+
+  await Promise.all(Array.from({ length: count }, async (_, index) => {
+    try {
+      results[index] = await lane.run(() => withTimeout(
+        Promise.resolve().then(() => generate(index)),
+        timeoutMs,
+        `${label} #${index + 1}`
+      ));
+    } catch (error) {
+      console.error(`${label} #${index + 1} failed:`, error.message);
+      results[index] = onError(index, error);
+    }
+
+    completed++;
+    if (onProgress) {
+      // A failing progress callback mustn't abort the batch
+      try {
+        await onProgress(completed, results[index]);
+      } catch (progressError) {
+        console.warn('Visual progress callback failed:', progressError.message);
+      }
+    }
+  }));
+
+  return results;
+}
+
+/**
+ * Running and queued visuals per lane, for /api/health
+ */
+const getVisualSchedulerStats = () => Object.fromEntries(Object.values(VISUAL_LANES)
+  .map(lane => [lane.name, lane.stats()]));
+
+module.exports = {
+  VISUAL_LANES,
+  VISUAL_TIMEOUTS_MS,
+  scheduleVisuals,
+  getVisualSchedulerStats
+};
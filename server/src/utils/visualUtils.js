@@ -1,5 +1,5 @@
 const fetch = require('node-fetch');
-const { createCanvas } = require('canvas');
+const { createCanvas, loadImage } = require('canvas');
 const fs = require('fs').promises;
 const fsSync = require('fs'); // For synchronous fs methods
 const path = require('path');
@@ -8,6 +8,18 @@ const { v4: uuidv4 } = require('uuid');
 const { execSync, exec } = require('child_process');
 const { promisify } = require('util');
 const execAsync = promisify(exec);
+const { consumeQuota, getQuotaUserId, isQuotaError } = require('./quota');
+const { normalizeMermaidCode, detectDiagramKind, diagramKindLabel } = require('./mermaidValidator');
+const { prepareFlowchartCode } = require('../genkit/flowchartRepair');
+const { DEFAULT_DIAGRAM_BACKEND, generateSpecDiagram } = require('../genkit/diagramSpec');
+const { generateImage } = require('./imageProviders');
+const { visualAssetId, getVisualAsset, putVisualAsset } = require('./assetCache');
+const { scheduleVisuals } = require('./visualScheduler');
+const { getMermaidRenderer } = require('./mermaidRenderer');
+
+// browser: render in the long-lived Chromium page pool (see mermaidRenderer),
+// with mermaid-cli as the fallback; cli: a mermaid-cli process per chart
+const MERMAID_RENDERER = process.env.MERMAID_RENDERER === 'cli' ? 'cli' : 'browser';
 
 // Import mermaid-cli properly with better error handling and alternative approaches
 let mermaidCliPath;
@@ -96,66 +108,47 @@ try {
 }
 
 /**
- * Generate diagram images using Hugging Face API
+ * Generate a diagram image with the configured text-to-image providers,
+ * retrying and failing over between them (see IMAGE_PROVIDERS).
+ * Throws when none of them produced an image.
+ * @returns {Promise<Object>} - { buffer, provider, failures }
  */
-async function generateDiagram(prompt) {
-  try {
-    // Using FLUX.1-dev model for better text rendering in diagrams
-    const response = await fetch(
-      "https://api-inference.huggingface.co/models/black-forest-labs/FLUX.1-dev",
-      {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "Authorization": `Bearer ${process.env.HUGGINGFACE_API_KEY}`,
-        },
-        body: JSON.stringify({ 
-          inputs: prompt,
-          parameters: {
-            guidance_scale: 7.5,          // Higher guidance scale for better text clarity
-            num_inference_steps: 50,
-            width: 1024,                  // Square aspect ratio (1:1)
-            height: 1024,                 // Square aspect ratio (1:1)
-            seed: Math.floor(Math.random() * 2147483647) // Random seed for variety
-          }
-        }),
-      }
-    );
-    
-    if (!response.ok) {
-      const contentType = response.headers.get('content-type');
-      if (contentType && contentType.includes('application/json')) {
-        const errorData = await response.json();
-        
-        // Handle rate limiting error (429 or specific message)
-        if (response.status === 429 || 
-            (errorData.error && 
-             (errorData.error.includes("rate") || 
-              errorData.error.includes("limit")))) {
-          console.warn("API rate limit reached, generating placeholder image");
-          return createPlaceholderImage(prompt);
-        }
-        
-        // Special handling for model loading response
-        if (response.status === 503 && errorData.error && errorData.error.includes("loading")) {
-          console.warn("Model is loading, generating placeholder image");
-          return createPlaceholderImage(prompt);
-        }
-        
-        throw new Error(errorData.error || `API error: ${response.status} ${response.statusText}`);
-      } else {
-        const errorText = await response.text();
-        throw new Error(`Invalid response from API: ${response.status} ${response.statusText}`);
+async function generateImageDiagram(prompt) {
+  const { buffer, provider, failures } = await generateImage(prompt, { width: 1024, height: 1024 });
+  return { buffer, provider, failures };
+}
+
+/**
+ * Generate a concept diagram with the requested backend, falling back to the
+ * other one when it fails - e.g. when the image API is rate limited - and to a
+ * placeholder image when both do
+ * @param {string} prompt - diagram prompt from the beautified output
+ * @param {Object} options - { backend: 'image' | 'spec', concept }
+ * @returns {Promise<Object>} - { buffer, svg, backend, provider, fallbackReason } where
+ *   backend is the one that produced the image ('placeholder' if none did),
+ *   provider is the image provider for image diagrams and svg is set for spec diagrams
+ */
+async function generateDiagram(prompt, { backend = DEFAULT_DIAGRAM_BACKEND, concept = null } = {}) {
+  const order = backend === 'spec' ? ['spec', 'image'] : ['image', 'spec'];
+  const failures = [];
+  
+  for (const candidate of order) {
+    try {
+      if (candidate === 'spec') {
+        const { buffer, svg } = await generateSpecDiagram(prompt, concept);
+        return { buffer, svg, backend: 'spec', provider: null, fallbackReason: failures.join('; ') || null };
       }
+      const { buffer, provider, failures: providerFailures } = await generateImageDiagram(prompt);
+      failures.push(...providerFailures);
+      return { buffer, svg: null, backend: 'image', provider, fallbackReason: failures.join('; ') || null };
+    } catch (error) {
+      console.warn(`Diagram backend "${candidate}" failed: ${error.message}`);
+      failures.push(`${candidate}: ${error.message}`);
     }
-    
-    const buffer = await response.arrayBuffer();
-    return Buffer.from(buffer);
-  } catch (error) {
-    console.error(`Error in generateDiagram: ${error.message}`);
-    console.warn("Generating placeholder image due to error");
-    return createPlaceholderImage(prompt);
   }
+  
+  console.warn("Generating placeholder image - no diagram backend succeeded");
+  return { buffer: createPlaceholderImage(prompt), svg: null, backend: 'placeholder', provider: null, fallbackReason: failures.join('; ') };
 }
 
 /**
@@ -253,9 +246,48 @@ function createPlaceholderImage(prompt) {
 }
 
 /**
- * Generate flowchart images from mermaid code using mermaid-cli
+ * Generate flowchart images from mermaid code using mermaid-cli.
+ * Any Mermaid diagram kind renders; kind only decides the declaration added
+ * to code that doesn't start with one.
  */
-async function generateFlowchart(mermaidCode, conceptName) {
+async function generateFlowchart(mermaidCode, conceptName, kind = 'flowchart') {
+  const { buffer } = await renderFlowchart(mermaidCode, conceptName, kind);
+  return buffer;
+}
+
+/**
+ * generateFlowchart, also saying which renderer drew it: 'mermaid-browser'
+ * (the pooled renderer), 'mermaid-cli', or 'fallback' when neither could
+ * @returns {Promise<Object>} - { buffer, svg, renderer } where svg is only set
+ *   by the pooled renderer, flattened so the PDF can draw it as vectors
+ */
+async function renderFlowchart(mermaidCode, conceptName, kind = 'flowchart') {
+  if (MERMAID_RENDERER === 'browser') {
+    try {
+      const { png, svg } = await getMermaidRenderer().render(normalizeMermaidCode(mermaidCode, kind));
+      return { buffer: png, svg, renderer: 'mermaid-browser' };
+    } catch (error) {
+      if (error.code === 'MERMAID_SYNTAX') {
+        // mermaid-cli runs the same Mermaid, so it would fail the same way
+        console.log(`Using fallback rendering for flowchart "${conceptName}": ${error.message}`);
+        return {
+          buffer: generateFallbackFlowchart(mermaidCode, conceptName, detectDiagramKind(mermaidCode) || kind),
+          svg: null,
+          renderer: 'fallback'
+        };
+      }
+      console.warn(`Pooled Mermaid renderer failed for "${conceptName}", trying mermaid-cli: ${error.message}`);
+    }
+  }
+  return renderFlowchartWithCli(mermaidCode, conceptName, kind);
+}
+
+/**
+ * Render with a mermaid-cli process (a fresh Chromium per chart), falling
+ * back to the canvas renderer
+ * @returns {Promise<Object>} - { buffer, svg: null, renderer: 'mermaid-cli' | 'fallback' }
+ */
+async function renderFlowchartWithCli(mermaidCode, conceptName, kind = 'flowchart') {
   try {
     // Create temp directory
     const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'flowchart-'));
@@ -266,30 +298,10 @@ async function generateFlowchart(mermaidCode, conceptName) {
     const mmdFilePath = path.join(tempDir, `${sanitizedName}_${uniqueId}.mmd`);
     const pngFilePath = path.join(tempDir, `${sanitizedName}_${uniqueId}.png`);
     
-    // Handle common syntax issues in the generated code
-    let fixedMermaidCode = mermaidCode;
+    // Parser validation and model repair happen before this, see prepareFlowchartCode
+    const fixedMermaidCode = normalizeMermaidCode(mermaidCode, kind);
     
-    // Fix missing graph declaration
-    if (!fixedMermaidCode.trim().toLowerCase().startsWith('graph') && 
-        !fixedMermaidCode.trim().toLowerCase().startsWith('flowchart')) {
-      fixedMermaidCode = 'flowchart TD\n' + fixedMermaidCode;
-    }
-    
-    // Fix missing semicolons
-    const lines = fixedMermaidCode.split('\n');
-    const fixedLines = lines.map(line => {
-      // If line contains arrow but doesn't end with semicolon, add it
-      if ((line.includes('-->') || line.includes('---')) && 
-          !line.trim().endsWith(';') && 
-          !line.trim().endsWith('subgraph') &&
-          !line.includes('end')) {
-        return line + ';';
-      }
-      return line;
-    });
-    fixedMermaidCode = fixedLines.join('\n');
-    
-    console.log(`Fixed mermaid code for "${conceptName}":`, fixedMermaidCode.substring(0, 100) + '...');
+    console.log(`Mermaid code for "${conceptName}":`, fixedMermaidCode.substring(0, 100) + '...');
     
     // Save to file
     await fs.writeFile(mmdFilePath, fixedMermaidCode, 'utf8');
@@ -361,7 +373,7 @@ async function generateFlowchart(mermaidCode, conceptName) {
         await fs.rm(tempDir, { recursive: true, force: true })
           .catch(err => console.error('Error cleaning temp dir:', err));
         
-        return buffer;
+        return { buffer, svg: null, renderer: 'mermaid-cli' };
       } catch (cliError) {
         console.error(`Mermaid CLI execution error:`, cliError);
         console.error(`Command output:`, cliError.stdout, cliError.stderr);
@@ -378,12 +390,16 @@ async function generateFlowchart(mermaidCode, conceptName) {
     }
   } catch (error) {
     console.log(`Using fallback rendering for flowchart "${conceptName}": ${error.message}`);
-    return generateFallbackFlowchart(mermaidCode, conceptName);
+    return {
+      buffer: generateFallbackFlowchart(mermaidCode, conceptName, detectDiagramKind(mermaidCode) || kind),
+      svg: null,
+      renderer: 'fallback'
+    };
   }
 }
 
 // Improve the fallback flowchart generator to make it clearer this is a fallback
-function generateFallbackFlowchart(mermaidCode, conceptName) {
+function generateFallbackFlowchart(mermaidCode, conceptName, kind = 'flowchart') {
   try {
     // Create a canvas with better dimensions (16:9 aspect ratio)
     const canvas = createCanvas(1024, 768);
@@ -396,12 +412,13 @@ function generateFallbackFlowchart(mermaidCode, conceptName) {
     // Add title and border - make it more prominent
     ctx.fillStyle = '#333333';
     ctx.font = 'bold 24px Arial';
-    ctx.fillText(`Flowchart: ${conceptName}`, 40, 40);
+    const label = diagramKindLabel(kind);
+    ctx.fillText(`${label.charAt(0).toUpperCase()}${label.slice(1)}: ${conceptName}`, 40, 40);
     
     // Add a notice about fallback mode
     ctx.fillStyle = '#cc0000';
     ctx.font = 'bold 18px Arial';
-    ctx.fillText('Flowchart visualization unavailable - showing code representation', 40, 70);
+    ctx.fillText('Diagram visualization unavailable - showing code representation', 40, 70);
     
     // Draw a border
     ctx.strokeStyle = '#9999cc';
@@ -443,98 +460,248 @@ function generateFallbackFlowchart(mermaidCode, conceptName) {
 }
 
 /**
- * Batch processing function for generating multiple diagrams
+ * Create a small PNG preview of a rendered visual, e.g. for progress streams
+ * @param {Buffer} imageBuffer - PNG or JPEG image
+ * @param {number} maxSize - maximum width/height of the thumbnail in pixels
+ * @returns {Promise<Buffer|null>} - PNG thumbnail, or null if the image can't be decoded
  */
-async function generateAllDiagrams(diagramPrompts) {
-  const results = [];
-  
-  for (let i = 0; i < diagramPrompts.length; i++) {
-    try {
-      console.log(`Generating diagram #${i+1} with prompt: "${diagramPrompts[i].substring(0, 50)}..."`);
-      const buffer = await generateDiagram(diagramPrompts[i]);
-      
-      // If buffer is null (which should be rare now), add an error result
-      if (!buffer) {
-        console.error(`Failed to generate diagram #${i+1} - null buffer returned`);
-        results.push({
-          index: i,
-          buffer: null,
-          error: "Failed to generate even a placeholder image"
-        });
-        continue;
-      }
-      
-      console.log(`Successfully generated diagram #${i+1} - buffer size: ${buffer.length} bytes`);
-      results.push({
+async function createThumbnail(imageBuffer, maxSize = 240) {
+  try {
+    const image = await loadImage(imageBuffer);
+    const scale = Math.min(1, maxSize / Math.max(image.width, image.height));
+    const width = Math.max(1, Math.round(image.width * scale));
+    const height = Math.max(1, Math.round(image.height * scale));
+    
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(image, 0, 0, width, height);
+    
+    return canvas.toBuffer('image/png');
+  } catch (error) {
+    console.warn('Failed to create thumbnail:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Asset cache id of a concept diagram. The spec backend also draws on the
+ * concept name; image diagrams are always 1024x1024.
+ */
+const diagramAssetId = (prompt, concept, backend) => visualAssetId({
+  renderer: `diagram:${backend}`,
+  source: backend === 'spec' ? `${concept || ''}\n${prompt}` : prompt,
+  size: backend === 'spec' ? 'spec@2x' : '1024x1024',
+  theme: 'default'
+});
+
+/**
+ * Asset cache id of a flowchart, from the code as the model wrote it, so a hit
+ * also skips parser validation and repair. The renderer tag changed when the
+ * stored SVG became the flattened, PDF-drawable kind, so older entries miss.
+ */
+const flowchartAssetId = (code, kind) => visualAssetId({
+  renderer: 'mermaid/vector',
+  source: normalizeMermaidCode(code, kind),
+  size: 'auto',
+  theme: 'default/white'
+});
+
+/**
+ * Batch processing function for generating multiple diagrams, several at a
+ * time within the remote image lane's limit (see visualScheduler).
+ * Each diagram is looked up in the visual asset cache first; cached diagrams
+ * don't count against the diagram quota. Only diagrams drawn by the requested
+ * backend are cached, never fallbacks or placeholders.
+ * @param {Object} options - { backend: 'image' | 'spec' (see generateDiagram), concepts: concept name per prompt }
+ * @param {Function} onProgress - optional (completedCount, result) callback as each diagram finishes
+ * @returns {Promise<Array>} - [{ index, buffer, svg, prompt, backend, provider, fallbackReason, assetId, cached, error }]
+ *   in prompt order, where assetId is set when the diagram is in the cache
+ * @throws {QuotaExceededError} - when the diagram quota runs out
+ */
+async function generateAllDiagrams(diagramPrompts, { backend = DEFAULT_DIAGRAM_BACKEND, concepts = [] } = {}, onProgress = null) {
+  const generateOne = async (i) => {
+    const assetId = diagramAssetId(diagramPrompts[i], concepts[i], backend);
+    const cachedAsset = await getVisualAsset(assetId);
+    if (cachedAsset) {
+      console.log(`Diagram #${i+1} served from the visual cache (${assetId})`);
+      return {
         index: i,
-        buffer: buffer,
+        buffer: cachedAsset.buffer,
+        svg: cachedAsset.metadata.svg || null,
         prompt: diagramPrompts[i],
+        backend,
+        provider: cachedAsset.metadata.provider || null,
+        fallbackReason: null,
+        assetId,
+        cached: true,
         error: null
-      });
-    } catch (error) {
-      console.error(`Error generating diagram #${i+1}:`, error);
-      // Try to create a placeholder directly here as well
-      const placeholderBuffer = createPlaceholderImage(diagramPrompts[i]);
-      
-      results.push({
+      };
+    }
+    
+    console.log(`Generating diagram #${i+1} with prompt: "${diagramPrompts[i].substring(0, 50)}..."`);
+    // Over quota throws, which fails the whole batch (see onError)
+    await consumeQuota(getQuotaUserId(), 'diagrams');
+    const { buffer, svg, backend: usedBackend, provider, fallbackReason } = await generateDiagram(diagramPrompts[i], {
+      backend,
+      concept: concepts[i] || null
+    });
+    
+    // If buffer is null (which should be rare now), add an error result
+    if (!buffer) {
+      console.error(`Failed to generate diagram #${i+1} - null buffer returned`);
+      return {
         index: i,
-        buffer: placeholderBuffer,
-        prompt: diagramPrompts[i],
-        error: error.message
-      });
+        buffer: null,
+        error: "Failed to generate even a placeholder image"
+      };
     }
-  }
+    
+    console.log(`Successfully generated diagram #${i+1} with the ${usedBackend} backend - buffer size: ${buffer.length} bytes`);
+    const stored = usedBackend === backend &&
+      await putVisualAsset(assetId, buffer, { metadata: { backend, provider, svg } });
+    return {
+      index: i,
+      buffer: buffer,
+      svg,
+      prompt: diagramPrompts[i],
+      backend: usedBackend,
+      provider,
+      fallbackReason,
+      assetId: stored ? assetId : null,
+      cached: false,
+      error: null
+    };
+  };
   
-  return results;
+  return scheduleVisuals('remoteImage', diagramPrompts.length, generateOne, {
+    label: 'Diagram',
+    // Errors and timeouts still get a placeholder image. Running out of
+    // diagram quota is not a rendering failure: it rejects the batch, so the
+    // caller can answer with a 429.
+    onError: (i, error) => {
+      if (isQuotaError(error)) throw error;
+      return {
+        index: i,
+        buffer: createPlaceholderImage(diagramPrompts[i]),
+        prompt: diagramPrompts[i],
+        backend: 'placeholder',
+        error: error.message
+      };
+    },
+    onProgress
+  });
 }
 
 /**
- * Batch processing function for generating multiple flowcharts
+ * Batch processing function for generating multiple flowcharts, several at a
+ * time within the Mermaid lane's limit (see visualScheduler).
+ * Each flowchart is looked up in the visual asset cache first. Otherwise its
+ * code is validated with the Mermaid parser, and repaired by the model if it
+ * doesn't parse, before it is rendered; mermaid-cli renders are then cached.
+ * @param {Array} diagramKinds - optional Mermaid diagram kind per flowchart, see MERMAID_DIAGRAM_KINDS
+ * @param {Function} onProgress - optional (completedCount, result) callback as each flowchart finishes
+ * @returns {Promise<Array>} - [{ index, name, kind, buffer, svg, error, code, attempts, repaired, validationError, assetId, cached }]
+ *   in input order
  */
-async function generateAllFlowcharts(flowchartCodes, conceptNames) {
-  const results = [];
+async function generateAllFlowcharts(flowchartCodes, conceptNames, diagramKinds = [], onProgress = null) {
+  const nameOf = (i) => conceptNames[i] || `Flowchart ${i+1}`;
+  const kindOf = (i) => diagramKinds[i] || 'flowchart';
   
-  for (let i = 0; i < flowchartCodes.length; i++) {
+  const generateOne = async (i) => {
+    const conceptName = nameOf(i);
+    const requestedKind = kindOf(i);
+    let prepared = null;
+    
     try {
-      const conceptName = conceptNames[i] || `Flowchart ${i+1}`;
+      const assetId = flowchartAssetId(flowchartCodes[i], requestedKind);
+      const cachedAsset = await getVisualAsset(assetId);
+      if (cachedAsset) {
+        console.log(`Flowchart #${i+1} "${conceptName}" served from the visual cache (${assetId})`);
+        return {
+          index: i,
+          name: conceptName,
+          buffer: cachedAsset.buffer,
+          error: null,
+          ...cachedAsset.metadata,
+          assetId,
+          cached: true
+        };
+      }
+      
       console.log(`Generating flowchart #${i+1} "${conceptName}" with code length: ${flowchartCodes[i].length} chars`);
       
-      const buffer = await generateFlowchart(flowchartCodes[i], conceptName);
+      prepared = await prepareFlowchartCode(flowchartCodes[i], conceptName, requestedKind);
+      const validation = {
+        kind: prepared.kind,
+        code: prepared.code,
+        attempts: prepared.attempts,
+        repaired: prepared.repaired,
+        validationError: prepared.error
+      };
+      
+      const { buffer, svg, renderer } = await renderFlowchart(prepared.code, conceptName, prepared.kind);
       
       // If buffer is null (generation failed), add error
       if (!buffer) {
         console.error(`Failed to generate flowchart #${i+1} "${conceptName}" - null buffer returned`);
-        results.push({
+        return {
           index: i,
           name: conceptName,
           buffer: null,
-          error: "Failed to generate flowchart image"
-        });
-        continue;
+          error: "Failed to generate flowchart image",
+          ...validation
+        };
       }
       
-      console.log(`Successfully generated flowchart #${i+1} "${conceptName}" - buffer size: ${buffer.length} bytes`);
-      results.push({
+      console.log(`Successfully generated flowchart #${i+1} "${conceptName}" - buffer size: ${buffer.length} bytes (${prepared.attempts} parse attempt(s))`);
+      // The canvas fallback is only a stand-in until Mermaid rendering works, so it isn't cached
+      const stored = renderer !== 'fallback' && await putVisualAsset(assetId, buffer, { metadata: { ...validation, svg } });
+      return {
         index: i,
         name: conceptName,
         buffer: buffer,
-        error: null
-      });
+        svg,
+        error: null,
+        ...validation,
+        assetId: stored ? assetId : null,
+        cached: false
+      };
     } catch (error) {
       console.error(`Error generating flowchart #${i+1}:`, error);
-      results.push({
+      return {
         index: i,
-        name: conceptNames[i] || `Flowchart ${i+1}`,
+        name: conceptName,
         buffer: null,
-        error: error.message
-      });
+        error: error.message,
+        kind: prepared ? prepared.kind : requestedKind,
+        code: prepared ? prepared.code : flowchartCodes[i],
+        attempts: prepared ? prepared.attempts : 0,
+        repaired: prepared ? prepared.repaired : false,
+        validationError: prepared ? prepared.error : null
+      };
     }
-  }
+  };
   
-  return results;
+  return scheduleVisuals('mermaid', flowchartCodes.length, generateOne, {
+    label: 'Flowchart',
+    // Only reached on timeout - generateOne reports its own errors
+    onError: (i, error) => ({
+      index: i,
+      name: nameOf(i),
+      buffer: null,
+      error: error.message,
+      kind: kindOf(i),
+      code: flowchartCodes[i],
+      attempts: 0,
+      repaired: false,
+      validationError: null
+    }),
+    onProgress
+  });
 }
 
 module.exports = {
+  createThumbnail,
   generateDiagram,
   generateFlowchart,
   generateAllDiagrams,
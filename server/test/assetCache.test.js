@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'visual-cache-'));
+process.env.VISUAL_CACHE_BACKEND = 'filesystem';
+process.env.VISUAL_CACHE_DIR = cacheDir;
+
+const { runWithQuotaUser } = require('../src/utils/quota');
+const {
+  visualAssetId,
+  isVisualAssetId,
+  getVisualAsset,
+  putVisualAsset,
+  evictVisualAssets,
+  resolveVisualAssets
+} = require('../src/utils/assetCache');
+
+test.after(() => fs.rmSync(cacheDir, { recursive: true, force: true }));
+
+const flowchartId = (source) => visualAssetId({ renderer: 'mermaid', source, size: 800, theme: 'default' });
+
+test('asset ids hash everything the render depends on', () => {
+  const id = flowchartId('flowchart TD\n  A --> B');
+
+  assert.equal(isVisualAssetId(id), true);
+  assert.equal(flowchartId('flowchart TD\n  A --> B'), id);
+  assert.notEqual(flowchartId('flowchart TD\n  A --> C'), id);
+  assert.notEqual(visualAssetId({ renderer: 'mermaid', source: 'flowchart TD\n  A --> B', size: 400, theme: 'default' }), id);
+  assert.equal(isVisualAssetId('../../etc/passwd'), false);
+});
+
+test('a stored asset comes back with its metadata', async () => {
+  const id = flowchartId('flowchart LR\n  Stored --> Asset');
+
+  assert.equal(await putVisualAsset(id, Buffer.from('png'), { metadata: { svg: '<svg/>' }, ownerId: 'user-1' }), true);
+  const entry = await getVisualAsset(id, 'user-1');
+
+  assert.equal(entry.buffer.toString(), 'png');
+  assert.equal(entry.contentType, 'image/png');
+  assert.deepEqual(entry.metadata, { svg: '<svg/>' });
+});
+
+test('assets are only visible to the user who stored them', async () => {
+  const id = flowchartId('flowchart LR\n  Private --> Asset');
+  await putVisualAsset(id, Buffer.from('png'), { ownerId: 'user-1' });
+
+  assert.ok(await getVisualAsset(id, 'user-1'));
+  assert.equal(await getVisualAsset(id, 'user-2'), null);
+  assert.deepEqual(await resolveVisualAssets([{ assetId: id }], 'user-2'), { visuals: [{ assetId: id }], missing: [id] });
+  // The file names don't give the asset id away either
+  assert.ok(fs.readdirSync(cacheDir).every(file => !file.startsWith(id)));
+});
+
+test('the owner defaults to the user the work is charged to, and nothing is cached without one', async () => {
+  const id = flowchartId('flowchart LR\n  Charged --> User');
+
+  assert.equal(await putVisualAsset(id, Buffer.from('png')), false);
+  await runWithQuotaUser('user-3', () => putVisualAsset(id, Buffer.from('png')));
+
+  assert.ok(await runWithQuotaUser('user-3', () => getVisualAsset(id)));
+  assert.ok(await getVisualAsset(id, 'user-3'));
+  assert.equal(await getVisualAsset(id), null);
+});
+
+test('visuals sent as asset ids are replaced by the cached images', async () => {
+  const cached = flowchartId('flowchart LR\n  Cached');
+  const missing = flowchartId('flowchart LR\n  Missing');
+  await putVisualAsset(cached, Buffer.from('cached png'), { metadata: { svg: '<svg id="cached"/>' }, ownerId: 'user-1' });
+
+  const result = await resolveVisualAssets([
+    { assetId: cached, caption: 'Cached' },
+    { assetId: missing },
+    { image: 'aW1hZ2U=' },
+    null
+  ], 'user-1');
+
+  assert.deepEqual(result.visuals[0], {
+    assetId: cached,
+    caption: 'Cached',
+    image: Buffer.from('cached png').toString('base64'),
+    svg: '<svg id="cached"/>'
+  });
+  assert.deepEqual(result.visuals.slice(1), [{ assetId: missing }, { image: 'aW1hZ2U=' }, null]);
+  assert.deepEqual(result.missing, [missing]);
+});
+
+test('eviction drops the least recently used assets over the size limit', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const older = flowchartId('flowchart LR\n  Older');
+  const newer = flowchartId('flowchart LR\n  Newer');
+  await putVisualAsset(older, Buffer.alloc(1000), { ownerId: 'user-4' });
+  await putVisualAsset(newer, Buffer.alloc(1000), { ownerId: 'user-4' });
+  // Reading bumps the last access time
+  await new Promise(resolve => setTimeout(resolve, 20));
+  await getVisualAsset(newer, 'user-4');
+
+  const removed = await evictVisualAssets({ maxBytes: 1500 });
+
+  assert.ok(removed >= 1);
+  assert.equal(await getVisualAsset(older, 'user-4'), null);
+  assert.ok(await getVisualAsset(newer, 'user-4'));
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const admin = require('firebase-admin');
+
+process.env.AUTH_TEST_MODE = 'true';
+process.env.AUTH_TEST_SECRET = 'auth-middleware-test-secret';
+
+const authMiddleware = require('../src/middleware/authMiddleware');
+const { createTestToken } = authMiddleware;
+
+const fakeRequest = ({ method = 'GET', path = '/api/jobs', headers = {}, query = {} } = {}) => ({
+  method,
+  path,
+  originalUrl: path,
+  query,
+  get: (name) => headers[name]
+});
+
+const fakeResponse = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+// Run the middleware, resolving with whether it called next
+async function authenticate(req) {
+  const res = fakeResponse();
+  let nextCalled = false;
+  await authMiddleware(req, res, () => { nextCalled = true; });
+  return { req, res, nextCalled };
+}
+
+test('requests without a bearer token are rejected', async () => {
+  const { res, nextCalled } = await authenticate(fakeRequest());
+
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.body.error, 'Authentication required');
+});
+
+test('a valid test token attaches the user', async () => {
+  const token = createTestToken('user-1', { email: 'user@example.com' });
+  const { req, nextCalled } = await authenticate(fakeRequest({ headers: { Authorization: `Bearer ${token}` } }));
+
+  assert.equal(nextCalled, true);
+  assert.equal(req.user.uid, 'user-1');
+  assert.equal(req.user.email, 'user@example.com');
+  assert.equal(req.user.name, null);
+});
+
+test('bad and expired tokens are rejected without logging the query string', async (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const token = createTestToken('user-1');
+  const tampered = `${token.slice(0, -2)}xx`;
+  const expired = createTestToken('user-1', {}, -60);
+
+  for (const badToken of [tampered, expired, 'not-a-token']) {
+    const req = fakeRequest({ path: '/api/notes/job-1/events', headers: { Authorization: `Bearer ${badToken}` } });
+    req.originalUrl = `/api/notes/job-1/events?token=${badToken}`;
+    const { res, nextCalled } = await authenticate(req);
+
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.error, 'Invalid or expired authentication token');
+  }
+
+  assert.equal(warn.mock.callCount(), 3);
+  for (const call of warn.mock.calls) {
+    assert.ok(!call.arguments[0].includes('token='), call.arguments[0]);
+  }
+});
+
+test('?token= is only accepted on GET event streams', async () => {
+  const token = createTestToken('user-1');
+
+  const stream = await authenticate(fakeRequest({ path: '/api/notes/job-1/events', query: { token } }));
+  assert.equal(stream.nextCalled, true);
+  assert.equal(stream.req.user.uid, 'user-1');
+
+  const other = await authenticate(fakeRequest({ path: '/api/jobs/job-1', query: { token } }));
+  assert.equal(other.nextCalled, false);
+  assert.equal(other.res.statusCode, 401);
+
+  const post = await authenticate(fakeRequest({ method: 'POST', path: '/api/notes/job-1/events', query: { token } }));
+  assert.equal(post.nextCalled, false);
+  assert.equal(post.res.statusCode, 401);
+});
+
+test('test tokens are refused when NODE_ENV is production', async (t) => {
+  const nodeEnv = process.env.NODE_ENV;
+  process.env.NODE_ENV = 'production';
+  t.after(() => {
+    if (nodeEnv === undefined) delete process.env.NODE_ENV;
+    else process.env.NODE_ENV = nodeEnv;
+  });
+
+  t.mock.method(console, 'warn', () => {});
+  const verifyIdToken = t.mock.fn(async () => {
+    throw new Error('Decoding Firebase ID token failed');
+  });
+  t.mock.getter(admin, 'auth', () => () => ({ verifyIdToken }));
+
+  const token = createTestToken('user-1');
+  const { res, nextCalled } = await authenticate(fakeRequest({ headers: { Authorization: `Bearer ${token}` } }));
+
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 401);
+  assert.equal(verifyIdToken.mock.callCount(), 1);
+  assert.equal(verifyIdToken.mock.calls[0].arguments[0], token);
+});
@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const admin = require('firebase-admin');
+const { createSession, getSession, listSessions, getMessages, appendMessages } = require('../src/utils/chatStore');
+
+const SERVER_TIMESTAMP = Symbol('serverTimestamp');
+
+/**
+ * In-memory stand-in for the Firestore calls the chat store makes, keyed by
+ * document path
+ */
+function createFakeFirestore() {
+  const documents = new Map();
+  let clock = Date.parse('2026-01-01T00:00:00Z');
+  let nextId = 1;
+
+  const resolve = (current, data) => {
+    clock += 1000;
+    const resolved = { ...current };
+    Object.entries(data).forEach(([key, value]) => {
+      if (value === SERVER_TIMESTAMP) resolved[key] = new Date(clock);
+      else if (value && value.increment !== undefined) resolved[key] = (resolved[key] || 0) + value.increment;
+      else resolved[key] = value;
+    });
+    return resolved;
+  };
+
+  const docRef = (collectionPath, id = `doc-${nextId++}`) => {
+    const docPath = `${collectionPath}/${id}`;
+    return {
+      id,
+      path: docPath,
+      collection: (name) => collection(`${docPath}/${name}`),
+      get: async () => ({ id, exists: documents.has(docPath), data: () => documents.get(docPath) }),
+      set: async (data) => documents.set(docPath, resolve({}, data)),
+      update: async (data) => documents.set(docPath, resolve(documents.get(docPath), data))
+    };
+  };
+
+  const collection = (collectionPath) => {
+    const query = (filters, order) => ({
+      where: (field, op, value) => query([...filters, [field, value]], order),
+      orderBy: (field) => query(filters, field),
+      get: async () => {
+        const docs = [...documents.entries()]
+          .filter(([docPath]) => docPath.startsWith(`${collectionPath}/`) && !docPath.slice(collectionPath.length + 1).includes('/'))
+          .filter(([, data]) => filters.every(([field, value]) => data[field] === value))
+          .sort(([, a], [, b]) => (order ? a[order] - b[order] : 0))
+          .map(([docPath, data]) => ({ id: docPath.split('/').pop(), exists: true, data: () => data }));
+        return { docs };
+      }
+    });
+    return {
+      ...query([], null),
+      doc: (id) => docRef(collectionPath, id),
+      add: async (data) => {
+        const ref = docRef(collectionPath);
+        await ref.set(data);
+        return ref;
+      }
+    };
+  };
+
+  const firestore = () => ({
+    collection,
+    batch: () => {
+      const writes = [];
+      return {
+        set: (ref, data) => writes.push(() => ref.set(data)),
+        update: (ref, data) => writes.push(() => ref.update(data)),
+        commit: async () => {
+          for (const write of writes) await write();
+        }
+      };
+    }
+  });
+  firestore.FieldValue = {
+    serverTimestamp: () => SERVER_TIMESTAMP,
+    increment: (amount) => ({ increment: amount })
+  };
+  firestore.Timestamp = { fromMillis: (millis) => new Date(millis) };
+  return firestore;
+}
+
+test.beforeEach((t) => {
+  const firestore = createFakeFirestore();
+  t.mock.getter(admin, 'firestore', () => firestore);
+});
+
+test('messages keep their citations and order, and title the session', async () => {
+  const session = await createSession({ userId: 'user-1', noteId: 'note-1' });
+  const citations = [
+    { id: 'S2', type: 'section', index: 1, heading: 'Proteins' },
+    { id: 'X3', type: 'source', index: 2, excerpt: 'Ribosomes assemble proteins...' }
+  ];
+
+  await appendMessages(session.id, [
+    { role: 'user', content: 'What do ribosomes do?' },
+    { role: 'assistant', content: 'They assemble proteins.', citations, answerable: true }
+  ]);
+
+  const messages = await getMessages(session.id);
+  assert.deepEqual(messages.map(message => message.role), ['user', 'assistant']);
+  assert.deepEqual(messages[0].citations, []);
+  assert.equal(messages[0].answerable, null);
+  assert.deepEqual(messages[1].citations, citations);
+  assert.equal(messages[1].answerable, true);
+
+  const updated = await getSession(session.id);
+  assert.equal(updated.title, 'What do ribosomes do?');
+  assert.equal(updated.messageCount, 2);
+  assert.equal(updated.lastMessage, 'They assemble proteins.');
+});
+
+test('the session title comes from the first question only', async () => {
+  const session = await createSession({ userId: 'user-1', noteId: 'note-1' });
+
+  await appendMessages(session.id, [{ role: 'user', content: 'First question' }]);
+  await appendMessages(session.id, [{ role: 'user', content: 'Second question' }]);
+
+  const updated = await getSession(session.id);
+  assert.equal(updated.title, 'First question');
+  assert.equal(updated.messageCount, 2);
+});
+
+test('sessions are listed per user and note, most recently active first', async () => {
+  const older = await createSession({ userId: 'user-1', noteId: 'note-1' });
+  const newer = await createSession({ userId: 'user-1', noteId: 'note-2' });
+  await createSession({ userId: 'user-2', noteId: 'note-1' });
+  await appendMessages(older.id, [{ role: 'user', content: 'Back to this one' }]);
+
+  assert.deepEqual((await listSessions('user-1')).map(session => session.id), [older.id, newer.id]);
+  assert.deepEqual((await listSessions('user-1', { noteId: 'note-2' })).map(session => session.id), [newer.id]);
+  assert.equal(await getSession('missing'), null);
+});
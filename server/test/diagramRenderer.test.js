@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { renderDiagramSpec, layoutSpec, wrapText } = require('../src/utils/diagramRenderer');
+const { DIAGRAM_BACKENDS, resolveDiagramBackend } = require('../src/genkit/diagramSpec');
+
+const PROCESS_SPEC = {
+  title: 'Photosynthesis',
+  direction: 'TB',
+  nodes: [
+    { id: 'light', label: 'Light energy', shape: 'ellipse' },
+    { id: 'split', label: 'Water is split', group: 'thylakoid' },
+    { id: 'atp', label: 'ATP and NADPH', group: 'thylakoid' },
+    { id: 'calvin', label: 'Calvin cycle', group: 'stroma' },
+    { id: 'light', label: 'Duplicate id' }
+  ],
+  edges: [
+    { from: 'light', to: 'split' },
+    { from: 'split', to: 'atp' },
+    { from: 'atp', to: 'calvin', label: 'powers' },
+    { from: 'calvin', to: 'atp', style: 'dashed' },
+    { from: 'atp', to: 'nowhere' }
+  ],
+  groups: [
+    { id: 'thylakoid', label: 'Thylakoid' },
+    { id: 'stroma', label: 'Stroma' },
+    { id: 'empty', label: 'Unused' }
+  ],
+  annotations: [
+    { text: 'Oxygen is released here', target: 'split' },
+    { text: 'Not attached', target: 'missing' }
+  ]
+};
+
+test('labels wrap at word boundaries and long words are cut', () => {
+  assert.deepEqual(wrapText('Light dependent reactions in the thylakoid', 22), ['Light dependent', 'reactions in the', 'thylakoid']);
+  assert.deepEqual(wrapText('Photophosphorylation', 8), ['Photopho', 'sphoryla', 'tion']);
+  assert.deepEqual(wrapText(''), ['']);
+});
+
+test('layout drops what the spec refers to but doesn\'t define', () => {
+  const layout = layoutSpec(PROCESS_SPEC);
+
+  assert.deepEqual(layout.nodes.map(node => node.id), ['light', 'split', 'atp', 'calvin']);
+  assert.equal(layout.nodes[0].label, 'Light energy');
+  assert.equal(layout.edges.length, 4);
+  assert.deepEqual(layout.groups.map(group => group.id), ['thylakoid', 'stroma']);
+  assert.deepEqual(layout.annotations.map(annotation => annotation.target), ['split', null]);
+});
+
+test('nodes are ranked along the direction and cycles are routed around the side', () => {
+  const layout = layoutSpec(PROCESS_SPEC);
+  const y = (id) => layout.byId.get(id).y;
+
+  assert.ok(y('light') < y('split'));
+  assert.ok(y('split') < y('atp'));
+  assert.ok(y('atp') < y('calvin'));
+  assert.deepEqual(layout.edges.filter(edge => edge.backward).map(edge => `${edge.from}->${edge.to}`), ['calvin->atp']);
+  // Groups enclose their nodes
+  const thylakoid = layout.groups[0];
+  ['split', 'atp'].forEach(id => {
+    const node = layout.byId.get(id);
+    assert.ok(node.x >= thylakoid.x && node.x + node.width <= thylakoid.x + thylakoid.width);
+    assert.ok(node.y >= thylakoid.y && node.y + node.height <= thylakoid.y + thylakoid.height);
+  });
+});
+
+test('left-to-right layouts rank along x', () => {
+  const layout = layoutSpec({ ...PROCESS_SPEC, direction: 'LR' });
+
+  assert.equal(layout.horizontal, true);
+  assert.ok(layout.byId.get('light').x < layout.byId.get('split').x);
+});
+
+test('the SVG contains every label exactly as written, escaped', () => {
+  const { svg, png, width, height } = renderDiagramSpec({
+    ...PROCESS_SPEC,
+    nodes: [...PROCESS_SPEC.nodes, { id: 'sugar', label: 'Glucose <C6H12O6> & oxygen' }]
+  }, { png: false });
+
+  assert.equal(png, null);
+  assert.match(svg, new RegExp(`^<svg [^>]*width="${width}" height="${height}"`));
+  ['Photosynthesis', 'Light energy', 'Calvin cycle', 'powers', 'Thylakoid', '1. Oxygen is released here'].forEach(text => {
+    assert.ok(svg.includes(`>${text}<`), text);
+  });
+  assert.ok(svg.includes('Glucose &lt;C6H12O6&gt; &amp;'));
+});
+
+test('a spec without nodes can\'t be rendered', () => {
+  assert.throws(() => renderDiagramSpec({ title: 'Empty', nodes: [], edges: [] }, { png: false }), /no nodes/);
+});
+
+test('the requested diagram backend must be a known one', () => {
+  assert.deepEqual(DIAGRAM_BACKENDS, ['image', 'spec']);
+  assert.equal(resolveDiagramBackend('spec'), 'spec');
+  assert.equal(resolveDiagramBackend(undefined), process.env.DIAGRAM_BACKEND === 'spec' ? 'spec' : 'image');
+  assert.equal(resolveDiagramBackend('dalle'), null);
+});
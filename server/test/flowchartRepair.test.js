@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The repair flow runs on the fixture provider, reading canned output from here
+const fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'flowchart-repair-fixtures-'));
+process.env.NODE_ENV = 'test';
+process.env.MODEL_FIXTURE_DIR = fixtureDir;
+delete process.env.MODEL_PROVIDER;
+delete process.env.MERMAID_REPAIR_MODEL;
+
+const { setQuotaStore, createMemoryStore } = require('../src/utils/quota');
+const { prepareFlowchartCode } = require('../src/genkit/flowchartRepair');
+
+setQuotaStore(createMemoryStore());
+test.after(() => fs.rmSync(fixtureDir, { recursive: true, force: true }));
+
+const writeRepair = (code) => fs.writeFileSync(path.join(fixtureDir, 'mermaidRepairFlow.json'), JSON.stringify({ code }));
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+test('valid code goes through without a repair', async () => {
+  const result = await prepareFlowchartCode('A --> B', 'Letters');
+
+  assert.deepEqual(result, { code: 'flowchart TD\nA --> B', kind: 'flowchart', valid: true, attempts: 1, repaired: false, error: null });
+});
+
+test('other diagram kinds get their own declaration, and a declared kind wins', async () => {
+  assert.equal((await prepareFlowchartCode('Alice->>Bob: Hi', 'Greeting', 'sequence')).code, 'sequenceDiagram\nAlice->>Bob: Hi');
+
+  const declared = await prepareFlowchartCode('pie\n  "A" : 1', 'Shares', 'flowchart');
+  assert.equal(declared.kind, 'pie');
+  assert.equal(declared.valid, true);
+});
+
+test('code that doesn\'t parse is sent back to the model until it does', async () => {
+  writeRepair('A[Start] --> B');
+
+  const result = await prepareFlowchartCode('A[Start --> B', 'Start');
+
+  assert.equal(result.code, 'flowchart TD\nA[Start] --> B');
+  assert.equal(result.valid, true);
+  assert.equal(result.attempts, 2);
+  assert.equal(result.repaired, true);
+});
+
+test('repairs stop at the limit with the parser\'s error', async () => {
+  writeRepair('A[Still --> broken');
+
+  const result = await prepareFlowchartCode('A[Start --> B', 'Start', 'flowchart', 1);
+
+  assert.equal(result.code, 'flowchart TD\nA[Still --> broken');
+  assert.equal(result.valid, false);
+  assert.equal(result.attempts, 2);
+  assert.match(result.error, /Parse error/);
+});
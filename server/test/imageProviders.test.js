@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  ImageProviderError,
+  parseRetryAfter,
+  isRetryableStatus,
+  retryDelay,
+  withRetries
+} = require('../src/utils/imageProviders/retry');
+const { IMAGE_PROVIDER_FACTORIES, resolveImageProviderOrder, generateImage } = require('../src/utils/imageProviders');
+const { createStubPng } = require('../src/utils/imageProviders/stub');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'warn', () => {});
+});
+
+test('Retry-After is read as seconds or as a date', () => {
+  const now = Date.parse('2026-01-01T00:00:00Z');
+
+  assert.equal(parseRetryAfter('20', now), 20000);
+  assert.equal(parseRetryAfter('Thu, 01 Jan 2026 00:00:30 GMT', now), 30000);
+  assert.equal(parseRetryAfter('Wed, 31 Dec 2025 23:00:00 GMT', now), 0);
+  assert.equal(parseRetryAfter('soon', now), null);
+  assert.equal(parseRetryAfter(null, now), null);
+});
+
+test('timeouts, rate limits and server errors are retryable', () => {
+  [408, 429, 500, 503].forEach(status => assert.equal(isRetryableStatus(status), true, status));
+  [400, 401, 404, 422].forEach(status => assert.equal(isRetryableStatus(status), false, status));
+});
+
+test('backoff doubles, unless the provider asked for longer', () => {
+  const first = retryDelay(1, null, 100);
+  const third = retryDelay(3, null, 100);
+
+  assert.ok(first >= 100 && first < 125);
+  assert.ok(third >= 400 && third < 425);
+  assert.equal(retryDelay(1, 5000, 100), 5000);
+});
+
+test('retryable failures are retried until the call succeeds', async () => {
+  let calls = 0;
+  const result = await withRetries(async () => {
+    calls++;
+    if (calls < 3) throw new ImageProviderError('Model loading', { provider: 'test', status: 503, retryable: true });
+    return Buffer.from('image');
+  }, { provider: 'test', retries: 3, baseMs: 1 });
+
+  assert.equal(result.attempts, 3);
+  assert.equal(result.buffer.toString(), 'image');
+});
+
+test('retries stop at the limit, on other failures and on long waits', async () => {
+  const retryable = () => new ImageProviderError('Busy', { provider: 'test', status: 503, retryable: true });
+
+  let calls = 0;
+  await assert.rejects(withRetries(async () => { calls++; throw retryable(); }, { provider: 'test', retries: 2, baseMs: 1 }),
+    (error) => error.attempts === 3);
+  assert.equal(calls, 3);
+
+  calls = 0;
+  await assert.rejects(withRetries(async () => {
+    calls++;
+    throw new ImageProviderError('Bad prompt', { provider: 'test', status: 400 });
+  }, { provider: 'test', retries: 2, baseMs: 1 }), /Bad prompt/);
+  assert.equal(calls, 1);
+
+  await assert.rejects(withRetries(async () => {
+    throw new ImageProviderError('Loading', { provider: 'test', retryable: true, retryAfterMs: 300000 });
+  }, { provider: 'test', retries: 2, baseMs: 1, maxWaitMs: 1000 }), /giving up/);
+});
+
+test('the failover order comes from IMAGE_PROVIDERS', (t) => {
+  const configured = process.env.IMAGE_PROVIDERS;
+  t.after(() => {
+    if (configured === undefined) delete process.env.IMAGE_PROVIDERS;
+    else process.env.IMAGE_PROVIDERS = configured;
+  });
+
+  process.env.IMAGE_PROVIDERS = ' Automatic1111, stub ,';
+  assert.deepEqual(resolveImageProviderOrder(), ['automatic1111', 'stub']);
+  delete process.env.IMAGE_PROVIDERS;
+  assert.deepEqual(resolveImageProviderOrder(), ['huggingface']);
+});
+
+test('a failing provider fails over to the next one', async (t) => {
+  IMAGE_PROVIDER_FACTORIES.broken = () => ({
+    name: 'broken',
+    model: 'broken',
+    generate: async () => {
+      throw new ImageProviderError('Invalid credentials', { provider: 'broken', status: 401 });
+    }
+  });
+  t.after(() => delete IMAGE_PROVIDER_FACTORIES.broken);
+
+  const result = await generateImage('A cell', { width: 64, height: 64, order: ['broken', 'stub'] });
+
+  assert.equal(result.provider, 'stub');
+  assert.equal(result.attempts, 1);
+  assert.deepEqual(result.failures, ['broken: Invalid credentials']);
+  assert.deepEqual(result.buffer.subarray(0, 8), PNG_SIGNATURE);
+
+  await assert.rejects(generateImage('A cell', { order: ['broken'] }), /No image provider succeeded \(broken: Invalid credentials\)/);
+});
+
+test('the stub draws the same PNG for the same prompt', () => {
+  const png = createStubPng('Mitochondria', { width: 32, height: 16 });
+
+  assert.deepEqual(png.subarray(0, 8), PNG_SIGNATURE);
+  assert.equal(png.readUInt32BE(16), 32);
+  assert.equal(png.readUInt32BE(20), 16);
+  assert.deepEqual(createStubPng('Mitochondria', { width: 32, height: 16 }), png);
+  assert.notDeepEqual(createStubPng('Ribosome', { width: 32, height: 16 }), png);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Every flow runs on the fixture provider, reading canned output from here
+const fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'intent-fixtures-'));
+process.env.NODE_ENV = 'test';
+process.env.MODEL_FIXTURE_DIR = fixtureDir;
+delete process.env.MODEL_PROVIDER;
+delete process.env.INTENT_CLASSIFICATION_MODEL;
+
+const { setQuotaStore, createMemoryStore } = require('../src/utils/quota');
+const { CHAT_INTENTS, intentClassificationFlow } = require('../src/genkit/noteBeautifier');
+
+setQuotaStore(createMemoryStore());
+test.after(() => fs.rmSync(fixtureDir, { recursive: true, force: true }));
+
+const classifyAs = (intent) => fs.writeFileSync(
+  path.join(fixtureDir, 'intentClassificationFlow.json'),
+  JSON.stringify({ intent, confidence: 0.9, reason: `Looks like ${intent}` })
+);
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+});
+
+test('the classification is returned as the model gave it', async () => {
+  for (const intent of CHAT_INTENTS) {
+    classifyAs(intent);
+    const result = await intentClassificationFlow({ message: 'Hello', hasNote: true });
+    assert.deepEqual(result, { intent, confidence: 0.9, reason: `Looks like ${intent}` });
+  }
+});
+
+test('questions about a note are conversation when no note is open', async () => {
+  classifyAs('note_question');
+
+  assert.equal((await intentClassificationFlow({ message: 'What does section 2 say?', hasNote: false })).intent, 'conversation');
+  assert.equal((await intentClassificationFlow({ message: 'What does section 2 say?' })).intent, 'conversation');
+  assert.equal((await intentClassificationFlow({ message: 'What does section 2 say?', hasNote: true })).intent, 'note_question');
+});
+
+test('an intent outside the list is rejected', async () => {
+  classifyAs('translation');
+
+  await assert.rejects(intentClassificationFlow({ message: 'Translate this', hasNote: false }));
+});
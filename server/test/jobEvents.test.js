@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  TERMINAL_EVENTS,
+  publishJobEvent,
+  subscribeToJob,
+  getJobEventHistory
+} = require('../src/utils/jobEvents');
+
+test('subscribers receive events published for their job only', () => {
+  const received = [];
+  const unsubscribe = subscribeToJob('events-a', event => received.push(event));
+
+  publishJobEvent('events-a', 'progress', { progress: 10 });
+  publishJobEvent('events-b', 'progress', { progress: 20 });
+  unsubscribe();
+  publishJobEvent('events-a', 'progress', { progress: 30 });
+
+  assert.equal(received.length, 1);
+  assert.equal(received[0].type, 'progress');
+  assert.deepEqual(received[0].data, { progress: 10 });
+  assert.ok(!Number.isNaN(Date.parse(received[0].timestamp)));
+});
+
+test('history replays a job\'s events oldest first', () => {
+  publishJobEvent('events-history', 'progress', { progress: 5 });
+  publishJobEvent('events-history', 'summary', { summary: 'Summary' });
+
+  assert.deepEqual(getJobEventHistory('events-history').map(event => event.type), ['progress', 'summary']);
+  assert.deepEqual(getJobEventHistory('events-unknown'), []);
+});
+
+test('history is a copy', () => {
+  publishJobEvent('events-copy', 'progress', {});
+  getJobEventHistory('events-copy').push({ type: 'bogus' });
+
+  assert.equal(getJobEventHistory('events-copy').length, 1);
+});
+
+test('history keeps the summary when it is trimmed', () => {
+  publishJobEvent('events-trim', 'summary', { summary: 'Kept' });
+  for (let i = 0; i < 150; i++) {
+    publishJobEvent('events-trim', 'progress', { progress: i });
+  }
+
+  const history = getJobEventHistory('events-trim');
+  assert.equal(history.length, 100);
+  assert.equal(history[0].type, 'summary');
+  assert.deepEqual(history[history.length - 1].data, { progress: 149 });
+});
+
+test('complete and failed are the terminal events', () => {
+  assert.deepEqual([...TERMINAL_EVENTS].sort(), ['complete', 'failed']);
+});
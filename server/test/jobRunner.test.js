@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const admin = require('firebase-admin');
+const { publishJobEvent } = require('../src/utils/jobEvents');
+const { computeProgress, uploadPathFromUrl, waitForJob } = require('../src/utils/jobRunner');
+
+// Serve job documents from a map, as the Firestore calls getJob makes
+const mockJobs = (t, jobs) => {
+  const firestore = () => ({
+    collection: () => ({
+      doc: (id) => ({
+        get: async () => ({ id, exists: Boolean(jobs[id]), data: () => jobs[id] })
+      })
+    })
+  });
+  t.mock.getter(admin, 'firestore', () => firestore);
+};
+
+test('progress weighs finished stages and the share of a running one', () => {
+  assert.equal(computeProgress({}), 0);
+  assert.equal(computeProgress({ analyzing: { status: 'running' } }), 0);
+  assert.equal(computeProgress({
+    analyzing: { status: 'completed' },
+    diagrams: { status: 'running', completed: 1, total: 2 },
+    flowcharts: { status: 'skipped' }
+  }), 58); // 20 + 25 / 2 + 25, rounded
+  assert.equal(computeProgress({
+    analyzing: { status: 'completed' },
+    diagrams: { status: 'completed' },
+    flowcharts: { status: 'completed' },
+    layout: { status: 'completed' },
+    rendering: { status: 'completed' }
+  }), 100);
+});
+
+test('upload paths are read from the project bucket\'s URLs, within the user\'s folder', (t) => {
+  const storage = () => ({ bucket: () => ({ name: 'noteflow.appspot.com' }) });
+  t.mock.getter(admin, 'storage', () => storage);
+
+  assert.equal(uploadPathFromUrl('gs://noteflow.appspot.com/uploads/user-1/notes.pdf', 'user-1'), 'uploads/user-1/notes.pdf');
+  assert.equal(
+    uploadPathFromUrl('https://storage.googleapis.com/noteflow.appspot.com/uploads/user-1/notes.pdf', 'user-1'),
+    'uploads/user-1/notes.pdf'
+  );
+  assert.equal(
+    uploadPathFromUrl('https://firebasestorage.googleapis.com/v0/b/noteflow.appspot.com/o/uploads%2Fuser-1%2Fmy%20notes.pdf?alt=media', 'user-1'),
+    'uploads/user-1/my notes.pdf'
+  );
+
+  // Other users' files, other buckets, traversal and arbitrary URLs
+  assert.equal(uploadPathFromUrl('gs://noteflow.appspot.com/uploads/user-2/notes.pdf', 'user-1'), null);
+  assert.equal(uploadPathFromUrl('gs://other-bucket/uploads/user-1/notes.pdf', 'user-1'), null);
+  assert.equal(uploadPathFromUrl('gs://noteflow.appspot.com/uploads/user-1/../user-2/notes.pdf', 'user-1'), null);
+  assert.equal(
+    uploadPathFromUrl('https://firebasestorage.googleapis.com/v0/b/noteflow.appspot.com/o/uploads%2Fuser-1%2F..%2Fuser-2%2Fnotes.pdf', 'user-1'),
+    null
+  );
+  assert.equal(uploadPathFromUrl('http://169.254.169.254/computeMetadata/v1/', 'user-1'), null);
+  assert.equal(uploadPathFromUrl('not a url', 'user-1'), null);
+  assert.equal(uploadPathFromUrl('gs://noteflow.appspot.com/uploads/user-1/notes.pdf', null), null);
+});
+
+test('waitForJob resolves at once for a finished or missing job', async (t) => {
+  mockJobs(t, { done: { status: 'completed', noteUrl: 'https://example.com/note.pdf' } });
+
+  const job = await waitForJob('done', 1000);
+  assert.equal(job.status, 'completed');
+  assert.equal(job.noteUrl, 'https://example.com/note.pdf');
+  assert.equal(await waitForJob('missing', 1000), null);
+});
+
+test('waitForJob resolves when the job publishes its last event', async (t) => {
+  const jobs = { running: { status: 'processing' } };
+  mockJobs(t, jobs);
+
+  const waiting = waitForJob('running', 5000);
+  await new Promise(resolve => setImmediate(resolve));
+  jobs.running = { status: 'failed', error: 'Model unavailable' };
+  publishJobEvent('running', 'failed', { error: 'Model unavailable' });
+
+  const job = await waiting;
+  assert.equal(job.status, 'failed');
+  assert.equal(job.error, 'Model unavailable');
+});
+
+test('waitForJob gives up with the unfinished job after the timeout', async (t) => {
+  mockJobs(t, { slow: { status: 'processing', progress: 40 } });
+
+  const job = await waitForJob('slow', 10);
+  assert.equal(job.status, 'processing');
+  assert.equal(job.progress, 40);
+});
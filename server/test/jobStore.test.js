@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const admin = require('firebase-admin');
+const {
+  createJob,
+  getJob,
+  updateJob,
+  listUnfinishedJobs,
+  updateUnfinishedJob,
+  failStaleJob
+} = require('../src/utils/jobStore');
+
+const SERVER_TIMESTAMP = Symbol('serverTimestamp');
+
+/**
+ * In-memory stand-in for the Firestore calls the job store makes. Server
+ * timestamps come from a clock that ticks on every write.
+ */
+function createFakeFirestore() {
+  const documents = new Map();
+  let clock = Date.parse('2026-01-01T00:00:00Z');
+  let nextId = 1;
+
+  const resolveTimestamps = (data) => Object.fromEntries(Object.entries(data)
+    .map(([key, value]) => [key, value === SERVER_TIMESTAMP ? new Date(clock) : value]));
+  const write = (id, data) => {
+    clock += 1000;
+    documents.set(id, resolveTimestamps(data));
+  };
+
+  const snapshotOf = (id) => ({
+    id,
+    exists: documents.has(id),
+    data: () => documents.get(id)
+  });
+
+  const docRef = (id) => ({
+    id,
+    get: async () => snapshotOf(id),
+    create: async (data) => {
+      if (documents.has(id)) throw Object.assign(new Error('Document already exists'), { code: 6 });
+      write(id, data);
+    },
+    set: async (data) => write(id, data),
+    update: async (data) => write(id, { ...documents.get(id), ...data })
+  });
+
+  const firestore = () => ({
+    collection: () => ({
+      doc: docRef,
+      add: async (data) => {
+        const ref = docRef(`job-${nextId++}`);
+        await ref.set(data);
+        return ref;
+      },
+      where: (field, op, values) => ({
+        get: async () => ({
+          docs: [...documents.keys()]
+            .filter(id => (op === 'in' ? values.includes(documents.get(id)[field]) : documents.get(id)[field] === values))
+            .map(snapshotOf)
+        })
+      })
+    }),
+    runTransaction: async (fn) => fn({
+      get: (ref) => ref.get(),
+      set: (ref, data) => write(ref.id, data),
+      update: (ref, data) => write(ref.id, { ...documents.get(ref.id), ...data })
+    })
+  });
+  firestore.FieldValue = { serverTimestamp: () => SERVER_TIMESTAMP };
+  return firestore;
+}
+
+test.beforeEach((t) => {
+  const firestore = createFakeFirestore();
+  t.mock.getter(admin, 'firestore', () => firestore);
+  t.mock.method(console, 'log', () => {});
+});
+
+test('jobs start queued with timestamps', async () => {
+  const { job, created } = await createJob({ userId: 'user-1', title: 'Biology', inputType: 'text' });
+
+  assert.equal(created, true);
+  assert.equal(job.status, 'queued');
+  assert.equal(job.progress, 0);
+  assert.equal(job.idempotencyKey, null);
+  assert.equal(job.createdAt, '2026-01-01T00:00:01.000Z');
+  assert.deepEqual(await getJob(job.id), job);
+  assert.equal(await getJob('missing'), null);
+});
+
+test('a repeated idempotency key returns the existing job', async () => {
+  const first = await createJob({ userId: 'user-1', title: 'Biology' }, 'key-1');
+  await updateJob(first.job.id, { status: 'processing', progress: 40 });
+  const second = await createJob({ userId: 'user-1', title: 'Biology again' }, 'key-1');
+
+  assert.equal(first.created, true);
+  assert.equal(second.created, false);
+  assert.equal(second.job.id, first.job.id);
+  assert.equal(second.job.title, 'Biology');
+  assert.equal(second.job.progress, 40);
+});
+
+test('idempotency keys are scoped to the user', async () => {
+  const first = await createJob({ userId: 'user-1' }, 'key-1');
+  const second = await createJob({ userId: 'user-2' }, 'key-1');
+
+  assert.equal(second.created, true);
+  assert.notEqual(second.job.id, first.job.id);
+});
+
+test('a repeated key restarts a job that failed', async () => {
+  const first = await createJob({ userId: 'user-1', title: 'Biology' }, 'key-1');
+  await updateJob(first.job.id, { status: 'failed', error: 'Model unavailable' });
+  const retry = await createJob({ userId: 'user-1', title: 'Biology' }, 'key-1');
+
+  assert.equal(retry.created, true);
+  assert.equal(retry.job.id, first.job.id);
+  assert.equal(retry.job.status, 'queued');
+  assert.equal(retry.job.error, null);
+});
+
+test('unfinished jobs are listed with the instance running them', async () => {
+  const running = await createJob({ userId: 'user-1', owner: 'instance-a' });
+  const done = await createJob({ userId: 'user-1', owner: 'instance-a' });
+  await updateJob(done.job.id, { status: 'completed' });
+
+  const jobs = await listUnfinishedJobs();
+
+  assert.deepEqual(jobs.map(job => [job.id, job.owner]), [[running.job.id, 'instance-a']]);
+});
+
+test('updates to a finished job are refused', async () => {
+  const { job } = await createJob({ userId: 'user-1' });
+
+  assert.equal(await updateUnfinishedJob(job.id, { status: 'processing', progress: 10 }), true);
+  await updateJob(job.id, { status: 'failed', error: 'Stale' });
+  assert.equal(await updateUnfinishedJob(job.id, { status: 'completed', progress: 100 }), false);
+
+  const stored = await getJob(job.id);
+  assert.equal(stored.status, 'failed');
+  assert.equal(stored.progress, 10);
+  assert.equal(await updateUnfinishedJob('missing', { progress: 10 }), false);
+});
+
+test('a stale job is failed only if nothing updated it since', async () => {
+  const { job } = await createJob({ userId: 'user-1' });
+  const failure = { error: 'Server went away', failedStage: null };
+
+  // A heartbeat came in after the job was found stale
+  await updateUnfinishedJob(job.id, { owner: 'instance-a' });
+  assert.equal(await failStaleJob(job.id, job.updatedAt, failure), false);
+  assert.equal((await getJob(job.id)).status, 'queued');
+
+  const { updatedAt } = await getJob(job.id);
+  assert.equal(await failStaleJob(job.id, updatedAt, failure), true);
+  const failed = await getJob(job.id);
+  assert.equal(failed.status, 'failed');
+  assert.equal(failed.error, 'Server went away');
+
+  // Already failed
+  assert.equal(await failStaleJob(job.id, failed.updatedAt, failure), false);
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { renderMath } = require('../src/utils/mathRenderer');
+
+test('formulas come out as self-contained SVG sized in ems', () => {
+  const math = renderMath('x^2');
+
+  assert.match(math.svg, /^<svg [^>]*viewBox="0 -833.9 1008.6 844.9"/);
+  // Glyphs are paths, not references into a font cache
+  assert.ok(math.svg.includes('<path'));
+  assert.ok(!/<use|<defs/.test(math.svg));
+  assert.equal(math.width, 1.0086);
+  assert.equal(math.height, 0.8339);
+  assert.equal(math.depth, 0.011);
+});
+
+test('display style sets limits above and below', () => {
+  const inline = renderMath('\\sum_{i=1}^n i');
+  const display = renderMath('\\sum_{i=1}^n i', { display: true });
+
+  assert.ok(display.height > inline.height);
+  assert.ok(display.depth > inline.depth);
+});
+
+test('rendered formulas are cached', () => {
+  assert.equal(renderMath('a+b'), renderMath('a+b'));
+  assert.notEqual(renderMath('a+b', { display: true }), renderMath('a+b'));
+});
+
+test('TeX that doesn\'t parse throws', () => {
+  // MathJax throws a TexError, which isn't an Error
+  assert.throws(() => renderMath('\\frac{1}'), (error) => /Missing argument for \\frac/.test(error.message));
+});
@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+/**
+ * Stand-in for puppeteer: a browser whose pages "render" by calling
+ * renderChart(code) instead of running Mermaid
+ */
+function createFakePuppeteer(renderChart) {
+  const counts = { launches: 0, pagesOpened: 0, pagesClosed: 0, browsersClosed: 0, rendering: 0, peakRendering: 0 };
+
+  const newPage = async () => {
+    counts.pagesOpened++;
+    return {
+      setContent: async () => {},
+      addScriptTag: async () => {},
+      setViewport: async () => {},
+      // The render call passes the source, theme and render id; everything
+      // else (background color, health checks) just succeeds
+      evaluate: async (fn, ...args) => {
+        if (args.length !== 3) return true;
+        counts.rendering++;
+        counts.peakRendering = Math.max(counts.peakRendering, counts.rendering);
+        try {
+          return await renderChart(args[0]);
+        } finally {
+          counts.rendering--;
+        }
+      },
+      $: async () => ({ screenshot: async () => Buffer.from('png') }),
+      close: async () => { counts.pagesClosed++; }
+    };
+  };
+
+  return {
+    counts,
+    launch: async () => {
+      counts.launches++;
+      return {
+        newPage,
+        isConnected: () => true,
+        on: () => {},
+        close: async () => { counts.browsersClosed++; }
+      };
+    }
+  };
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+let puppeteer;
+const puppeteerPath = require.resolve('puppeteer');
+require.cache[puppeteerPath] = {
+  id: puppeteerPath,
+  filename: puppeteerPath,
+  loaded: true,
+  get exports() {
+    return puppeteer;
+  }
+};
+
+const { MermaidSyntaxError, createMermaidRenderer } = require('../src/utils/mermaidRenderer');
+
+const renderOk = async (code) => ({ svg: `<svg>${code}</svg>`, width: 100, height: 50 });
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+});
+
+test('one browser serves every render, no more at once than there are pages', async () => {
+  puppeteer = createFakePuppeteer(async (code) => {
+    await sleep(10);
+    return renderOk(code);
+  });
+  const renderer = createMermaidRenderer({ poolSize: 2, healthCheckIntervalMs: 0 });
+
+  const results = await Promise.all(['A', 'B', 'C', 'D'].map(code => renderer.render(code)));
+
+  assert.deepEqual(results.map(result => result.svg), ['<svg>A</svg>', '<svg>B</svg>', '<svg>C</svg>', '<svg>D</svg>']);
+  assert.equal(results[0].png.toString(), 'png');
+  assert.equal(puppeteer.counts.launches, 1);
+  assert.equal(puppeteer.counts.pagesOpened, 2);
+  assert.equal(puppeteer.counts.peakRendering, 2);
+  assert.equal(renderer.health().status, 'ready');
+  assert.equal(renderer.health().renders, 4);
+
+  await renderer.shutdown();
+  assert.equal(puppeteer.counts.browsersClosed, 1);
+  assert.equal(renderer.health().status, 'stopped');
+  await assert.rejects(renderer.render('A'), /shutting down/);
+});
+
+test('a syntax error keeps the page, other failures replace it', async () => {
+  puppeteer = createFakePuppeteer(async (code) => {
+    if (code === 'bad') return { error: 'Parse error on line 1' };
+    if (code === 'hang') return new Promise(() => {});
+    return renderOk(code);
+  });
+  const renderer = createMermaidRenderer({ poolSize: 1, healthCheckIntervalMs: 0, renderTimeoutMs: 20 });
+
+  await assert.rejects(renderer.render('bad'), (error) => error instanceof MermaidSyntaxError && /Parse error/.test(error.message));
+  assert.equal(renderer.health().recycled, 0);
+
+  await assert.rejects(renderer.render('hang'), /timed out after 20ms/);
+  assert.equal(renderer.health().recycled, 1);
+  assert.equal(puppeteer.counts.pagesClosed, 1);
+
+  // The replacement page renders normally
+  assert.equal((await renderer.render('A', { png: false })).svg, '<svg>A</svg>');
+  assert.equal(renderer.health().failures, 2);
+  await renderer.shutdown();
+});
+
+test('pages are replaced after maxRendersPerPage renders', async () => {
+  puppeteer = createFakePuppeteer(renderOk);
+  const renderer = createMermaidRenderer({ poolSize: 1, healthCheckIntervalMs: 0, maxRendersPerPage: 2 });
+
+  for (const code of ['A', 'B', 'C', 'D', 'E']) {
+    await renderer.render(code, { png: false });
+  }
+
+  assert.equal(renderer.health().recycled, 2);
+  assert.equal(puppeteer.counts.pagesOpened, 3);
+  await renderer.shutdown();
+});
+
+test('a browser that fails to launch fails renders fast until the retry delay', async () => {
+  puppeteer = {
+    counts: { launches: 0 },
+    launch: async () => {
+      puppeteer.counts.launches++;
+      throw new Error('Could not find Chromium\nmore details');
+    }
+  };
+  const renderer = createMermaidRenderer({ poolSize: 1, healthCheckIntervalMs: 0, launchRetryMs: 60000 });
+
+  await assert.rejects(renderer.render('A'), /Mermaid renderer unavailable: Could not find Chromium$/);
+  await assert.rejects(renderer.render('A'), /Mermaid renderer unavailable/);
+
+  assert.equal(puppeteer.counts.launches, 1);
+  assert.equal(renderer.health().status, 'unavailable');
+  await renderer.shutdown();
+});
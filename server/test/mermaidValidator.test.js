@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DIAGRAM_KIND_NAMES,
+  MERMAID_DIAGRAM_KINDS,
+  diagramKindLabel,
+  detectDiagramKind,
+  normalizeMermaidCode,
+  validateMermaid
+} = require('../src/utils/mermaidValidator');
+
+test('detects the declared kind after comments and directives', () => {
+  assert.equal(detectDiagramKind('graph LR\n  A --> B'), 'flowchart');
+  assert.equal(detectDiagramKind('%% generated\n%%{init: {"theme": "dark"}}%%\n\nsequenceDiagram\n  A->>B: Hi'), 'sequence');
+  assert.equal(detectDiagramKind('stateDiagram-v2\n  [*] --> On'), 'state');
+  assert.equal(detectDiagramKind('classDiagram-v2\n  class A'), 'class');
+  assert.equal(detectDiagramKind('A --> B'), null);
+  assert.equal(detectDiagramKind(''), null);
+});
+
+test('every kind\'s header declares that kind', () => {
+  DIAGRAM_KIND_NAMES.forEach(kind => {
+    assert.equal(detectDiagramKind(MERMAID_DIAGRAM_KINDS[kind].header), kind);
+  });
+});
+
+test('normalizing strips markdown fences', () => {
+  assert.equal(normalizeMermaidCode('```mermaid\nflowchart LR\n  A --> B\n```'), 'flowchart LR\n  A --> B');
+  assert.equal(normalizeMermaidCode('```\nerDiagram\n  A ||--o{ B : has\n```  '), 'erDiagram\n  A ||--o{ B : has');
+});
+
+test('normalizing adds the expected kind\'s declaration when there is none', () => {
+  assert.equal(normalizeMermaidCode('A --> B'), 'flowchart TD\nA --> B');
+  assert.equal(normalizeMermaidCode('Alice->>Bob: Hi', 'sequence'), 'sequenceDiagram\nAlice->>Bob: Hi');
+  assert.equal(normalizeMermaidCode('A --> B', 'unknown'), 'flowchart TD\nA --> B');
+});
+
+test('normalizing keeps a declaration of another kind', () => {
+  assert.equal(normalizeMermaidCode('pie\n  "A" : 1', 'flowchart'), 'pie\n  "A" : 1');
+});
+
+test('labels describe kinds, with flowchart for unknown kinds', () => {
+  assert.equal(diagramKindLabel('er'), 'entity-relationship diagram');
+  assert.equal(diagramKindLabel('nope'), 'flowchart');
+});
+
+test('the parser accepts valid diagrams', async () => {
+  assert.deepEqual(await validateMermaid('flowchart TD\n  A[Start] --> B{Ok?}\n  B -->|yes| C'), { valid: true, error: null });
+  assert.deepEqual(await validateMermaid('sequenceDiagram\n  Alice->>Bob: Hi'), { valid: true, error: null });
+});
+
+test('the parser rejects invalid diagrams with its error', async () => {
+  const result = await validateMermaid('flowchart TD\n  A[Start --> B');
+
+  assert.equal(result.valid, false);
+  assert.match(result.error, /Parse error/);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Every flow runs on the fixture provider, reading canned output from here
+const fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'note-beautifier-fixtures-'));
+process.env.NODE_ENV = 'test';
+process.env.MODEL_FIXTURE_DIR = fixtureDir;
+delete process.env.MODEL_PROVIDER;
+delete process.env.NOTE_BEAUTIFIER_MODEL;
+
+const { setQuotaStore, createMemoryStore } = require('../src/utils/quota');
+const { noteBeautifierFlow } = require('../src/genkit/noteBeautifier');
+
+setQuotaStore(createMemoryStore());
+test.after(() => fs.rmSync(fixtureDir, { recursive: true, force: true }));
+
+const writeFixture = (output) => fs.writeFileSync(
+  path.join(fixtureDir, 'noteBeautifierFlow.json'),
+  JSON.stringify(output)
+);
+
+const BASE_OUTPUT = {
+  summary: 'Photosynthesis turns light into chemical energy.',
+  concepts_diagram: ['Chloroplast structure'],
+  diagram_prompts: ['A labelled cross-section of a chloroplast'],
+  concepts_flowcharts: ['Light reactions'],
+  flowcharts_prompt: ['sequenceDiagram\n    Light->>Chlorophyll: excites']
+};
+
+const beautify = async (t) => {
+  t.mock.method(console, 'log', () => {});
+  return noteBeautifierFlow({ text: 'Photosynthesis notes', inputType: 'text' });
+};
+
+test('the key terms, objectives, outline and open questions round-trip', async (t) => {
+  const details = {
+    key_terms: [{ term: 'Chlorophyll', definition: 'The pigment that absorbs light.' }],
+    learning_objectives: ['Explain the light reactions'],
+    outline: [{
+      heading: 'Light reactions',
+      points: ['Happen in the thylakoids'],
+      subsections: [{ heading: 'Photosystem II', points: ['Splits water'] }]
+    }],
+    open_questions: ['Why is chlorophyll green rather than black?']
+  };
+  writeFixture({ ...BASE_OUTPUT, ...details });
+
+  const output = await beautify(t);
+
+  assert.deepEqual(output, { ...BASE_OUTPUT, ...details, flowchart_kinds: ['sequence'] });
+});
+
+test('output without the detail fields gets empty arrays', async (t) => {
+  writeFixture(BASE_OUTPUT);
+
+  const output = await beautify(t);
+
+  assert.equal(output.summary, BASE_OUTPUT.summary);
+  assert.deepEqual(output.key_terms, []);
+  assert.deepEqual(output.learning_objectives, []);
+  assert.deepEqual(output.outline, []);
+  assert.deepEqual(output.open_questions, []);
+});
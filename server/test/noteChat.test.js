@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Every flow runs on the fixture provider, reading canned output from here
+const fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'note-chat-fixtures-'));
+process.env.NODE_ENV = 'test';
+process.env.MODEL_FIXTURE_DIR = fixtureDir;
+delete process.env.MODEL_PROVIDER;
+delete process.env.NOTE_CHAT_MODEL;
+
+const { setQuotaStore, createMemoryStore } = require('../src/utils/quota');
+const { answerNoteQuestion, selectExcerpts } = require('../src/genkit/noteChat');
+
+setQuotaStore(createMemoryStore());
+test.after(() => fs.rmSync(fixtureDir, { recursive: true, force: true }));
+
+const writeAnswer = (output) => fs.writeFileSync(path.join(fixtureDir, 'noteChatFlow.json'), JSON.stringify(output));
+
+// Paragraphs long enough that each lands in its own excerpt
+const paragraph = (topic, count) => Array.from({ length: count }, (_, i) => `${topic} fact number ${i}.`).join(' ');
+const SOURCE_TEXT = [
+  paragraph('Mitochondria produce energy', 60),
+  paragraph('Ribosomes assemble proteins', 60),
+  paragraph('Chloroplasts capture sunlight', 60)
+].join('\n\n');
+
+const NOTE = {
+  title: 'Cell biology',
+  summary: 'Organelles and what they do.',
+  sections: [
+    { heading: 'Energy', content: 'Mitochondria make ATP.' },
+    { heading: 'Proteins', content: 'Ribosomes read mRNA.' }
+  ],
+  sourceText: SOURCE_TEXT
+};
+
+test('excerpts sharing words with the question are picked, in document order', () => {
+  const excerpts = selectExcerpts(SOURCE_TEXT, 'How do chloroplasts and mitochondria work?', 2);
+
+  assert.equal(excerpts.length, 2);
+  assert.ok(excerpts[0].index < excerpts[1].index);
+  assert.match(excerpts[0].text, /Mitochondria/);
+  assert.match(excerpts[1].text, /Chloroplasts/);
+  assert.deepEqual(selectExcerpts('Short note', 'anything').map(excerpt => excerpt.text), ['Short note']);
+});
+
+test('citations resolve to note sections and source excerpts', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  writeAnswer({
+    answer: 'Ribosomes assemble proteins from mRNA.',
+    citations: ['S2', '[X3]', 'S2', 'S9', 'X1'],
+    answerable: true
+  });
+
+  const reply = await answerNoteQuestion(NOTE, [], 'What do ribosomes do?');
+
+  assert.equal(reply.answer, 'Ribosomes assemble proteins from mRNA.');
+  assert.equal(reply.answerable, true);
+  // Duplicates and ids that weren't offered (the excerpt about mitochondria
+  // isn't relevant to the question) are dropped
+  assert.equal(reply.citations.length, 2);
+  assert.deepEqual(reply.citations[0], { id: 'S2', type: 'section', index: 1, heading: 'Proteins' });
+  assert.equal(reply.citations[1].id, 'X3');
+  assert.equal(reply.citations[1].type, 'source');
+  assert.equal(reply.citations[1].index, 2);
+  assert.match(reply.citations[1].excerpt, /^Ribosomes/);
+  assert.ok(reply.citations[1].excerpt.endsWith('...'));
+  assert.ok(reply.citations[1].excerpt.length <= 303);
+});
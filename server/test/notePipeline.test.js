@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The flows run on the fixture provider, reading canned output from here
+const fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'note-pipeline-fixtures-'));
+process.env.NODE_ENV = 'test';
+process.env.MODEL_FIXTURE_DIR = fixtureDir;
+delete process.env.MODEL_PROVIDER;
+
+const { setQuotaStore, createMemoryStore } = require('../src/utils/quota');
+const { generateVisuals, runNotePipeline } = require('../src/utils/notePipeline');
+
+setQuotaStore(createMemoryStore());
+test.after(() => fs.rmSync(fixtureDir, { recursive: true, force: true }));
+
+const writeFixture = (flowName, output) => fs.writeFileSync(
+  path.join(fixtureDir, `${flowName}.json`),
+  JSON.stringify(output)
+);
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(console, 'warn', () => {});
+});
+
+test('notes without visuals skip the visual stages', async () => {
+  const reports = [];
+
+  const result = await generateVisuals({ summary: 'No pictures' }, async (...args) => reports.push(args));
+
+  assert.deepEqual(result, { diagrams: [], flowcharts: [] });
+  assert.deepEqual(reports, [
+    ['diagrams', 'skipped', { completed: 0, total: 0 }],
+    ['flowcharts', 'skipped', { completed: 0, total: 0 }]
+  ]);
+});
+
+test('the pipeline notes the input, lays it out and renders the PDF', async () => {
+  writeFixture('noteBeautifierFlow', {
+    summary: 'Photosynthesis turns light into chemical energy.',
+    concepts_diagram: [],
+    diagram_prompts: [],
+    concepts_flowcharts: [],
+    flowcharts_prompt: []
+  });
+  writeFixture('documentGenerationFlow', {
+    title: 'Photosynthesis',
+    sections: [{ heading: 'Light reactions', content: 'Water is split.\r\n\n\n\nOxygen is released.', includeImage: false }]
+  });
+  const progress = [];
+
+  const result = await runNotePipeline({ text: 'Photosynthesis notes' }, {
+    onProgress: async (event) => progress.push(`${event.stage}:${event.status}`)
+  });
+
+  assert.equal(result.documentTitle, 'Photosynthesis');
+  assert.equal(result.docStructure.sections[0].content, 'Water is split.\n\nOxygen is released.');
+  assert.equal(result.pdfBuffer.subarray(0, 5).toString(), '%PDF-');
+  assert.deepEqual(progress, [
+    'analyzing:running',
+    'analyzing:completed',
+    'diagrams:skipped',
+    'flowcharts:skipped',
+    'layout:running',
+    'layout:completed',
+    'rendering:running',
+    'rendering:completed'
+  ]);
+});
+
+test('a failure is tagged with its stage, and progress errors don\'t stop the pipeline', async () => {
+  // Output that doesn't match the note schema
+  writeFixture('noteBeautifierFlow', { summary: 42 });
+  const progress = [];
+
+  await assert.rejects(runNotePipeline({ text: 'Photosynthesis notes' }, {
+    onProgress: async (event) => {
+      progress.push(`${event.stage}:${event.status}`);
+      throw new Error('Client went away');
+    }
+  }), (error) => error.stage === 'analyzing');
+
+  assert.deepEqual(progress, ['analyzing:running', 'analyzing:failed']);
+});
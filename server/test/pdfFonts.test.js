@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFDocument } = require('pdf-lib');
+const { embedDocumentFonts, wrapText, describePdfFonts } = require('../src/utils/pdfFonts');
+
+/**
+ * A page that records the runs drawn on it as [text, x, font name]
+ */
+function createRecordingPage() {
+  const runs = [];
+  return {
+    runs,
+    drawText: (text, options) => runs.push([text, options.x, options.font.name])
+  };
+}
+
+test('every bundled family is installed', () => {
+  assert.deepEqual(describePdfFonts(), ['Noto Sans', 'Noto Sans Arabic', 'Noto Sans Hebrew', 'Noto Sans Math', 'Noto Sans Symbols', 'Noto Sans SC']);
+});
+
+test('characters a font lacks are drawn by the next family that has them', async () => {
+  const fonts = await embedDocumentFonts(await PDFDocument.create(), ['Hello 你好']);
+  const page = createRecordingPage();
+
+  const width = fonts.regular.drawText(page, 'Hello 你好', { x: 10, y: 0, size: 12 });
+
+  assert.deepEqual(page.runs.map(([text, , font]) => [text, font]), [
+    ['Hello ', 'NotoSans-Regular'],
+    ['你好', 'NotoSansSC-Regular']
+  ]);
+  assert.ok(page.runs[1][1] > 10);
+  assert.equal(width, fonts.regular.widthOfTextAtSize('Hello 你好', 12));
+});
+
+test('right-to-left lines are reordered and aligned to the right edge', async () => {
+  const fonts = await embedDocumentFonts(await PDFDocument.create(), ['مرحبا']);
+  const page = createRecordingPage();
+
+  const width = fonts.bold.drawText(page, 'مرحبا abc', { x: 10, y: 0, size: 12, maxWidth: 200 });
+
+  assert.deepEqual(page.runs.map(([text, , font]) => [text, font]), [
+    ['abc', 'NotoSans-Bold'],
+    ['مرحبا ', 'NotoSansArabic-Bold']
+  ]);
+  assert.equal(page.runs[0][1], 10 + 200 - width);
+});
+
+test('serif, code and control characters', async () => {
+  const pdfDoc = await PDFDocument.create();
+  const sans = await embedDocumentFonts(pdfDoc, ['Hello']);
+  const serif = await embedDocumentFonts(pdfDoc, ['Hello'], { typeface: 'serif' });
+  const page = createRecordingPage();
+
+  serif.italic.drawText(page, 'Hi', { x: 0, y: 0, size: 12 });
+  sans.code.drawText(page, 'x = 1', { x: 0, y: 0, size: 12 });
+  sans.regular.drawText(page, 'a\tb\u0007', { x: 0, y: 0, size: 12 });
+
+  assert.deepEqual(page.runs.map(([text, , font]) => [text, font]), [
+    ['Hi', 'NotoSerif-Italic'],
+    ['x = 1', 'NotoSansMono-Regular'],
+    ['a b ', 'NotoSans-Regular']
+  ]);
+});
+
+test('text wraps at spaces to fit the width', async () => {
+  const fonts = await embedDocumentFonts(await PDFDocument.create(), []);
+
+  assert.deepEqual(wrapText(fonts.regular, 'one two three four five six', 12, 60), ['one two', 'three four', 'five six']);
+  assert.deepEqual(wrapText(fonts.regular, 'Photophosphorylation', 12, 20), ['Photophosphorylation']);
+  assert.deepEqual(wrapText(fonts.regular, '', 12, 60), []);
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFDocument, PDFName, rgb } = require('pdf-lib');
+
+delete process.env.PDF_TOC;
+delete process.env.PDF_HEADER;
+delete process.env.PDF_FOOTER;
+
+const { embedDocumentFonts } = require('../src/utils/pdfFonts');
+const { resolvePdfOptions, validatePdfOptions, addDocumentNavigation } = require('../src/utils/pdfNavigation');
+
+test('options default from the environment and accept JSON', () => {
+  const defaults = resolvePdfOptions({ date: 'May 1, 2026' });
+  assert.equal(defaults.toc, 'auto');
+  assert.deepEqual(defaults.header, ['{title}', '', '{section}']);
+  assert.deepEqual(defaults.footer, ['{date}', '', 'Page {page} of {pages}']);
+  assert.equal(defaults.date, 'May 1, 2026');
+
+  const fromForm = resolvePdfOptions(JSON.stringify({ toc: true, header: 'Notes', footer: false }));
+  assert.equal(fromForm.toc, 'always');
+  assert.deepEqual(fromForm.header, ['', 'Notes', '']);
+  assert.equal(fromForm.footer, null);
+
+  assert.deepEqual(resolvePdfOptions({ header: { left: 'A', right: 'B|C' } }).header, ['A', '', 'B|C']);
+  assert.deepEqual(resolvePdfOptions({ footer: 'a|b|c|d' }).footer, ['a', 'b', 'c|d']);
+  // Resolved options resolve to themselves
+  assert.deepEqual(resolvePdfOptions(fromForm), fromForm);
+});
+
+test('invalid options are refused', () => {
+  [
+    '{not json',
+    [],
+    { toc: 'sometimes' },
+    { header: 42 },
+    { footer: { left: 1 } },
+    { header: ['a', 'b'] },
+    { date: 20260501 }
+  ].forEach(requested => assert.equal(resolvePdfOptions(requested), null, JSON.stringify(requested)));
+});
+
+test('the middleware answers 400 for invalid options', () => {
+  const res = {
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  let called = false;
+
+  validatePdfOptions({ body: { pdfOptions: { toc: 'sometimes' } } }, res, () => { called = true; });
+  assert.equal(res.statusCode, 400);
+  assert.match(res.body.error, /^pdfOptions must be/);
+  assert.equal(called, false);
+
+  const req = { body: { pdfOptions: '{"toc":false}' } };
+  validatePdfOptions(req, res, () => { called = true; });
+  assert.equal(called, true);
+  assert.equal(req.pdfOptions.toc, 'never');
+});
+
+test('navigation adds a linked table of contents, bookmarks, headers and footers', async (t) => {
+  const pdfDoc = await PDFDocument.create();
+  const fonts = await embedDocumentFonts(pdfDoc, []);
+  const pages = [0, 1, 2].map(() => pdfDoc.addPage([600, 800]));
+  const entries = [
+    { title: 'Cells', level: 1, page: pages[0], top: 700 },
+    { title: 'Organelles', level: 2, page: pages[0], top: 500 },
+    { title: 'Energy', level: 1, page: pages[2], top: 700 }
+  ];
+  const drawn = [];
+  t.mock.method(fonts.regular, 'drawText', (page, text) => {
+    drawn.push([pdfDoc.getPages().indexOf(page), text]);
+    return 0;
+  });
+
+  const { tocPages } = addDocumentNavigation(pdfDoc, {
+    entries,
+    options: resolvePdfOptions({ toc: 'always', date: 'May 1, 2026' }),
+    title: 'Biology',
+    fonts,
+    headingFonts: fonts,
+    colors: { text: rgb(0, 0, 0), heading: rgb(0, 0, 0), subtle: rgb(0.5, 0.5, 0.5) },
+    pageWidth: 600,
+    pageHeight: 800,
+    margins: { top: 72, bottom: 72, left: 72, right: 72 },
+    coverPages: 0
+  });
+
+  assert.equal(tocPages, 1);
+  assert.equal(pdfDoc.getPageCount(), 4);
+  // Contents lines show page numbers counted after the insert, and link to the sections
+  assert.deepEqual(drawn.filter(([page, text]) => page === 0 && !text.startsWith('.')), [
+    [0, 'Cells'], [0, '2'], [0, 'Energy'], [0, '4'], [0, 'May 1, 2026'], [0, 'Page 1 of 4']
+  ]);
+  assert.equal(pdfDoc.getPages()[0].node.Annots().size(), 2);
+  // No header over the contents or the title page
+  assert.deepEqual(drawn.filter(([page]) => page === 2), [[2, 'Biology'], [2, 'Cells'], [2, 'May 1, 2026'], [2, 'Page 3 of 4']]);
+  assert.deepEqual(drawn.filter(([page]) => page === 3).slice(0, 2), [[3, 'Biology'], [3, 'Energy']]);
+
+  const outlines = pdfDoc.context.lookup(pdfDoc.catalog.get(PDFName.of('Outlines')));
+  assert.equal(outlines.get(PDFName.of('Count')).asNumber(), 2);
+  const cells = pdfDoc.context.lookup(outlines.get(PDFName.of('First')));
+  assert.equal(cells.get(PDFName.of('Title')).decodeText(), 'Cells');
+  assert.equal(cells.get(PDFName.of('Count')).asNumber(), -1);
+});
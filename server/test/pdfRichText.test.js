@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFDocument } = require('pdf-lib');
+const { embedDocumentFonts } = require('../src/utils/pdfFonts');
+const { drawMarkdown } = require('../src/utils/pdfRichText');
+
+/**
+ * A cursor over pages that record what is drawn on them: text as
+ * [text, font name], everything else by method name
+ */
+function createRecordingCursor({ top = 700, bottom = 50 } = {}) {
+  const pages = [];
+  const newPage = () => {
+    const calls = [];
+    pages.push(calls);
+    return new Proxy({}, {
+      get: (target, method) => (first, options = {}) => {
+        calls.push(method === 'drawText' ? [first, options.font.name] : method);
+      }
+    });
+  };
+
+  let page = newPage();
+  let y = top;
+  return {
+    pages,
+    get page() { return page; },
+    get y() { return y; },
+    set y(value) { y = value; },
+    top,
+    bottom,
+    newPage() {
+      page = newPage();
+      y = top;
+    },
+    columnAt: () => ({ x: 50, width: 300 })
+  };
+}
+
+let fonts;
+test.before(async () => {
+  fonts = await embedDocumentFonts(await PDFDocument.create(), []);
+});
+
+const textRuns = (calls) => calls.filter(Array.isArray);
+
+test('inline styles are drawn in their fonts', () => {
+  const cursor = createRecordingCursor();
+
+  drawMarkdown('Some **bold**, *italic* and `code` text', { fonts, cursor });
+
+  assert.deepEqual(textRuns(cursor.pages[0]), [
+    ['Some ', 'NotoSans-Regular'],
+    ['bold', 'NotoSans-Bold'],
+    [', ', 'NotoSans-Regular'],
+    ['italic', 'NotoSans-Italic'],
+    [' and ', 'NotoSans-Regular'],
+    ['code', 'NotoSansMono-Regular'],
+    [' text', 'NotoSans-Regular']
+  ]);
+  // The code span sits on a shaded box
+  assert.ok(cursor.pages[0].includes('drawRectangle'));
+  assert.ok(cursor.y < 700);
+});
+
+test('headings, lists, tables and rules', () => {
+  const cursor = createRecordingCursor();
+  const headings = [];
+
+  drawMarkdown('# Cells\n\n- one\n- two\n\n1. first\n\n| a | b |\n|---|---|\n| 1 | 2 |\n\n---', {
+    fonts,
+    cursor,
+    onHeading: (title, page, top) => headings.push({ title, page, top })
+  });
+
+  assert.deepEqual(textRuns(cursor.pages[0]).map(([text]) => text), ['Cells', 'one', 'two', '1.', 'first', 'a', 'b', '1', '2']);
+  assert.equal(textRuns(cursor.pages[0])[5][1], 'NotoSans-Bold');
+  assert.equal(cursor.pages[0].filter(call => call === 'drawCircle').length, 2);
+  assert.equal(cursor.pages[0].at(-1), 'drawLine');
+  assert.equal(headings.length, 1);
+  assert.equal(headings[0].title, 'Cells');
+  assert.ok(headings[0].top > 700);
+});
+
+test('math is drawn as vectors, and shown as source when it doesn\'t parse', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const cursor = createRecordingCursor();
+
+  drawMarkdown('Energy $E=mc^2$\n\n$$\\frac{1}{2}$$\n\nBroken $\\badmacro{$ here', { fonts, cursor });
+
+  const calls = cursor.pages[0];
+  assert.ok(calls.filter(call => call === 'drawSvgPath').length >= 5);
+  assert.ok(!textRuns(calls).some(([text]) => text.includes('mc')));
+  assert.deepEqual(textRuns(calls).slice(-2), [['$\\badmacro{$', 'NotoSansMono-Regular'], [' here', 'NotoSans-Regular']]);
+  assert.equal(console.warn.mock.callCount(), 1);
+});
+
+test('text runs onto new pages at the bottom', () => {
+  const cursor = createRecordingCursor({ top: 200, bottom: 50 });
+
+  drawMarkdown(Array.from({ length: 30 }, (item, i) => `Line ${i + 1}`).join('\n'), { fonts, cursor });
+
+  assert.ok(cursor.pages.length > 1);
+  const lines = cursor.pages.flatMap(textRuns).map(([text]) => text);
+  assert.equal(lines.length, 30);
+  assert.equal(lines.at(-1), 'Line 30');
+});
@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Installed templates are read from PDF_TEMPLATE_DIR once, on first use
+const templateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'noteflow-templates-'));
+fs.writeFileSync(path.join(templateDir, 'lecture.json'), JSON.stringify({
+  extends: 'academic',
+  name: 'Lecture',
+  description: 'Academic, on letter paper',
+  pageSize: 'letter'
+}));
+fs.writeFileSync(path.join(templateDir, 'broken.json'), JSON.stringify({ fonts: { size: 100 } }));
+fs.writeFileSync(path.join(templateDir, 'compact.json'), JSON.stringify({ name: 'Not the built-in' }));
+process.env.PDF_TEMPLATE_DIR = templateDir;
+delete process.env.PDF_TEMPLATE;
+
+const {
+  PAGE_SIZES,
+  resolvePdfTemplate,
+  listPdfTemplates,
+  pageDimensions,
+  templateColors
+} = require('../src/utils/pdfTemplates');
+
+test.after(() => fs.rmSync(templateDir, { recursive: true, force: true }));
+
+// Installed templates that are skipped log why
+test.beforeEach((t) => t.mock.method(console, 'warn', () => {}));
+
+test('built-in templates resolve by id, classic by default', () => {
+  assert.equal(resolvePdfTemplate().id, 'classic');
+  assert.equal(resolvePdfTemplate('').id, 'classic');
+
+  const academic = resolvePdfTemplate('academic');
+  assert.equal(academic.pageSize, 'a4');
+  assert.deepEqual(academic.margins, { top: 72, right: 72, bottom: 72, left: 72 });
+  assert.equal(academic.headings.section.numbered, true);
+  // Left to classic
+  assert.equal(academic.colors.quote, resolvePdfTemplate('classic').colors.quote);
+
+  assert.equal(resolvePdfTemplate('missing'), null);
+});
+
+test('resolved templates resolve to themselves', () => {
+  const compact = resolvePdfTemplate('compact');
+  assert.deepEqual(resolvePdfTemplate(compact), compact);
+});
+
+test('custom templates extend classic unless they say otherwise', () => {
+  const custom = resolvePdfTemplate({ fonts: { size: 11 }, colors: { heading: 'navy' } });
+  assert.equal(custom.id, 'custom');
+  assert.equal(custom.pageSize, 'letter');
+  assert.equal(custom.fonts.size, 11);
+  assert.equal(custom.fonts.body, 'sans');
+  assert.equal(custom.colors.heading, 'navy');
+
+  const extended = resolvePdfTemplate(JSON.stringify({ extends: 'academic', cover: false }));
+  assert.equal(extended.pageSize, 'a4');
+  assert.equal(extended.cover, false);
+});
+
+test('invalid templates are rejected', () => {
+  const invalid = [
+    { extends: 'missing' },
+    { extends: 42 },
+    { typo: true },
+    { colors: { unknown: '#000' } },
+    { colors: { text: 'not-a-color' } },
+    { fonts: { body: 'comic' } },
+    { fonts: { size: 100 } },
+    { pageSize: 'tabloid' },
+    { pageSize: [100, 100] },
+    { margins: -1 },
+    // Less than two inches left for content
+    { pageSize: [300, 800], margins: 80 },
+    { headings: { title: { align: 'justify' } } },
+    { caption: { prefix: 'x'.repeat(41) } },
+    { cover: 'yes' },
+    { constructor: {} },
+    '{ not json',
+    []
+  ];
+  invalid.forEach(definition => {
+    assert.equal(resolvePdfTemplate(definition), null, `accepted ${JSON.stringify(definition)}`);
+  });
+});
+
+test('custom page sizes and single-number margins are accepted', () => {
+  const custom = resolvePdfTemplate({ pageSize: [500, 700], margins: 40 });
+
+  assert.deepEqual(pageDimensions(custom), [500, 700]);
+  assert.deepEqual(custom.margins, { top: 40, right: 40, bottom: 40, left: 40 });
+  assert.deepEqual(pageDimensions(resolvePdfTemplate('academic')), PAGE_SIZES.a4);
+});
+
+test('valid installed templates are listed after the built-ins', () => {
+  const ids = listPdfTemplates().map(template => template.id);
+
+  assert.deepEqual(ids, ['classic', 'academic', 'compact', 'high-contrast', 'lecture']);
+  assert.deepEqual(listPdfTemplates()[4], { id: 'lecture', name: 'Lecture', description: 'Academic, on letter paper' });
+
+  const lecture = resolvePdfTemplate('lecture');
+  assert.equal(lecture.pageSize, 'letter');
+  assert.equal(lecture.cover, true);
+  assert.equal(resolvePdfTemplate({ extends: 'lecture', cover: false }).fonts.body, 'serif');
+  // Built-ins can't be replaced
+  assert.equal(resolvePdfTemplate('compact').name, 'Compact');
+});
+
+test('colors convert to pdf-lib colors', () => {
+  const colors = templateColors(resolvePdfTemplate({ colors: { text: '#ff0000' } }));
+
+  assert.equal(colors.text.type, 'RGB');
+  assert.deepEqual([colors.text.red, colors.text.green, colors.text.blue], [1, 0, 0]);
+  assert.ok(Object.values(colors).every(color => color && color.type === 'RGB'));
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { z } = require('genkit');
+const {
+  flowEnvName,
+  parseModelSpec,
+  resolveModelSpec,
+  assertModelProvidersConfigured
+} = require('../src/genkit/providers');
+const createFixtureProvider = require('../src/genkit/providers/fixture');
+
+const MODEL_ENV = ['MODEL_PROVIDER', 'NOTE_BEAUTIFIER_MODEL', 'CONVERSATION_MODEL', 'GOOGLE_GENAI_API_KEY', 'NODE_ENV', 'MODEL_FIXTURE_DIR'];
+
+// Run each test against only the model settings it sets
+test.beforeEach((t) => {
+  const saved = Object.fromEntries(MODEL_ENV.map(name => [name, process.env[name]]));
+  MODEL_ENV.forEach(name => delete process.env[name]);
+  t.after(() => MODEL_ENV.forEach(name => {
+    if (saved[name] === undefined) delete process.env[name];
+    else process.env[name] = saved[name];
+  }));
+});
+
+test('flows read their model from <FLOW>_MODEL', () => {
+  assert.equal(flowEnvName('noteBeautifierFlow'), 'NOTE_BEAUTIFIER_MODEL');
+  assert.equal(flowEnvName('documentGenerationFlow'), 'DOCUMENT_GENERATION_MODEL');
+});
+
+test('model specs split on the first colon', () => {
+  assert.deepEqual(parseModelSpec('openai:qwen2.5'), { provider: 'openai', model: 'qwen2.5' });
+  assert.deepEqual(parseModelSpec(' Ollama:llama3:8b '), { provider: 'ollama', model: 'llama3:8b' });
+  assert.deepEqual(parseModelSpec('gemini'), { provider: 'gemini', model: undefined });
+});
+
+test('a flow\'s own setting wins over MODEL_PROVIDER, which wins over the default', () => {
+  assert.deepEqual(resolveModelSpec('noteBeautifierFlow'), { provider: 'gemini', model: undefined });
+
+  process.env.MODEL_PROVIDER = 'openai:qwen2.5';
+  assert.deepEqual(resolveModelSpec('noteBeautifierFlow'), { provider: 'openai', model: 'qwen2.5' });
+  assert.deepEqual(resolveModelSpec('conversationFlow'), { provider: 'openai', model: 'qwen2.5' });
+
+  process.env.NOTE_BEAUTIFIER_MODEL = 'fixture';
+  assert.deepEqual(resolveModelSpec('noteBeautifierFlow'), { provider: 'fixture', model: undefined });
+  assert.deepEqual(resolveModelSpec('conversationFlow'), { provider: 'openai', model: 'qwen2.5' });
+});
+
+test('flows default to the fixture provider only when NODE_ENV is test', () => {
+  process.env.NODE_ENV = 'test';
+  assert.equal(resolveModelSpec('conversationFlow').provider, 'fixture');
+
+  process.env.NODE_ENV = 'production';
+  assert.equal(resolveModelSpec('conversationFlow').provider, 'gemini');
+});
+
+test('startup fails when Gemini flows have no API key or a provider is unknown', () => {
+  const flows = ['noteBeautifierFlow', 'conversationFlow'];
+
+  assert.throws(() => assertModelProvidersConfigured(flows), (error) => {
+    assert.match(error.message, /set GOOGLE_GENAI_API_KEY or MODEL_PROVIDER/);
+    assert.match(error.message, /noteBeautifierFlow: uses gemini but GOOGLE_GENAI_API_KEY is not set/);
+    assert.match(error.message, /conversationFlow: uses gemini/);
+    return true;
+  });
+
+  process.env.GOOGLE_GENAI_API_KEY = 'test-key';
+  process.env.CONVERSATION_MODEL = 'claude:sonnet';
+  assert.throws(() => assertModelProvidersConfigured(flows), /conversationFlow: unknown model provider "claude"/);
+
+  process.env.CONVERSATION_MODEL = 'openai:qwen2.5';
+  assert.doesNotThrow(() => assertModelProvidersConfigured(flows));
+});
+
+test('the fixture provider generates schema-shaped output deterministically', async () => {
+  const schema = z.object({
+    summary: z.string(),
+    concepts: z.array(z.string()),
+    flowcharts: z.array(z.string()).describe('Valid mermaid code for each concept'),
+    difficulty: z.enum(['easy', 'hard']),
+    score: z.number().min(1)
+  });
+  const provider = createFixtureProvider({ flowName: 'conversationFlow' });
+
+  const first = await provider.generate({ system: 'Be brief', prompt: 'Summarise photosynthesis', schema });
+  const second = await provider.generate({ system: 'Be brief', prompt: 'Summarise photosynthesis', schema });
+
+  assert.equal(provider.name, 'fixture');
+  assert.deepEqual(first.output, second.output);
+  assert.equal(first.output.summary, 'Fixture summary 1');
+  assert.deepEqual(first.output.concepts, ['Fixture concepts 1', 'Fixture concepts 2']);
+  assert.match(first.output.flowcharts[0], /^flowchart TD/);
+  assert.equal(first.output.difficulty, 'easy');
+  assert.equal(first.output.score, 1);
+  assert.equal(first.text, JSON.stringify(first.output));
+  assert.ok(first.usage.inputTokens > 0);
+  assert.equal(first.usage.totalTokens, first.usage.inputTokens + first.usage.outputTokens);
+});
+
+test('the fixture provider answers free-text prompts with a canned reply', async () => {
+  const provider = createFixtureProvider({ flowName: 'conversationFlow' });
+
+  const { output, text } = await provider.generate({ prompt: 'Hello there' });
+
+  assert.equal(output, null);
+  assert.equal(text, 'Fixture response for conversationFlow: Hello there');
+});
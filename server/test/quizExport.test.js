@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { toAnkiCards, toAnkiDelimited, toQuizJson } = require('../src/utils/quizExport');
+
+const quiz = {
+  flashcards: [
+    { front: 'What is <b>bold</b>?', back: 'Text in "quotes", with a comma' }
+  ],
+  multiple_choice: [
+    {
+      question: 'Which is larger?',
+      options: ['1 < 2', '3 & 4', 'Line\nbreak'],
+      answer_index: 1,
+      explanation: 'Because\tof tabs'
+    }
+  ],
+  short_answer: [
+    { question: 'Define entropy', answer: 'Disorder', explanation: '' }
+  ]
+};
+
+// Split a delimited line, honoring quoted fields
+const parseRow = (row, delimiter) => {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < row.length; i++) {
+    const ch = row[i];
+    if (quoted) {
+      if (ch === '"' && row[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      fields.push(field);
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  fields.push(field);
+  return fields;
+};
+
+// Data rows of an export, rejoining rows split by line breaks inside quotes
+const dataRows = (text, delimiter) => {
+  const rows = [];
+  let pending = '';
+  text.trimEnd().split('\n').filter(line => !line.startsWith('#')).forEach(line => {
+    pending = pending ? `${pending}\n${line}` : line;
+    if ((pending.match(/"/g) || []).length % 2 === 0) {
+      rows.push(parseRow(pending, delimiter));
+      pending = '';
+    }
+  });
+  return rows;
+};
+
+test('cards escape HTML and tag each card with its type and difficulty', () => {
+  const cards = toAnkiCards(quiz, { difficulty: 'hard', tags: ['chapter 3'] });
+
+  assert.equal(cards.length, 3);
+  assert.equal(cards[0][0], 'What is &lt;b&gt;bold&lt;/b&gt;?');
+  assert.equal(cards[0][2], 'noteflow flashcard hard chapter_3');
+  assert.match(cards[1][0], /A\) 1 &lt; 2<br>B\) 3 &amp; 4/);
+  assert.match(cards[1][1], /^<b>B\) 3 &amp; 4<\/b>/);
+  assert.equal(cards[2][2], 'noteflow short-answer hard chapter_3');
+});
+
+test('CSV quotes fields with commas, quotes and line breaks', () => {
+  const csv = toAnkiDelimited(quiz, ',');
+  const lines = csv.split('\n');
+
+  assert.deepEqual(lines.slice(0, 3), ['#separator:comma', '#html:true', '#tags column:3']);
+  assert.ok(csv.includes('"Text in ""quotes"", with a comma"'));
+
+  const rows = dataRows(csv, ',');
+  assert.equal(rows.length, 3);
+  rows.forEach(row => assert.equal(row.length, 3));
+  assert.equal(rows[0][1], 'Text in "quotes", with a comma');
+  assert.ok(rows[1][0].includes('C) Line\nbreak'));
+});
+
+test('TSV quotes fields with tabs and leaves commas alone', () => {
+  const tsv = toAnkiDelimited(quiz, '\t');
+
+  assert.ok(tsv.startsWith('#separator:tab\n'));
+  assert.ok(tsv.endsWith('\n'));
+
+  const rows = dataRows(tsv, '\t');
+  assert.equal(rows.length, 3);
+  rows.forEach(row => assert.equal(row.length, 3));
+  assert.match(rows[1][1], /Because\tof tabs$/);
+  assert.equal(rows[0][1], 'Text in "quotes", with a comma');
+});
+
+test('an empty quiz exports only the header', () => {
+  assert.equal(toAnkiDelimited({}, ','), '#separator:comma\n#html:true\n#tags column:3\n');
+});
+
+test('JSON export includes the quiz and how it was generated', () => {
+  const exported = JSON.parse(toQuizJson(quiz, { title: 'Thermodynamics', difficulty: 'easy' }));
+
+  assert.equal(exported.title, 'Thermodynamics');
+  assert.equal(exported.difficulty, 'easy');
+  assert.ok(!Number.isNaN(Date.parse(exported.generatedAt)));
+  assert.deepEqual(exported.flashcards, quiz.flashcards);
+  assert.deepEqual(exported.multiple_choice, quiz.multiple_choice);
+});
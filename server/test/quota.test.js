@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const admin = require('firebase-admin');
+const {
+  QUOTA_LIMITS,
+  QuotaExceededError,
+  isQuotaError,
+  createMemoryStore,
+  createFirestoreStore,
+  setQuotaStore,
+  runWithQuotaUser,
+  getQuotaUserId,
+  assertQuota,
+  consumeQuota,
+  recordUsage,
+  getQuotaStatus
+} = require('../src/utils/quota');
+
+const inOneHour = () => new Date(Date.now() + 60 * 60 * 1000);
+
+test('memory store counts per key until the counter expires', async () => {
+  const store = createMemoryStore();
+
+  assert.equal(await store.get('a'), 0);
+  assert.equal(await store.increment('a', 2, inOneHour()), 2);
+  assert.equal(await store.increment('a', 3, inOneHour()), 5);
+  assert.equal(await store.get('a'), 5);
+  assert.equal(await store.get('b'), 0);
+
+  await store.increment('expired', 4, new Date(Date.now() - 1000));
+  assert.equal(await store.get('expired'), 0);
+});
+
+test('firestore store increments one document per counter', async (t) => {
+  const documents = new Map();
+  const fakeFirestore = () => ({
+    collection: (name) => ({
+      doc: (id) => ({
+        async get() {
+          const data = documents.get(`${name}/${id}`);
+          return { exists: !!data, data: () => data };
+        },
+        async set(fields, { merge }) {
+          assert.equal(merge, true);
+          const current = documents.get(`${name}/${id}`) || {};
+          documents.set(`${name}/${id}`, {
+            ...current,
+            ...fields,
+            count: (current.count || 0) + fields.count.increment
+          });
+        }
+      })
+    })
+  });
+  fakeFirestore.FieldValue = { increment: (amount) => ({ increment: amount }) };
+  t.mock.getter(admin, 'firestore', () => fakeFirestore);
+
+  const store = createFirestoreStore('testCounters');
+  const expiresAt = inOneHour();
+
+  assert.equal(await store.get('user_u1:tokens:2026/10'), 0);
+  assert.equal(await store.increment('user_u1:tokens:2026/10', 100, expiresAt), 100);
+  assert.equal(await store.increment('user_u1:tokens:2026/10', 50, expiresAt), 150);
+  assert.equal(await store.get('user_u1:tokens:2026/10'), 150);
+  // Slashes aren't allowed in document ids
+  assert.deepEqual([...documents.keys()], ['testCounters/user_u1:tokens:2026_10']);
+  assert.equal(documents.get('testCounters/user_u1:tokens:2026_10').expiresAt, expiresAt);
+});
+
+test('consumeQuota refuses the call that would pass the user limit', async () => {
+  setQuotaStore(createMemoryStore());
+  const limit = QUOTA_LIMITS.diagrams.user;
+
+  await consumeQuota('u1', 'diagrams', limit);
+  await assertQuota('u2', 'diagrams', 1);
+
+  await assert.rejects(consumeQuota('u1', 'diagrams', 1), (error) => {
+    assert.ok(error instanceof QuotaExceededError);
+    assert.ok(isQuotaError(error));
+    assert.equal(error.status, 429);
+    assert.equal(error.scope, 'user');
+    assert.equal(error.metric, 'diagrams');
+    assert.equal(error.used, limit);
+    assert.equal(error.limit, limit);
+
+    const body = error.toJSON();
+    assert.equal(body.code, 'QUOTA_EXCEEDED');
+    assert.ok(body.retryAfterSeconds >= 1);
+    assert.ok(new Date(body.resetAt) > new Date());
+    return true;
+  });
+});
+
+test('usage also counts against the global limit', async () => {
+  setQuotaStore(createMemoryStore());
+  const { global: limit } = QUOTA_LIMITS.diagrams;
+
+  await recordUsage(null, 'diagrams', limit);
+
+  await assert.rejects(assertQuota('u1', 'diagrams', 1), { code: 'QUOTA_EXCEEDED', scope: 'global' });
+});
+
+test('getQuotaStatus reports the tighter of the user and global remaining', async () => {
+  setQuotaStore(createMemoryStore());
+  const { user: limit } = QUOTA_LIMITS.tokens;
+
+  await recordUsage('u1', 'tokens', 1000);
+  const status = await getQuotaStatus('u1');
+
+  assert.equal(status.tokens.user.used, 1000);
+  assert.equal(status.tokens.global.used, 1000);
+  assert.equal(status.tokens.remaining, limit - 1000);
+  assert.equal(status.requests.user.used, 0);
+});
+
+test('isQuotaError only matches quota errors', () => {
+  assert.equal(isQuotaError(new Error('Other')), false);
+  assert.equal(isQuotaError(null), false);
+});
+
+test('runWithQuotaUser sets the user for the whole call chain', async () => {
+  assert.equal(getQuotaUserId(), null);
+
+  const userId = await runWithQuotaUser('u1', async () => {
+    await new Promise(resolve => setImmediate(resolve));
+    return getQuotaUserId();
+  });
+
+  assert.equal(userId, 'u1');
+  assert.equal(getQuotaUserId(), null);
+});
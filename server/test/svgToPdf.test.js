@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { rgb } = require('pdf-lib');
+const { parseSvg, parseColor, normalizePath, measureSvg, layoutSvg, drawSvg } = require('../src/utils/svgToPdf');
+
+// A page that records what is drawn on it
+const fakePage = () => {
+  const drawn = [];
+  return {
+    drawn,
+    drawSvgPath: (path, options) => drawn.push({ type: 'path', path, options }),
+    drawText: (text, options) => drawn.push({ type: 'text', text, options })
+  };
+};
+
+// pdfFonts-style text styles with a fixed advance per character
+const fakeFont = {
+  widthOfTextAtSize: (text, size) => text.length * size * 0.5,
+  drawText: (page, text, options) => page.drawText(text, options)
+};
+const FONTS = { regular: fakeFont, bold: fakeFont, italic: fakeFont, boldItalic: fakeFont };
+
+const DIAGRAM = `<?xml version="1.0"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="200" height="100" viewBox="0 0 200 100">
+  <defs><marker id="arrow"><path d="M0 0 L10 5"/></marker></defs>
+  <g transform="translate(10 20)" fill="#ff0000" stroke="black">
+    <rect x="0" y="0" width="50" height="30"/>
+    <text x="5" y="15" font-weight="bold">A &amp; B</text>
+  </g>
+  <line x1="0" y1="0" x2="200" y2="100" stroke="blue" display="none"/>
+</svg>`;
+
+test('parseSvg flattens shapes and text with inherited paint and transforms', () => {
+  const { width, height, viewBox, elements } = parseSvg(DIAGRAM);
+
+  assert.equal(width, 200);
+  assert.equal(height, 100);
+  assert.deepEqual(viewBox, [0, 0, 200, 100]);
+  // The marker's path is skipped with its container, the hidden line with itself
+  assert.deepEqual(elements.map(element => element.tag), ['rect', 'text']);
+  assert.equal(elements[0].attrs.fill, '#ff0000');
+  assert.deepEqual(elements[0].matrix, [1, 0, 0, 1, 10, 20]);
+  assert.equal(elements[1].content, 'A & B');
+});
+
+test('parseSvg rejects documents that aren\'t SVG or have no size', () => {
+  assert.throws(() => parseSvg('<html><body/></html>'), /Not an SVG document/);
+  assert.throws(() => parseSvg('<svg xmlns="http://www.w3.org/2000/svg"></svg>'), /SVG has no size/);
+  assert.deepEqual(measureSvg('<svg viewBox="0 0 40 30"></svg>'), { width: 40, height: 30 });
+});
+
+test('parseColor reads hex, functional and named colors', () => {
+  assert.deepEqual(parseColor('#f00'), rgb(1, 0, 0));
+  assert.deepEqual(parseColor('rgb(0, 0, 255)'), rgb(0, 0, 1));
+  assert.deepEqual(parseColor('Navy'), rgb(0, 0, 128 / 255));
+  assert.equal(parseColor('none'), null);
+  assert.equal(parseColor('rgba(0, 0, 0, 0)'), null);
+  assert.equal(parseColor('url(#gradient)'), null);
+});
+
+test('normalizePath makes commands absolute and expands shorthands', () => {
+  assert.deepEqual(normalizePath('M10 10 l5 0 h5 v5 z'), [
+    ['M', 10, 10],
+    ['L', 15, 10],
+    ['L', 20, 10],
+    ['L', 20, 15],
+    ['Z']
+  ]);
+});
+
+test('drawSvg draws paths and text in page coordinates', () => {
+  const page = fakePage();
+
+  drawSvg(page, DIAGRAM, { x: 0, y: 0, width: 200, height: 100, fonts: FONTS });
+
+  assert.deepEqual(page.drawn.map(operation => operation.type), ['path', 'text']);
+  assert.deepEqual(page.drawn[0].options.color, rgb(1, 0, 0));
+  assert.deepEqual(page.drawn[0].options.borderColor, rgb(0, 0, 0));
+  assert.equal(page.drawn[1].text, 'A & B');
+  // SVG y grows downwards, PDF y upwards
+  assert.equal(page.drawn[1].options.y, 100 - 35);
+});
+
+test('an SVG that fails part way leaves the page untouched', () => {
+  const page = fakePage();
+  const failingFont = {
+    ...fakeFont,
+    widthOfTextAtSize: () => { throw new Error('Glyph missing'); }
+  };
+  const fonts = { ...FONTS, bold: failingFont };
+
+  assert.throws(() => layoutSvg(DIAGRAM, { x: 0, y: 0, width: 200, height: 100, fonts }), /Glyph missing/);
+  assert.throws(() => drawSvg(page, DIAGRAM, { x: 0, y: 0, width: 200, height: 100, fonts }), /Glyph missing/);
+  assert.deepEqual(page.drawn, []);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MIN_CHUNK_SIZE, splitIntoChunks } = require('../src/utils/textChunker');
+
+const paragraph = (index, sentences = 8) => Array.from({ length: sentences },
+  (_, i) => `Paragraph ${index} sentence ${i} explains one more idea about the topic.`).join(' ');
+
+const longText = Array.from({ length: 30 }, (_, i) => paragraph(i)).join('\n\n');
+
+test('text that fits is a single trimmed chunk', () => {
+  assert.deepEqual(splitIntoChunks('  Short note.\r\nSecond line.  '), ['Short note.\nSecond line.']);
+});
+
+test('empty text has no chunks', () => {
+  assert.deepEqual(splitIntoChunks(''), []);
+  assert.deepEqual(splitIntoChunks('   \n\n '), []);
+  assert.deepEqual(splitIntoChunks(null), []);
+});
+
+test('chunks stay within the chunk size', () => {
+  const chunks = splitIntoChunks(longText, { chunkSize: 2000, overlap: 200 });
+
+  assert.ok(chunks.length > 1);
+  chunks.forEach(chunk => assert.ok(chunk.length <= 2000, `chunk of ${chunk.length} characters`));
+});
+
+test('every paragraph ends up in a chunk', () => {
+  const chunks = splitIntoChunks(longText, { chunkSize: 2000, overlap: 200 });
+
+  for (let i = 0; i < 30; i++) {
+    assert.ok(chunks.some(chunk => chunk.includes(paragraph(i))), `paragraph ${i} is missing`);
+  }
+});
+
+test('chunks break at sentence boundaries and overlap the previous chunk', () => {
+  const chunks = splitIntoChunks(longText, { chunkSize: 2000, overlap: 300 });
+
+  chunks.forEach(chunk => assert.match(chunk, /\.$/));
+  for (let i = 1; i < chunks.length; i++) {
+    const firstSentence = chunks[i].split(/(?<=\.)\s+/)[0];
+    assert.ok(chunks[i - 1].includes(firstSentence), `chunk ${i} doesn't start with text from chunk ${i - 1}`);
+  }
+});
+
+test('no overlap means no repeated text', () => {
+  const chunks = splitIntoChunks(longText, { chunkSize: 2000, overlap: 0 });
+
+  assert.equal(chunks.join('').replace(/\s/g, '').length, longText.replace(/\s/g, '').length);
+});
+
+test('a single enormous word is cut', () => {
+  const word = 'x'.repeat(MIN_CHUNK_SIZE * 3);
+  const chunks = splitIntoChunks(word, { chunkSize: MIN_CHUNK_SIZE, overlap: 0 });
+
+  assert.equal(chunks.join(''), word);
+  chunks.forEach(chunk => assert.ok(chunk.length <= MIN_CHUNK_SIZE));
+});
+
+test('chunk size is never below the minimum', () => {
+  const chunks = splitIntoChunks(longText, { chunkSize: 10, overlap: 0 });
+
+  assert.ok(chunks.every(chunk => chunk.length <= MIN_CHUNK_SIZE));
+  assert.ok(chunks.some(chunk => chunk.length > 10));
+});
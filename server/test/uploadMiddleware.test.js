@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const multer = require('multer');
+const { UnsupportedFileTypeError, handleUploadError } = require('../src/middleware/uploadMiddleware');
+
+const fakeResponse = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+// Run the error middleware, resolving with the response and what it passed on
+function handle(err) {
+  const res = fakeResponse();
+  let passedOn = null;
+  handleUploadError(err, {}, res, (nextErr) => { passedOn = nextErr; });
+  return { res, passedOn };
+}
+
+test('files over the size limit are answered with 413', () => {
+  const { res, passedOn } = handle(new multer.MulterError('LIMIT_FILE_SIZE', 'file'));
+
+  assert.equal(passedOn, null);
+  assert.equal(res.statusCode, 413);
+});
+
+test('files of an unsupported type are answered with 415', () => {
+  const { res, passedOn } = handle(new UnsupportedFileTypeError('application/x-msdownload'));
+
+  assert.equal(passedOn, null);
+  assert.equal(res.statusCode, 415);
+  assert.match(res.body.message, /application\/x-msdownload/);
+  assert.ok(res.body.details.allowed.includes('application/pdf'));
+});
+
+test('other multer errors are answered with 400', () => {
+  const { res } = handle(new multer.MulterError('LIMIT_UNEXPECTED_FILE', 'attachment'));
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.details, 'LIMIT_UNEXPECTED_FILE');
+});
+
+test('unrelated errors are passed on', () => {
+  const error = new Error('Something else');
+  const { res, passedOn } = handle(error);
+
+  assert.equal(passedOn, error);
+  assert.equal(res.body, null);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.VISUAL_MERMAID_CONCURRENCY = '2';
+
+const { VISUAL_LANES, scheduleVisuals, getVisualSchedulerStats } = require('../src/utils/visualScheduler');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(console, 'warn', () => {});
+});
+
+test('no more visuals run at once than the lane allows', async () => {
+  let running = 0;
+  let peak = 0;
+
+  await scheduleVisuals('mermaid', 6, async (index) => {
+    running++;
+    peak = Math.max(peak, running);
+    await sleep(5);
+    running--;
+    return index;
+  }, { onError: () => null });
+
+  assert.equal(peak, VISUAL_LANES.mermaid.concurrency);
+  assert.deepEqual(getVisualSchedulerStats().mermaid, { active: 0, waiting: 0, concurrency: 2 });
+});
+
+test('results come back in index order and progress in finishing order', async () => {
+  const progress = [];
+
+  const results = await scheduleVisuals('mermaid', 2, async (index) => {
+    await sleep(index === 0 ? 30 : 5);
+    return `chart ${index}`;
+  }, {
+    onError: () => null,
+    onProgress: (completed, result) => progress.push([completed, result])
+  });
+
+  assert.deepEqual(results, ['chart 0', 'chart 1']);
+  assert.deepEqual(progress, [[1, 'chart 1'], [2, 'chart 0']]);
+});
+
+test('a failing or hung visual is reported through onError and frees its slot', async () => {
+  const results = await scheduleVisuals('mermaid', 4, async (index) => {
+    if (index === 0) throw new Error('Parse error');
+    if (index === 1) return new Promise(() => {});
+    return `chart ${index}`;
+  }, {
+    label: 'Flowchart',
+    timeoutMs: 30,
+    onError: (index, error) => ({ index, error: error.message })
+  });
+
+  assert.deepEqual(results, [
+    { index: 0, error: 'Parse error' },
+    { index: 1, error: 'Flowchart #2 timed out after 30ms' },
+    'chart 2',
+    'chart 3'
+  ]);
+});
+
+test('a failing progress callback doesn\'t abort the batch', async () => {
+  const results = await scheduleVisuals('mermaid', 2, async (index) => index, {
+    onError: () => null,
+    onProgress: () => { throw new Error('Client went away'); }
+  });
+
+  assert.deepEqual(results, [0, 1]);
+});
+
+test('unknown lanes are refused', async () => {
+  await assert.rejects(scheduleVisuals('gpu', 1, async () => null, { onError: () => null }), /Unknown visual lane "gpu"/);
+});